@@ -39,11 +39,19 @@ export default [
       'react/no-unknown-property': ['error', { 
         ignore: [
           'args', 'position', 'intensity', 'castShadow', 'roughness', 'metalness',
-          'geometry', 'transparent', 'side', 'visible', 'object'
+          'geometry', 'transparent', 'side', 'visible', 'object',
+          'vertexColors', 'depthWrite'
         ] 
       }],
       // Allow unused vars that start with underscore
       'no-unused-vars': ['error', { 'argsIgnorePattern': '^_' }],
     },
   },
+  {
+    // Node reference servers and tests (node:test)
+    files: ['server/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
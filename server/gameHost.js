@@ -0,0 +1,353 @@
+/**
+ * Game Host - Authoritative land, wallet and income state
+ *
+ * ARCHITECTURAL NOTE:
+ * The server-side counterpart of landApi and playerApi. It validates every
+ * action with the same core/ modules the client uses (domain models, H3
+ * helpers, pricing and income rules), so both sides agree on the rules, but
+ * only this copy of the state counts. It has no I/O; server/rulesServer.js
+ * exposes it over HTTP.
+ *
+ * INCOME:
+ * A player's structure income is settled before each of their actions and
+ * whenever their wallet is read, using settleOfflineIncome so long absences
+ * are capped the same way everywhere.
+ *
+ * Every method returns a plain result object ({ success, error, ... }), ready
+ * to be sent as JSON.
+ */
+
+import {
+  createCell,
+  isCellOwned,
+  toPersistedCell,
+  getCellVersion,
+  prepareCellWrite,
+  LandErrorCode,
+} from '../src/core/domain/cell.js';
+import {
+  createPlayer,
+  applyCredit,
+  applyDebit,
+  canAfford,
+  STARTING_BALANCE,
+} from '../src/core/domain/player.js';
+import {
+  getStructureDefinition,
+  getPlacementError,
+  createStructure,
+  getUpgradeCost,
+  getUpgradeError,
+  upgradeStructureLevel,
+  getDemolishRefund,
+  StructureErrorCode,
+} from '../src/core/domain/structure.js';
+import { DEFAULT_RESOLUTION, getCellResolution, isValidCellId } from '../src/core/h3/index.js';
+import {
+  createPricingEngine,
+  DEFAULT_PRICING_CONFIG,
+  settleOfflineIncome,
+  systemClock,
+} from '../src/core/rules/index.js';
+import { RulesActionType, RulesErrorCode } from '../src/api/persistence/rulesAdapter.js';
+
+/**
+ * Create an authoritative game host
+ * @param {object} options - { clock, pricingConfig, initialCells, initialPlayers }
+ * @returns {object} Game host
+ */
+export function createGameHost({
+  clock = systemClock,
+  pricingConfig = DEFAULT_PRICING_CONFIG,
+  initialCells = [],
+  initialPlayers = [],
+} = {}) {
+  const quoteCell = createPricingEngine(pricingConfig);
+  const cells = new Map();        // cellId -> persisted cell record
+  const revisions = new Map();    // cellId -> revision of its last change
+  const players = new Map();      // playerId -> player data
+  const income = new Map();       // playerId -> { lastSettledAt, carry }
+  let revision = 0;
+
+  function setCell(record) {
+    cells.set(record.id, record);
+    revisions.set(record.id, ++revision);
+    return record;
+  }
+
+  function storeCell(record) {
+    return setCell(prepareCellWrite(cells.get(record.id) ?? null, record));
+  }
+
+  initialCells.forEach(setCell);
+  initialPlayers.forEach(player => {
+    players.set(player.id, createPlayer(player.id, player));
+    income.set(player.id, { lastSettledAt: clock.now(), carry: 0 });
+  });
+
+  function buildPricingContext(playerId) {
+    const ownedCellIds = new Set();
+    const playerCellIds = new Set();
+    cells.forEach(cell => {
+      if (!isCellOwned(cell)) return;
+      ownedCellIds.add(cell.id);
+      if (cell.ownerId === playerId) {
+        playerCellIds.add(cell.id);
+      }
+    });
+    return { ownedCellIds, playerCellIds };
+  }
+
+  /**
+   * Pay out a player's income up to now
+   * @param {string} playerId - Player ID
+   * @returns {object} settleOfflineIncome result
+   */
+  function settle(playerId) {
+    const account = income.get(playerId);
+    const settlement = settleOfflineIncome({ cells: cells.values(), playerId, ...account }, { clock });
+    income.set(playerId, { lastSettledAt: settlement.settledAt, carry: settlement.carry });
+
+    if (settlement.amount > 0) {
+      const { player } = applyCredit(players.get(playerId), settlement.amount, {
+        reason: 'income',
+        metadata: { elapsedMs: settlement.elapsedMs, cappedMs: settlement.cappedMs },
+        timestamp: settlement.settledAt,
+      });
+      players.set(playerId, player);
+    }
+    return settlement;
+  }
+
+  /**
+   * Charge a player, or explain why not
+   * @returns {object|null} Failure result, or null once the player was charged
+   */
+  function charge(playerId, amount, options) {
+    const player = players.get(playerId);
+    if (!canAfford(player, amount)) {
+      return { success: false, error: LandErrorCode.INSUFFICIENT_FUNDS, amount, player };
+    }
+    players.set(playerId, applyDebit(player, amount, { ...options, timestamp: clock.now() }).player);
+    return null;
+  }
+
+  function fail(playerId, error, details = {}) {
+    return { success: false, error, player: players.get(playerId) ?? null, ...details };
+  }
+
+  function findStructure(cell, structureId) {
+    return cell.structures.find(structure => structure.id === structureId) || null;
+  }
+
+  function getOwnedCell(cellId, playerId) {
+    const cell = cells.get(cellId);
+    return cell && cell.ownerId === playerId ? cell : null;
+  }
+
+  function purchase({ cellId, playerId }) {
+    if (!isValidCellId(cellId)) {
+      return fail(playerId, LandErrorCode.INVALID_CELL);
+    }
+    if (getCellResolution(cellId) !== DEFAULT_RESOLUTION) {
+      return fail(playerId, LandErrorCode.INVALID_RESOLUTION);
+    }
+
+    const existing = cells.get(cellId);
+    if (existing && isCellOwned(existing)) {
+      return fail(playerId, LandErrorCode.CELL_ALREADY_OWNED, { ownerId: existing.ownerId });
+    }
+
+    const { price } = quoteCell(cellId, buildPricingContext(playerId));
+    const failure = charge(playerId, price, { reason: 'land-purchase', metadata: { cellId } });
+    if (failure) return failure;
+
+    const now = clock.now();
+    const record = storeCell(toPersistedCell({
+      ...(existing ?? createCell(cellId, { createdAt: now })),
+      ownerId: playerId,
+      purchasedAt: now,
+    }));
+    console.log('[GameHost] Cell purchased:', { cellId, playerId, price });
+
+    return { success: true, cell: record, player: players.get(playerId), price };
+  }
+
+  function build({ cellId, playerId, structureType }) {
+    const cell = getOwnedCell(cellId, playerId);
+    if (!cell) return fail(playerId, LandErrorCode.NOT_CELL_OWNER);
+
+    const placementError = getPlacementError(cell, structureType);
+    if (placementError) return fail(playerId, placementError);
+
+    const { cost } = getStructureDefinition(structureType);
+    const failure = charge(playerId, cost, {
+      reason: 'structure-build',
+      metadata: { cellId, type: structureType },
+    });
+    if (failure) return failure;
+
+    const structure = createStructure(cell, structureType, { builtAt: clock.now() });
+    const record = storeCell({ ...cell, structures: [...cell.structures, structure] });
+
+    return { success: true, cell: record, player: players.get(playerId), structure, cost };
+  }
+
+  function upgrade({ cellId, playerId, structureId }) {
+    const cell = getOwnedCell(cellId, playerId);
+    if (!cell) return fail(playerId, LandErrorCode.NOT_CELL_OWNER);
+
+    const structure = findStructure(cell, structureId);
+    if (!structure) return fail(playerId, StructureErrorCode.STRUCTURE_NOT_FOUND);
+
+    const now = clock.now();
+    const upgradeError = getUpgradeError(structure, now);
+    if (upgradeError) return fail(playerId, upgradeError);
+
+    const cost = getUpgradeCost(structure);
+    const failure = charge(playerId, cost, {
+      reason: 'structure-upgrade',
+      metadata: { cellId, structureId, level: structure.level + 1 },
+    });
+    if (failure) return failure;
+
+    const upgraded = upgradeStructureLevel(structure, now);
+    const record = storeCell({
+      ...cell,
+      structures: cell.structures.map(existing => (existing.id === structureId ? upgraded : existing)),
+    });
+
+    return { success: true, cell: record, player: players.get(playerId), structure: upgraded, cost };
+  }
+
+  function demolish({ cellId, playerId, structureId }) {
+    const cell = getOwnedCell(cellId, playerId);
+    if (!cell) return fail(playerId, LandErrorCode.NOT_CELL_OWNER);
+
+    const structure = findStructure(cell, structureId);
+    if (!structure) return fail(playerId, StructureErrorCode.STRUCTURE_NOT_FOUND);
+
+    const refund = getDemolishRefund(structure);
+    if (refund > 0) {
+      const { player } = applyCredit(players.get(playerId), refund, {
+        reason: 'structure-demolish',
+        metadata: { cellId, structureId },
+        timestamp: clock.now(),
+      });
+      players.set(playerId, player);
+    }
+
+    const record = storeCell({
+      ...cell,
+      structures: cell.structures.filter(existing => existing.id !== structureId),
+    });
+
+    return { success: true, cell: record, player: players.get(playerId), structure, refund };
+  }
+
+  const handlers = {
+    [RulesActionType.PURCHASE]: purchase,
+    [RulesActionType.BUILD]: build,
+    [RulesActionType.UPGRADE]: upgrade,
+    [RulesActionType.DEMOLISH]: demolish,
+  };
+
+  return {
+    /**
+     * Register a player with the starting balance (no-op if registered)
+     * @param {string} playerId - Player ID
+     * @param {object} options - { displayName }
+     * @returns {object} Result with success status and player
+     */
+    registerPlayer(playerId, { displayName } = {}) {
+      if (typeof playerId !== 'string' || playerId === '') {
+        return { success: false, error: RulesErrorCode.INVALID_REQUEST };
+      }
+      if (!players.has(playerId)) {
+        const player = createPlayer(playerId, { displayName, createdAt: clock.now() });
+        players.set(playerId, applyCredit(player, STARTING_BALANCE, {
+          reason: 'starting-balance',
+          timestamp: clock.now(),
+        }).player);
+        income.set(playerId, { lastSettledAt: clock.now(), carry: 0 });
+        console.log('[GameHost] Player registered:', { playerId });
+      }
+      return { success: true, player: players.get(playerId) };
+    },
+
+    /**
+     * Get a player's wallet after settling their income
+     * @param {string} playerId - Player ID
+     * @returns {object} Result with success status, player and the settled income
+     */
+    getPlayer(playerId) {
+      if (!players.has(playerId)) {
+        return { success: false, error: LandErrorCode.PLAYER_NOT_FOUND };
+      }
+      const { amount } = settle(playerId);
+      return { success: true, player: players.get(playerId), income: amount };
+    },
+
+    /**
+     * Get the price a player would pay for a cell
+     * @param {string} cellId - H3 cell index
+     * @param {string} playerId - Buying player ID
+     * @returns {object} Result with success status and quote
+     */
+    getQuote(cellId, playerId) {
+      if (!isValidCellId(cellId)) {
+        return { success: false, error: LandErrorCode.INVALID_CELL };
+      }
+      return { success: true, quote: quoteCell(cellId, buildPricingContext(playerId)) };
+    },
+
+    /**
+     * Validate and apply a game action
+     * @param {object} action - { type: RulesActionType, cellId, playerId, structureType, structureId,
+     *   expectedVersion: optional cell version the client based the action on }
+     * @returns {object} Result with success status, the stored cell and the player's wallet
+     */
+    perform(action) {
+      const handler = handlers[action?.type];
+      if (!handler) {
+        return { success: false, error: RulesErrorCode.UNSUPPORTED_ACTION, type: action?.type ?? null };
+      }
+      if (!players.has(action.playerId)) {
+        return { success: false, error: LandErrorCode.PLAYER_NOT_FOUND, player: null };
+      }
+
+      // Compare-and-set: the client acted on a version of the cell that is gone
+      const current = cells.get(action.cellId) ?? null;
+      if (action.expectedVersion !== undefined && getCellVersion(current) !== action.expectedVersion) {
+        return fail(action.playerId, LandErrorCode.VERSION_CONFLICT, {
+          current,
+          expectedVersion: action.expectedVersion,
+        });
+      }
+
+      settle(action.playerId);
+      return handler(action);
+    },
+
+    /**
+     * Get a stored cell
+     * @param {string} cellId - H3 cell index
+     * @returns {object|null} Persisted cell record or null
+     */
+    getCell(cellId) {
+      return cells.get(cellId) ?? null;
+    },
+
+    /**
+     * Get stored cells changed after a revision
+     * @param {number} since - Revision the caller has seen
+     * @returns {object} { revision, records }
+     */
+    getChanges(since = 0) {
+      const records = [...revisions]
+        .filter(([, cellRevision]) => cellRevision > since)
+        .map(([cellId]) => cells.get(cellId));
+      return { revision, records };
+    },
+  };
+}
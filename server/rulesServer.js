@@ -0,0 +1,250 @@
+/**
+ * Rules Server - Authoritative game state over HTTP/JSON
+ *
+ * ARCHITECTURAL NOTE:
+ * The server side of api/persistence/rulesAdapter.js. It wraps a game host
+ * (server/gameHost.js) that validates purchases and structure actions, prices
+ * land and settles income with the same core/ modules the client runs.
+ * Clients submit actions; they never write cells or balances themselves.
+ *
+ * ROUTES:
+ *   POST /players             { playerId, displayName } → register, answers a session token
+ *   GET  /players/:id         → wallet, after settling income (session required)
+ *   GET  /quote?cellId&playerId
+ *   GET  /cells/:id
+ *   POST /cells/query         { cellIds }
+ *   GET  /changes?since=rev   → cells changed after a revision
+ *   POST /actions             { type, cellId, playerId, ... } (session required)
+ *
+ * Rejected game actions answer 200 with { success: false, error }; malformed
+ * requests answer 4xx.
+ *
+ * SESSIONS:
+ * Registering a player answers a random session token, sent back as
+ * `Authorization: Bearer <token>`. Wallet reads and actions are only accepted
+ * for the player the token was issued to. A player ID can be registered once
+ * (nobody can take over an existing wallet), and each client address may only
+ * register a few players, so the starting balance cannot be farmed. Sessions
+ * live in memory: this is still a development server, not an account system.
+ *
+ * USAGE:
+ *   npm run rules-server           # http://localhost:8788
+ *   PORT=9000 npm run rules-server
+ * Then start the client with VITE_RULES_URL=http://localhost:8788 npm run dev
+ */
+
+import { createServer } from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { createGameHost } from './gameHost.js';
+import { RulesErrorCode } from '../src/api/persistence/rulesAdapter.js';
+
+/**
+ * Default listening port
+ */
+export const DEFAULT_RULES_PORT = 8788;
+
+/**
+ * Largest request body accepted, in bytes
+ */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Default number of players one client address may register
+ */
+export const DEFAULT_MAX_PLAYERS_PER_ADDRESS = 5;
+
+/**
+ * Headers sent with every response (the Vite dev server runs on another origin)
+ */
+const RESPONSE_HEADERS = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+/**
+ * Read and parse a JSON request body
+ * @param {import('node:http').IncomingMessage} request - Incoming request
+ * @returns {Promise<object>} Parsed body ({} when empty)
+ */
+function readJson(request) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      try {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve(text ? JSON.parse(text) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Read the session token from a request
+ * @param {import('node:http').IncomingMessage} request - Incoming request
+ * @returns {string|null} Bearer token, or null if none was sent
+ */
+function getBearerToken(request) {
+  const match = /^Bearer (\S+)$/.exec(request.headers.authorization ?? '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Create a rules server
+ * @param {object} options - { maxPlayersPerAddress } and game host options (see createGameHost)
+ * @returns {object} { httpServer, host, listen(port), close() }
+ */
+export function createRulesServer({ maxPlayersPerAddress = DEFAULT_MAX_PLAYERS_PER_ADDRESS, ...options } = {}) {
+  const host = createGameHost(options);
+  const sessions = new Map();      // token -> playerId
+  const registrations = new Map(); // client address -> players registered
+
+  /**
+   * Find the player a request's session token belongs to
+   * @returns {string|null} Player ID, or null without a valid session
+   */
+  function getSessionPlayerId(request) {
+    const token = getBearerToken(request);
+    return token ? sessions.get(token) ?? null : null;
+  }
+
+  /**
+   * Register a new player and open a session for them
+   * @returns {[number, object]} Status code and JSON body
+   */
+  function register(request, { playerId, displayName }) {
+    if (typeof playerId !== 'string' || playerId === '') {
+      return [400, { success: false, error: RulesErrorCode.INVALID_REQUEST }];
+    }
+    if (host.getPlayer(playerId).success) {
+      return [409, { success: false, error: RulesErrorCode.PLAYER_EXISTS }];
+    }
+    const address = request.socket.remoteAddress ?? 'unknown';
+    const count = registrations.get(address) ?? 0;
+    if (count >= maxPlayersPerAddress) {
+      return [429, { success: false, error: RulesErrorCode.TOO_MANY_PLAYERS }];
+    }
+
+    const result = host.registerPlayer(playerId, { displayName });
+    if (!result.success) {
+      return [400, result];
+    }
+    registrations.set(address, count + 1);
+    const token = randomBytes(32).toString('hex');
+    sessions.set(token, playerId);
+    return [200, { ...result, token }];
+  }
+
+  /**
+   * Route a request to the game host
+   * @returns {Promise<[number, object]>} Status code and JSON body
+   */
+  async function route(method, url, request) {
+    const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    const [resource, id] = segments;
+
+    if (method === 'POST' && resource === 'players' && !id) {
+      return register(request, await readJson(request));
+    }
+    if (method === 'GET' && resource === 'players' && id) {
+      const sessionPlayerId = getSessionPlayerId(request);
+      if (!sessionPlayerId) {
+        return [401, { success: false, error: RulesErrorCode.UNAUTHORIZED }];
+      }
+      if (sessionPlayerId !== id) {
+        return [403, { success: false, error: RulesErrorCode.FORBIDDEN }];
+      }
+      const result = host.getPlayer(id);
+      return [result.success ? 200 : 404, result];
+    }
+    if (method === 'GET' && resource === 'quote') {
+      const result = host.getQuote(url.searchParams.get('cellId'), url.searchParams.get('playerId'));
+      return [result.success ? 200 : 400, result];
+    }
+    if (method === 'POST' && resource === 'cells' && id === 'query') {
+      const { cellIds } = await readJson(request);
+      if (!Array.isArray(cellIds)) {
+        return [400, { success: false, error: RulesErrorCode.INVALID_REQUEST }];
+      }
+      return [200, { success: true, records: cellIds.map(host.getCell).filter(Boolean) }];
+    }
+    if (method === 'GET' && resource === 'cells' && id) {
+      return [200, { success: true, record: host.getCell(id) }];
+    }
+    if (method === 'GET' && resource === 'changes') {
+      const since = Number(url.searchParams.get('since')) || 0;
+      return [200, { success: true, ...host.getChanges(since) }];
+    }
+    if (method === 'POST' && resource === 'actions') {
+      const sessionPlayerId = getSessionPlayerId(request);
+      if (!sessionPlayerId) {
+        return [401, { success: false, error: RulesErrorCode.UNAUTHORIZED }];
+      }
+      const action = await readJson(request);
+      // Players act only for themselves
+      if (action?.playerId !== sessionPlayerId) {
+        return [403, { success: false, error: RulesErrorCode.FORBIDDEN }];
+      }
+      const result = host.perform(action);
+      return [result.error === RulesErrorCode.UNSUPPORTED_ACTION ? 400 : 200, result];
+    }
+    return [404, { success: false, error: RulesErrorCode.NOT_FOUND }];
+  }
+
+  const httpServer = createServer(async (request, response) => {
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, RESPONSE_HEADERS);
+      response.end();
+      return;
+    }
+
+    let status;
+    let body;
+    try {
+      [status, body] = await route(request.method, new URL(request.url, 'http://localhost'), request);
+    } catch (error) {
+      console.warn('[RulesServer] Bad request:', error.message);
+      [status, body] = [400, { success: false, error: RulesErrorCode.INVALID_REQUEST }];
+    }
+
+    response.writeHead(status, RESPONSE_HEADERS);
+    response.end(JSON.stringify(body));
+  });
+
+  return {
+    httpServer,
+    host,
+    listen(port = DEFAULT_RULES_PORT) {
+      return new Promise(resolve => httpServer.listen(port, () => resolve(httpServer.address().port)));
+    },
+    close() {
+      return new Promise(resolve => {
+        httpServer.close(() => resolve());
+        httpServer.closeAllConnections();
+      });
+    },
+  };
+}
+
+// Run directly: node server/rulesServer.js
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || DEFAULT_RULES_PORT;
+  createRulesServer().listen(port).then(actualPort => {
+    console.log(`[RulesServer] Listening on http://localhost:${actualPort}`);
+  });
+}
@@ -0,0 +1,280 @@
+/**
+ * Sync Server - Local reference server for multiplayer cell sync
+ *
+ * ARCHITECTURAL NOTE:
+ * The server side of api/persistence/webSocketAdapter.js. It stores persisted
+ * cells in memory and forwards every write to each client whose subscription
+ * covers the cell, so several browser tabs (or machines on the LAN) see each
+ * other's land. It reuses core/h3 for region matching and applies the same
+ * compare-and-set check as the local adapters, one message at a time.
+ *
+ * This is a development server: no auth, no rules, no durable storage.
+ * Malformed messages are answered with an ERROR and never stop the server.
+ *
+ * USAGE:
+ *   npm run sync-server            # ws://localhost:8787
+ *   PORT=9000 npm run sync-server
+ * Then start the client with VITE_SYNC_URL=ws://localhost:8787 npm run dev
+ */
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { acceptWebSockets } from './websocket.js';
+import { SyncMessageType } from '../src/api/persistence/webSocketAdapter.js';
+import { createCellMatcher, isValidCellId } from '../src/core/h3/index.js';
+import { prepareCellWrite } from '../src/core/domain/cell.js';
+
+/**
+ * Default listening port
+ */
+export const DEFAULT_SYNC_PORT = 8787;
+
+/**
+ * Most cell IDs accepted in one SUBSCRIBE, QUERY or PUT_ALL
+ */
+const MAX_MESSAGE_CELL_IDS = 50000;
+
+/**
+ * Check a list of cell IDs from a client
+ * @param {*} cellIds - Value sent by the client
+ * @returns {boolean} True if it is an array of valid H3 cell indexes
+ */
+function isValidCellIdList(cellIds) {
+  return Array.isArray(cellIds)
+    && cellIds.length <= MAX_MESSAGE_CELL_IDS
+    && cellIds.every(isValidCellId);
+}
+
+/**
+ * Check a cell record from a client
+ * @param {*} record - Value sent by the client
+ * @returns {boolean} True if it is an object with a valid cell ID
+ */
+function isValidRecord(record) {
+  return Boolean(record) && typeof record === 'object' && isValidCellId(record.id);
+}
+
+/**
+ * Check the writes of a PUT_ALL
+ * @param {*} writes - Value sent by the client
+ * @returns {boolean} True if it is a list of records, each cell at most once
+ */
+function isValidWriteList(writes) {
+  return Array.isArray(writes)
+    && writes.length <= MAX_MESSAGE_CELL_IDS
+    && writes.every(write => isValidRecord(write?.record))
+    && new Set(writes.map(write => write.record.id)).size === writes.length;
+}
+
+/**
+ * Check the shape of a client message before it is handled
+ * @param {*} message - Parsed JSON from the client
+ * @returns {string|null} What is wrong with it, or null if it can be handled
+ */
+function getMessageError(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return 'Message must be an object';
+  }
+  if (message.requestId !== undefined && typeof message.requestId !== 'number') {
+    return 'requestId must be a number';
+  }
+
+  switch (message.type) {
+    case SyncMessageType.SUBSCRIBE:
+      if (typeof message.subscriptionId !== 'number') return 'subscriptionId must be a number';
+      if ((message.cellIds ?? null) !== null && !isValidCellIdList(message.cellIds)) return 'Invalid cellIds';
+      return null;
+    case SyncMessageType.UNSUBSCRIBE:
+      return typeof message.subscriptionId === 'number' ? null : 'subscriptionId must be a number';
+    case SyncMessageType.GET:
+      return isValidCellId(message.cellId) ? null : 'Invalid cellId';
+    case SyncMessageType.QUERY:
+      return isValidCellIdList(message.cellIds) ? null : 'Invalid cellIds';
+    case SyncMessageType.QUERY_BY_OWNER:
+      return typeof message.ownerId === 'string' && message.ownerId ? null : 'Invalid ownerId';
+    case SyncMessageType.PUT:
+      return isValidRecord(message.record) ? null : 'Invalid cell record';
+    case SyncMessageType.PUT_ALL:
+      return isValidWriteList(message.writes) ? null : 'Invalid writes';
+    default:
+      return `Unknown message type: ${message.type}`;
+  }
+}
+
+/**
+ * Create a sync server
+ * @param {object} options - { initialCells: persisted cell records }
+ * @returns {object} { httpServer, listen(port), close(), getCells() }
+ */
+export function createSyncServer({ initialCells = [] } = {}) {
+  const cells = new Map(initialCells.map(record => [record.id, record]));
+  const clients = new Set(); // { connection, subscriptions: Map(subscriptionId -> matcher) }
+
+  function send(client, message) {
+    client.connection.send(JSON.stringify(message));
+  }
+
+  function getMatchingRecords(matcher) {
+    return [...cells.values()].filter(record => matcher(record.id));
+  }
+
+  function broadcast(record) {
+    clients.forEach(client => {
+      client.subscriptions.forEach((matcher, subscriptionId) => {
+        if (matcher(record.id)) {
+          send(client, { type: SyncMessageType.CHANGED, subscriptionId, records: [record] });
+        }
+      });
+    });
+  }
+
+  function sendWriteError(client, requestId, error) {
+    send(client, {
+      type: SyncMessageType.ERROR,
+      requestId,
+      message: error.message,
+      code: error.code,
+      current: error.current,
+      expectedVersion: error.expectedVersion,
+    });
+  }
+
+  function handleMessage(client, message) {
+    const { requestId } = message;
+
+    switch (message.type) {
+      case SyncMessageType.SUBSCRIBE: {
+        const matcher = message.cellIds ? createCellMatcher(message.cellIds) : () => true;
+        client.subscriptions.set(message.subscriptionId, matcher);
+        const records = getMatchingRecords(matcher);
+        if (records.length > 0) {
+          send(client, { type: SyncMessageType.CHANGED, subscriptionId: message.subscriptionId, records });
+        }
+        break;
+      }
+      case SyncMessageType.UNSUBSCRIBE:
+        client.subscriptions.delete(message.subscriptionId);
+        break;
+      case SyncMessageType.GET:
+        send(client, { type: SyncMessageType.RESULT, requestId, record: cells.get(message.cellId) ?? null });
+        break;
+      case SyncMessageType.QUERY:
+        send(client, {
+          type: SyncMessageType.RESULT,
+          requestId,
+          records: message.cellIds.map(cellId => cells.get(cellId)).filter(Boolean),
+        });
+        break;
+      case SyncMessageType.QUERY_BY_OWNER:
+        send(client, {
+          type: SyncMessageType.RESULT,
+          requestId,
+          records: [...cells.values()].filter(record => record.ownerId === message.ownerId),
+        });
+        break;
+      case SyncMessageType.PUT: {
+        const { record } = message;
+        let stored;
+        try {
+          stored = prepareCellWrite(cells.get(record.id) ?? null, record, message.expectedVersion);
+        } catch (error) {
+          sendWriteError(client, requestId, error);
+          break;
+        }
+        cells.set(stored.id, stored);
+        console.log('[SyncServer] Cell stored:', { cellId: stored.id, ownerId: stored.ownerId, version: stored.version });
+        send(client, { type: SyncMessageType.RESULT, requestId, record: stored });
+        broadcast(stored);
+        break;
+      }
+      case SyncMessageType.PUT_ALL: {
+        // Every write is checked before any is stored, and messages are handled
+        // one at a time, so the batch is a single transaction
+        let stored;
+        try {
+          stored = message.writes.map(({ record, expectedVersion }) => (
+            prepareCellWrite(cells.get(record.id) ?? null, record, expectedVersion)
+          ));
+        } catch (error) {
+          sendWriteError(client, requestId, error);
+          break;
+        }
+        stored.forEach(record => cells.set(record.id, record));
+        console.log('[SyncServer] Cells stored:', { count: stored.length });
+        send(client, { type: SyncMessageType.RESULT, requestId, records: stored });
+        stored.forEach(broadcast);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Validate and handle one client message
+   * Any failure is answered with an ERROR; one bad client must not take the
+   * server down for everyone else.
+   */
+  function receiveMessage(client, message) {
+    const error = getMessageError(message);
+    if (error) {
+      const requestId = typeof message?.requestId === 'number' ? message.requestId : undefined;
+      send(client, { type: SyncMessageType.ERROR, requestId, message: error });
+      return;
+    }
+    try {
+      handleMessage(client, message);
+    } catch (failure) {
+      console.error('[SyncServer] Failed to handle message:', message.type, failure);
+      send(client, { type: SyncMessageType.ERROR, requestId: message.requestId, message: 'Internal server error' });
+    }
+  }
+
+  const httpServer = createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('WebSocket connections only\n');
+  });
+
+  acceptWebSockets(httpServer, connection => {
+    const client = { connection, subscriptions: new Map() };
+    clients.add(client);
+    console.log('[SyncServer] Client connected:', { clients: clients.size });
+
+    connection.onMessage = (text) => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (error) {
+        send(client, { type: SyncMessageType.ERROR, message: `Invalid JSON: ${error.message}` });
+        return;
+      }
+      receiveMessage(client, message);
+    };
+    connection.onClose = () => {
+      clients.delete(client);
+      console.log('[SyncServer] Client disconnected:', { clients: clients.size });
+    };
+  });
+
+  return {
+    httpServer,
+    listen(port = DEFAULT_SYNC_PORT) {
+      return new Promise(resolve => httpServer.listen(port, () => resolve(httpServer.address().port)));
+    },
+    close() {
+      clients.forEach(client => client.connection.close());
+      return new Promise(resolve => httpServer.close(() => resolve()));
+    },
+    getCells() {
+      return [...cells.values()];
+    },
+  };
+}
+
+// Run directly: node server/syncServer.js
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || DEFAULT_SYNC_PORT;
+  createSyncServer().listen(port).then(actualPort => {
+    console.log(`[SyncServer] Listening on ws://localhost:${actualPort}`);
+  });
+}
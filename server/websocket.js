@@ -0,0 +1,183 @@
+/**
+ * Minimal WebSocket server - RFC 6455 text messages over node:http
+ *
+ * ARCHITECTURAL NOTE:
+ * Just enough of the protocol for the local reference servers: the upgrade
+ * handshake, unfragmented text frames, ping/pong and close. It keeps the repo
+ * free of server-only dependencies; swap in a full library for production.
+ *
+ * LIMITS:
+ * Frames larger than maxPayloadBytes and unmasked client frames (which RFC
+ * 6455 forbids) close the connection before their payload is buffered.
+ */
+
+import { createHash } from 'node:crypto';
+
+// Fixed GUID from RFC 6455 section 1.3
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const Opcode = {
+  TEXT: 0x1,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+};
+
+// Close status codes (RFC 6455 section 7.4.1)
+const CloseCode = {
+  PROTOCOL_ERROR: 1002,
+  MESSAGE_TOO_BIG: 1009,
+};
+
+/**
+ * Default largest client frame payload accepted, in bytes
+ */
+export const DEFAULT_MAX_PAYLOAD_BYTES = 1024 * 1024;
+
+/**
+ * Encode a server frame (servers never mask)
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} Encoded frame
+ */
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode one client frame from the start of a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @param {number} maxPayloadBytes - Largest payload accepted
+ * @returns {object|null} { fin, opcode, payload, size }, { error: close code } for a
+ *   frame that must not be accepted, or null if incomplete
+ */
+function decodeFrame(buffer, maxPayloadBytes) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  if (!masked) return { error: CloseCode.PROTOCOL_ERROR };
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (length > maxPayloadBytes) return { error: CloseCode.MESSAGE_TOO_BIG };
+
+  const maskOffset = offset;
+  offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  for (let i = 0; i < payload.length; i++) {
+    payload[i] ^= buffer[maskOffset + (i % 4)];
+  }
+  return { fin, opcode, payload, size: offset + length };
+}
+
+/**
+ * Accept WebSocket upgrades on an HTTP server
+ *
+ * @param {import('node:http').Server} httpServer - Server to attach to
+ * @param {function} onConnection - Called with a connection: { send(text), close(), onMessage, onClose }
+ * @param {object} options - { maxPayloadBytes: largest client frame accepted }
+ */
+export function acceptWebSockets(httpServer, onConnection, { maxPayloadBytes = DEFAULT_MAX_PAYLOAD_BYTES } = {}) {
+  httpServer.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    let received = Buffer.alloc(0);
+    let closed = false;
+
+    const connection = {
+      onMessage: () => {},
+      onClose: () => {},
+      send(text) {
+        if (!closed) socket.write(encodeFrame(Opcode.TEXT, Buffer.from(text)));
+      },
+      close(code) {
+        if (closed) return;
+        closed = true;
+        const payload = Buffer.alloc(code ? 2 : 0);
+        if (code) payload.writeUInt16BE(code, 0);
+        socket.end(encodeFrame(Opcode.CLOSE, payload));
+      },
+    };
+
+    socket.on('data', chunk => {
+      if (closed) return;
+      received = Buffer.concat([received, chunk]);
+      let frame;
+      while (!closed && (frame = decodeFrame(received, maxPayloadBytes))) {
+        if (frame.error) {
+          received = Buffer.alloc(0);
+          connection.close(frame.error);
+          return;
+        }
+        received = received.subarray(frame.size);
+
+        if (!frame.fin) {
+          // Fragmented messages are not needed by our clients
+          connection.close(CloseCode.PROTOCOL_ERROR);
+          return;
+        }
+        switch (frame.opcode) {
+          case Opcode.TEXT:
+            connection.onMessage(frame.payload.toString('utf8'));
+            break;
+          case Opcode.PING:
+            socket.write(encodeFrame(Opcode.PONG, frame.payload));
+            break;
+          case Opcode.CLOSE:
+            connection.close();
+            break;
+          default:
+            break;
+        }
+      }
+    });
+
+    socket.on('close', () => {
+      closed = true;
+      connection.onClose();
+    });
+    socket.on('error', () => socket.destroy());
+
+    onConnection(connection, request);
+  });
+}
@@ -1,31 +1,202 @@
 /**
  * App - Main application component
- * 
+ *
  * ARCHITECTURAL NOTE:
  * This is the application shell. It renders the GlobeScene viewer.
- * 
+ *
+ * ACCESSIBILITY:
+ * The container is focusable and takes keyboard navigation (platform/web/input.js).
+ * A visually hidden ARIA live region announces the focused and selected cells
+ * (text from interactions/announcements.js).
+ *
+ * SEARCH:
+ * The search box takes coordinates, H3 cell indexes and place names
+ * (api/searchApi.js), selects the matching cell and flies the camera there.
+ * Keys pressed in it never reach the globe's keyboard navigation.
+ *
+ * WALLET:
+ * When the rules server cannot load or register the signed-in player's wallet
+ * (api/playerApi.js walletError), an alert says why and offers a retry.
+ *
  * FUTURE STRUCTURE:
  * - Will include authentication state provider
  * - Will include game state context
- * - Will include UI overlays (HUD, menus)
- * 
- * Currently minimal for Milestone 1 (viewer-only).
+ * - Will include more UI overlays (HUD, menus)
  */
 
+import { useEffect, useMemo, useState } from 'react';
 import './App.css';
 import GlobeScene from './viewer/GlobeScene.jsx';
+import { createKeyboardHandlers } from './platform/web/input.js';
+import { getAnnouncement } from './interactions/announcements.js';
+import { handleSearchSubmit, handleSearchResultSelect } from './interactions/searchEvents.js';
+import { subscribeToEvent, WILDCARD } from './core/events/index.js';
+import { getCell } from './api/landApi.js';
+import { getCurrentPlayer } from './api/authApi.js';
+import {
+  subscribe as subscribeToPlayers,
+  getState as getPlayerState,
+  refreshWallet,
+} from './api/playerApi.js';
+import { RulesErrorCode } from './api/persistence/rulesAdapter.js';
+import { PlayerErrorCode } from './core/domain/player.js';
+import {
+  subscribe as subscribeToSearch,
+  getState as getSearchState,
+  clearSearch,
+  SearchErrorCode,
+  SearchStatus,
+} from './api/searchApi.js';
+
+const KEYBOARD_HELP = 'Land grab globe. W, E, D, S, A and Q move between cells, Enter selects, '
+  + 'Escape clears the selection, arrow keys rotate the globe, plus and minus zoom.';
+
+/**
+ * Screen reader announcements for focus and selection changes
+ */
+function LiveRegion() {
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    return subscribeToEvent(WILDCARD, event => {
+      const text = getAnnouncement(event, { getCell, playerId: getCurrentPlayer()?.uid });
+      if (text) {
+        setMessage(text);
+      }
+    });
+  }, []);
+
+  return (
+    <div className="sr-only" role="status" aria-live="polite">
+      {message}
+    </div>
+  );
+}
+
+/**
+ * Text shown when a search finds nothing to go to
+ */
+const SEARCH_ERROR_MESSAGES = {
+  [SearchErrorCode.NO_MATCH]: 'No matching place, coordinates or cell.',
+  [SearchErrorCode.GEOCODER_FAILED]: 'Place search is unavailable; coordinates still work.',
+};
+
+/**
+ * Search box overlay
+ * Enter goes to the best match; other matches are listed to pick from.
+ */
+function SearchBox() {
+  const [query, setQuery] = useState('');
+  const [search, setSearch] = useState(getSearchState);
+
+  useEffect(() => subscribeToSearch(setSearch), []);
+
+  const onSubmit = event => {
+    event.preventDefault();
+    handleSearchSubmit(query);
+  };
+
+  // Keys pressed in the search box (including Enter on a result) are not globe shortcuts
+  const onKeyDown = event => {
+    event.stopPropagation();
+    if (event.key === 'Escape') {
+      setQuery('');
+      clearSearch();
+    }
+  };
+
+  const message = search.status === SearchStatus.SEARCHING
+    ? 'Searching…'
+    : SEARCH_ERROR_MESSAGES[search.error] ?? '';
+
+  return (
+    <form className="search-box" role="search" onSubmit={onSubmit} onKeyDown={onKeyDown}>
+      <input
+        type="search"
+        value={query}
+        onChange={event => setQuery(event.target.value)}
+        placeholder="Place, lat/lng or H3 cell"
+        aria-label="Search for a place, coordinates or H3 cell"
+      />
+      <div className="search-box-message" aria-live="polite">
+        {message}
+      </div>
+      {search.results.length > 1 && (
+        <ul className="search-box-results">
+          {search.results.map(result => (
+            <li key={`${result.label}-${result.cellId}`}>
+              <button type="button" onClick={() => handleSearchResultSelect(result)}>
+                {result.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </form>
+  );
+}
+
+/**
+ * Text shown when the wallet server cannot provide the player's wallet
+ */
+const WALLET_ERROR_MESSAGES = {
+  [RulesErrorCode.PLAYER_EXISTS]: 'This player is registered on the game server from another browser, '
+    + 'so its wallet cannot be loaded here.',
+  [RulesErrorCode.TOO_MANY_PLAYERS]: 'The game server registers no more players from this network.',
+  [RulesErrorCode.UNAUTHORIZED]: 'The game server no longer accepts this browser\'s session.',
+  [PlayerErrorCode.WALLET_UNAVAILABLE]: 'The game server cannot be reached.',
+};
+
+/**
+ * Alert for a wallet the game server did not provide
+ * Without it the player cannot buy or build, so say why and offer a retry.
+ */
+function WalletNotice() {
+  const [walletError, setWalletError] = useState(() => getPlayerState().walletError);
+
+  useEffect(() => subscribeToPlayers(state => setWalletError(state.walletError)), []);
+
+  const playerId = getCurrentPlayer()?.uid;
+  if (!walletError || walletError.playerId !== playerId) {
+    return null;
+  }
+
+  const message = WALLET_ERROR_MESSAGES[walletError.error] ?? 'The game server refused to load your wallet.';
+  return (
+    // Enter on the retry button is not a globe shortcut
+    <div className="wallet-notice" role="alert" onKeyDown={event => event.stopPropagation()}>
+      <span>{message} You cannot buy or build until your wallet loads.</span>
+      <button type="button" onClick={() => refreshWallet(playerId)}>
+        Retry
+      </button>
+    </div>
+  );
+}
 
 function App() {
+  const keyboardHandlers = useMemo(() => createKeyboardHandlers(), []);
+
   return (
-    <div className="app-container">
-      {/* 
+    <div
+      className="app-container"
+      tabIndex={0}
+      aria-label={KEYBOARD_HELP}
+      onKeyDown={keyboardHandlers.onKeyDown}
+    >
+      {/*
         GlobeScene is the main 3D viewer
-        It's self-contained and handles its own input
+        It's self-contained and handles its own pointer input
       */}
       <GlobeScene />
-      
-      {/* 
-        FUTURE: UI overlays will go here
+
+      <LiveRegion />
+
+      <SearchBox />
+
+      <WalletNotice />
+
+      {/*
+        FUTURE: more UI overlays will go here
         - Selection info panel
         - Currency display
         - Building menu
@@ -0,0 +1,69 @@
+/**
+ * Anonymous Auth Provider - Play without an account
+ *
+ * ARCHITECTURAL NOTE:
+ * Reference implementation of the auth provider interface used by authApi.
+ * It runs entirely on this device: the anonymous uid is generated locally
+ * and kept in session storage, so the same visitor keeps their land across
+ * reloads until they upgrade to a permanent account.
+ *
+ * PROVIDER INTERFACE:
+ * - id                    → AuthProviderId
+ * - signIn(credentials)   → Promise<account>
+ * - signOut()             → Promise<void>
+ * - getSession()          → Promise<account|null>  (account from an earlier visit)
+ *
+ * Optional (providers that create permanent accounts):
+ * - signUp(credentials)   → Promise<account>
+ * - deleteAccount(uid)    → Promise<void>  (used to undo a failed upgrade)
+ *
+ * Accounts are created with createAccount (core/domain/account.js); failures
+ * reject with createAuthError.
+ */
+
+import { createAccount, AuthProviderId } from '../../core/domain/account.js';
+import { createMemoryStorage } from '../persistence/memoryStorage.js';
+
+/**
+ * Storage key for the anonymous uid
+ */
+const SESSION_KEY = 'land-grab:auth:anonymous';
+
+/**
+ * Generate a random anonymous uid
+ * @returns {string} uid
+ */
+function generateAnonymousId() {
+  const random = globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  return `anon-${random}`;
+}
+
+/**
+ * Create an anonymous auth provider
+ * @param {object} options - { storage: Web Storage-shaped store, generateId }
+ * @returns {object} Auth provider
+ */
+export function createAnonymousProvider({
+  storage = createMemoryStorage(),
+  generateId = generateAnonymousId,
+} = {}) {
+  return {
+    id: AuthProviderId.ANONYMOUS,
+
+    async signIn() {
+      // Signing in again on the same device resumes the same anonymous player
+      const uid = storage.getItem(SESSION_KEY) ?? generateId();
+      storage.setItem(SESSION_KEY, uid);
+      return createAccount(uid, { provider: AuthProviderId.ANONYMOUS });
+    },
+
+    async signOut() {
+      storage.removeItem(SESSION_KEY);
+    },
+
+    async getSession() {
+      const uid = storage.getItem(SESSION_KEY);
+      return uid ? createAccount(uid, { provider: AuthProviderId.ANONYMOUS }) : null;
+    },
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Email/Password Auth Provider - Permanent accounts
+ *
+ * ARCHITECTURAL NOTE:
+ * Implements the auth provider interface (see anonymousProvider.js) on top of
+ * an email/password backend (see fakeAuthBackend.js for its interface).
+ * Credentials are checked with the core/domain/account rules before any
+ * request is made; the signed-in account is remembered in session storage.
+ */
+
+import {
+  createAccount,
+  createAuthError,
+  getCredentialsError,
+  AuthProviderId,
+} from '../../core/domain/account.js';
+import { createFakeAuthBackend } from './fakeAuthBackend.js';
+import { createMemoryStorage } from '../persistence/memoryStorage.js';
+
+/**
+ * Storage key for the signed-in account
+ */
+const SESSION_KEY = 'land-grab:auth:password';
+
+/**
+ * Create an email/password auth provider
+ * @param {object} options - { backend: auth backend, storage: Web Storage-shaped store }
+ * @returns {object} Auth provider with signUp and deleteAccount
+ */
+export function createEmailPasswordProvider({
+  backend = createFakeAuthBackend(),
+  storage = createMemoryStorage(),
+} = {}) {
+  function startSession({ uid, email }, displayName) {
+    const account = createAccount(uid, { provider: AuthProviderId.PASSWORD, email, displayName });
+    storage.setItem(SESSION_KEY, JSON.stringify(account));
+    return account;
+  }
+
+  function checkCredentials(email, password) {
+    const error = getCredentialsError(email, password);
+    if (error) {
+      throw createAuthError(error);
+    }
+  }
+
+  return {
+    id: AuthProviderId.PASSWORD,
+
+    /**
+     * @param {object} credentials - { email, password }
+     */
+    async signIn({ email, password } = {}) {
+      checkCredentials(email, password);
+      return startSession(await backend.signIn(email, password));
+    },
+
+    /**
+     * Create an account and sign in to it
+     * @param {object} credentials - { email, password, displayName }
+     */
+    async signUp({ email, password, displayName } = {}) {
+      checkCredentials(email, password);
+      return startSession(await backend.createAccount(email, password), displayName);
+    },
+
+    async signOut() {
+      storage.removeItem(SESSION_KEY);
+    },
+
+    async getSession() {
+      const saved = storage.getItem(SESSION_KEY);
+      return saved ? JSON.parse(saved) : null;
+    },
+
+    async deleteAccount(uid) {
+      await backend.deleteAccount(uid);
+      if (JSON.parse(storage.getItem(SESSION_KEY))?.uid === uid) {
+        storage.removeItem(SESSION_KEY);
+      }
+    },
+  };
+}
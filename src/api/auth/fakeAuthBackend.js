@@ -0,0 +1,62 @@
+/**
+ * Fake Auth Backend - In-memory stand-in for an email/password service
+ *
+ * ARCHITECTURAL NOTE:
+ * The email/password provider talks to its backend through the small interface
+ * below, so it can run against Firebase Auth (through a thin wrapper), a local
+ * emulator, or this fake in tests and offline development:
+ *
+ * - createAccount(email, password) → Promise<{ uid, email }>
+ * - signIn(email, password)        → Promise<{ uid, email }>
+ * - deleteAccount(uid)             → Promise<void>
+ *
+ * Failures reject with an auth error (EMAIL_IN_USE, INVALID_CREDENTIALS).
+ * Passwords are kept in memory as given: never use the fake with real credentials.
+ */
+
+import { AuthErrorCode, createAuthError, normalizeEmail } from '../../core/domain/account.js';
+
+/**
+ * Generate a random account uid
+ * Random rather than sequential, so uids from an earlier page load never repeat.
+ * @returns {string} uid
+ */
+function generateAccountId() {
+  const random = globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  return `user-${random}`;
+}
+
+/**
+ * Create an in-memory auth backend
+ * @param {object} options - { generateId: returns a new uid }
+ * @returns {object} Auth backend
+ */
+export function createFakeAuthBackend({ generateId = generateAccountId } = {}) {
+  const accounts = new Map(); // normalized email -> { uid, email, password }
+
+  return {
+    async createAccount(email, password) {
+      const key = normalizeEmail(email);
+      if (accounts.has(key)) {
+        throw createAuthError(AuthErrorCode.EMAIL_IN_USE, `Email already registered: ${key}`);
+      }
+      const account = { uid: generateId(), email: key, password };
+      accounts.set(key, account);
+      return { uid: account.uid, email: account.email };
+    },
+
+    async signIn(email, password) {
+      const account = accounts.get(normalizeEmail(email));
+      if (!account || account.password !== password) {
+        throw createAuthError(AuthErrorCode.INVALID_CREDENTIALS, 'Wrong email or password');
+      }
+      return { uid: account.uid, email: account.email };
+    },
+
+    async deleteAccount(uid) {
+      [...accounts].forEach(([key, account]) => {
+        if (account.uid === uid) accounts.delete(key);
+      });
+    },
+  };
+}
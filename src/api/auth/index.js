@@ -0,0 +1,12 @@
+/**
+ * Auth Providers - Re-export sign-in methods for authApi
+ *
+ * ARCHITECTURAL NOTE:
+ * authApi talks to identity services only through the provider interface
+ * documented in anonymousProvider.js. A Firebase provider will sit next to
+ * these without changes to authApi.
+ */
+
+export * from './anonymousProvider.js';
+export * from './emailPasswordProvider.js';
+export * from './fakeAuthBackend.js';
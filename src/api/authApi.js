@@ -0,0 +1,292 @@
+/**
+ * Auth API - Internal API for sign-in and the current player
+ *
+ * ARCHITECTURAL NOTE:
+ * This module represents the boundary between the game client and identity
+ * services. It talks to them only through auth providers (see api/auth), so
+ * Firebase Auth can replace the local providers without changes elsewhere.
+ * The signed-in account's uid is the player ID used by landApi and playerApi.
+ *
+ * CURRENT PLAYER:
+ * getCurrentPlayer() returns the signed-in account (or null); subscribe()
+ * reports every change, and CURRENT_PLAYER_CHANGED is published on the bus.
+ *
+ * UPGRADE:
+ * upgradeAnonymousAccount() pays the anonymous player's unsettled income,
+ * creates a permanent account and moves the anonymous player's cells and
+ * balance to it. The cells move as one unit (landApi.transferCells); if that
+ * fails the new account is deleted again and the anonymous player keeps
+ * everything. With an authoritative rules server the
+ * server owns the cells, so the upgrade is refused until it supports it; so is
+ * an upgrade on a backend that cannot move the cells in one transaction.
+ */
+
+import { AuthErrorCode, AuthProviderId } from '../core/domain/account.js';
+import { publishEvent, currentPlayerChanged, accountUpgraded } from '../core/events/index.js';
+import { createAnonymousProvider } from './auth/anonymousProvider.js';
+import { createEmailPasswordProvider } from './auth/emailPasswordProvider.js';
+import { registerPlayer, transferBalance } from './playerApi.js';
+import { transferCells } from './landApi.js';
+import { settlePlayerIncome } from './incomeApi.js';
+
+/**
+ * Auth status values
+ */
+export const AuthStatus = {
+  SIGNED_OUT: 'signed-out',
+  BUSY: 'busy',          // A sign-in, sign-out or upgrade is running
+  SIGNED_IN: 'signed-in',
+};
+
+/**
+ * Current account and status
+ */
+const state = {
+  currentPlayer: null, // Account from core/domain/account.js
+  status: AuthStatus.SIGNED_OUT,
+};
+
+/**
+ * Active providers by AuthProviderId
+ */
+let providers = {
+  [AuthProviderId.ANONYMOUS]: createAnonymousProvider(),
+  [AuthProviderId.PASSWORD]: createEmailPasswordProvider(),
+};
+
+/**
+ * Subscribers for state changes
+ * Allows React components to re-render when the player signs in or out
+ */
+const subscribers = new Set();
+
+/**
+ * Subscribe to auth state changes
+ * @param {function} callback - Called when state changes
+ * @returns {function} Unsubscribe function
+ */
+export function subscribe(callback) {
+  subscribers.add(callback);
+  return () => subscribers.delete(callback);
+}
+
+/**
+ * Notify all subscribers of state change
+ */
+function notifySubscribers() {
+  subscribers.forEach(callback => callback(getState()));
+}
+
+/**
+ * Get current state snapshot
+ * @returns {object} Current state
+ */
+export function getState() {
+  return {
+    currentPlayer: state.currentPlayer,
+    status: state.status,
+  };
+}
+
+/**
+ * Get the signed-in account
+ * @returns {object|null} Account ({ uid, provider, isAnonymous, email, displayName }) or null
+ */
+export function getCurrentPlayer() {
+  return state.currentPlayer;
+}
+
+/**
+ * Initialize the auth API with providers
+ * Signs out locally, so call this once at startup (or between tests).
+ *
+ * @param {object} options - { anonymous, password: auth providers }
+ * @returns {object} Result with success status
+ */
+export function initAuth({
+  anonymous = createAnonymousProvider(),
+  password = createEmailPasswordProvider(),
+} = {}) {
+  providers = {
+    [AuthProviderId.ANONYMOUS]: anonymous,
+    [AuthProviderId.PASSWORD]: password,
+  };
+  setCurrentPlayer(null);
+  return { success: true };
+}
+
+/**
+ * Switch the current player and tell everyone
+ * @param {object|null} account - Signed-in account or null
+ * @param {object} options - { startingBalance } for a first-time player
+ */
+function setCurrentPlayer(account, { startingBalance } = {}) {
+  if (account) {
+    registerPlayer(account.uid, { displayName: account.displayName ?? undefined, startingBalance });
+  }
+  state.currentPlayer = account;
+  state.status = account ? AuthStatus.SIGNED_IN : AuthStatus.SIGNED_OUT;
+  publishEvent(currentPlayerChanged(account));
+  notifySubscribers();
+}
+
+/**
+ * Run an auth operation, one at a time
+ * @param {function} operation - Async function returning a result object
+ * @returns {Promise<object>} The operation's result, or a failure result
+ */
+async function runExclusive(operation) {
+  if (state.status === AuthStatus.BUSY) {
+    return { success: false, error: AuthErrorCode.AUTH_IN_PROGRESS };
+  }
+
+  const previousStatus = state.status;
+  state.status = AuthStatus.BUSY;
+  notifySubscribers();
+
+  try {
+    return await operation();
+  } catch (error) {
+    console.error('[AuthAPI] Auth operation failed:', error);
+    return { success: false, error: error?.code ?? AuthErrorCode.PROVIDER_FAILED, reason: error?.message };
+  } finally {
+    // setCurrentPlayer already settled the status if the operation got that far
+    if (state.status === AuthStatus.BUSY) {
+      state.status = previousStatus;
+      notifySubscribers();
+    }
+  }
+}
+
+/**
+ * Resume the account from an earlier visit, or start an anonymous one
+ *
+ * @returns {Promise<object>} Result with success status and the account
+ */
+export function restoreSession() {
+  console.log('[AuthAPI] restoreSession called');
+
+  return runExclusive(async () => {
+    const account = await providers[AuthProviderId.PASSWORD].getSession()
+      ?? await providers[AuthProviderId.ANONYMOUS].getSession()
+      ?? await providers[AuthProviderId.ANONYMOUS].signIn();
+    setCurrentPlayer(account);
+    return { success: true, player: account };
+  });
+}
+
+/**
+ * Play as an anonymous player on this device
+ *
+ * @returns {Promise<object>} Result with success status and the account
+ */
+export function signInAnonymously() {
+  console.log('[AuthAPI] signInAnonymously called');
+
+  return runExclusive(async () => {
+    const account = await providers[AuthProviderId.ANONYMOUS].signIn();
+    setCurrentPlayer(account);
+    return { success: true, player: account };
+  });
+}
+
+/**
+ * Sign in to an existing email account
+ *
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {Promise<object>} Result with success status and the account, or an AuthErrorCode
+ */
+export function signInWithEmail(email, password) {
+  console.log('[AuthAPI] signInWithEmail called:', { email });
+
+  return runExclusive(async () => {
+    const account = await providers[AuthProviderId.PASSWORD].signIn({ email, password });
+    setCurrentPlayer(account);
+    return { success: true, player: account };
+  });
+}
+
+/**
+ * Create an email account and sign in to it, starting from scratch
+ * To keep an anonymous player's progress use upgradeAnonymousAccount instead.
+ *
+ * @param {object} credentials - { email, password, displayName }
+ * @returns {Promise<object>} Result with success status and the account, or an AuthErrorCode
+ */
+export function signUpWithEmail({ email, password, displayName } = {}) {
+  console.log('[AuthAPI] signUpWithEmail called:', { email });
+
+  return runExclusive(async () => {
+    const account = await providers[AuthProviderId.PASSWORD].signUp({ email, password, displayName });
+    setCurrentPlayer(account);
+    return { success: true, player: account };
+  });
+}
+
+/**
+ * Sign out of the current account
+ * Signing out of an anonymous account abandons it for good.
+ *
+ * @returns {Promise<object>} Result with success status
+ */
+export function signOut() {
+  console.log('[AuthAPI] signOut called');
+
+  return runExclusive(async () => {
+    if (!state.currentPlayer) {
+      return { success: false, error: AuthErrorCode.NOT_SIGNED_IN };
+    }
+    await providers[state.currentPlayer.provider].signOut();
+    setCurrentPlayer(null);
+    return { success: true };
+  });
+}
+
+/**
+ * Turn the current anonymous player into a permanent email account
+ * The new account receives every cell and the whole balance of the anonymous
+ * player, including income not yet settled; on failure the cells stay with
+ * the anonymous player, who stays signed in.
+ *
+ * @param {object} credentials - { email, password, displayName }
+ * @returns {Promise<object>} Result with success status, the new account and what moved
+ */
+export function upgradeAnonymousAccount({ email, password, displayName } = {}) {
+  console.log('[AuthAPI] upgradeAnonymousAccount called:', { email });
+
+  return runExclusive(async () => {
+    const anonymous = state.currentPlayer;
+    if (!anonymous) {
+      return { success: false, error: AuthErrorCode.NOT_SIGNED_IN };
+    }
+    if (!anonymous.isAnonymous) {
+      return { success: false, error: AuthErrorCode.NOT_ANONYMOUS };
+    }
+
+    const passwordProvider = providers[AuthProviderId.PASSWORD];
+    const account = await passwordProvider.signUp({ email, password, displayName });
+
+    // Income is paid by cell owner, so pay it before the cells change hands
+    await settlePlayerIncome(anonymous.uid);
+
+    const moved = await transferCells(anonymous.uid, account.uid);
+    if (!moved.success) {
+      await passwordProvider.deleteAccount(account.uid).catch(error => {
+        console.error('[AuthAPI] Failed to delete account after a failed upgrade:', error);
+      });
+      return moved;
+    }
+
+    // The account starts empty: its balance is the anonymous player's
+    registerPlayer(account.uid, { displayName, startingBalance: 0 });
+    const { amount } = transferBalance(anonymous.uid, account.uid, { reason: 'account-upgrade' });
+
+    await providers[AuthProviderId.ANONYMOUS].signOut();
+    setCurrentPlayer(account);
+    publishEvent(accountUpgraded(anonymous.uid, account.uid, moved.cellIds, amount));
+
+    console.log('[AuthAPI] Account upgraded:', { from: anonymous.uid, to: account.uid, cells: moved.count, amount });
+    return { success: true, player: account, cellIds: moved.cellIds, amount };
+  });
+}
@@ -0,0 +1,360 @@
+/**
+ * Camera API - Internal API for moving the globe camera
+ *
+ * ARCHITECTURAL NOTE:
+ * The camera belongs to the viewer, but input outside the 3D scene (keyboard
+ * shortcuts, touch gestures, UI overlays) needs to move it too. Those callers
+ * queue camera requests here; every frame the viewer (GlobeScene) takes the
+ * queue, applies the requests in order and reports where the camera is
+ * looking, so non-rendering code never touches Three.js.
+ *
+ * FLIGHTS:
+ * flyToCell() and flyToLatLng() start an eased great-circle flight (see
+ * core/navigation). GLOBE_ROTATED and GLOBE_ZOOMED are published when a
+ * flight starts (with its destination) and when the viewer reports it ended
+ * (with where the camera stopped). A flight is cancelled when the player
+ * drags the globe or another camera request replaces it.
+ *
+ * BOOKMARKS:
+ * Players save named views and fly back to them later. Bookmarks are kept
+ * per player in a Web Storage-shaped store (window.localStorage on the web).
+ *
+ * VIEW REPORTS:
+ * reportCameraView() runs every time the camera moves, so it does not notify
+ * subscribers; read the latest view with getCameraView().
+ */
+
+import {
+  createBookmark,
+  getBookmarkNameError,
+  normalizeBookmarkName,
+  BookmarkErrorCode,
+} from '../core/domain/bookmark.js';
+import { getCellCenter, getCellResolution, getAltitudeForResolution, isValidCellId } from '../core/h3/index.js';
+import { publishEvent, globeRotated, globeZoomed, NavigationPhase } from '../core/events/index.js';
+import { createMemoryStorage } from './persistence/memoryStorage.js';
+
+/**
+ * Error codes for rejected camera requests
+ */
+export const CameraErrorCode = {
+  INVALID_TARGET: 'INVALID_TARGET',
+  NO_CAMERA_VIEW: 'NO_CAMERA_VIEW',
+  NO_PLAYER: 'NO_PLAYER',
+};
+
+/**
+ * Camera request types
+ */
+export const CameraRequestType = {
+  NUDGE: 'nudge',
+  FLY_TO: 'fly-to',
+};
+
+/**
+ * Storage key prefix for a player's bookmarks
+ */
+const BOOKMARKS_KEY_PREFIX = 'land-grab:bookmarks:';
+
+/**
+ * Queued camera requests, flight in progress and reported view
+ */
+const state = {
+  requests: [], // { id, type, ...params } awaiting the viewer, oldest first
+  flight: null, // { requestId, lat, lng, altitude } the viewer is flying to
+  view: null,   // { lat, lng, altitude, fov } reported by the viewer
+};
+
+/**
+ * Sequence for request IDs
+ */
+let requestSeq = 0;
+
+/**
+ * Bookmark store (Web Storage-shaped)
+ */
+let storage = createMemoryStorage();
+
+/**
+ * Subscribers for camera requests, flights and bookmarks
+ */
+const subscribers = new Set();
+
+/**
+ * Subscribe to camera state changes
+ * @param {function} callback - Called when a request is queued, a flight ends or bookmarks change
+ * @returns {function} Unsubscribe function
+ */
+export function subscribe(callback) {
+  subscribers.add(callback);
+  return () => subscribers.delete(callback);
+}
+
+/**
+ * Notify all subscribers of state change
+ */
+function notifySubscribers() {
+  subscribers.forEach(callback => callback(getState()));
+}
+
+/**
+ * Get current state snapshot
+ * @returns {object} Current state
+ */
+export function getState() {
+  return {
+    requests: [...state.requests],
+    flight: state.flight,
+    view: state.view,
+  };
+}
+
+/**
+ * Initialize the camera API with a bookmark store
+ * Drops queued requests, so call this once at startup (or between tests).
+ *
+ * @param {object} options - { storage: Web Storage-shaped store for bookmarks }
+ * @returns {object} Result with success status
+ */
+export function initCamera({ storage: nextStorage = createMemoryStorage() } = {}) {
+  storage = nextStorage;
+  state.requests = [];
+  state.flight = null;
+  notifySubscribers();
+  return { success: true };
+}
+
+/**
+ * Queue a camera request for the viewer
+ * @param {string} type - Request type from CameraRequestType
+ * @param {object} params - Request parameters
+ * @returns {object} Result with success status and the request ID
+ */
+function postRequest(type, params) {
+  requestSeq += 1;
+  state.requests.push({ id: requestSeq, type, ...params });
+  notifySubscribers();
+  return { success: true, requestId: requestSeq };
+}
+
+/**
+ * Take every queued camera request
+ * Called by the viewer once per frame; the queue is empty afterwards.
+ *
+ * @returns {Array<object>} Requests, oldest first
+ */
+export function takeCameraRequests() {
+  const requests = state.requests;
+  state.requests = [];
+  return requests;
+}
+
+/**
+ * Move the camera by a small step relative to where it is
+ * Rotation follows the surface (north/east), so the globe turns under the
+ * camera; zoom scales the altitude above the surface. Not logged: gestures
+ * nudge the camera on every touch move.
+ *
+ * @param {object} step - { latDeg, lngDeg: degrees to move, zoomFactor: altitude multiplier }
+ * @returns {object} Result with success status and the request ID
+ */
+export function nudgeCamera({ latDeg = 0, lngDeg = 0, zoomFactor = 1 } = {}) {
+  return postRequest(CameraRequestType.NUDGE, { latDeg, lngDeg, zoomFactor });
+}
+
+/**
+ * Fly the camera over a point
+ *
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lng - Longitude in degrees
+ * @param {number|null} altitude - Final height in globe radii (null keeps the current one)
+ * @returns {object} Result with success status and the request ID
+ */
+export function flyToLatLng(lat, lng, altitude = null) {
+  console.log('[CameraAPI] flyToLatLng called:', { lat, lng, altitude });
+
+  const validAltitude = altitude === null || (Number.isFinite(altitude) && altitude > 0);
+  if (!Number.isFinite(lat) || Math.abs(lat) > 90 || !Number.isFinite(lng) || !validAltitude) {
+    return { success: false, error: CameraErrorCode.INVALID_TARGET };
+  }
+
+  // A flight still running is replaced; end it here, since the viewer can only
+  // report the end of the flight it knows is current
+  if (state.flight) {
+    const view = state.view ?? state.flight;
+    completeFlight(state.flight.requestId, view, { cancelled: true });
+  }
+
+  const result = postRequest(CameraRequestType.FLY_TO, { lat, lng, altitude });
+  state.flight = { requestId: result.requestId, lat, lng, altitude };
+
+  publishEvent(globeRotated(lat, lng, { phase: NavigationPhase.START }));
+  if (altitude !== null) {
+    publishEvent(globeZoomed(altitude, { phase: NavigationPhase.START }));
+  }
+  return result;
+}
+
+/**
+ * Fly the camera over a cell
+ *
+ * @param {string} cellId - H3 cell index
+ * @param {object} options - { altitude: final height in globe radii (default: where the
+ *   grid shows the cell's resolution) }
+ * @returns {object} Result with success status and the request ID
+ */
+export function flyToCell(cellId, { altitude } = {}) {
+  console.log('[CameraAPI] flyToCell called:', { cellId, altitude });
+
+  if (!isValidCellId(cellId)) {
+    return { success: false, error: CameraErrorCode.INVALID_TARGET };
+  }
+
+  const [lat, lng] = getCellCenter(cellId);
+  return flyToLatLng(lat, lng, altitude ?? getAltitudeForResolution(getCellResolution(cellId)));
+}
+
+/**
+ * Record that a flight ended
+ * Called by the viewer when the camera arrives, or when the flight is cut
+ * short by the player or a nudge; flyToLatLng() ends a flight it replaces.
+ * Ignored for a flight that already ended.
+ *
+ * @param {number} requestId - ID of the FLY_TO request
+ * @param {object} view - { lat, lng, altitude } where the camera stopped
+ * @param {object} options - { cancelled }
+ * @returns {object} Result with success status
+ */
+export function completeFlight(requestId, { lat, lng, altitude }, { cancelled = false } = {}) {
+  const flight = state.flight;
+  if (!flight || flight.requestId !== requestId) {
+    return { success: false };
+  }
+
+  console.log('[CameraAPI] Flight ended:', { requestId, cancelled });
+  state.flight = null;
+
+  publishEvent(globeRotated(lat, lng, { phase: NavigationPhase.END, cancelled }));
+  if (flight.altitude !== null) {
+    publishEvent(globeZoomed(altitude, { phase: NavigationPhase.END, cancelled }));
+  }
+  notifySubscribers();
+  return { success: true };
+}
+
+/**
+ * Record where the camera is looking
+ * Called by the viewer whenever the camera moves.
+ *
+ * @param {object} view - { lat, lng: point below the camera, altitude: height in globe radii,
+ *   fov: vertical field of view in degrees }
+ */
+export function reportCameraView({ lat, lng, altitude, fov }) {
+  state.view = { lat, lng, altitude, fov };
+}
+
+/**
+ * Get the latest reported camera view
+ * @returns {object|null} { lat, lng, altitude, fov } or null before the viewer reports
+ */
+export function getCameraView() {
+  return state.view;
+}
+
+/**
+ * Read a player's bookmarks from the store
+ * @param {string} playerId - Player ID
+ * @returns {Array<object>} Bookmarks, oldest first
+ */
+function readBookmarks(playerId) {
+  const saved = storage.getItem(BOOKMARKS_KEY_PREFIX + playerId);
+  return saved ? JSON.parse(saved) : [];
+}
+
+/**
+ * Write a player's bookmarks to the store
+ * @param {string} playerId - Player ID
+ * @param {Array<object>} bookmarks - Bookmarks, oldest first
+ */
+function writeBookmarks(playerId, bookmarks) {
+  storage.setItem(BOOKMARKS_KEY_PREFIX + playerId, JSON.stringify(bookmarks));
+  notifySubscribers();
+}
+
+/**
+ * Get a player's bookmarks
+ *
+ * @param {string} playerId - Player ID
+ * @returns {Array<object>} Bookmarks ({ name, lat, lng, altitude, createdAt }), oldest first
+ */
+export function getBookmarks(playerId) {
+  return playerId ? readBookmarks(playerId) : [];
+}
+
+/**
+ * Save the current camera view under a name
+ * A bookmark with the same name is replaced.
+ *
+ * @param {string} playerId - Player ID
+ * @param {string} name - Bookmark name
+ * @returns {object} Result with success status and the bookmark
+ */
+export function saveBookmark(playerId, name) {
+  console.log('[CameraAPI] saveBookmark called:', { playerId, name });
+
+  if (!playerId) {
+    return { success: false, error: CameraErrorCode.NO_PLAYER };
+  }
+  const nameError = getBookmarkNameError(name);
+  if (nameError) {
+    return { success: false, error: nameError };
+  }
+  if (!state.view) {
+    return { success: false, error: CameraErrorCode.NO_CAMERA_VIEW };
+  }
+
+  const bookmark = createBookmark(name, state.view);
+  const others = readBookmarks(playerId).filter(existing => existing.name !== bookmark.name);
+  writeBookmarks(playerId, [...others, bookmark]);
+
+  return { success: true, bookmark };
+}
+
+/**
+ * Delete a bookmark
+ *
+ * @param {string} playerId - Player ID
+ * @param {string} name - Bookmark name
+ * @returns {object} Result with success status
+ */
+export function deleteBookmark(playerId, name) {
+  console.log('[CameraAPI] deleteBookmark called:', { playerId, name });
+
+  const key = normalizeBookmarkName(name);
+  const bookmarks = getBookmarks(playerId);
+  if (!bookmarks.some(bookmark => bookmark.name === key)) {
+    return { success: false, error: BookmarkErrorCode.BOOKMARK_NOT_FOUND };
+  }
+
+  writeBookmarks(playerId, bookmarks.filter(bookmark => bookmark.name !== key));
+  return { success: true };
+}
+
+/**
+ * Fly the camera to a bookmark
+ *
+ * @param {string} playerId - Player ID
+ * @param {string} name - Bookmark name
+ * @returns {object} Result with success status and the request ID
+ */
+export function flyToBookmark(playerId, name) {
+  console.log('[CameraAPI] flyToBookmark called:', { playerId, name });
+
+  const key = normalizeBookmarkName(name);
+  const bookmark = getBookmarks(playerId).find(saved => saved.name === key);
+  if (!bookmark) {
+    return { success: false, error: BookmarkErrorCode.BOOKMARK_NOT_FOUND };
+  }
+
+  return flyToLatLng(bookmark.lat, bookmark.lng, bookmark.altitude);
+}
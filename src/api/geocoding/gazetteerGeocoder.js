@@ -0,0 +1,106 @@
+/**
+ * Gazetteer Geocoder - Find places in a bundled list of major cities
+ *
+ * ARCHITECTURAL NOTE:
+ * Reference implementation of the geocoder interface used by searchApi. It
+ * runs entirely on this device, so place search works offline; a provider
+ * backed by a geocoding service (Nominatim, Mapbox, Google) will sit next to
+ * it without changes to searchApi.
+ *
+ * GEOCODER INTERFACE:
+ * - id                        → string naming the provider
+ * - search(name, { limit })   → Promise<Array<place>>, best match first
+ *
+ * A place is { name, label, lat, lng }: label is what the search box shows
+ * ("Portland, Oregon, United States"). Failures reject; searchApi reports them
+ * as GEOCODER_FAILED.
+ */
+
+import { MAJOR_CITIES } from './majorCities.js';
+
+/**
+ * How well a name matches, best first
+ */
+const MatchRank = {
+  EXACT: 0,
+  PREFIX: 1,
+  WORD_PREFIX: 2,
+};
+
+/**
+ * Normalise a name for matching
+ * @param {string} text - Name as written
+ * @returns {string} Lower case, without accents or punctuation, single spaces
+ */
+function normalizeName(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Rank how well a query matches one name
+ * @param {string} name - Normalised place name or alias
+ * @param {string} query - Normalised query
+ * @returns {number|null} Rank from MatchRank, or null for no match
+ */
+function rankName(name, query) {
+  if (name === query) return MatchRank.EXACT;
+  if (name.startsWith(query)) return MatchRank.PREFIX;
+  if (name.includes(` ${query}`)) return MatchRank.WORD_PREFIX;
+  return null;
+}
+
+/**
+ * Build the searchable entry for a gazetteer row
+ * @param {Array} row - [name, region, lat, lng, population, aliases]
+ * @returns {object} Entry with the place and its normalised names
+ */
+function toEntry([name, region, lat, lng, population, aliases = []]) {
+  return {
+    place: { name, label: `${name}, ${region}`, lat, lng },
+    region: normalizeName(region),
+    names: [name, ...aliases].map(normalizeName),
+    population,
+  };
+}
+
+/**
+ * Create a geocoder over a gazetteer
+ * A query may name the region after a comma ("Portland, Maine") to narrow
+ * the matches.
+ *
+ * @param {object} options - { places: gazetteer rows (default: MAJOR_CITIES) }
+ * @returns {object} Geocoder
+ */
+export function createGazetteerGeocoder({ places = MAJOR_CITIES } = {}) {
+  const entries = places.map(toEntry);
+
+  return {
+    id: 'gazetteer',
+
+    async search(name, { limit = 5 } = {}) {
+      const [placePart, ...regionParts] = String(name ?? '').split(',');
+      const query = normalizeName(placePart);
+      const region = normalizeName(regionParts.join(' '));
+      if (!query) return [];
+
+      const matches = [];
+      entries.forEach(entry => {
+        if (region && !entry.region.includes(region)) return;
+        const ranks = entry.names.map(entryName => rankName(entryName, query)).filter(rank => rank !== null);
+        if (ranks.length > 0) {
+          matches.push({ entry, rank: Math.min(...ranks) });
+        }
+      });
+
+      return matches
+        .sort((a, b) => a.rank - b.rank || b.entry.population - a.entry.population)
+        .slice(0, limit)
+        .map(({ entry }) => ({ ...entry.place }));
+    },
+  };
+}
@@ -0,0 +1,11 @@
+/**
+ * Geocoders - Re-export place-name lookups for searchApi
+ *
+ * ARCHITECTURAL NOTE:
+ * searchApi resolves place names only through the geocoder interface
+ * documented in gazetteerGeocoder.js. A network geocoding service will sit
+ * next to the offline gazetteer without changes to searchApi.
+ */
+
+export * from './gazetteerGeocoder.js';
+export * from './majorCities.js';
@@ -0,0 +1,137 @@
+/**
+ * Major Cities - Offline gazetteer data bundled with the client
+ *
+ * ARCHITECTURAL NOTE:
+ * A small, hand-kept list so place search works without a network service.
+ * Coordinates are city centers rounded to four decimals; population is the
+ * metropolitan area in millions and only ranks results with the same name
+ * (Portland, Oregon before Portland, Maine). Names are matched without accents,
+ * so aliases only list other names (Bombay, NYC).
+ *
+ * Row: [name, region, lat, lng, population, aliases], where region is the
+ * country, with the state first for names used more than once in a country.
+ */
+
+export const MAJOR_CITIES = [
+  // Africa
+  ['Abidjan', 'Côte d\'Ivoire', 5.3600, -4.0083, 5.6],
+  ['Accra', 'Ghana', 5.6037, -0.1870, 2.6],
+  ['Addis Ababa', 'Ethiopia', 9.0300, 38.7400, 5.2],
+  ['Algiers', 'Algeria', 36.7538, 3.0588, 2.9],
+  ['Cairo', 'Egypt', 30.0444, 31.2357, 21.8],
+  ['Cape Town', 'South Africa', -33.9249, 18.4241, 4.8],
+  ['Casablanca', 'Morocco', 33.5731, -7.5898, 3.8],
+  ['Dakar', 'Senegal', 14.7167, -17.4677, 3.3],
+  ['Dar es Salaam', 'Tanzania', -6.7924, 39.2083, 7.4],
+  ['Johannesburg', 'South Africa', -26.2041, 28.0473, 6.2, ['Joburg', 'Jozi']],
+  ['Kinshasa', 'DR Congo', -4.4419, 15.2663, 16.3],
+  ['Lagos', 'Nigeria', 6.5244, 3.3792, 15.9],
+  ['Luanda', 'Angola', -8.8390, 13.2894, 9.0],
+  ['Nairobi', 'Kenya', -1.2921, 36.8219, 5.3],
+
+  // Asia
+  ['Bangkok', 'Thailand', 13.7563, 100.5018, 11.1, ['Krung Thep']],
+  ['Beijing', 'China', 39.9042, 116.4074, 21.9, ['Peking']],
+  ['Bengaluru', 'India', 12.9716, 77.5946, 13.6, ['Bangalore']],
+  ['Chengdu', 'China', 30.5728, 104.0668, 9.7],
+  ['Chennai', 'India', 13.0827, 80.2707, 11.8, ['Madras']],
+  ['Chongqing', 'China', 29.4316, 106.9123, 17.3],
+  ['Delhi', 'India', 28.6139, 77.2090, 33.8, ['New Delhi']],
+  ['Dhaka', 'Bangladesh', 23.8103, 90.4125, 23.2],
+  ['Dubai', 'United Arab Emirates', 25.2048, 55.2708, 3.6],
+  ['Guangzhou', 'China', 23.1291, 113.2644, 14.3, ['Canton']],
+  ['Ho Chi Minh City', 'Vietnam', 10.8231, 106.6297, 9.3, ['Saigon']],
+  ['Hong Kong', 'China', 22.3193, 114.1694, 7.5],
+  ['Hyderabad', 'India', 17.3850, 78.4867, 10.8],
+  ['Istanbul', 'Turkey', 41.0082, 28.9784, 15.8, ['Constantinople']],
+  ['Jakarta', 'Indonesia', -6.2088, 106.8456, 11.2],
+  ['Jerusalem', 'Israel', 31.7683, 35.2137, 1.0],
+  ['Karachi', 'Pakistan', 24.8607, 67.0011, 17.2],
+  ['Kolkata', 'India', 22.5726, 88.3639, 15.3, ['Calcutta']],
+  ['Kuala Lumpur', 'Malaysia', 3.1390, 101.6869, 8.6, ['KL']],
+  ['Lahore', 'Pakistan', 31.5204, 74.3587, 13.9],
+  ['Manila', 'Philippines', 14.5995, 120.9842, 14.7],
+  ['Mumbai', 'India', 19.0760, 72.8777, 21.3, ['Bombay']],
+  ['Osaka', 'Japan', 34.6937, 135.5023, 19.0],
+  ['Riyadh', 'Saudi Arabia', 24.7136, 46.6753, 7.7],
+  ['Seoul', 'South Korea', 37.5665, 126.9780, 10.0],
+  ['Shanghai', 'China', 31.2304, 121.4737, 29.2],
+  ['Shenzhen', 'China', 22.5431, 114.0579, 13.1],
+  ['Singapore', 'Singapore', 1.3521, 103.8198, 6.0],
+  ['Taipei', 'Taiwan', 25.0330, 121.5654, 7.0],
+  ['Tehran', 'Iran', 35.6892, 51.3890, 9.5],
+  ['Tel Aviv', 'Israel', 32.0853, 34.7818, 4.2],
+  ['Tokyo', 'Japan', 35.6762, 139.6503, 37.2],
+  ['Wuhan', 'China', 30.5928, 114.3055, 8.9],
+
+  // Europe
+  ['Amsterdam', 'Netherlands', 52.3676, 4.9041, 2.5],
+  ['Athens', 'Greece', 37.9838, 23.7275, 3.2],
+  ['Barcelona', 'Spain', 41.3874, 2.1686, 5.6],
+  ['Berlin', 'Germany', 52.5200, 13.4050, 4.6],
+  ['Brussels', 'Belgium', 50.8503, 4.3517, 2.1, ['Bruxelles']],
+  ['Bucharest', 'Romania', 44.4268, 26.1025, 2.3],
+  ['Budapest', 'Hungary', 47.4979, 19.0402, 3.0],
+  ['Copenhagen', 'Denmark', 55.6761, 12.5683, 2.1, ['København']],
+  ['Dublin', 'Ireland', 53.3498, -6.2603, 1.4],
+  ['Edinburgh', 'United Kingdom', 55.9533, -3.1883, 0.9],
+  ['Frankfurt', 'Germany', 50.1109, 8.6821, 2.3],
+  ['Hamburg', 'Germany', 53.5511, 9.9937, 3.4],
+  ['Helsinki', 'Finland', 60.1699, 24.9384, 1.5],
+  ['Kyiv', 'Ukraine', 50.4501, 30.5234, 3.0, ['Kiev']],
+  ['Lisbon', 'Portugal', 38.7223, -9.1393, 2.9, ['Lisboa']],
+  ['London', 'United Kingdom', 51.5074, -0.1278, 14.3],
+  ['Madrid', 'Spain', 40.4168, -3.7038, 6.8],
+  ['Manchester', 'United Kingdom', 53.4808, -2.2426, 2.8],
+  ['Milan', 'Italy', 45.4642, 9.1900, 4.3, ['Milano']],
+  ['Moscow', 'Russia', 55.7558, 37.6173, 17.3, ['Moskva']],
+  ['Munich', 'Germany', 48.1351, 11.5820, 2.9, ['München']],
+  ['Oslo', 'Norway', 59.9139, 10.7522, 1.6],
+  ['Paris', 'France', 48.8566, 2.3522, 11.2],
+  ['Prague', 'Czechia', 50.0755, 14.4378, 2.7, ['Praha']],
+  ['Rome', 'Italy', 41.9028, 12.4964, 4.3, ['Roma']],
+  ['Saint Petersburg', 'Russia', 59.9311, 30.3609, 5.6, ['St Petersburg', 'Leningrad']],
+  ['Stockholm', 'Sweden', 59.3293, 18.0686, 2.4],
+  ['Vienna', 'Austria', 48.2082, 16.3738, 2.9, ['Wien']],
+  ['Warsaw', 'Poland', 52.2297, 21.0122, 3.1, ['Warszawa']],
+  ['Zurich', 'Switzerland', 47.3769, 8.5417, 1.4],
+
+  // North America
+  ['Atlanta', 'United States', 33.7490, -84.3880, 6.2],
+  ['Boston', 'United States', 42.3601, -71.0589, 4.9],
+  ['Chicago', 'United States', 41.8781, -87.6298, 9.4],
+  ['Dallas', 'United States', 32.7767, -96.7970, 7.9],
+  ['Denver', 'United States', 39.7392, -104.9903, 3.0],
+  ['Havana', 'Cuba', 23.1136, -82.3666, 2.1, ['La Habana']],
+  ['Houston', 'United States', 29.7604, -95.3698, 7.3],
+  ['Los Angeles', 'United States', 34.0522, -118.2437, 12.9, ['LA']],
+  ['Mexico City', 'Mexico', 19.4326, -99.1332, 22.3, ['Ciudad de México', 'CDMX']],
+  ['Miami', 'United States', 25.7617, -80.1918, 6.1],
+  ['Montreal', 'Canada', 45.5017, -73.5673, 4.3],
+  ['New York', 'United States', 40.7128, -74.0060, 19.6, ['New York City', 'NYC']],
+  ['Philadelphia', 'United States', 39.9526, -75.1652, 6.2],
+  ['Phoenix', 'United States', 33.4484, -112.0740, 4.9],
+  ['Portland', 'Oregon, United States', 45.5152, -122.6784, 2.5],
+  ['Portland', 'Maine, United States', 43.6591, -70.2568, 0.6],
+  ['San Francisco', 'United States', 37.7749, -122.4194, 4.6, ['SF']],
+  ['Seattle', 'United States', 47.6062, -122.3321, 4.0],
+  ['Toronto', 'Canada', 43.6532, -79.3832, 6.4],
+  ['Vancouver', 'Canada', 49.2827, -123.1207, 2.6],
+  ['Washington', 'United States', 38.9072, -77.0369, 6.3, ['Washington DC', 'Washington D.C.']],
+
+  // South America
+  ['Bogotá', 'Colombia', 4.7110, -74.0721, 11.5],
+  ['Buenos Aires', 'Argentina', -34.6037, -58.3816, 15.6],
+  ['Caracas', 'Venezuela', 10.4806, -66.9036, 2.9],
+  ['Lima', 'Peru', -12.0464, -77.0428, 11.0],
+  ['Rio de Janeiro', 'Brazil', -22.9068, -43.1729, 13.7, ['Rio']],
+  ['Santiago', 'Chile', -33.4489, -70.6693, 6.9],
+  ['São Paulo', 'Brazil', -23.5505, -46.6333, 22.6],
+
+  // Oceania
+  ['Auckland', 'New Zealand', -36.8485, 174.7633, 1.7],
+  ['Brisbane', 'Australia', -27.4698, 153.0251, 2.6],
+  ['Melbourne', 'Australia', -37.8136, 144.9631, 5.1],
+  ['Perth', 'Australia', -31.9505, 115.8605, 2.2],
+  ['Sydney', 'Australia', -33.8688, 151.2093, 5.3],
+];
@@ -0,0 +1,251 @@
+/**
+ * History API - Undo/redo for selection, land and structure actions
+ *
+ * ARCHITECTURAL NOTE:
+ * Mutations are wrapped in command objects ({ label, apply, revert }) and run
+ * through a single command stack (core/history). The UI calls executeCommand()
+ * with a command from one of the factories below, then undo()/redo().
+ * Every history change is published as HISTORY_CHANGED.
+ *
+ * REVERTING:
+ * Land commands restore the cell's earlier persistent fields and compensate
+ * the wallet with a new ledger entry (the ledger itself is append-only).
+ * A purchase stops being revertible once the backend confirms it; from then on
+ * it and every older command leave the undo history. Since land mutations
+ * settle only after the backend answered (see landApi optimistic updates), a
+ * successful purchase is already confirmed when it is recorded. With an
+ * authoritative rules server no land command is revertible: only the server's
+ * own actions change its cells (landApi.canRestoreCells).
+ *
+ * INCOME:
+ * Undoing a land command first pays the player's income up to that moment
+ * (api/incomeApi.js), so it is earned by the cell as it was. Undoing a build
+ * refunds the whole cost and the player keeps what the structure earned: undo
+ * is for correcting a recent action, and only the last DEFAULT_HISTORY_DEPTH
+ * commands of the session can be undone.
+ */
+
+import { createCommandStack, DEFAULT_HISTORY_DEPTH } from '../core/history/index.js';
+import { publishEvent, historyChanged } from '../core/events/index.js';
+import { SelectionMode } from '../core/domain/selection.js';
+import { LandErrorCode } from '../core/domain/cell.js';
+import {
+  getCell,
+  getSelectedCellId,
+  getSelectedCellIds,
+  selectCells,
+  purchaseCell,
+  buildStructure,
+  upgradeStructure,
+  demolishStructure,
+  restoreCellRecord,
+  canRestoreCells,
+} from './landApi.js';
+import { credit, debit, getPlayer } from './playerApi.js';
+import { settlePlayerIncome } from './incomeApi.js';
+
+/**
+ * Create the command stack, publishing HISTORY_CHANGED on every change
+ * @param {number} maxDepth - Number of commands kept for undo
+ * @returns {object} Command stack
+ */
+function createHistory(maxDepth) {
+  return createCommandStack({
+    maxDepth,
+    onChange: history => publishEvent(historyChanged(history)),
+  });
+}
+
+/**
+ * Active command stack
+ */
+let history = createHistory(DEFAULT_HISTORY_DEPTH);
+
+/**
+ * Reset the history, optionally with a new depth
+ *
+ * @param {object} options - { maxDepth: number of commands kept for undo }
+ * @returns {object} Result with success status
+ */
+export function initHistory({ maxDepth = DEFAULT_HISTORY_DEPTH } = {}) {
+  history = createHistory(maxDepth);
+  publishEvent(historyChanged(history.getState()));
+  return { success: true };
+}
+
+/**
+ * Run a command and record it for undo
+ * Commands run one at a time, in the order they were submitted.
+ *
+ * @param {object} command - Command from one of the factories in this module
+ * @returns {Promise<object>} The command's result
+ */
+export function executeCommand(command) {
+  console.log('[HistoryAPI] executeCommand:', command.label);
+  return history.execute(command);
+}
+
+/**
+ * Undo the most recent command
+ *
+ * @returns {Promise<object>} Result with success status
+ */
+export function undo() {
+  console.log('[HistoryAPI] undo:', history.getState().undoLabel);
+  return history.undo();
+}
+
+/**
+ * Redo the most recently undone command
+ *
+ * @returns {Promise<object>} Result with success status
+ */
+export function redo() {
+  console.log('[HistoryAPI] redo:', history.getState().redoLabel);
+  return history.redo();
+}
+
+/**
+ * Get the undo/redo state for the UI
+ *
+ * @returns {object} { canUndo, canRedo, undoLabel, redoLabel, undoCount, redoCount }
+ */
+export function getHistoryState() {
+  return history.getState();
+}
+
+/**
+ * Create a command that changes the selection
+ *
+ * @param {string} label - Description for the UI
+ * @param {function} select - Runs a landApi selection call and returns its result
+ * @returns {object} Command
+ */
+export function createSelectionCommand(label, select) {
+  let previous = null;
+
+  return {
+    label,
+    apply() {
+      const before = { cellIds: getSelectedCellIds(), primaryCellId: getSelectedCellId() };
+      const result = select();
+      if (result.success) previous = before;
+      return result;
+    },
+    revert() {
+      // The primary cell is the last one selected
+      const { cellIds, primaryCellId } = previous;
+      const ordered = cellIds.filter(cellId => cellId !== primaryCellId);
+      return selectCells(primaryCellId ? [...ordered, primaryCellId] : ordered, SelectionMode.REPLACE);
+    },
+  };
+}
+
+/**
+ * Create a command that changes one cell and the acting player's wallet
+ * Reverting restores the cell and moves the amount paid (or refunded) back.
+ * Recorded as non-revertible when the backend cannot restore cells.
+ *
+ * @param {string} label - Description for the UI
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Acting player ID
+ * @param {function} run - Runs the landApi call and returns its result
+ * @returns {object} Command
+ */
+function createLandCommand(label, cellId, playerId, run) {
+  let previousCell = null;
+  let result = null;
+
+  const command = {
+    label,
+    async apply() {
+      const before = getCell(cellId);
+      const applied = await run();
+      if (applied.success) {
+        previousCell = before;
+        result = applied;
+        if (!canRestoreCells()) {
+          command.revertible = false;
+        }
+      }
+      return applied;
+    },
+    async revert() {
+      const paid = result.price ?? result.cost ?? 0;
+      const refund = result.refund ?? 0;
+      if (refund > 0 && (getPlayer(playerId)?.balance ?? 0) < refund) {
+        return { success: false, error: LandErrorCode.INSUFFICIENT_FUNDS, playerId, amount: refund };
+      }
+
+      await settlePlayerIncome(playerId);
+      const restored = await restoreCellRecord(cellId, previousCell);
+      if (!restored.success) return restored;
+
+      const options = { reason: 'undo', metadata: { cellId, action: label } };
+      if (paid > 0) credit(playerId, paid, options);
+      if (refund > 0) debit(playerId, refund, options);
+      return restored;
+    },
+  };
+  return command;
+}
+
+/**
+ * Create a command that buys a cell
+ * The purchase promise settles once the backend confirmed it, so the command
+ * is recorded as non-revertible.
+ *
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Buying player ID
+ * @returns {object} Command
+ */
+export function createPurchaseCommand(cellId, playerId) {
+  const command = createLandCommand('Buy cell', cellId, playerId, async () => {
+    const result = await purchaseCell(cellId, playerId);
+    if (result.success) {
+      command.revertible = false;
+    }
+    return result;
+  });
+  return command;
+}
+
+/**
+ * Create a command that builds a structure
+ *
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Acting player ID
+ * @param {string} type - Structure type from StructureType
+ * @returns {object} Command
+ */
+export function createBuildCommand(cellId, playerId, type) {
+  return createLandCommand(`Build ${type}`, cellId, playerId, () => buildStructure(cellId, playerId, type));
+}
+
+/**
+ * Create a command that upgrades a structure
+ *
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Acting player ID
+ * @param {string} structureId - Structure ID
+ * @returns {object} Command
+ */
+export function createUpgradeCommand(cellId, playerId, structureId) {
+  return createLandCommand('Upgrade structure', cellId, playerId, () => (
+    upgradeStructure(cellId, playerId, structureId)
+  ));
+}
+
+/**
+ * Create a command that demolishes a structure
+ *
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Acting player ID
+ * @param {string} structureId - Structure ID
+ * @returns {object} Command
+ */
+export function createDemolishCommand(cellId, playerId, structureId) {
+  return createLandCommand('Demolish structure', cellId, playerId, () => (
+    demolishStructure(cellId, playerId, structureId)
+  ));
+}
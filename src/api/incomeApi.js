@@ -0,0 +1,157 @@
+/**
+ * Income API - Pay structure income into player wallets
+ *
+ * ARCHITECTURAL NOTE:
+ * The income rules (core/rules/income.js) only compute what a player earned
+ * between two times. This module remembers, per player, when income was last
+ * paid and the fractional carry, and credits the wallet through playerApi.
+ * With an authoritative rules server the server settles income itself (see
+ * server/gameHost.js), so this module is only started for local and sync
+ * backends.
+ *
+ * WHEN INCOME IS PAID:
+ * - When a player signs in: their time away is paid, capped at MAX_OFFLINE_MS
+ * - Every INCOME_TICK_MS while they play
+ * A player seen for the first time starts earning from that moment.
+ *
+ * Settlement records are kept in a Web Storage-shaped store
+ * (window.localStorage on the web) and re-read on every settlement, so two
+ * tabs never pay the same interval twice.
+ */
+
+import { settleOfflineIncome, systemClock, MAX_OFFLINE_MS } from '../core/rules/income.js';
+import { getState as getLandState, loadOwnedCells } from './landApi.js';
+import { credit, getPlayer } from './playerApi.js';
+import { PlayerErrorCode } from '../core/domain/player.js';
+import { subscribe as subscribeToAuth, getCurrentPlayer } from './authApi.js';
+import { createMemoryStorage } from './persistence/memoryStorage.js';
+
+/**
+ * Interval between income payments while a player is signed in
+ */
+export const INCOME_TICK_MS = 60 * 1000;
+
+/**
+ * Storage key prefix for a player's settlement record
+ */
+const INCOME_KEY_PREFIX = 'land-grab:income:';
+
+/**
+ * Settlement record store (Web Storage-shaped)
+ */
+let storage = createMemoryStorage();
+
+/**
+ * Clock for settlement times
+ */
+let clock = systemClock;
+
+/**
+ * Stops the tick and the sign-in subscription of the running income loop
+ */
+let stopIncome = null;
+
+/**
+ * Initialize the income API
+ * Stops a running income loop, so call this once at startup (or between tests).
+ *
+ * @param {object} options - { storage: Web Storage-shaped store, clock: clock with now() }
+ * @returns {object} Result with success status
+ */
+export function initIncome({ storage: nextStorage = createMemoryStorage(), clock: nextClock = systemClock } = {}) {
+  stopIncome?.();
+  stopIncome = null;
+  storage = nextStorage;
+  clock = nextClock;
+  return { success: true };
+}
+
+/**
+ * Read a player's settlement record
+ * @param {string} playerId - Player ID
+ * @returns {object|null} { lastSettledAt, carry } or null if never settled
+ */
+function readAccount(playerId) {
+  const saved = storage.getItem(INCOME_KEY_PREFIX + playerId);
+  return saved ? JSON.parse(saved) : null;
+}
+
+/**
+ * Pay a player the income their structures earned since the last payment
+ *
+ * @param {string} playerId - Player ID
+ * @returns {Promise<object>} Result with success status and the settleOfflineIncome result
+ */
+export async function settlePlayerIncome(playerId) {
+  if (!getPlayer(playerId)) {
+    return { success: false, error: PlayerErrorCode.PLAYER_NOT_FOUND, playerId };
+  }
+
+  // Cells outside the loaded region earn too
+  await loadOwnedCells(playerId).catch(error => {
+    console.error('[IncomeAPI] Failed to load owned cells:', { playerId, error });
+  });
+
+  const account = readAccount(playerId);
+  if (!account) {
+    storage.setItem(INCOME_KEY_PREFIX + playerId, JSON.stringify({ lastSettledAt: clock.now(), carry: 0 }));
+    return { success: true, amount: 0, settledAt: clock.now(), elapsedMs: 0, cappedMs: 0 };
+  }
+
+  const settlement = settleOfflineIncome(
+    { cells: getLandState().cells.values(), playerId, ...account },
+    { clock, maxOfflineMs: MAX_OFFLINE_MS }
+  );
+  storage.setItem(INCOME_KEY_PREFIX + playerId, JSON.stringify({
+    lastSettledAt: settlement.settledAt,
+    carry: settlement.carry,
+  }));
+
+  if (settlement.amount > 0) {
+    credit(playerId, settlement.amount, {
+      reason: 'income',
+      metadata: { elapsedMs: settlement.elapsedMs, cappedMs: settlement.cappedMs },
+      timestamp: settlement.settledAt,
+    });
+    console.log('[IncomeAPI] Income paid:', { playerId, amount: settlement.amount });
+  }
+
+  return { success: true, ...settlement };
+}
+
+/**
+ * Pay income to whoever is signed in: now, on every sign-in and every tick
+ *
+ * @param {object} options - { intervalMs: time between ticks }
+ * @returns {function} Stop function
+ */
+export function startIncome({ intervalMs = INCOME_TICK_MS } = {}) {
+  stopIncome?.();
+
+  const settleCurrent = () => {
+    const player = getCurrentPlayer();
+    if (player) {
+      settlePlayerIncome(player.uid).catch(error => {
+        console.error('[IncomeAPI] Settlement failed:', { playerId: player.uid, error });
+      });
+    }
+  };
+
+  let lastPlayerId = getCurrentPlayer()?.uid ?? null;
+  const unsubscribe = subscribeToAuth(({ currentPlayer }) => {
+    const playerId = currentPlayer?.uid ?? null;
+    if (playerId !== lastPlayerId) {
+      lastPlayerId = playerId;
+      settleCurrent();
+    }
+  });
+  const timer = setInterval(settleCurrent, intervalMs);
+  settleCurrent();
+
+  stopIncome = () => {
+    clearInterval(timer);
+    unsubscribe();
+    stopIncome = null;
+  };
+  return stopIncome;
+}
@@ -5,6 +5,66 @@
  * This is the single entry point for all API access.
  * Components should import from here, not directly from individual API files.
  * This makes it easy to add authentication, logging, or swap implementations.
+ * 
+ * Each API module exposes its own subscribe/getState pair, so those names are
+ * re-exported under module-specific aliases to avoid collisions.
  */
 
 export * from './landApi.js';
+export {
+  subscribe as subscribeToPlayers,
+  getState as getPlayerState,
+  initPlayerApi,
+  registerPlayer,
+  getPlayer,
+  credit,
+  debit,
+  restorePlayers,
+  syncPlayer,
+  refreshWallet,
+  transferBalance,
+} from './playerApi.js';
+export * from './snapshotApi.js';
+export * from './replayApi.js';
+export * from './historyApi.js';
+export * from './incomeApi.js';
+export {
+  subscribe as subscribeToAuth,
+  getState as getAuthState,
+  AuthStatus,
+  getCurrentPlayer,
+  initAuth,
+  restoreSession,
+  signInAnonymously,
+  signInWithEmail,
+  signUpWithEmail,
+  signOut,
+  upgradeAnonymousAccount,
+} from './authApi.js';
+export {
+  subscribe as subscribeToCamera,
+  getState as getCameraState,
+  CameraErrorCode,
+  CameraRequestType,
+  initCamera,
+  nudgeCamera,
+  flyToLatLng,
+  flyToCell,
+  completeFlight,
+  takeCameraRequests,
+  reportCameraView,
+  getCameraView,
+  getBookmarks,
+  saveBookmark,
+  deleteBookmark,
+  flyToBookmark,
+} from './cameraApi.js';
+export {
+  subscribe as subscribeToSearch,
+  getState as getSearchState,
+  SearchErrorCode,
+  SearchStatus,
+  initSearch,
+  searchLocation,
+  clearSearch,
+} from './searchApi.js';
@@ -3,34 +3,133 @@
  * 
  * ARCHITECTURAL NOTE:
  * This module represents the boundary between the game client and backend services.
- * Currently implemented as an in-memory stub with clear logging.
+ * It keeps a local cell cache for rendering and writes ownership and structure
+ * changes through a persistence adapter (see api/persistence/memoryAdapter.js).
  * 
- * FUTURE FIREBASE INTEGRATION:
- * When Firebase is added, this module will:
- * 1. Replace in-memory state with Firestore queries
- * 2. Add real-time listeners for ownership changes
- * 3. Implement optimistic updates with rollback
+ * PERSISTENCE:
+ * The adapter is chosen at init time via initLandApi({ adapter }):
+ * - createMemoryAdapter() (default) for tests and development
+ * - createLocalStorageAdapter() from platform/web for browser persistence
+ * - createFirestoreAdapter(db) for Firebase (or the emulator / a fake)
+ * - createRulesAdapter({ baseUrl }) for the authoritative rules server; the
+ *   server then decides every purchase and structure action and its cells and
+ *   wallets replace the local ones
  * 
- * The rest of the application will NOT change - only this file.
+ * OPTIMISTIC UPDATES:
+ * Purchases and structure actions update the local cache at once and return a
+ * promise that settles when the adapter answers. Until then the operation is
+ * listed in state.pendingOperations (the viewer styles those cells as pending).
+ * If the adapter rejects, the change and its wallet effect are rolled back and
+ * OPERATION_ROLLED_BACK is published with the reason. LAND_PURCHASED and the
+ * STRUCTURE_* events go out with the local change and carry its operationId,
+ * so a rollback names the success event it retracts.
+ * 
+ * CONFLICTS:
+ * Cells carry a version and every write is a compare-and-set against the
+ * version this client last saw. When two players buy the same cell at once,
+ * the first write wins and the other purchase is rolled back with
+ * VERSION_CONFLICT and a LAND_PURCHASE_CONFLICT event naming the new owner.
+ * 
+ * The rest of the application will NOT change when the backend changes.
  */
 
-import { createCell, CellState } from '../core/domain/cell.js';
+import {
+  createCell,
+  CellState,
+  LandErrorCode,
+  getRestingState,
+  isCellOwned,
+  toPersistedCell,
+  mergePersistedCell,
+  getCellVersion,
+  createVersionConflictError,
+} from '../core/domain/cell.js';
+import { PlayerErrorCode } from '../core/domain/player.js';
+import {
+  getStructureDefinition,
+  getPlacementError,
+  createStructure,
+  getUpgradeCost,
+  getUpgradeError,
+  upgradeStructureLevel,
+  getDemolishRefund,
+  StructureErrorCode,
+} from '../core/domain/structure.js';
+import {
+  applySelection,
+  isSelectionMode,
+  SelectionMode,
+  SelectionErrorCode,
+  MAX_SELECTION_SIZE,
+} from '../core/domain/selection.js';
+import {
+  DEFAULT_RESOLUTION,
+  getCellResolution,
+  isValidCellId,
+  getNeighborCells,
+  getCellsInPolygon,
+  estimatePolygonCellCount,
+  compactCellIds,
+} from '../core/h3/index.js';
+import { createPricingEngine, DEFAULT_PRICING_CONFIG } from '../core/rules/pricing.js';
+import { systemClock } from '../core/rules/income.js';
+import {
+  publishEvent,
+  cellsSynced,
+  selectionChanged,
+  landPurchased,
+  landPurchaseFailed,
+  landPurchaseConflict,
+  structureBuilt,
+  structureUpgraded,
+  structureDemolished,
+  structureActionFailed,
+  operationRolledBack,
+} from '../core/events/index.js';
+import { debit, credit, syncPlayer } from './playerApi.js';
+import { createMemoryAdapter } from './persistence/memoryAdapter.js';
 
 /**
- * In-memory state store (stub for Firebase)
- * 
- * FIREBASE NOTE:
- * This will become:
- * - Firestore collection: 'cells'
- * - Real-time subscription for visible cells
- * - Local cache for performance
+ * Local cell cache and view state
+ * Cells are loaded from / written to the persistence adapter;
+ * hover and selection never leave this client.
  */
 const state = {
-  selectedCellId: null,
+  selectedCellId: null,      // Primary (most recently selected) cell
+  selectedCellIds: new Set(),
   hoveredCellId: null,
+  focusedCellId: null,       // Keyboard focus cursor
   cells: new Map(), // cellId -> cell data
+  pendingOperations: new Map(), // operationId -> { id, type, cellId, playerId, startedAt }
 };
 
+/**
+ * Sequence for operation IDs
+ */
+let operationSeq = 0;
+
+/**
+ * Unsubscribe function for the current watchRegion subscription
+ */
+let unwatchRegion = null;
+
+/**
+ * Active persistence adapter
+ */
+let adapter = createMemoryAdapter();
+
+/**
+ * Active pricing engine
+ * Replaced via setPricingConfig so the economy can be tuned without editing this file
+ */
+let quoteCell = createPricingEngine(DEFAULT_PRICING_CONFIG);
+
+/**
+ * Active clock for purchase, build and ledger timestamps
+ * Replaced via setLandClock so replays and tests are deterministic
+ */
+let clock = systemClock;
+
 /**
  * Subscribers for state changes
  * Allows React components to re-render when state updates
@@ -54,6 +153,188 @@ function notifySubscribers() {
   subscribers.forEach(callback => callback(getState()));
 }
 
+/**
+ * Publish a domain event stamped with the land clock
+ * Keeps event timestamps consistent with the cell and ledger times they describe.
+ * 
+ * @param {object} event - Domain event object
+ */
+function publish(event) {
+  publishEvent({ ...event, timestamp: clock.now() });
+}
+
+/**
+ * Initialize the land API with a persistence backend
+ * Clears the local cache, so call this once at startup (or between tests).
+ * 
+ * @param {object} options - { adapter: persistence adapter }
+ * @returns {object} Result with success status
+ */
+export function initLandApi({ adapter: nextAdapter = createMemoryAdapter() } = {}) {
+  unwatchRegion?.();
+  unwatchRegion = null;
+  adapter = nextAdapter;
+  state.selectedCellId = null;
+  state.selectedCellIds = new Set();
+  state.hoveredCellId = null;
+  state.focusedCellId = null;
+  state.cells = new Map();
+  state.pendingOperations = new Map();
+  notifySubscribers();
+  
+  return { success: true };
+}
+
+/**
+ * Merge persisted cell records into the local cache
+ * @param {Array<object>} records - Persisted cell records
+ */
+function mergeRecords(records) {
+  records.forEach(record => {
+    state.cells.set(record.id, mergePersistedCell(record, state.cells.get(record.id)));
+  });
+}
+
+/**
+ * Write a cell's persistent fields through the adapter
+ * @param {object} cell - Cell data object
+ * @returns {Promise<object|null>} Resolves with the stored record, or null if the write failed
+ */
+function persistCell(cell) {
+  return adapter.put(toPersistedCell(cell)).catch(error => {
+    console.error('[LandAPI] Failed to persist cell:', { cellId: cell.id, error });
+    return null;
+  });
+}
+
+/**
+ * Load cells from the persistence adapter into the local cache
+ * 
+ * @param {Array<string>} cellIds - H3 cell indices to load
+ * @returns {Promise<object>} Result with success status and loaded count
+ */
+export async function loadCells(cellIds) {
+  const records = await adapter.query(cellIds);
+  mergeRecords(records);
+  if (records.length > 0) {
+    notifySubscribers();
+  }
+  return { success: true, count: records.length };
+}
+
+/**
+ * Load every cell the persistence adapter holds into the local cache
+ * Only local stores implement queryAll (see persistence/memoryAdapter.js);
+ * shared backends load the visible region instead.
+ * 
+ * @returns {Promise<object>} Result with success status, loaded count and whether the adapter supports it
+ */
+export async function loadAllCells() {
+  if (!adapter.queryAll) {
+    return { success: true, count: 0, loaded: false };
+  }
+  
+  const records = await adapter.queryAll();
+  mergeRecords(records);
+  if (records.length > 0) {
+    notifySubscribers();
+  }
+  console.log('[LandAPI] loadAllCells:', { count: records.length });
+  return { success: true, count: records.length, loaded: true };
+}
+
+/**
+ * Load every cell a player owns into the local cache
+ * Adapters without queryByOwner leave the cache as it is, so callers work on
+ * the cells already loaded.
+ * 
+ * @param {string} playerId - Owner to load cells for
+ * @returns {Promise<object>} Result with success status, loaded count and whether the adapter supports it
+ */
+export async function loadOwnedCells(playerId) {
+  if (!adapter.queryByOwner) {
+    return { success: true, count: 0, loaded: false };
+  }
+  
+  const records = await adapter.queryByOwner(playerId);
+  mergeRecords(records);
+  if (records.length > 0) {
+    notifySubscribers();
+  }
+  return { success: true, count: records.length, loaded: true };
+}
+
+/**
+ * Watch cells for changes made elsewhere (other tabs, devices, players)
+ * 
+ * @param {Array<string>|null} cellIds - H3 cell indices, or null for every cell
+ * @returns {function} Unsubscribe function
+ */
+export function watchCells(cellIds) {
+  return adapter.subscribe(cellIds, records => {
+    mergeRecords(records);
+    notifySubscribers();
+    publish(cellsSynced(records.map(record => record.id), 'adapter'));
+  });
+}
+
+/**
+ * Follow changes inside the area the player is looking at
+ * Replaces the previous region. Only adapters serving many players implement
+ * subscribeRegion (see persistence/webSocketAdapter.js); with local adapters
+ * this is a no-op and watchCells(null) covers everything.
+ * 
+ * @param {Array<string>} cellIds - Visible H3 cells at any single resolution
+ * @returns {object} Result with success status and whether the region is watched
+ */
+export function watchRegion(cellIds) {
+  if (!adapter.subscribeRegion) {
+    return { success: true, watching: false };
+  }
+  
+  unwatchRegion?.();
+  unwatchRegion = adapter.subscribeRegion(compactCellIds(cellIds), records => {
+    mergeRecords(records);
+    notifySubscribers();
+    publish(cellsSynced(records.map(record => record.id), 'adapter'));
+  });
+  
+  return { success: true, watching: true };
+}
+
+/**
+ * Replace the local cache with restored cells (e.g. from a snapshot)
+ * Restored cells are also written through the persistence adapter, and stored
+ * cells the snapshot does not include are reset to unowned, so the adapter
+ * matches the snapshot too. Adapters with queryAll() are checked in full;
+ * otherwise the cells this client has loaded are the ones reset.
+ * 
+ * @param {Array<object>} records - Persisted cell records
+ * @returns {Promise<object>} Result with success status and the reset count
+ */
+export async function restoreCells(records) {
+  console.log('[LandAPI] restoreCells called:', { count: records.length });
+  
+  const restoredIds = new Set(records.map(record => record.id));
+  const known = adapter.queryAll ? await adapter.queryAll() : [...state.cells.values()];
+  const stale = known
+    .filter(cell => !restoredIds.has(cell.id) && (isCellOwned(cell) || cell.structures.length > 0))
+    .map(cell => createCell(cell.id, { createdAt: cell.createdAt }));
+  
+  state.selectedCellId = null;
+  state.selectedCellIds = new Set();
+  state.hoveredCellId = null;
+  state.focusedCellId = null;
+  state.cells = new Map();
+  mergeRecords(records);
+  notifySubscribers();
+  
+  const stored = await Promise.all([...state.cells.values(), ...stale].map(persistCell));
+  mergeRecords(stored.filter(Boolean));
+  
+  return { success: true, count: records.length, reset: stale.length };
+}
+
 /**
  * Get current state snapshot
  * @returns {object} Current state
@@ -61,8 +342,65 @@ function notifySubscribers() {
 export function getState() {
   return {
     selectedCellId: state.selectedCellId,
+    selectedCellIds: new Set(state.selectedCellIds),
     hoveredCellId: state.hoveredCellId,
+    focusedCellId: state.focusedCellId,
     cells: new Map(state.cells),
+    pendingOperations: new Map(state.pendingOperations),
+  };
+}
+
+/**
+ * Apply a selection change and update cell view state
+ * @param {Array<string>} cellIds - Cells the action applies to
+ * @param {string} mode - Mode from SelectionMode
+ * @returns {object} Result with success status and the full selection
+ */
+function updateSelection(cellIds, mode) {
+  if (!isSelectionMode(mode)) {
+    return { success: false, error: SelectionErrorCode.INVALID_SELECTION_MODE, mode };
+  }
+  
+  const previous = state.selectedCellIds;
+  const next = applySelection(previous, cellIds, mode);
+  if (next.size > MAX_SELECTION_SIZE) {
+    return { success: false, error: SelectionErrorCode.SELECTION_TOO_LARGE, size: next.size };
+  }
+  
+  // Restore cells that left the selection
+  previous.forEach(cellId => {
+    const cell = state.cells.get(cellId);
+    if (!next.has(cellId) && cell) {
+      const restingState = cellId === state.hoveredCellId ? CellState.HOVERED : getRestingState(cell);
+      state.cells.set(cellId, { ...cell, state: restingState });
+    }
+  });
+  
+  // Mark cells that joined the selection
+  next.forEach(cellId => {
+    if (previous.has(cellId)) return;
+    const cell = state.cells.get(cellId) || createCell(cellId, { createdAt: clock.now() });
+    state.cells.set(cellId, { ...cell, state: CellState.SELECTED });
+  });
+  
+  state.selectedCellIds = next;
+  
+  // The primary cell is the last one acted on that is still selected
+  const lastActed = [...cellIds].reverse().find(cellId => next.has(cellId));
+  if (lastActed) {
+    state.selectedCellId = lastActed;
+  } else if (!next.has(state.selectedCellId)) {
+    state.selectedCellId = next.size > 0 ? [...next][next.size - 1] : null;
+  }
+  
+  const selectedCellIds = [...next];
+  publish(selectionChanged(selectedCellIds, state.selectedCellId));
+  notifySubscribers();
+  
+  return {
+    success: true,
+    selectedCellIds,
+    primaryCellId: state.selectedCellId,
   };
 }
 
@@ -76,43 +414,74 @@ export function getState() {
  * 3. Update user's selected cell in Firestore
  * 
  * @param {string} cellId - H3 cell index to select
+ * @param {string} mode - Mode from SelectionMode (replace by default)
  * @returns {object} Result with success status
  */
-export function selectCell(cellId) {
-  console.log('[LandAPI] selectCell called:', { cellId });
+export function selectCell(cellId, mode = SelectionMode.REPLACE) {
+  console.log('[LandAPI] selectCell called:', { cellId, mode });
   
-  // Ensure cell exists in our local cache
-  if (!state.cells.has(cellId)) {
-    state.cells.set(cellId, createCell(cellId));
-  }
-  
-  // Update previous selection state
-  if (state.selectedCellId && state.cells.has(state.selectedCellId)) {
-    const prevCell = state.cells.get(state.selectedCellId);
-    state.cells.set(state.selectedCellId, {
-      ...prevCell,
-      state: CellState.DEFAULT,
-    });
+  const result = updateSelection([cellId], mode);
+  if (!result.success) {
+    return result;
   }
   
-  // Update new selection
-  state.selectedCellId = cellId;
-  const cell = state.cells.get(cellId);
-  state.cells.set(cellId, {
-    ...cell,
-    state: CellState.SELECTED,
-  });
-  
   console.log('[LandAPI] Cell selected successfully:', { cellId });
-  notifySubscribers();
   
   return {
-    success: true,
+    ...result,
     cellId,
     cell: state.cells.get(cellId),
   };
 }
 
+/**
+ * Select several cells at once
+ * 
+ * @param {Array<string>} cellIds - H3 cell indices
+ * @param {string} mode - Mode from SelectionMode (replace by default)
+ * @returns {object} Result with success status and the full selection
+ */
+export function selectCells(cellIds, mode = SelectionMode.REPLACE) {
+  console.log('[LandAPI] selectCells called:', { count: cellIds.length, mode });
+  return updateSelection(cellIds, mode);
+}
+
+/**
+ * Select every cell within k rings of a center cell
+ * 
+ * @param {string} cellId - Center H3 cell index
+ * @param {number} ringSize - Number of rings around the center (k)
+ * @param {string} mode - Mode from SelectionMode (replace by default)
+ * @returns {object} Result with success status and the full selection
+ */
+export function selectRing(cellId, ringSize = 1, mode = SelectionMode.REPLACE) {
+  console.log('[LandAPI] selectRing called:', { cellId, ringSize, mode });
+  
+  const cellIds = getNeighborCells(cellId, ringSize);
+  // Keep the center as the primary cell
+  return updateSelection([...cellIds.filter(id => id !== cellId), cellId], mode);
+}
+
+/**
+ * Select every cell inside a lasso polygon
+ * 
+ * @param {Array<[number, number]>} polygon - Lasso outline as [lat, lng] pairs
+ * @param {object} options - { resolution, mode }
+ * @returns {object} Result with success status and the full selection
+ */
+export function selectPolygon(polygon, {
+  resolution = DEFAULT_RESOLUTION,
+  mode = SelectionMode.REPLACE,
+} = {}) {
+  console.log('[LandAPI] selectPolygon called:', { points: polygon.length, resolution, mode });
+  
+  if (estimatePolygonCellCount(polygon, resolution) > MAX_SELECTION_SIZE) {
+    return { success: false, error: SelectionErrorCode.SELECTION_TOO_LARGE };
+  }
+  
+  return updateSelection(getCellsInPolygon(polygon, resolution), mode);
+}
+
 /**
  * Clear current selection
  * 
@@ -121,18 +490,28 @@ export function selectCell(cellId) {
 export function clearSelection() {
   console.log('[LandAPI] clearSelection called');
   
-  if (state.selectedCellId && state.cells.has(state.selectedCellId)) {
-    const cell = state.cells.get(state.selectedCellId);
-    state.cells.set(state.selectedCellId, {
-      ...cell,
-      state: CellState.DEFAULT,
-    });
+  updateSelection([], SelectionMode.REPLACE);
+  
+  return { success: true };
+}
+
+/**
+ * Set the keyboard focus cursor
+ * Focus only marks where keyboard navigation is; unlike hover it leaves the
+ * cell's view state alone, so the viewer highlights it separately.
+ * 
+ * @param {string|null} cellId - H3 cell index or null to clear
+ * @returns {object} Result with success status
+ */
+export function setFocusedCell(cellId) {
+  if (state.focusedCellId === cellId) {
+    return { success: true, cellId };
   }
   
-  state.selectedCellId = null;
+  state.focusedCellId = cellId;
   notifySubscribers();
   
-  return { success: true };
+  return { success: true, cellId };
 }
 
 /**
@@ -154,7 +533,7 @@ export function setHoveredCell(cellId) {
     if (prevCell.state === CellState.HOVERED) {
       state.cells.set(state.hoveredCellId, {
         ...prevCell,
-        state: CellState.DEFAULT,
+        state: getRestingState(prevCell),
       });
     }
   }
@@ -164,7 +543,7 @@ export function setHoveredCell(cellId) {
   // Set new hover state
   if (cellId) {
     if (!state.cells.has(cellId)) {
-      state.cells.set(cellId, createCell(cellId));
+      state.cells.set(cellId, createCell(cellId, { createdAt: clock.now() }));
     }
     const cell = state.cells.get(cellId);
     // Don't override selected state with hover
@@ -181,6 +560,582 @@ export function setHoveredCell(cellId) {
   return { success: true, cellId };
 }
 
+/**
+ * Replace the economy configuration used for land prices
+ * 
+ * @param {object} config - Pricing config (see DEFAULT_PRICING_CONFIG)
+ * @param {object} customRules - Extra pricing rules by name
+ * @returns {object} Result with success status
+ */
+export function setPricingConfig(config, customRules = {}) {
+  quoteCell = createPricingEngine(config, customRules);
+  return { success: true };
+}
+
+/**
+ * Replace the clock used for land timestamps
+ * 
+ * @param {object} nextClock - Clock with now() (see core/rules/income.js)
+ * @returns {object} Result with success status
+ */
+export function setLandClock(nextClock = systemClock) {
+  clock = nextClock;
+  return { success: true };
+}
+
+/**
+ * Build the ownership context the pricing rules read from
+ * @param {string} playerId - Buying player ID
+ * @returns {object} Pricing context
+ */
+function buildPricingContext(playerId) {
+  const ownedCellIds = new Set();
+  const playerCellIds = new Set();
+  state.cells.forEach(cell => {
+    if (!isCellOwned(cell)) return;
+    ownedCellIds.add(cell.id);
+    if (cell.ownerId === playerId) {
+      playerCellIds.add(cell.id);
+    }
+  });
+  return { ownedCellIds, playerCellIds };
+}
+
+/**
+ * Get the price a player would pay for a cell, with a per-rule breakdown
+ * 
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Buying player ID
+ * @returns {object} Quote with price, basePrice and breakdown
+ */
+export function getCellQuote(cellId, playerId) {
+  return quoteCell(cellId, buildPricingContext(playerId));
+}
+
+/**
+ * Map a rejected player debit onto a land error code
+ * @param {string} playerError - Error code from PlayerErrorCode
+ * @returns {string} Error code from LandErrorCode
+ */
+function toLandErrorCode(playerError) {
+  switch (playerError) {
+    case PlayerErrorCode.PLAYER_NOT_FOUND:
+      return LandErrorCode.PLAYER_NOT_FOUND;
+    case PlayerErrorCode.INSUFFICIENT_FUNDS:
+      return LandErrorCode.INSUFFICIENT_FUNDS;
+    default:
+      return playerError;
+  }
+}
+
+/**
+ * Record a failed purchase attempt
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Buying player ID
+ * @param {string} error - Error code from LandErrorCode
+ * @param {object} details - Extra fields for the result
+ * @returns {object} Failure result
+ */
+function failPurchase(cellId, playerId, error, details = {}) {
+  publish(landPurchaseFailed(cellId, playerId, error));
+  return { success: false, error, cellId, playerId, ...details };
+}
+
+/**
+ * Send an operation to the backend and wait for its answer
+ * Adapters with submit() (see persistence/rulesAdapter.js) run the action on an
+ * authoritative server; any other adapter stores the new cell, provided nobody
+ * wrote it since expectedVersion (compare-and-set).
+ * 
+ * @param {object} operation - { type, cellId, playerId, params, expectedVersion }
+ * @param {object} nextCell - Cell after the change
+ * @returns {Promise<object>} { record, player, answer } (player only from an authoritative
+ *   backend), or { rejected: error code, player, conflict }
+ * @throws {Error} When the adapter fails, including version conflicts on put
+ */
+async function sendOperation({ type, cellId, playerId, params, expectedVersion }, nextCell) {
+  if (!adapter.submit) {
+    const record = await adapter.put(toPersistedCell(nextCell), { expectedVersion });
+    return { record, player: null };
+  }
+  
+  const answer = await adapter.submit({ type, cellId, playerId, expectedVersion, ...params });
+  if (answer.success) {
+    return { record: answer.cell, player: answer.player, answer };
+  }
+  return {
+    rejected: answer.error,
+    player: answer.player ?? null,
+    conflict: answer.error === LandErrorCode.VERSION_CONFLICT
+      ? createVersionConflictError(answer.current, expectedVersion)
+      : null,
+  };
+}
+
+/**
+ * Create an ID for a pending operation
+ * @param {string} type - 'purchase' | 'build' | 'upgrade' | 'demolish' | 'restore'
+ * @param {string} cellId - H3 cell index
+ * @returns {string} Operation ID, unique for this client
+ */
+function createOperationId(type, cellId) {
+  return `${type}:${cellId}:${++operationSeq}`;
+}
+
+/**
+ * Apply a cell change optimistically and persist it
+ * The local cache updates immediately and the operation is listed in
+ * pendingOperations until the backend answers. If the backend rejects, the cell
+ * is put back, `undoWallet` compensates the player, and OPERATION_ROLLED_BACK
+ * is published. An authoritative backend's cell and wallet replace the local
+ * guesses either way.
+ * 
+ * CONFLICTS:
+ * Writes are based on the version of the cell this client last saw. If another
+ * client wrote it in the meantime, the write fails with VERSION_CONFLICT and the
+ * cache takes the stored cell instead of the previous one. Whichever write
+ * reaches the adapter first wins; every later one gets the conflict.
+ * 
+ * @param {object} operation - { type, cellId, playerId, params: extra action fields,
+ *   operationId: ID already published with the change (one is created otherwise) }
+ * @param {object|null} previousCell - Cell before the change
+ * @param {object} nextCell - Cell after the change
+ * @param {function} undoWallet - Reverses the wallet change made for the operation
+ * @returns {Promise<object>} Result with success status, operationId and the backend's
+ *   answer, or an error code (with `conflict` details for VERSION_CONFLICT)
+ */
+async function commitOptimistic(operation, previousCell, nextCell, undoWallet) {
+  const { type, cellId, playerId } = operation;
+  const operationId = operation.operationId ?? createOperationId(type, cellId);
+  state.pendingOperations.set(operationId, {
+    id: operationId,
+    type,
+    cellId,
+    playerId,
+    startedAt: clock.now(),
+  });
+  state.cells.set(cellId, nextCell);
+  notifySubscribers();
+  
+  let outcome;
+  try {
+    outcome = await sendOperation({ ...operation, expectedVersion: getCellVersion(previousCell) }, nextCell);
+  } catch (error) {
+    outcome = error?.code === LandErrorCode.VERSION_CONFLICT
+      ? { rejected: LandErrorCode.VERSION_CONFLICT, conflict: error }
+      : { rejected: LandErrorCode.PERSISTENCE_FAILED, reason: error?.message ?? String(error) };
+  }
+  state.pendingOperations.delete(operationId);
+  
+  if (!outcome.rejected) {
+    if (outcome.player) syncPlayer(outcome.player);
+    if (outcome.record) {
+      state.cells.set(cellId, mergePersistedCell(outcome.record, state.cells.get(cellId)));
+    }
+    notifySubscribers();
+    return { success: true, operationId, answer: outcome.answer ?? null };
+  }
+  
+  const { rejected: error, conflict = null } = outcome;
+  const reason = outcome.reason ?? error;
+  console.error('[LandAPI] Operation rolled back:', { operationId, reason });
+  
+  const fallback = previousCell ?? createCell(cellId, { createdAt: nextCell.createdAt });
+  const record = conflict?.current ?? toPersistedCell(fallback);
+  state.cells.set(cellId, mergePersistedCell(record, state.cells.get(cellId)));
+  undoWallet();
+  if (outcome.player) syncPlayer(outcome.player);
+  
+  publish(operationRolledBack(operationId, type, cellId, playerId, reason));
+  notifySubscribers();
+  return { success: false, error, reason, operationId, conflict };
+}
+
+/**
+ * Check whether a cell has an operation waiting for the adapter
+ * Cells accept one pending operation at a time so a rollback never discards
+ * a later change.
+ * 
+ * @param {string} cellId - H3 cell index
+ * @returns {boolean} True if an operation on the cell is pending
+ */
+function hasPendingOperation(cellId) {
+  return [...state.pendingOperations.values()].some(operation => operation.cellId === cellId);
+}
+
+/**
+ * Purchase an unowned cell for a player
+ * The cell is shown as owned immediately and rolled back if the backend rejects the write.
+ * 
+ * FIREBASE NOTE:
+ * A purchase already loses to a player who claimed the cell first (the adapter's
+ * version check runs in a transaction). Future implementation will also debit
+ * the wallet inside that transaction.
+ * 
+ * @param {string} cellId - H3 cell index at DEFAULT_RESOLUTION
+ * @param {string} playerId - Buying player ID
+ * @returns {Promise<object>} Result with success status once the backend answered,
+ *   or an error code from LandErrorCode
+ */
+export async function purchaseCell(cellId, playerId) {
+  console.log('[LandAPI] purchaseCell called:', { cellId, playerId });
+  
+  if (!isValidCellId(cellId)) {
+    return failPurchase(cellId, playerId, LandErrorCode.INVALID_CELL);
+  }
+  if (getCellResolution(cellId) !== DEFAULT_RESOLUTION) {
+    return failPurchase(cellId, playerId, LandErrorCode.INVALID_RESOLUTION, {
+      resolution: getCellResolution(cellId),
+    });
+  }
+  if (hasPendingOperation(cellId)) {
+    return failPurchase(cellId, playerId, LandErrorCode.OPERATION_PENDING);
+  }
+  
+  const existing = state.cells.get(cellId);
+  if (existing && isCellOwned(existing)) {
+    return failPurchase(cellId, playerId, LandErrorCode.CELL_ALREADY_OWNED, {
+      ownerId: existing.ownerId,
+    });
+  }
+  
+  const { price } = quoteCell(cellId, buildPricingContext(playerId));
+  const payment = debit(playerId, price, {
+    reason: 'land-purchase',
+    metadata: { cellId },
+    timestamp: clock.now(),
+  });
+  if (!payment.success) {
+    return failPurchase(cellId, playerId, toLandErrorCode(payment.error), { price });
+  }
+  
+  const cell = existing || createCell(cellId, { createdAt: clock.now() });
+  const ownedCell = {
+    ...cell,
+    ownerId: playerId,
+    purchasedAt: clock.now(),
+  };
+  // Keep hover/selection highlighting; otherwise show the cell as owned
+  ownedCell.state = cell.state === CellState.DEFAULT ? getRestingState(ownedCell) : cell.state;
+  
+  console.log('[LandAPI] Cell purchased optimistically:', { cellId, playerId, price });
+  const operationId = createOperationId('purchase', cellId);
+  publish(landPurchased(cellId, playerId, price, operationId));
+  
+  const commit = await commitOptimistic({ type: 'purchase', cellId, playerId, operationId }, existing, ownedCell, () => {
+    credit(playerId, price, { reason: 'rollback', metadata: { cellId }, timestamp: clock.now() });
+  });
+  if (commit.conflict) {
+    // Another player got there first; tell this one who owns the cell now
+    const { current, expectedVersion, actualVersion } = commit.conflict;
+    const ownerId = current?.ownerId ?? null;
+    publish(landPurchaseConflict(cellId, playerId, ownerId, expectedVersion, actualVersion));
+    return { ...commit, cellId, playerId, price, ownerId };
+  }
+  if (!commit.success) {
+    return { ...commit, cellId, playerId, price };
+  }
+  
+  return {
+    success: true,
+    cellId,
+    cell: state.cells.get(cellId),
+    // The rules server prices against every player's land, not just the cached cells
+    price: commit.answer?.price ?? price,
+    operationId: commit.operationId,
+  };
+}
+
+/**
+ * Record a failed structure operation
+ * @param {string} action - 'build' | 'upgrade' | 'demolish'
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Acting player ID
+ * @param {string} error - Error code from LandErrorCode or StructureErrorCode
+ * @param {object} details - Extra fields for the result
+ * @returns {object} Failure result
+ */
+function failStructureAction(action, cellId, playerId, error, details = {}) {
+  publish(structureActionFailed(action, cellId, playerId, error));
+  return { success: false, error, cellId, playerId, ...details };
+}
+
+/**
+ * Find the cell a structure action applies to
+ * @param {string} action - 'build' | 'upgrade' | 'demolish'
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Acting player ID
+ * @returns {object} { cell } or { failure } result
+ */
+function getOwnedCell(action, cellId, playerId) {
+  const cell = state.cells.get(cellId);
+  if (!cell || cell.ownerId !== playerId) {
+    return { failure: failStructureAction(action, cellId, playerId, LandErrorCode.NOT_CELL_OWNER) };
+  }
+  if (hasPendingOperation(cellId)) {
+    return { failure: failStructureAction(action, cellId, playerId, LandErrorCode.OPERATION_PENDING) };
+  }
+  return { cell };
+}
+
+/**
+ * Find a structure on a cell
+ * @param {object} cell - Cell data object
+ * @param {string} structureId - Structure ID
+ * @returns {object|null} Structure data or null
+ */
+function findStructure(cell, structureId) {
+  return cell.structures.find(structure => structure.id === structureId) || null;
+}
+
+/**
+ * Check whether cells can be put back to an earlier state (restoreCellRecord)
+ * @returns {boolean} False when an authoritative rules server owns the cells
+ */
+export function canRestoreCells() {
+  return !adapter.submit;
+}
+
+/**
+ * Put a cell's persistent fields back to an earlier state
+ * Used to undo land and structure commands (see api/historyApi.js);
+ * compensating the player's wallet is up to the caller. Not available when an
+ * authoritative rules server owns the cells.
+ * 
+ * @param {string} cellId - H3 cell index
+ * @param {object|null} previousCell - Cell data from before the change, or null if there was none
+ * @returns {Promise<object>} Result with success status and the restored cell
+ */
+export async function restoreCellRecord(cellId, previousCell) {
+  console.log('[LandAPI] restoreCellRecord called:', { cellId });
+  
+  if (hasPendingOperation(cellId)) {
+    return { success: false, error: LandErrorCode.OPERATION_PENDING, cellId };
+  }
+  if (!canRestoreCells()) {
+    // Only the server's own actions change its cells
+    return { success: false, error: LandErrorCode.SERVER_AUTHORITATIVE, cellId };
+  }
+  
+  const current = state.cells.get(cellId) ?? null;
+  const record = toPersistedCell(previousCell ?? createCell(cellId, { createdAt: clock.now() }));
+  const cell = mergePersistedCell(record, current);
+  
+  const commit = await commitOptimistic({ type: 'restore', cellId, playerId: null }, current, cell, () => {});
+  return commit.success ? { success: true, cellId, cell: state.cells.get(cellId) } : { ...commit, cellId };
+}
+
+/**
+ * Build a structure on a cell owned by the acting player
+ * 
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Acting player ID
+ * @param {string} type - Structure type from StructureType
+ * @returns {Promise<object>} Result with success status, or an error code
+ */
+export async function buildStructure(cellId, playerId, type) {
+  console.log('[LandAPI] buildStructure called:', { cellId, playerId, type });
+  
+  const { cell, failure } = getOwnedCell('build', cellId, playerId);
+  if (failure) return failure;
+  
+  const placementError = getPlacementError(cell, type);
+  if (placementError) {
+    return failStructureAction('build', cellId, playerId, placementError, { type });
+  }
+  
+  const { cost } = getStructureDefinition(type);
+  const payment = debit(playerId, cost, {
+    reason: 'structure-build',
+    metadata: { cellId, type },
+    timestamp: clock.now(),
+  });
+  if (!payment.success) {
+    return failStructureAction('build', cellId, playerId, toLandErrorCode(payment.error), { cost });
+  }
+  
+  const structure = createStructure(cell, type, { builtAt: clock.now() });
+  const operationId = createOperationId('build', cellId);
+  publish(structureBuilt(cellId, playerId, structure, cost, operationId));
+  
+  const commit = await commitOptimistic(
+    { type: 'build', cellId, playerId, operationId, params: { structureType: type } },
+    cell,
+    { ...cell, structures: [...cell.structures, structure] },
+    () => credit(playerId, cost, { reason: 'rollback', metadata: { cellId, type }, timestamp: clock.now() })
+  );
+  if (!commit.success) {
+    return { ...commit, cellId, playerId, cost };
+  }
+  
+  return { success: true, cellId, cell: state.cells.get(cellId), structure, cost, operationId: commit.operationId };
+}
+
+/**
+ * Upgrade a structure on a cell owned by the acting player
+ * 
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Acting player ID
+ * @param {string} structureId - Structure ID
+ * @returns {Promise<object>} Result with success status, or an error code
+ */
+export async function upgradeStructure(cellId, playerId, structureId) {
+  console.log('[LandAPI] upgradeStructure called:', { cellId, playerId, structureId });
+  
+  const { cell, failure } = getOwnedCell('upgrade', cellId, playerId);
+  if (failure) return failure;
+  
+  const structure = findStructure(cell, structureId);
+  if (!structure) {
+    return failStructureAction('upgrade', cellId, playerId, StructureErrorCode.STRUCTURE_NOT_FOUND, { structureId });
+  }
+  
+  const now = clock.now();
+  const upgradeError = getUpgradeError(structure, now);
+  if (upgradeError) {
+    return failStructureAction('upgrade', cellId, playerId, upgradeError, { structureId });
+  }
+  
+  const cost = getUpgradeCost(structure);
+  const payment = debit(playerId, cost, {
+    reason: 'structure-upgrade',
+    metadata: { cellId, structureId, level: structure.level + 1 },
+    timestamp: now,
+  });
+  if (!payment.success) {
+    return failStructureAction('upgrade', cellId, playerId, toLandErrorCode(payment.error), { cost });
+  }
+  
+  const upgraded = upgradeStructureLevel(structure, now);
+  const operationId = createOperationId('upgrade', cellId);
+  publish(structureUpgraded(cellId, playerId, upgraded, cost, operationId));
+  
+  const commit = await commitOptimistic(
+    { type: 'upgrade', cellId, playerId, operationId, params: { structureId } },
+    cell,
+    {
+      ...cell,
+      structures: cell.structures.map(existing => (existing.id === structureId ? upgraded : existing)),
+    },
+    () => credit(playerId, cost, { reason: 'rollback', metadata: { cellId, structureId }, timestamp: clock.now() })
+  );
+  if (!commit.success) {
+    return { ...commit, cellId, playerId, cost };
+  }
+  
+  return { success: true, cellId, cell: state.cells.get(cellId), structure: upgraded, cost, operationId: commit.operationId };
+}
+
+/**
+ * Demolish a structure on a cell owned by the acting player
+ * Part of the invested currency is refunded. The refund is paid only once the
+ * backend accepts the demolition: taking it back on a rollback could fail if
+ * the player had spent it meanwhile, creating money.
+ * 
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Acting player ID
+ * @param {string} structureId - Structure ID
+ * @returns {Promise<object>} Result with success status, or an error code
+ */
+export async function demolishStructure(cellId, playerId, structureId) {
+  console.log('[LandAPI] demolishStructure called:', { cellId, playerId, structureId });
+  
+  const { cell, failure } = getOwnedCell('demolish', cellId, playerId);
+  if (failure) return failure;
+  
+  const structure = findStructure(cell, structureId);
+  if (!structure) {
+    return failStructureAction('demolish', cellId, playerId, StructureErrorCode.STRUCTURE_NOT_FOUND, { structureId });
+  }
+  
+  const refund = getDemolishRefund(structure);
+  const operationId = createOperationId('demolish', cellId);
+  publish(structureDemolished(cellId, playerId, structure, refund, operationId));
+  
+  const commit = await commitOptimistic(
+    { type: 'demolish', cellId, playerId, operationId, params: { structureId } },
+    cell,
+    { ...cell, structures: cell.structures.filter(existing => existing.id !== structureId) },
+    () => {} // Nothing paid yet
+  );
+  if (!commit.success) {
+    return { ...commit, cellId, playerId, refund };
+  }
+  
+  // An authoritative backend pays the refund itself and sends the wallet back
+  if (refund > 0 && !commit.answer) {
+    const paid = credit(playerId, refund, {
+      reason: 'structure-demolish',
+      metadata: { cellId, structureId },
+      timestamp: clock.now(),
+    });
+    if (!paid.success) {
+      console.error('[LandAPI] Demolish refund failed:', { cellId, playerId, refund, error: paid.error });
+      return {
+        success: true,
+        cellId,
+        cell: state.cells.get(cellId),
+        structure,
+        refund: 0,
+        refundError: toLandErrorCode(paid.error),
+        operationId: commit.operationId,
+      };
+    }
+  }
+  
+  return { success: true, cellId, cell: state.cells.get(cellId), structure, refund, operationId: commit.operationId };
+}
+
+/**
+ * Move every cell a player owns to another player
+ * Used when an anonymous player upgrades to a permanent account (see authApi).
+ * Either all cells move or none does; the wallet is up to the caller. That
+ * needs an adapter that can find every cell a player owns (queryByOwner, not
+ * just the cells loaded here) and write them in one transaction (putAll);
+ * other adapters refuse the transfer.
+ * 
+ * @param {string} fromPlayerId - Current owner
+ * @param {string} toPlayerId - New owner
+ * @returns {Promise<object>} Result with success status and the moved cell IDs
+ */
+export async function transferCells(fromPlayerId, toPlayerId) {
+  console.log('[LandAPI] transferCells called:', { fromPlayerId, toPlayerId });
+  
+  if ([...state.pendingOperations.values()].some(operation => operation.playerId === fromPlayerId)) {
+    return { success: false, error: LandErrorCode.OPERATION_PENDING, playerId: fromPlayerId };
+  }
+  if (adapter.submit) {
+    // Only the server's own actions change its cells
+    return { success: false, error: LandErrorCode.SERVER_AUTHORITATIVE };
+  }
+  if (!adapter.queryByOwner || !adapter.putAll) {
+    return { success: false, error: LandErrorCode.TRANSFER_UNSUPPORTED };
+  }
+  
+  let records = [];
+  let stored;
+  try {
+    records = await adapter.queryByOwner(fromPlayerId);
+    stored = await adapter.putAll(records.map(record => ({
+      cell: { ...record, ownerId: toPlayerId },
+      expectedVersion: getCellVersion(record),
+    })));
+  } catch (error) {
+    const code = error?.code === LandErrorCode.VERSION_CONFLICT
+      ? LandErrorCode.VERSION_CONFLICT
+      : LandErrorCode.PERSISTENCE_FAILED;
+    console.error('[LandAPI] Cell transfer failed:', { fromPlayerId, toPlayerId, error });
+    // Reload the cells so a retry starts from what is stored now
+    await loadCells(records.map(record => record.id)).catch(() => {});
+    return { success: false, error: code, reason: error?.message ?? String(error) };
+  }
+  
+  mergeRecords(stored);
+  notifySubscribers();
+  
+  return { success: true, cellIds: stored.map(record => record.id), count: stored.length };
+}
+
 /**
  * Get a cell by ID
  * 
@@ -200,6 +1155,15 @@ export function getSelectedCellId() {
   return state.selectedCellId;
 }
 
+/**
+ * Get every selected cell ID
+ * 
+ * @returns {Array<string>} Selected cell IDs
+ */
+export function getSelectedCellIds() {
+  return [...state.selectedCellIds];
+}
+
 /**
  * Get the currently hovered cell ID
  * 
@@ -208,3 +1172,12 @@ export function getSelectedCellId() {
 export function getHoveredCellId() {
   return state.hoveredCellId;
 }
+
+/**
+ * Get the cell under the keyboard focus cursor
+ * 
+ * @returns {string|null} Focused cell ID or null
+ */
+export function getFocusedCellId() {
+  return state.focusedCellId;
+}
@@ -0,0 +1,121 @@
+/**
+ * Fake Firestore - In-memory stand-in for the Firestore subset the adapter uses
+ * 
+ * ARCHITECTURAL NOTE:
+ * Lets createFirestoreAdapter run in tests and offline development without the SDK
+ * or the emulator. Behaviour mirrors Firestore where the adapter depends on it:
+ * - Reads and writes are asynchronous and return copies
+ * - onSnapshot fires immediately with every matching document as 'added',
+ *   then once per write with 'added' or 'modified' changes
+ * - runTransaction applies a transaction's writes only after its function
+ *   resolves; transactions run one at a time, so they never need a retry
+ */
+
+/**
+ * Create a document snapshot
+ * @param {string} id - Document ID
+ * @param {object|undefined} data - Document data
+ * @returns {object} Snapshot with exists/id/data()
+ */
+function createDocSnapshot(id, data) {
+  return {
+    id,
+    exists: data !== undefined,
+    data: () => (data === undefined ? undefined : JSON.parse(JSON.stringify(data))),
+  };
+}
+
+/**
+ * Create an in-memory Firestore-shaped database
+ * @returns {object} Fake db exposing collection(name) and runTransaction(fn)
+ */
+export function createFakeFirestore() {
+  const collections = new Map(); // name -> Map(docId -> data)
+  const listeners = new Set();   // { collection, matches, onNext }
+  let transactionQueue = Promise.resolve();
+
+  function getDocs(name) {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  }
+
+  function createQuery(name, matches) {
+    return {
+      async get() {
+        const docs = [...getDocs(name)]
+          .filter(([, data]) => matches(data))
+          .map(([id, data]) => createDocSnapshot(id, data));
+        return { docs, empty: docs.length === 0, size: docs.length };
+      },
+
+      onSnapshot(onNext) {
+        const listener = { collection: name, matches, onNext };
+        listeners.add(listener);
+
+        const initial = [...getDocs(name)]
+          .filter(([, data]) => matches(data))
+          .map(([id, data]) => ({ type: 'added', doc: createDocSnapshot(id, data) }));
+        onNext({ docChanges: () => initial });
+
+        return () => listeners.delete(listener);
+      },
+    };
+  }
+
+  return {
+    runTransaction(updateFunction) {
+      const run = transactionQueue.then(async () => {
+        const writes = [];
+        const transaction = {
+          get: ref => ref.get(),
+          set(ref, data) {
+            writes.push([ref, data]);
+            return transaction;
+          },
+        };
+        const result = await updateFunction(transaction);
+        await Promise.all(writes.map(([ref, data]) => ref.set(data)));
+        return result;
+      });
+      transactionQueue = run.catch(() => {});
+      return run;
+    },
+
+    collection(name) {
+      return {
+        ...createQuery(name, () => true),
+
+        doc(id) {
+          return {
+            id,
+            async get() {
+              return createDocSnapshot(id, getDocs(name).get(id));
+            },
+            async set(data) {
+              const docs = getDocs(name);
+              const type = docs.has(id) ? 'modified' : 'added';
+              const stored = JSON.parse(JSON.stringify(data));
+              docs.set(id, stored);
+
+              listeners.forEach(listener => {
+                if (listener.collection === name && listener.matches(stored)) {
+                  listener.onNext({ docChanges: () => [{ type, doc: createDocSnapshot(id, stored) }] });
+                }
+              });
+            },
+          };
+        },
+
+        where(field, op, value) {
+          if (op !== 'in' && op !== '==') {
+            throw new Error(`[FakeFirestore] Unsupported operator: ${op}`);
+          }
+          const values = op === 'in' ? new Set(value) : new Set([value]);
+          return createQuery(name, data => values.has(data[field]));
+        },
+      };
+    },
+  };
+}
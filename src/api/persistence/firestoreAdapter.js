@@ -0,0 +1,112 @@
+/**
+ * Firestore Persistence Adapter - Cell storage in a Firestore collection
+ * 
+ * ARCHITECTURAL NOTE:
+ * Implements the persistence adapter interface (see memoryAdapter.js) on top of
+ * a Firestore-shaped database object. It only uses the small namespaced API subset
+ * below, so it can run against the real SDK, the local emulator, or createFakeFirestore:
+ * 
+ * - db.collection(name).doc(id).get() / .set(data)
+ * - db.collection(name).where(field, 'in' | '==', values).get() / .onSnapshot(...)
+ * - db.collection(name).onSnapshot(...)
+ * - db.runTransaction(fn) with transaction.get(ref) / .set(ref, data)
+ * 
+ * Each document stores a persisted cell keyed by its H3 index, with the index
+ * duplicated in an `id` field so it can be queried with 'in'.
+ * Writes run in a transaction so the version check and the write are atomic.
+ */
+
+import { prepareCellWrite } from '../../core/domain/cell.js';
+
+/**
+ * Maximum number of values Firestore accepts in a single 'in' filter
+ */
+export const FIRESTORE_IN_QUERY_LIMIT = 30;
+
+/**
+ * Split an array into chunks of at most `size` items
+ * @param {Array} items - Items to split
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>} Chunks
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Create a Firestore-backed persistence adapter
+ * @param {object} db - Firestore instance (or fake)
+ * @param {object} options - { collection: collection name }
+ * @returns {object} Persistence adapter
+ */
+export function createFirestoreAdapter(db, { collection = 'cells' } = {}) {
+  const cells = () => db.collection(collection);
+
+  return {
+    async get(cellId) {
+      const snapshot = await cells().doc(cellId).get();
+      return snapshot.exists ? snapshot.data() : null;
+    },
+
+    async put(cell, { expectedVersion } = {}) {
+      const ref = cells().doc(cell.id);
+      return db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(ref);
+        const record = prepareCellWrite(snapshot.exists ? snapshot.data() : null, cell, expectedVersion);
+        transaction.set(ref, record);
+        return record;
+      });
+    },
+
+    async query(cellIds) {
+      const snapshots = await Promise.all(
+        chunk(cellIds, FIRESTORE_IN_QUERY_LIMIT).map(ids => cells().where('id', 'in', ids).get())
+      );
+      return snapshots.flatMap(snapshot => snapshot.docs.map(doc => doc.data()));
+    },
+
+    async queryByOwner(ownerId) {
+      const snapshot = await cells().where('ownerId', '==', ownerId).get();
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    async putAll(writes) {
+      return db.runTransaction(async (transaction) => {
+        // Firestore requires every read in a transaction to come before its writes
+        const refs = writes.map(({ cell }) => cells().doc(cell.id));
+        const snapshots = await Promise.all(refs.map(ref => transaction.get(ref)));
+        const prepared = writes.map(({ cell, expectedVersion }, i) => (
+          prepareCellWrite(snapshots[i].exists ? snapshots[i].data() : null, cell, expectedVersion)
+        ));
+        prepared.forEach((record, i) => transaction.set(refs[i], record));
+        return prepared;
+      });
+    },
+
+    subscribe(cellIds, onChange) {
+      const queries = cellIds
+        ? chunk([...cellIds], FIRESTORE_IN_QUERY_LIMIT).map(ids => cells().where('id', 'in', ids))
+        : [cells()];
+
+      const unsubscribers = queries.map(query => query.onSnapshot(
+        (snapshot) => {
+          const changed = snapshot.docChanges()
+            .filter(change => change.type !== 'removed')
+            .map(change => change.doc.data());
+          if (changed.length > 0) {
+            onChange(changed);
+          }
+        },
+        (error) => {
+          console.error('[Persistence] Firestore subscription failed:', error);
+        }
+      ));
+
+      return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    },
+  };
+}
@@ -0,0 +1,14 @@
+/**
+ * Persistence Adapters - Re-export platform-agnostic storage backends
+ * 
+ * ARCHITECTURAL NOTE:
+ * landApi talks to storage only through the adapter interface documented in
+ * memoryAdapter.js. Browser-only adapters live in platform/web.
+ */
+
+export * from './memoryAdapter.js';
+export * from './firestoreAdapter.js';
+export * from './fakeFirestore.js';
+export * from './webSocketAdapter.js';
+export * from './rulesAdapter.js';
+export * from './memoryStorage.js';
@@ -0,0 +1,106 @@
+/**
+ * Memory Persistence Adapter - In-process cell storage
+ * 
+ * ARCHITECTURAL NOTE:
+ * Reference implementation of the persistence adapter interface used by landApi.
+ * It holds data in a Map, so it works in any environment (web, native, server, tests)
+ * but nothing survives a reload.
+ * 
+ * ADAPTER INTERFACE:
+ * - get(cellId)                 → Promise<cell|null>
+ * - put(cell, { expectedVersion }) → Promise<cell>
+ *   (compare-and-set: with expectedVersion the write is rejected with a
+ *   VERSION_CONFLICT error if the stored version differs; see prepareCellWrite)
+ * - query(cellIds)              → Promise<Array<cell>>
+ * - subscribe(cellIds, onChange) → unsubscribe function
+ *   (cellIds may be null to watch every cell; onChange receives an array of cells)
+ * 
+ * Optional:
+ * - subscribeRegion(cellIds, onChange) → unsubscribe function
+ *   (cellIds at any resolution; watches every cell inside them)
+ * - queryByOwner(ownerId)        → Promise<Array<cell>>
+ * - queryAll()                   → Promise<Array<cell>>
+ *   (local stores only; lets a client load every saved cell at startup)
+ * - putAll(writes)               → Promise<Array<cell>>
+ *   (writes are [{ cell, expectedVersion }]; all are stored or none is)
+ * 
+ * Adapters store persisted cells (see toPersistedCell), never view state.
+ * Every write bumps the cell's version and resolves with the stored record.
+ */
+
+import { prepareCellWrite } from '../../core/domain/cell.js';
+
+/**
+ * Copy a stored record so callers can never mutate adapter internals
+ * @param {object} record - Persisted cell
+ * @returns {object} Deep copy
+ */
+function copyRecord(record) {
+  return JSON.parse(JSON.stringify(record));
+}
+
+/**
+ * Create an in-memory persistence adapter
+ * @param {Array<object>} initialCells - Persisted cells to seed the store with
+ * @returns {object} Persistence adapter
+ */
+export function createMemoryAdapter(initialCells = []) {
+  const records = new Map(initialCells.map(cell => [cell.id, copyRecord(cell)]));
+  const watchers = new Set();
+
+  function notifyWatchers(record) {
+    watchers.forEach(({ cellIds, onChange }) => {
+      if (!cellIds || cellIds.has(record.id)) {
+        onChange([copyRecord(record)]);
+      }
+    });
+  }
+
+  return {
+    async get(cellId) {
+      const record = records.get(cellId);
+      return record ? copyRecord(record) : null;
+    },
+
+    async put(cell, { expectedVersion } = {}) {
+      const record = prepareCellWrite(records.get(cell.id) ?? null, copyRecord(cell), expectedVersion);
+      records.set(record.id, record);
+      notifyWatchers(record);
+      return copyRecord(record);
+    },
+
+    async query(cellIds) {
+      return cellIds
+        .filter(cellId => records.has(cellId))
+        .map(cellId => copyRecord(records.get(cellId)));
+    },
+
+    async queryAll() {
+      return [...records.values()].map(copyRecord);
+    },
+
+    async queryByOwner(ownerId) {
+      return [...records.values()]
+        .filter(record => record.ownerId === ownerId)
+        .map(copyRecord);
+    },
+
+    async putAll(writes) {
+      // Check every write before storing any of them
+      const prepared = writes.map(({ cell, expectedVersion }) => (
+        prepareCellWrite(records.get(cell.id) ?? null, copyRecord(cell), expectedVersion)
+      ));
+      prepared.forEach(record => {
+        records.set(record.id, record);
+        notifyWatchers(record);
+      });
+      return prepared.map(copyRecord);
+    },
+
+    subscribe(cellIds, onChange) {
+      const watcher = { cellIds: cellIds ? new Set(cellIds) : null, onChange };
+      watchers.add(watcher);
+      return () => watchers.delete(watcher);
+    },
+  };
+}
@@ -0,0 +1,27 @@
+/**
+ * Memory Storage - Default Web Storage-shaped store for small saved state
+ *
+ * ARCHITECTURAL NOTE:
+ * Auth sessions, wallets, income records, camera bookmarks and rules server
+ * tokens are kept through a Web Storage-shaped object (getItem / setItem /
+ * removeItem). The web build passes window.localStorage so they survive
+ * reloads; everywhere else (tests, the server, before init) this in-memory
+ * store is used.
+ */
+
+/**
+ * Create an in-memory key-value store with the Web Storage method subset
+ * @returns {object} Storage with getItem, setItem and removeItem
+ */
+export function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: key => {
+      items.delete(key);
+    },
+  };
+}
@@ -0,0 +1,177 @@
+/**
+ * Rules Server Adapter - Land owned and priced by an authoritative server
+ *
+ * ARCHITECTURAL NOTE:
+ * Implements the persistence adapter interface (see memoryAdapter.js) against
+ * the HTTP/JSON rules server (see server/rulesServer.js). The server runs the
+ * same core/ rules as the client, but its answer is final: clients submit
+ * actions ("buy this cell for this player") instead of writing cell records,
+ * so a client can no longer grant itself land by editing local state.
+ *
+ * ACTIONS:
+ * landApi calls submit(action) when the adapter has one. The server validates
+ * the action against its own state, charges the player's wallet and answers
+ * with the stored cell and the player's authoritative wallet, or with an error
+ * code. put() is always rejected.
+ *
+ * CHANGES:
+ * HTTP has no push, so subscribe() polls the server's change feed.
+ *
+ * SESSIONS:
+ * registerPlayer() receives a session token from the server; wallet reads and
+ * actions for that player send it back. Tokens are kept in a Web Storage-shaped
+ * store (window.localStorage on the web), so a player keeps their server wallet
+ * across reloads.
+ */
+
+import { createMemoryStorage } from './memoryStorage.js';
+
+/**
+ * Actions the rules server accepts
+ */
+export const RulesActionType = {
+  PURCHASE: 'purchase',
+  BUILD: 'build',
+  UPGRADE: 'upgrade',
+  DEMOLISH: 'demolish',
+};
+
+/**
+ * Error codes for requests the rules server cannot handle
+ * Rejected game actions use the domain error codes (LandErrorCode, etc.).
+ */
+export const RulesErrorCode = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  UNSUPPORTED_ACTION: 'UNSUPPORTED_ACTION',
+  NOT_FOUND: 'NOT_FOUND',
+  UNAUTHORIZED: 'UNAUTHORIZED',         // No valid session token
+  FORBIDDEN: 'FORBIDDEN',               // The session belongs to another player
+  PLAYER_EXISTS: 'PLAYER_EXISTS',       // Player IDs are registered once
+  TOO_MANY_PLAYERS: 'TOO_MANY_PLAYERS', // This client address registered its share
+};
+
+/**
+ * Default interval between change feed polls
+ */
+export const RULES_POLL_INTERVAL_MS = 3000;
+
+/**
+ * Storage key prefix for a player's session token
+ */
+const SESSION_KEY_PREFIX = 'land-grab:rules-session:';
+
+/**
+ * Create an adapter backed by the rules server
+ * @param {object} options - { baseUrl, fetch: fetch implementation, pollIntervalMs,
+ *   storage: Web Storage-shaped store for session tokens }
+ * @returns {object} Persistence adapter with submit, registerPlayer, hasSession and getPlayer
+ */
+export function createRulesAdapter({
+  baseUrl,
+  fetch: fetchImpl = globalThis.fetch,
+  pollIntervalMs = RULES_POLL_INTERVAL_MS,
+  storage = createMemoryStorage(),
+}) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  async function request(method, path, body, playerId = null) {
+    const headers = {};
+    if (body) headers['Content-Type'] = 'application/json';
+    const token = playerId ? storage.getItem(SESSION_KEY_PREFIX + playerId) : null;
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetchImpl(`${root}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const result = await response.json();
+    // Rejected game actions come back as 200 with success: false
+    if (!response.ok) {
+      const error = new Error(result.error ?? `Rules server answered ${response.status}`);
+      error.code = result.error ?? RulesErrorCode.INVALID_REQUEST;
+      throw error;
+    }
+    return result;
+  }
+
+  return {
+    async get(cellId) {
+      const { record } = await request('GET', `/cells/${encodeURIComponent(cellId)}`);
+      return record;
+    },
+
+    async put() {
+      throw new Error('Cells are written by the rules server; submit an action instead');
+    },
+
+    async query(cellIds) {
+      const { records } = await request('POST', '/cells/query', { cellIds: [...cellIds] });
+      return records;
+    },
+
+    subscribe(cellIds, onChange) {
+      const watched = cellIds ? new Set(cellIds) : null;
+      let revision = 0;
+      let stopped = false;
+
+      async function poll() {
+        try {
+          const changes = await request('GET', `/changes?since=${revision}`);
+          revision = changes.revision;
+          const records = changes.records.filter(record => !watched || watched.has(record.id));
+          if (!stopped && records.length > 0) onChange(records);
+        } catch (error) {
+          console.warn('[RulesAdapter] Change poll failed:', error.message);
+        }
+      }
+
+      poll();
+      const timer = setInterval(poll, pollIntervalMs);
+      return () => {
+        stopped = true;
+        clearInterval(timer);
+      };
+    },
+
+    /**
+     * Ask the server to perform a game action
+     * @param {object} action - { type: RulesActionType, cellId, playerId, ...parameters }
+     * @returns {Promise<object>} { success, cell, player, ... } or { success: false, error, player }
+     */
+    submit(action) {
+      return request('POST', '/actions', action, action.playerId);
+    },
+
+    /**
+     * Register a new player on the server and keep their session token
+     * The server refuses IDs that are already registered.
+     * @param {string} playerId - Player ID
+     * @param {object} options - { displayName }
+     * @returns {Promise<object>} { success, player }
+     */
+    async registerPlayer(playerId, options = {}) {
+      const { token, ...result } = await request('POST', '/players', { playerId, ...options });
+      storage.setItem(SESSION_KEY_PREFIX + playerId, token);
+      return result;
+    },
+
+    /**
+     * Check whether this client holds a session for a player
+     * @param {string} playerId - Player ID
+     * @returns {boolean} True once registerPlayer() succeeded for the player
+     */
+    hasSession(playerId) {
+      return storage.getItem(SESSION_KEY_PREFIX + playerId) !== null;
+    },
+
+    /**
+     * Fetch a player's wallet, settling their income first
+     * @param {string} playerId - Player ID
+     * @returns {Promise<object>} { success, player, income }
+     */
+    getPlayer(playerId) {
+      return request('GET', `/players/${encodeURIComponent(playerId)}`, undefined, playerId);
+    },
+  };
+}
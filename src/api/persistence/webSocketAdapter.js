@@ -0,0 +1,279 @@
+/**
+ * WebSocket Persistence Adapter - Cells shared live between clients
+ *
+ * ARCHITECTURAL NOTE:
+ * Implements the persistence adapter interface (see memoryAdapter.js) against a
+ * sync server (see server/syncServer.js). Writes are pushed to the server, which
+ * stores them and forwards them to every client watching the same area.
+ * The WebSocket constructor is injected, so the adapter runs in browsers, in
+ * Node 22+ (global WebSocket) or against a fake in tests.
+ *
+ * REGIONS:
+ * Besides exact cell IDs, subscribeRegion accepts cells at any resolution and
+ * receives changes to every cell inside them. landApi uses it to follow only
+ * the part of the globe the viewer shows.
+ *
+ * CONNECTION:
+ * Requests sent while connecting are queued. If the connection drops (or a
+ * reconnect fails), pending requests are rejected and dropped from the queue
+ * (so optimistic updates roll back and are never applied later), and the
+ * adapter reconnects and restores its subscriptions.
+ *
+ * A PUT or PUT_ALL the server already received is different: it may have been
+ * stored (and broadcast) just before the connection dropped, so rolling it
+ * back could leave a player with both the land and their money. Such writes
+ * stay pending until the adapter has reconnected and read the cells back. If
+ * the stored cells are the ones sent, the write succeeded; if another client
+ * wrote them meanwhile, it failed with VERSION_CONFLICT; otherwise it never
+ * arrived and is rejected as lost.
+ */
+
+import {
+  LandErrorCode,
+  createVersionConflictError,
+  getCellVersion,
+  toPersistedCell,
+} from '../../core/domain/cell.js';
+
+/**
+ * Messages exchanged with the sync server
+ * Client → server: SUBSCRIBE, UNSUBSCRIBE, GET, QUERY, QUERY_BY_OWNER, PUT, PUT_ALL
+ * Server → client: RESULT, ERROR (answers to requestId), CHANGED (to subscriptionId)
+ * A PUT may carry expectedVersion; a conflict is an ERROR with code
+ * VERSION_CONFLICT and the stored record as `current`. PUT_ALL carries
+ * `writes` ([{ record, expectedVersion }]) and stores all of them or none.
+ */
+export const SyncMessageType = {
+  SUBSCRIBE: 'subscribe',
+  UNSUBSCRIBE: 'unsubscribe',
+  GET: 'get',
+  QUERY: 'query',
+  QUERY_BY_OWNER: 'query-by-owner',
+  PUT: 'put',
+  PUT_ALL: 'put-all',
+  RESULT: 'result',
+  ERROR: 'error',
+  CHANGED: 'changed',
+};
+
+/**
+ * Default wait before reconnecting after the connection drops
+ */
+export const SYNC_RECONNECT_DELAY_MS = 2000;
+
+/**
+ * Check whether a stored record is the one a write sent
+ * The server only adds the version, so every other persisted field must match.
+ * 
+ * @param {object} write - { record, expectedVersion } as sent
+ * @param {object|null} stored - Record read back from the server
+ * @returns {boolean} True if the write was stored (and nothing after it)
+ */
+function isStoredWrite({ record, expectedVersion }, stored) {
+  if (!stored) return false;
+  if (expectedVersion !== undefined && getCellVersion(stored) !== expectedVersion + 1) return false;
+  const content = cell => JSON.stringify(toPersistedCell({ ...cell, version: 0 }));
+  return content(stored) === content(record);
+}
+
+/**
+ * Create a WebSocket-backed persistence adapter
+ * @param {object} options - { url, WebSocket: constructor, reconnectDelayMs }
+ * @returns {object} Persistence adapter with subscribeRegion and close
+ */
+export function createWebSocketAdapter({
+  url,
+  WebSocket: WebSocketImpl = globalThis.WebSocket,
+  reconnectDelayMs = SYNC_RECONNECT_DELAY_MS,
+}) {
+  let socket = null;
+  let closed = false;
+  let nextId = 1;
+  const outbox = [];
+  const requests = new Map();      // requestId -> { message, sent, resolve, reject }
+  const subscriptions = new Map(); // subscriptionId -> { cellIds, onChange }
+  const unconfirmed = [];          // Sent writes whose answer the connection lost
+
+  function transmit(message) {
+    socket.send(JSON.stringify(message));
+    const pending = requests.get(message.requestId);
+    if (pending) pending.sent = true;
+  }
+
+  function send(message) {
+    if (socket?.readyState === 1) {
+      transmit(message);
+    } else {
+      outbox.push(message);
+    }
+  }
+
+  /**
+   * Read back the cells of a write whose answer was lost, and settle it
+   * @param {object} pending - Request entry of the PUT or PUT_ALL
+   */
+  async function confirmWrite(pending) {
+    const { message, resolve, reject } = pending;
+    const writes = message.type === SyncMessageType.PUT
+      ? [{ record: message.record, expectedVersion: message.expectedVersion }]
+      : message.writes;
+
+    let stored;
+    try {
+      stored = await Promise.all(writes.map(({ record }) => (
+        request({ type: SyncMessageType.GET, cellId: record.id }).then(result => result.record)
+      )));
+    } catch (error) {
+      // Lost again: still unknown, so ask after the next reconnect
+      if (closed) reject(error);
+      else unconfirmed.push(pending);
+      return;
+    }
+
+    if (writes.every((write, index) => isStoredWrite(write, stored[index]))) {
+      console.log('[WebSocketAdapter] Write confirmed after reconnect:', { requestId: message.requestId });
+      resolve(message.type === SyncMessageType.PUT ? { record: stored[0] } : { records: stored });
+      return;
+    }
+    const conflict = writes.findIndex((write, index) => (
+      write.expectedVersion !== undefined && getCellVersion(stored[index]) !== write.expectedVersion
+    ));
+    reject(conflict === -1
+      ? new Error('Connection lost')
+      : createVersionConflictError(stored[conflict], writes[conflict].expectedVersion));
+  }
+
+  function handleMessage(message) {
+    switch (message.type) {
+      case SyncMessageType.RESULT:
+        requests.get(message.requestId)?.resolve(message);
+        requests.delete(message.requestId);
+        break;
+      case SyncMessageType.ERROR:
+        requests.get(message.requestId)?.reject(message.code === LandErrorCode.VERSION_CONFLICT
+          ? createVersionConflictError(message.current, message.expectedVersion)
+          : new Error(message.message));
+        requests.delete(message.requestId);
+        break;
+      case SyncMessageType.CHANGED:
+        subscriptions.get(message.subscriptionId)?.onChange(message.records);
+        break;
+      default:
+        console.warn('[WebSocketAdapter] Unknown message type:', message.type);
+    }
+  }
+
+  function connect() {
+    socket = new WebSocketImpl(url);
+
+    socket.onopen = () => {
+      console.log('[WebSocketAdapter] Connected:', url);
+      // Subscriptions first, so queued writes are echoed to them
+      subscriptions.forEach(({ cellIds }, subscriptionId) => {
+        socket.send(JSON.stringify({ type: SyncMessageType.SUBSCRIBE, subscriptionId, cellIds }));
+      });
+      outbox.splice(0).forEach(message => {
+        if (message.type !== SyncMessageType.SUBSCRIBE) transmit(message);
+      });
+      unconfirmed.splice(0).forEach(confirmWrite);
+    };
+    socket.onmessage = (event) => {
+      try {
+        handleMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.error('[WebSocketAdapter] Bad message:', error);
+      }
+    };
+    socket.onclose = () => {
+      // Rejected requests must not be sent after a reconnect: the caller has
+      // already rolled them back
+      const queued = outbox.splice(0);
+      outbox.push(...queued.filter(message => !requests.has(message.requestId)));
+      requests.forEach(pending => {
+        const isWrite = pending.message.type === SyncMessageType.PUT
+          || pending.message.type === SyncMessageType.PUT_ALL;
+        if (isWrite && pending.sent && !closed) {
+          // The server may have stored it; find out after reconnecting
+          unconfirmed.push(pending);
+        } else {
+          pending.reject(new Error('Connection lost'));
+        }
+      });
+      requests.clear();
+      if (!closed) {
+        console.warn('[WebSocketAdapter] Disconnected, reconnecting in', reconnectDelayMs, 'ms');
+        setTimeout(() => !closed && connect(), reconnectDelayMs);
+      }
+    };
+  }
+
+  function request(message) {
+    return new Promise((resolve, reject) => {
+      const requestId = nextId++;
+      const outgoing = { ...message, requestId };
+      requests.set(requestId, { message: outgoing, sent: false, resolve, reject });
+      send(outgoing);
+    });
+  }
+
+  function subscribe(cellIds, onChange) {
+    const subscriptionId = nextId++;
+    const ids = cellIds ? [...cellIds] : null;
+    subscriptions.set(subscriptionId, { cellIds: ids, onChange });
+    send({ type: SyncMessageType.SUBSCRIBE, subscriptionId, cellIds: ids });
+
+    return () => {
+      subscriptions.delete(subscriptionId);
+      send({ type: SyncMessageType.UNSUBSCRIBE, subscriptionId });
+    };
+  }
+
+  connect();
+
+  return {
+    async get(cellId) {
+      const { record } = await request({ type: SyncMessageType.GET, cellId });
+      return record;
+    },
+
+    async put(record, { expectedVersion } = {}) {
+      const result = await request({ type: SyncMessageType.PUT, record, expectedVersion });
+      return result.record;
+    },
+
+    async query(cellIds) {
+      const { records } = await request({ type: SyncMessageType.QUERY, cellIds: [...cellIds] });
+      return records;
+    },
+
+    async queryByOwner(ownerId) {
+      const { records } = await request({ type: SyncMessageType.QUERY_BY_OWNER, ownerId });
+      return records;
+    },
+
+    async putAll(writes) {
+      const { records } = await request({
+        type: SyncMessageType.PUT_ALL,
+        writes: writes.map(({ cell, expectedVersion }) => ({ record: cell, expectedVersion })),
+      });
+      return records;
+    },
+
+    subscribe,
+
+    /**
+     * Watch every cell inside a set of cells at any resolution
+     * The server sends matching stored cells right away, then each change.
+     */
+    subscribeRegion: subscribe,
+
+    /**
+     * Close the connection for good
+     */
+    close() {
+      closed = true;
+      unconfirmed.splice(0).forEach(({ reject }) => reject(new Error('Connection closed')));
+      socket?.close();
+    },
+  };
+}
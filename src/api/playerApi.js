@@ -0,0 +1,414 @@
+/**
+ * Player API - Internal API for player and currency operations
+ *
+ * ARCHITECTURAL NOTE:
+ * This module represents the boundary between the game client and backend services
+ * for everything wallet-related. Like landApi, it is an in-memory stub for now.
+ *
+ * FUTURE FIREBASE INTEGRATION:
+ * When Firebase is added, this module will:
+ * 1. Store players in a Firestore 'players' collection
+ * 2. Apply credits/debits inside Firestore transactions
+ * 3. Store ledger entries in a 'ledger' subcollection
+ *
+ * The rest of the application will NOT change - only this file.
+ *
+ * PERSISTENCE:
+ * Until then, wallets are saved to a Web Storage-shaped store after every
+ * change (window.localStorage on the web), so balances survive a reload.
+ * Other tabs share that store: every change first takes the wallets they
+ * saved, so it applies to the latest balance instead of overwriting it, and
+ * their saves arrive through the 'storage' event (initPlayerApi eventTarget).
+ *
+ * WALLET SERVER:
+ * With an authoritative rules server (initPlayerApi({ server })) the server
+ * owns every wallet. Registering a player then fetches their server wallet, or
+ * registers them on the server, instead of granting a local starting balance;
+ * until it arrives the player has no wallet and cannot spend. A failure is kept
+ * in state.walletError for the UI, and refreshWallet() tries again.
+ */
+
+import {
+  createPlayer,
+  applyCredit,
+  applyDebit,
+  canAfford,
+  isValidAmount,
+  PlayerErrorCode,
+  STARTING_BALANCE,
+} from '../core/domain/player.js';
+import { createMemoryStorage } from './persistence/memoryStorage.js';
+
+/**
+ * Storage key for saved wallets
+ */
+const PLAYERS_KEY = 'land-grab:players';
+
+/**
+ * In-memory state store (stub for Firebase)
+ *
+ * FIREBASE NOTE:
+ * This will become:
+ * - Firestore collection: 'players'
+ * - Subcollection per player: 'ledger'
+ */
+const state = {
+  players: new Map(), // playerId -> player data
+  walletError: null,  // { playerId, error, reason } when the wallet server failed
+};
+
+/**
+ * Subscribers for state changes
+ * Allows React components to re-render when balances update
+ */
+const subscribers = new Set();
+
+/**
+ * Wallet store (Web Storage-shaped)
+ */
+let storage = createMemoryStorage();
+
+/**
+ * Window whose 'storage' events report wallets saved by other tabs, if any
+ */
+let storageEvents = null;
+
+/**
+ * Rules server adapter that owns wallets, or null when wallets are local
+ */
+let walletServer = null;
+
+/**
+ * Server wallet requests in flight, by player ID
+ */
+const walletRequests = new Map();
+
+/**
+ * Subscribe to player state changes
+ * @param {function} callback - Called when any player changes
+ * @returns {function} Unsubscribe function
+ */
+export function subscribe(callback) {
+  subscribers.add(callback);
+  return () => subscribers.delete(callback);
+}
+
+/**
+ * Save every wallet, then notify all subscribers of state change
+ */
+function notifySubscribers() {
+  storage.setItem(PLAYERS_KEY, JSON.stringify([...state.players.values()]));
+  subscribers.forEach(callback => callback(getState()));
+}
+
+/**
+ * Read the saved wallets
+ * An unreadable entry is logged and treated as empty rather than stopping startup.
+ *
+ * @returns {Array<object>} Saved player data objects
+ */
+function readSavedPlayers() {
+  const saved = storage.getItem(PLAYERS_KEY);
+  if (!saved) return [];
+  try {
+    const players = JSON.parse(saved);
+    if (!Array.isArray(players)) throw new Error('Saved wallets are not a list');
+    return players.filter(player => typeof player?.id === 'string');
+  } catch (error) {
+    console.error('[PlayerAPI] Saved wallets are unreadable, ignoring them:', error);
+    return [];
+  }
+}
+
+/**
+ * Take the wallets other tabs saved since this tab last read them
+ * Every change is saved at once, so the store holds the latest copy of each
+ * saved wallet; players only this tab knows are kept.
+ */
+function reloadSavedPlayers() {
+  readSavedPlayers().forEach(player => {
+    state.players.set(player.id, createPlayer(player.id, player));
+  });
+}
+
+/**
+ * Follow a wallet save from another tab
+ * @param {object} event - Window 'storage' event
+ */
+function handleStorageEvent(event) {
+  if (event.storageArea === storage && event.key === PLAYERS_KEY) {
+    reloadSavedPlayers();
+    subscribers.forEach(callback => callback(getState()));
+  }
+}
+
+/**
+ * Get current state snapshot
+ * @returns {object} Current state
+ */
+export function getState() {
+  return {
+    players: new Map(state.players),
+    walletError: state.walletError,
+  };
+}
+
+/**
+ * Initialize the player API with a wallet store
+ * Replaces every player with the wallets saved in the store, so call this
+ * once at startup, before players sign in.
+ *
+ * @param {object} options - { storage: Web Storage-shaped store for wallets,
+ *   eventTarget: window whose 'storage' events report other tabs' saves,
+ *   server: rules server adapter that owns wallets (registerPlayer, hasSession, getPlayer) }
+ * @returns {object} Result with success status and the restored count
+ */
+export function initPlayerApi({
+  storage: nextStorage = createMemoryStorage(),
+  eventTarget = null,
+  server = null,
+} = {}) {
+  storageEvents?.removeEventListener('storage', handleStorageEvent);
+  storage = nextStorage;
+  storageEvents = eventTarget;
+  storageEvents?.addEventListener('storage', handleStorageEvent);
+  walletServer = server;
+  state.walletError = null;
+  const players = readSavedPlayers();
+  state.players = new Map(players.map(player => [player.id, createPlayer(player.id, player)]));
+  notifySubscribers();
+
+  console.log('[PlayerAPI] initPlayerApi:', { restored: players.length });
+  return { success: true, count: players.length };
+}
+
+/**
+ * Register a player, granting the starting balance
+ * Registering an existing player is a no-op that returns the stored player.
+ * With a wallet server nothing is granted locally: the server wallet is
+ * fetched instead (see refreshWallet), and player is null until it arrives.
+ *
+ * @param {string} playerId - Player ID
+ * @param {object} options - Player properties (displayName, startingBalance)
+ * @returns {object} Result with success status
+ */
+export function registerPlayer(playerId, options = {}) {
+  if (walletServer) {
+    refreshWallet(playerId, { displayName: options.displayName });
+    return { success: true, player: getPlayer(playerId) };
+  }
+
+  reloadSavedPlayers();
+  if (state.players.has(playerId)) {
+    return { success: true, player: state.players.get(playerId) };
+  }
+
+  console.log('[PlayerAPI] registerPlayer called:', { playerId });
+
+  let player = createPlayer(playerId, { displayName: options.displayName });
+  const startingBalance = options.startingBalance ?? STARTING_BALANCE;
+  if (startingBalance > 0) {
+    player = applyCredit(player, startingBalance, { reason: 'starting-balance' }).player;
+  }
+
+  state.players.set(playerId, player);
+  notifySubscribers();
+
+  return { success: true, player };
+}
+
+/**
+ * Get a player by ID
+ *
+ * @param {string} playerId - Player ID
+ * @returns {object|null} Player data or null
+ */
+export function getPlayer(playerId) {
+  return state.players.get(playerId) || null;
+}
+
+/**
+ * Replace every player with restored data (e.g. from a snapshot)
+ *
+ * @param {Array<object>} players - Player data objects
+ * @returns {object} Result with success status
+ */
+export function restorePlayers(players) {
+  console.log('[PlayerAPI] restorePlayers called:', { count: players.length });
+
+  state.players = new Map(players.map(player => [player.id, createPlayer(player.id, player)]));
+  notifySubscribers();
+
+  return { success: true, count: players.length };
+}
+
+/**
+ * Replace one player with the authoritative copy from a rules server
+ * Local debits and credits are only predictions once a server owns the wallets.
+ *
+ * @param {object} player - Player data object from the server
+ * @returns {object} Result with success status
+ */
+export function syncPlayer(player) {
+  state.players.set(player.id, createPlayer(player.id, player));
+  notifySubscribers();
+
+  return { success: true, player: state.players.get(player.id) };
+}
+
+/**
+ * Load a player's wallet from the wallet server
+ * A player this client holds no session for is registered on the server first.
+ * Concurrent calls for the same player share one request.
+ *
+ * @param {string} playerId - Player ID
+ * @param {object} options - { displayName } for a first registration
+ * @returns {Promise<object>} Result with success status and the player, or the error code
+ */
+export function refreshWallet(playerId, options = {}) {
+  if (!walletServer) {
+    return Promise.resolve({ success: true, player: getPlayer(playerId) });
+  }
+
+  if (!walletRequests.has(playerId)) {
+    const request = fetchServerWallet(walletServer, playerId, options)
+      .finally(() => walletRequests.delete(playerId));
+    walletRequests.set(playerId, request);
+  }
+  return walletRequests.get(playerId);
+}
+
+/**
+ * Fetch (or register) a server wallet and record the outcome
+ * @param {object} server - Rules server adapter
+ * @param {string} playerId - Player ID
+ * @param {object} options - { displayName }
+ * @returns {Promise<object>} Result with success status
+ */
+async function fetchServerWallet(server, playerId, { displayName } = {}) {
+  try {
+    const { player } = server.hasSession(playerId)
+      ? await server.getPlayer(playerId)
+      : await server.registerPlayer(playerId, { displayName });
+    if (state.walletError?.playerId === playerId) {
+      state.walletError = null;
+    }
+    return syncPlayer(player);
+  } catch (error) {
+    console.error('[PlayerAPI] Wallet server failed:', { playerId, error });
+    state.walletError = {
+      playerId,
+      error: error?.code ?? PlayerErrorCode.WALLET_UNAVAILABLE,
+      reason: error?.message,
+    };
+    notifySubscribers();
+    return { success: false, ...state.walletError };
+  }
+}
+
+/**
+ * Move a player's whole balance to another player
+ * Both ledgers record the move; either both change or neither does.
+ *
+ * @param {string} fromPlayerId - Player giving the balance
+ * @param {string} toPlayerId - Player receiving it
+ * @param {object} options - Ledger reason and metadata
+ * @returns {object} Result with success status and the amount moved
+ */
+export function transferBalance(fromPlayerId, toPlayerId, options = {}) {
+  reloadSavedPlayers();
+  const from = state.players.get(fromPlayerId);
+  const to = state.players.get(toPlayerId);
+  if (!from || !to) {
+    return { success: false, error: PlayerErrorCode.PLAYER_NOT_FOUND, playerId: from ? toPlayerId : fromPlayerId };
+  }
+
+  const amount = from.balance;
+  if (amount <= 0) {
+    return { success: true, amount: 0 };
+  }
+
+  const metadata = { ...options.metadata, fromPlayerId, toPlayerId };
+  state.players.set(fromPlayerId, applyDebit(from, amount, { ...options, metadata }).player);
+  state.players.set(toPlayerId, applyCredit(to, amount, { ...options, metadata }).player);
+
+  console.log('[PlayerAPI] balance transferred:', { fromPlayerId, toPlayerId, amount });
+  notifySubscribers();
+
+  return { success: true, amount };
+}
+
+/**
+ * Validate a wallet operation before it is applied
+ * @param {string} playerId - Player ID
+ * @param {number} amount - Amount to move
+ * @returns {object|null} Failure result, or null if the operation is valid
+ */
+function validateOperation(playerId, amount) {
+  if (!state.players.has(playerId)) {
+    return { success: false, error: PlayerErrorCode.PLAYER_NOT_FOUND, playerId };
+  }
+  if (!isValidAmount(amount)) {
+    return { success: false, error: PlayerErrorCode.INVALID_AMOUNT, playerId, amount };
+  }
+  return null;
+}
+
+/**
+ * Add currency to a player's balance
+ *
+ * FIREBASE NOTE:
+ * Future implementation will run inside a Firestore transaction
+ * so the balance and ledger entry are written atomically.
+ *
+ * @param {string} playerId - Player ID
+ * @param {number} amount - Positive amount to add
+ * @param {object} options - Ledger reason and metadata
+ * @returns {object} Result with success status and ledger entry
+ */
+export function credit(playerId, amount, options = {}) {
+  reloadSavedPlayers();
+  const failure = validateOperation(playerId, amount);
+  if (failure) return failure;
+
+  const { player, entry } = applyCredit(state.players.get(playerId), amount, options);
+  state.players.set(playerId, player);
+
+  console.log('[PlayerAPI] credit applied:', { playerId, amount, balance: player.balance });
+  notifySubscribers();
+
+  return { success: true, player, entry };
+}
+
+/**
+ * Remove currency from a player's balance
+ *
+ * @param {string} playerId - Player ID
+ * @param {number} amount - Positive amount to remove
+ * @param {object} options - Ledger reason and metadata
+ * @returns {object} Result with success status and ledger entry
+ */
+export function debit(playerId, amount, options = {}) {
+  reloadSavedPlayers();
+  const failure = validateOperation(playerId, amount);
+  if (failure) return failure;
+
+  const current = state.players.get(playerId);
+  if (!canAfford(current, amount)) {
+    return {
+      success: false,
+      error: PlayerErrorCode.INSUFFICIENT_FUNDS,
+      playerId,
+      amount,
+      balance: current.balance,
+    };
+  }
+
+  const { player, entry } = applyDebit(current, amount, options);
+  state.players.set(playerId, player);
+
+  console.log('[PlayerAPI] debit applied:', { playerId, amount, balance: player.balance });
+  notifySubscribers();
+
+  return { success: true, player, entry };
+}
@@ -0,0 +1,259 @@
+/**
+ * Replay API - Record sessions as event logs and replay them
+ *
+ * ARCHITECTURAL NOTE:
+ * Recording captures every domain event from the shared bus (core/events)
+ * together with a snapshot of the starting state. Replaying restores that
+ * snapshot and feeds state-changing events back into the land API, so QA can
+ * attach reproducible sessions to bug reports and regression checks can compare
+ * the final snapshot against a golden one.
+ *
+ * DETERMINISM:
+ * During a replay the land API runs on a manual clock set to each event's
+ * recorded timestamp, so purchase/build times and structure timers come out
+ * identical at any playback speed.
+ *
+ * Events that only describe the outcome of another event (failures, cell syncs,
+ * raw CELL_SELECTED input superseded by SELECTION_CHANGED) are skipped.
+ *
+ * ROLLBACKS:
+ * Purchases and structure actions are published before the backend answers.
+ * One the backend rejected is followed by OPERATION_ROLLED_BACK with the same
+ * operationId, and is not replayed: it never changed the stored state.
+ */
+
+import {
+  eventBus,
+  EventTypes,
+  createEventLog,
+  createEventRecorder,
+  parseEventLog,
+  getReplayDelays,
+} from '../core/events/index.js';
+import { createSnapshot } from '../core/domain/snapshot.js';
+import { SelectionMode } from '../core/domain/selection.js';
+import { createManualClock, systemClock } from '../core/rules/income.js';
+import {
+  getState as getLandState,
+  setLandClock,
+  selectCells,
+  setHoveredCell,
+  setFocusedCell,
+  purchaseCell,
+  buildStructure,
+  upgradeStructure,
+  demolishStructure,
+} from './landApi.js';
+import { getState as getPlayerState } from './playerApi.js';
+import { exportSnapshot, importSnapshot } from './snapshotApi.js';
+
+/**
+ * Error codes for recording and replay requests
+ */
+export const ReplayErrorCode = {
+  ALREADY_RECORDING: 'ALREADY_RECORDING',
+  NOT_RECORDING: 'NOT_RECORDING',
+  REPLAY_IN_PROGRESS: 'REPLAY_IN_PROGRESS',
+  NO_REPLAY: 'NO_REPLAY',
+};
+
+/**
+ * Land API call for each replayable event type
+ * Handlers receive the event payload and return the API result (or a promise of it).
+ */
+const ReplayHandlers = {
+  [EventTypes.SELECTION_CHANGED]: ({ cellIds, primaryCellId }) => {
+    // The primary cell is the last one selected
+    const ordered = cellIds.filter(cellId => cellId !== primaryCellId);
+    return selectCells(primaryCellId ? [...ordered, primaryCellId] : ordered, SelectionMode.REPLACE);
+  },
+  [EventTypes.CELL_HOVERED]: ({ cellId }) => setHoveredCell(cellId),
+  [EventTypes.CELL_UNHOVERED]: () => setHoveredCell(null),
+  [EventTypes.CELL_FOCUSED]: ({ cellId }) => setFocusedCell(cellId),
+  [EventTypes.LAND_PURCHASED]: ({ cellId, playerId }) => purchaseCell(cellId, playerId),
+  [EventTypes.STRUCTURE_BUILT]: ({ cellId, playerId, structure }) => (
+    buildStructure(cellId, playerId, structure.type)
+  ),
+  [EventTypes.STRUCTURE_UPGRADED]: ({ cellId, playerId, structure }) => (
+    upgradeStructure(cellId, playerId, structure.id)
+  ),
+  [EventTypes.STRUCTURE_DEMOLISHED]: ({ cellId, playerId, structure }) => (
+    demolishStructure(cellId, playerId, structure.id)
+  ),
+};
+
+/**
+ * Recorder attached to the shared event bus
+ */
+const recorder = createEventRecorder(eventBus);
+
+/**
+ * Snapshot taken when the current recording started
+ */
+let recordingSnapshot = null;
+
+/**
+ * Replay in progress (null when idle)
+ */
+let activeReplay = null;
+
+/**
+ * Start recording domain events
+ *
+ * @param {object} options - { includeSnapshot: embed the starting state (default true) }
+ * @returns {object} Result with success status
+ */
+export function startRecording({ includeSnapshot = true } = {}) {
+  if (recorder.isRecording()) {
+    return { success: false, error: ReplayErrorCode.ALREADY_RECORDING };
+  }
+
+  console.log('[ReplayAPI] startRecording called:', { includeSnapshot });
+
+  recordingSnapshot = includeSnapshot ? JSON.parse(exportSnapshot()) : null;
+  recorder.start();
+
+  return { success: true };
+}
+
+/**
+ * Stop recording and return the session as an event log
+ *
+ * @returns {object} Result with success status and the log as JSON
+ */
+export function stopRecording() {
+  if (!recorder.isRecording()) {
+    return { success: false, error: ReplayErrorCode.NOT_RECORDING };
+  }
+
+  const events = recorder.stop();
+  const log = createEventLog({ events, snapshot: recordingSnapshot });
+  recordingSnapshot = null;
+
+  console.log('[ReplayAPI] stopRecording:', { events: events.length });
+
+  return { success: true, count: events.length, json: JSON.stringify(log, null, 2) };
+}
+
+/**
+ * Check whether a recording is in progress
+ *
+ * @returns {boolean} True while recording
+ */
+export function isRecording() {
+  return recorder.isRecording();
+}
+
+/**
+ * Replay an event log through the land API
+ *
+ * The final snapshot uses the last event's timestamp as its export time, so two
+ * replays of the same log produce identical documents.
+ *
+ * @param {string|object} json - Event log as JSON text or a parsed document
+ * @param {object} options - { speed: playback rate (1 = original, Infinity = no waits), restoreSnapshot }
+ * @returns {Promise<object>} Result with dispatched/skipped counts, divergences and the final snapshot
+ */
+export async function replayEventLog(json, { speed = 1, restoreSnapshot = true } = {}) {
+  if (activeReplay) {
+    return { success: false, error: ReplayErrorCode.REPLAY_IN_PROGRESS };
+  }
+
+  const parsed = parseEventLog(json);
+  if (!parsed.success) {
+    console.warn('[ReplayAPI] replayEventLog rejected:', parsed.error, parsed.errors);
+    return parsed;
+  }
+
+  const { log } = parsed;
+  if (restoreSnapshot && log.snapshot) {
+    const restored = await importSnapshot(log.snapshot);
+    if (!restored.success) {
+      return restored;
+    }
+  }
+
+  console.log('[ReplayAPI] replayEventLog started:', { events: log.events.length, speed });
+
+  const replay = { cancelled: false, timer: null, resume: null };
+  activeReplay = replay;
+  const clock = createManualClock(log.events[0]?.timestamp ?? log.recordedAt);
+  setLandClock(clock);
+
+  const rolledBack = new Set(log.events
+    .filter(event => event.type === EventTypes.OPERATION_ROLLED_BACK)
+    .map(event => event.payload.operationId));
+  const delays = getReplayDelays(log.events, speed);
+  const divergences = [];
+  let dispatched = 0;
+  let skipped = 0;
+
+  try {
+    for (let index = 0; index < log.events.length; index++) {
+      if (delays[index] > 0) {
+        await new Promise(resolve => {
+          replay.resume = resolve;
+          replay.timer = setTimeout(resolve, delays[index]);
+        });
+      }
+      if (replay.cancelled) break;
+
+      const event = log.events[index];
+      const handler = ReplayHandlers[event.type];
+      if (!handler || rolledBack.has(event.payload.operationId)) {
+        skipped++;
+        continue;
+      }
+
+      clock.set(event.timestamp);
+      const result = await handler(event.payload);
+      dispatched++;
+      if (!result.success) {
+        divergences.push({ index, type: event.type, error: result.error });
+      }
+    }
+  } finally {
+    setLandClock(systemClock);
+    activeReplay = null;
+  }
+
+  const snapshot = createSnapshot({
+    cells: getLandState().cells.values(),
+    players: getPlayerState().players.values(),
+    exportedAt: clock.now(),
+  });
+
+  console.log('[ReplayAPI] replayEventLog finished:', {
+    dispatched,
+    skipped,
+    divergences: divergences.length,
+    cancelled: replay.cancelled,
+  });
+
+  return {
+    success: !replay.cancelled,
+    cancelled: replay.cancelled,
+    dispatched,
+    skipped,
+    divergences,
+    snapshot,
+  };
+}
+
+/**
+ * Stop the replay in progress
+ * Events already applied stay applied.
+ *
+ * @returns {object} Result with success status
+ */
+export function cancelReplay() {
+  if (!activeReplay) {
+    return { success: false, error: ReplayErrorCode.NO_REPLAY };
+  }
+
+  activeReplay.cancelled = true;
+  clearTimeout(activeReplay.timer);
+  activeReplay.resume?.();
+
+  return { success: true };
+}
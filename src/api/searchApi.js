@@ -0,0 +1,213 @@
+/**
+ * Search API - Internal API for finding places on the globe
+ *
+ * ARCHITECTURAL NOTE:
+ * Turns what a player types into land cells. Coordinates and raw H3 indexes
+ * are parsed locally (core/navigation/locationQuery.js); anything else is a
+ * place name, resolved through a geocoder (see api/geocoding). The default
+ * geocoder is the offline gazetteer of major cities, so search works without
+ * a network service.
+ *
+ * RESULTS:
+ * Every result names the resolution-12 land cell under its point (a raw H3
+ * index is used as typed). Selecting the cell and flying there is left to the
+ * interactions layer (interactions/searchEvents.js).
+ *
+ * Only the latest search reports: when a slow geocoder answers after the
+ * player has searched again, its results are dropped.
+ */
+
+import { DEFAULT_RESOLUTION, getH3Index, getCellCenter } from '../core/h3/index.js';
+import { parseLocationQuery, LocationQueryType } from '../core/navigation/index.js';
+import { createGazetteerGeocoder } from './geocoding/gazetteerGeocoder.js';
+
+/**
+ * Error codes for failed searches
+ */
+export const SearchErrorCode = {
+  EMPTY_QUERY: 'EMPTY_QUERY',
+  NO_MATCH: 'NO_MATCH',
+  GEOCODER_FAILED: 'GEOCODER_FAILED',
+  SUPERSEDED: 'SUPERSEDED', // A newer search started before this one finished
+};
+
+/**
+ * Search status values
+ */
+export const SearchStatus = {
+  IDLE: 'idle',
+  SEARCHING: 'searching',
+  DONE: 'done',
+};
+
+/**
+ * Most place matches returned for one query
+ */
+const MAX_PLACE_RESULTS = 5;
+
+/**
+ * Latest search
+ */
+const state = {
+  status: SearchStatus.IDLE,
+  query: '',
+  results: [], // { label, lat, lng, cellId, source: LocationQueryType }
+  error: null, // SearchErrorCode of the latest search
+};
+
+/**
+ * Place-name lookup (see the interface in api/geocoding/gazetteerGeocoder.js)
+ */
+let geocoder = createGazetteerGeocoder();
+
+/**
+ * Sequence for searches, so only the latest one reports
+ */
+let searchSeq = 0;
+
+/**
+ * Subscribers for state changes
+ */
+const subscribers = new Set();
+
+/**
+ * Subscribe to search state changes
+ * @param {function} callback - Called when state changes
+ * @returns {function} Unsubscribe function
+ */
+export function subscribe(callback) {
+  subscribers.add(callback);
+  return () => subscribers.delete(callback);
+}
+
+/**
+ * Notify all subscribers of state change
+ */
+function notifySubscribers() {
+  subscribers.forEach(callback => callback(getState()));
+}
+
+/**
+ * Get current state snapshot
+ * @returns {object} Current state
+ */
+export function getState() {
+  return {
+    status: state.status,
+    query: state.query,
+    results: [...state.results],
+    error: state.error,
+  };
+}
+
+/**
+ * Initialize the search API with a geocoder
+ * Forgets the latest search, so call this once at startup (or between tests).
+ *
+ * @param {object} options - { geocoder: place-name lookup }
+ * @returns {object} Result with success status
+ */
+export function initSearch({ geocoder: nextGeocoder = createGazetteerGeocoder() } = {}) {
+  geocoder = nextGeocoder;
+  searchSeq += 1;
+  setSearchState({ status: SearchStatus.IDLE, query: '', results: [], error: null });
+  return { success: true };
+}
+
+/**
+ * Replace the search state and tell everyone
+ * @param {object} next - Fields to change
+ */
+function setSearchState(next) {
+  Object.assign(state, next);
+  notifySubscribers();
+}
+
+/**
+ * Create a search result for a point
+ * @param {string} label - Text shown for the result
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lng - Longitude in degrees
+ * @param {string} source - LocationQueryType the result came from
+ * @returns {object} Search result
+ */
+function createSearchResult(label, lat, lng, source) {
+  return { label, lat, lng, cellId: getH3Index(lat, lng, DEFAULT_RESOLUTION), source };
+}
+
+/**
+ * Resolve a parsed query to search results
+ * @param {object} parsed - Query from parseLocationQuery
+ * @returns {Promise<Array<object>>} Search results, best first
+ */
+async function resolveQuery(parsed) {
+  switch (parsed.type) {
+    case LocationQueryType.CELL: {
+      // Indexes from other tools may use another resolution; land is sold at DEFAULT_RESOLUTION
+      const [lat, lng] = getCellCenter(parsed.cellId);
+      return [createSearchResult(`Cell ${parsed.cellId}`, lat, lng, parsed.type)];
+    }
+
+    case LocationQueryType.COORDINATES:
+      return [createSearchResult(`${parsed.lat.toFixed(5)}, ${parsed.lng.toFixed(5)}`, parsed.lat, parsed.lng, parsed.type)];
+
+    default: {
+      const places = await geocoder.search(parsed.name, { limit: MAX_PLACE_RESULTS });
+      return places.map(place => createSearchResult(place.label, place.lat, place.lng, parsed.type));
+    }
+  }
+}
+
+/**
+ * Find the land a query names
+ * Accepts decimal or degrees/minutes/seconds coordinates, a raw H3 index, or
+ * a place name for the geocoder. Every result names the land cell (at
+ * DEFAULT_RESOLUTION) at that point; an H3 index at another resolution gives
+ * the land cell at its centre.
+ *
+ * @param {string} query - Text the player typed
+ * @returns {Promise<object>} Result with success status and results (best first)
+ */
+export async function searchLocation(query) {
+  console.log('[SearchAPI] searchLocation called:', query);
+
+  const parsed = parseLocationQuery(query);
+  if (!parsed) {
+    return { success: false, error: SearchErrorCode.EMPTY_QUERY };
+  }
+
+  searchSeq += 1;
+  const seq = searchSeq;
+  setSearchState({ status: SearchStatus.SEARCHING, query: String(query).trim(), results: [], error: null });
+
+  let results;
+  try {
+    results = await resolveQuery(parsed);
+  } catch (error) {
+    console.error('[SearchAPI] Geocoder failed:', error);
+    if (seq !== searchSeq) {
+      return { success: false, error: SearchErrorCode.SUPERSEDED };
+    }
+    setSearchState({ status: SearchStatus.DONE, error: SearchErrorCode.GEOCODER_FAILED });
+    return { success: false, error: SearchErrorCode.GEOCODER_FAILED };
+  }
+
+  if (seq !== searchSeq) {
+    return { success: false, error: SearchErrorCode.SUPERSEDED };
+  }
+
+  const error = results.length === 0 ? SearchErrorCode.NO_MATCH : null;
+  setSearchState({ status: SearchStatus.DONE, results, error });
+  console.log('[SearchAPI] Found', results.length, 'results for', parsed.type);
+
+  return error ? { success: false, error } : { success: true, results };
+}
+
+/**
+ * Forget the latest search
+ * Any search still running will not report.
+ */
+export function clearSearch() {
+  searchSeq += 1;
+  setSearchState({ status: SearchStatus.IDLE, query: '', results: [], error: null });
+}
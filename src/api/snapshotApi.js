@@ -0,0 +1,63 @@
+/**
+ * Snapshot API - Save/load the whole game state
+ * 
+ * ARCHITECTURAL NOTE:
+ * Builds versioned snapshot documents (see core/domain/snapshot.js) from the
+ * land and player APIs, and restores them. Used for manual backups,
+ * bug-report attachments and deterministic test fixtures.
+ */
+
+import { createSnapshot, parseSnapshot } from '../core/domain/snapshot.js';
+import { getState as getLandState, restoreCells } from './landApi.js';
+import { getState as getPlayerState, restorePlayers } from './playerApi.js';
+
+/**
+ * Export the current game state as a snapshot
+ * 
+ * @returns {string} Snapshot document as JSON
+ */
+export function exportSnapshot() {
+  const snapshot = createSnapshot({
+    cells: getLandState().cells.values(),
+    players: getPlayerState().players.values(),
+  });
+  
+  console.log('[SnapshotAPI] exportSnapshot:', {
+    cells: snapshot.cells.length,
+    players: snapshot.players.length,
+  });
+  
+  return JSON.stringify(snapshot, null, 2);
+}
+
+/**
+ * Replace the current game state with a snapshot
+ * Older snapshot versions are migrated; invalid documents leave state untouched.
+ * 
+ * @param {string|object} json - Snapshot as JSON text or a parsed document
+ * @returns {Promise<object>} Result with success status, or an error code from SnapshotErrorCode
+ */
+export async function importSnapshot(json) {
+  const parsed = parseSnapshot(json);
+  if (!parsed.success) {
+    console.warn('[SnapshotAPI] importSnapshot rejected:', parsed.error, parsed.errors);
+    return parsed;
+  }
+  
+  const { snapshot } = parsed;
+  restorePlayers(snapshot.players);
+  await restoreCells(snapshot.cells);
+  
+  console.log('[SnapshotAPI] importSnapshot applied:', {
+    version: snapshot.version,
+    cells: snapshot.cells.length,
+    players: snapshot.players.length,
+  });
+  
+  return {
+    success: true,
+    version: snapshot.version,
+    cells: snapshot.cells.length,
+    players: snapshot.players.length,
+  };
+}
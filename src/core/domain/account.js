@@ -0,0 +1,97 @@
+/**
+ * Account Domain Model - Who is playing and how they signed in
+ *
+ * ARCHITECTURAL NOTE:
+ * This is a pure domain model with no dependencies on React or browser APIs.
+ * An account is the identity behind a player: its uid is the player ID used
+ * for ownership and wallets. Auth providers (api/auth) produce accounts; the
+ * rules for valid credentials live here so every provider applies them.
+ *
+ * ANONYMOUS ACCOUNTS:
+ * New visitors play under an anonymous account. Upgrading it creates a
+ * permanent account and moves the anonymous player's land and balance over.
+ */
+
+/**
+ * Shortest password accepted for email accounts
+ */
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Sign-in methods
+ */
+export const AuthProviderId = {
+  ANONYMOUS: 'anonymous',
+  PASSWORD: 'password',
+};
+
+/**
+ * Error codes for rejected auth operations
+ */
+export const AuthErrorCode = {
+  INVALID_EMAIL: 'INVALID_EMAIL',
+  WEAK_PASSWORD: 'WEAK_PASSWORD',
+  EMAIL_IN_USE: 'EMAIL_IN_USE',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  NOT_SIGNED_IN: 'NOT_SIGNED_IN',
+  NOT_ANONYMOUS: 'NOT_ANONYMOUS',
+  AUTH_IN_PROGRESS: 'AUTH_IN_PROGRESS',
+  PROVIDER_FAILED: 'PROVIDER_FAILED',
+};
+
+/**
+ * Create an account data object
+ * @param {string} uid - Account ID (also the player ID)
+ * @param {object} options - { provider, email, displayName }
+ * @returns {object} Account data object
+ */
+export function createAccount(uid, options = {}) {
+  const provider = options.provider || AuthProviderId.ANONYMOUS;
+  return {
+    uid,
+    provider,
+    isAnonymous: provider === AuthProviderId.ANONYMOUS,
+    email: options.email || null,
+    displayName: options.displayName || null,
+  };
+}
+
+/**
+ * Normalise an email address for comparison and storage
+ * @param {string} email - Email address as typed
+ * @returns {string} Trimmed, lower-case address
+ */
+export function normalizeEmail(email) {
+  return String(email ?? '').trim().toLowerCase();
+}
+
+/**
+ * Check email/password credentials before they reach a backend
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {string|null} Error code from AuthErrorCode, or null if acceptable
+ */
+export function getCredentialsError(email, password) {
+  // Deliberately loose: one @ with something on both sides and a dotted domain
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(email))) {
+    return AuthErrorCode.INVALID_EMAIL;
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return AuthErrorCode.WEAK_PASSWORD;
+  }
+  return null;
+}
+
+/**
+ * Create an error carrying an auth error code
+ * Providers reject with these so callers can map them onto results.
+ *
+ * @param {string} code - Error code from AuthErrorCode
+ * @param {string} message - Human-readable description
+ * @returns {Error} Error with a `code` field
+ */
+export function createAuthError(code, message = code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
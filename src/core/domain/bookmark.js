@@ -0,0 +1,61 @@
+/**
+ * Bookmark Domain Model - Named camera views a player can return to
+ *
+ * ARCHITECTURAL NOTE:
+ * This is a pure domain model with no dependencies on React or browser APIs.
+ * A bookmark records where the camera was (the point below it and its
+ * altitude) under a name chosen by the player. Each player has their own set;
+ * the camera API stores them.
+ */
+
+/**
+ * Longest bookmark name accepted
+ */
+export const MAX_BOOKMARK_NAME_LENGTH = 40;
+
+/**
+ * Error codes for rejected bookmark operations
+ */
+export const BookmarkErrorCode = {
+  INVALID_BOOKMARK_NAME: 'INVALID_BOOKMARK_NAME',
+  BOOKMARK_NOT_FOUND: 'BOOKMARK_NOT_FOUND',
+};
+
+/**
+ * Normalise a bookmark name for comparison and storage
+ * @param {string} name - Name as typed
+ * @returns {string} Trimmed name with inner whitespace collapsed
+ */
+export function normalizeBookmarkName(name) {
+  return String(name ?? '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Check a bookmark name
+ * @param {string} name - Name as typed
+ * @returns {string|null} Error code from BookmarkErrorCode, or null if acceptable
+ */
+export function getBookmarkNameError(name) {
+  const normalized = normalizeBookmarkName(name);
+  if (normalized.length === 0 || normalized.length > MAX_BOOKMARK_NAME_LENGTH) {
+    return BookmarkErrorCode.INVALID_BOOKMARK_NAME;
+  }
+  return null;
+}
+
+/**
+ * Create a bookmark data object
+ * @param {string} name - Bookmark name (normalised here)
+ * @param {object} view - { lat, lng, altitude } camera view
+ * @param {number} createdAt - Timestamp in milliseconds
+ * @returns {object} Bookmark data object
+ */
+export function createBookmark(name, { lat, lng, altitude }, createdAt = Date.now()) {
+  return {
+    name: normalizeBookmarkName(name),
+    lat,
+    lng,
+    altitude,
+    createdAt,
+  };
+}
@@ -18,6 +18,23 @@ export const CellState = {
   FOREIGN: 'foreign',    // Future: owned by another player
 };
 
+/**
+ * Error codes for rejected land operations
+ */
+export const LandErrorCode = {
+  INVALID_CELL: 'INVALID_CELL',
+  INVALID_RESOLUTION: 'INVALID_RESOLUTION',
+  CELL_ALREADY_OWNED: 'CELL_ALREADY_OWNED',
+  NOT_CELL_OWNER: 'NOT_CELL_OWNER',
+  PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  OPERATION_PENDING: 'OPERATION_PENDING',
+  PERSISTENCE_FAILED: 'PERSISTENCE_FAILED',
+  SERVER_AUTHORITATIVE: 'SERVER_AUTHORITATIVE',
+  TRANSFER_UNSUPPORTED: 'TRANSFER_UNSUPPORTED', // The backend cannot move a player's cells in one transaction
+  VERSION_CONFLICT: 'VERSION_CONFLICT',
+};
+
 /**
  * Create a cell data object
  * @param {string} id - H3 cell index
@@ -28,9 +45,11 @@ export function createCell(id, options = {}) {
   return {
     id,
     state: options.state || CellState.DEFAULT,
-    ownerId: options.ownerId || null,      // Future: player ID
-    structures: options.structures || [],   // Future: building array
+    ownerId: options.ownerId || null,      // Owning player ID
+    purchasedAt: options.purchasedAt || null,
+    structures: options.structures || [],   // Structures placed on this cell
     createdAt: options.createdAt || Date.now(),
+    version: options.version || 0,          // Stored revision; 0 until first written
   };
 }
 
@@ -53,3 +72,91 @@ export function isCellSelectable(_cell) {
 export function isCellOwned(cell) {
   return cell.ownerId !== null;
 }
+
+/**
+ * Get the state a cell returns to when it is no longer hovered or selected
+ * @param {object} cell - Cell data object
+ * @returns {string} CellState value
+ */
+export function getRestingState(cell) {
+  return isCellOwned(cell) ? CellState.OWNED : CellState.DEFAULT;
+}
+
+/**
+ * Strip view-only fields from a cell for storage
+ * Hover/selection state is local to a client and is never persisted.
+ * 
+ * @param {object} cell - Cell data object
+ * @returns {object} Persisted cell record
+ */
+export function toPersistedCell(cell) {
+  return {
+    id: cell.id,
+    ownerId: cell.ownerId,
+    purchasedAt: cell.purchasedAt,
+    structures: cell.structures,
+    createdAt: cell.createdAt,
+    version: cell.version ?? 0,
+  };
+}
+
+/**
+ * Merge a persisted cell record into a local cell
+ * Stored fields win; local view state is kept unless it was only the resting state.
+ * 
+ * @param {object} record - Persisted cell record
+ * @param {object|null} localCell - Current local cell, if any
+ * @returns {object} Cell data object
+ */
+export function mergePersistedCell(record, localCell = null) {
+  const merged = createCell(record.id, { ...localCell, ...record });
+  const localState = localCell?.state;
+  merged.state = localState === CellState.HOVERED || localState === CellState.SELECTED
+    ? localState
+    : getRestingState(merged);
+  return merged;
+}
+
+/**
+ * Get the stored revision of a cell record
+ * @param {object|null} record - Persisted cell record, or null if none is stored
+ * @returns {number} Version (0 for cells never written)
+ */
+export function getCellVersion(record) {
+  return record?.version ?? 0;
+}
+
+/**
+ * Create the error adapters reject a compare-and-set write with
+ * @param {object|null} current - Record currently stored
+ * @param {number} expectedVersion - Version the writer based its change on
+ * @returns {Error} Error with code VERSION_CONFLICT, the stored record and both versions
+ */
+export function createVersionConflictError(current, expectedVersion) {
+  const actualVersion = getCellVersion(current);
+  const error = new Error(`Cell changed: expected version ${expectedVersion}, found ${actualVersion}`);
+  error.code = LandErrorCode.VERSION_CONFLICT;
+  error.current = current;
+  error.expectedVersion = expectedVersion;
+  error.actualVersion = actualVersion;
+  return error;
+}
+
+/**
+ * Prepare a cell write with compare-and-set semantics
+ * Adapters call this with the stored record right before storing. Writes with
+ * an expected version succeed only if nobody wrote the cell since that version;
+ * writes without one always succeed. Either way the version is bumped.
+ * 
+ * @param {object|null} stored - Record currently stored
+ * @param {object} record - Record being written
+ * @param {number} [expectedVersion] - Version the writer read
+ * @returns {object} Record to store
+ * @throws {Error} Version conflict error (see createVersionConflictError)
+ */
+export function prepareCellWrite(stored, record, expectedVersion) {
+  if (expectedVersion !== undefined && getCellVersion(stored) !== expectedVersion) {
+    throw createVersionConflictError(stored, expectedVersion);
+  }
+  return { ...record, version: getCellVersion(stored) + 1 };
+}
@@ -7,3 +7,9 @@
  */
 
 export * from './cell.js';
+export * from './player.js';
+export * from './structure.js';
+export * from './snapshot.js';
+export * from './selection.js';
+export * from './account.js';
+export * from './bookmark.js';
@@ -0,0 +1,161 @@
+/**
+ * Player Domain Model - Represents a player and their currency wallet
+ *
+ * ARCHITECTURAL NOTE:
+ * This is a pure domain model with no dependencies on React or browser APIs.
+ * Players are treated as immutable values: every balance change produces a
+ * new player object with an additional ledger entry, never an in-place edit.
+ *
+ * LEDGER:
+ * The ledger is an append-only list of frozen transaction entries.
+ * Replaying the ledger from an empty wallet always reproduces the balance,
+ * which lets us audit exactly how a player reached any given amount.
+ */
+
+/**
+ * Currency granted to a newly registered player
+ */
+export const STARTING_BALANCE = 1000;
+
+/**
+ * Ledger transaction types
+ */
+export const TransactionType = {
+  CREDIT: 'credit',
+  DEBIT: 'debit',
+};
+
+/**
+ * Error codes for rejected wallet operations
+ */
+export const PlayerErrorCode = {
+  PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
+  INVALID_AMOUNT: 'INVALID_AMOUNT',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  WALLET_UNAVAILABLE: 'WALLET_UNAVAILABLE', // The wallet server could not be reached
+};
+
+/**
+ * Create a player data object
+ * @param {string} id - Player ID
+ * @param {object} options - Additional player properties
+ * @returns {object} Player data object
+ */
+export function createPlayer(id, options = {}) {
+  return {
+    id,
+    displayName: options.displayName || `Player ${id}`,
+    balance: options.balance || 0,
+    ledger: Object.freeze([...(options.ledger || [])]),
+    createdAt: options.createdAt || Date.now(),
+  };
+}
+
+/**
+ * Create an immutable ledger entry
+ * @param {object} player - Player the entry belongs to (before the change)
+ * @param {string} type - Transaction type from TransactionType
+ * @param {number} amount - Positive amount moved
+ * @param {number} balanceAfter - Player balance once the entry is applied
+ * @param {object} options - Optional reason and metadata
+ * @returns {object} Frozen ledger entry
+ */
+export function createLedgerEntry(player, type, amount, balanceAfter, options = {}) {
+  return Object.freeze({
+    id: `${player.id}:${player.ledger.length + 1}`,
+    type,
+    amount,
+    balanceBefore: player.balance,
+    balanceAfter,
+    reason: options.reason || null,
+    metadata: Object.freeze({ ...(options.metadata || {}) }),
+    timestamp: options.timestamp || Date.now(),
+  });
+}
+
+/**
+ * Check if an amount can be moved through a wallet
+ * @param {number} amount - Amount to validate
+ * @returns {boolean} True for finite, positive numbers
+ */
+export function isValidAmount(amount) {
+  return typeof amount === 'number' && Number.isFinite(amount) && amount > 0;
+}
+
+/**
+ * Check if a player can pay an amount
+ * @param {object} player - Player data object
+ * @param {number} amount - Amount to pay
+ * @returns {boolean} True if the balance covers the amount
+ */
+export function canAfford(player, amount) {
+  return player.balance >= amount;
+}
+
+/**
+ * Return a copy of the player with an entry appended to the ledger
+ * @param {object} player - Player data object
+ * @param {object} entry - Ledger entry from createLedgerEntry
+ * @returns {object} Updated player
+ */
+function appendEntry(player, entry) {
+  return {
+    ...player,
+    balance: entry.balanceAfter,
+    ledger: Object.freeze([...player.ledger, entry]),
+  };
+}
+
+/**
+ * Add currency to a player's balance
+ * @param {object} player - Player data object
+ * @param {number} amount - Positive amount to add
+ * @param {object} options - Optional reason and metadata for the ledger
+ * @returns {{player: object, entry: object}} Updated player and the new entry
+ */
+export function applyCredit(player, amount, options = {}) {
+  const entry = createLedgerEntry(
+    player,
+    TransactionType.CREDIT,
+    amount,
+    player.balance + amount,
+    options
+  );
+  return { player: appendEntry(player, entry), entry };
+}
+
+/**
+ * Remove currency from a player's balance
+ * Callers are expected to check canAfford first.
+ *
+ * @param {object} player - Player data object
+ * @param {number} amount - Positive amount to remove
+ * @param {object} options - Optional reason and metadata for the ledger
+ * @returns {{player: object, entry: object}} Updated player and the new entry
+ */
+export function applyDebit(player, amount, options = {}) {
+  const entry = createLedgerEntry(
+    player,
+    TransactionType.DEBIT,
+    amount,
+    player.balance - amount,
+    options
+  );
+  return { player: appendEntry(player, entry), entry };
+}
+
+/**
+ * Recompute a balance from ledger entries
+ * Used to audit that a player's balance matches their history.
+ *
+ * @param {Array<object>} ledger - Ledger entries in order
+ * @returns {number} Balance implied by the ledger
+ */
+export function getLedgerBalance(ledger) {
+  return ledger.reduce(
+    (balance, entry) => (
+      entry.type === TransactionType.CREDIT ? balance + entry.amount : balance - entry.amount
+    ),
+    0
+  );
+}
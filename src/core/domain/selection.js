@@ -0,0 +1,68 @@
+/**
+ * Selection Domain Model - Multi-cell selection rules
+ * 
+ * ARCHITECTURAL NOTE:
+ * This is a pure domain model with no dependencies on React or browser APIs.
+ * Platform input maps its own modifiers (shift/ctrl on web, gestures on native)
+ * onto a SelectionMode, and the API layer applies it with applySelection.
+ */
+
+/**
+ * How a set of cells combines with the current selection
+ */
+export const SelectionMode = {
+  REPLACE: 'replace', // Select only these cells
+  ADD: 'add',         // Add these cells to the selection
+  TOGGLE: 'toggle',   // Flip each cell in or out of the selection
+  REMOVE: 'remove',   // Remove these cells from the selection
+};
+
+/**
+ * Largest number of cells a single selection may hold
+ * Keeps lasso/ring selections at resolution 12 from exploding in size.
+ */
+export const MAX_SELECTION_SIZE = 5000;
+
+/**
+ * Error codes for rejected selections
+ */
+export const SelectionErrorCode = {
+  SELECTION_TOO_LARGE: 'SELECTION_TOO_LARGE',
+  INVALID_SELECTION_MODE: 'INVALID_SELECTION_MODE',
+};
+
+/**
+ * Check if a value is a known selection mode
+ * @param {string} mode - Candidate mode
+ * @returns {boolean} True if the mode is valid
+ */
+export function isSelectionMode(mode) {
+  return Object.values(SelectionMode).includes(mode);
+}
+
+/**
+ * Combine cells with an existing selection
+ * @param {Set<string>} current - Currently selected cell IDs
+ * @param {Array<string>} cellIds - Cells the action applies to
+ * @param {string} mode - Mode from SelectionMode
+ * @returns {Set<string>} New selection (current is not modified)
+ */
+export function applySelection(current, cellIds, mode = SelectionMode.REPLACE) {
+  switch (mode) {
+    case SelectionMode.ADD:
+      return new Set([...current, ...cellIds]);
+    case SelectionMode.REMOVE: {
+      const next = new Set(current);
+      cellIds.forEach(id => next.delete(id));
+      return next;
+    }
+    case SelectionMode.TOGGLE: {
+      const next = new Set(current);
+      cellIds.forEach(id => (next.has(id) ? next.delete(id) : next.add(id)));
+      return next;
+    }
+    case SelectionMode.REPLACE:
+    default:
+      return new Set(cellIds);
+  }
+}
@@ -0,0 +1,249 @@
+/**
+ * Snapshot Domain Model - Versioned save-game document
+ *
+ * ARCHITECTURAL NOTE:
+ * This is a pure domain model with no dependencies on React or browser APIs.
+ * A snapshot captures everything needed to rebuild a game: owned cells with their
+ * structures, and every player with their balance and ledger. It is used for manual
+ * backups, bug-report attachments and deterministic test fixtures.
+ *
+ * VERSIONING:
+ * Every document carries `version`. When the format changes:
+ * 1. Bump SNAPSHOT_VERSION
+ * 2. Add SnapshotMigrations[oldVersion] = (doc) => docAtOldVersionPlusOne
+ * Older documents are migrated step by step before validation.
+ *
+ * HISTORY:
+ * 1. Initial format; cells saved before compare-and-set writes have no `version`
+ * 2. Every cell carries its stored `version` (0 if it was never written)
+ */
+
+import { isCellOwned, toPersistedCell } from './cell.js';
+import { getStructureDefinition } from './structure.js';
+import { TransactionType, getLedgerBalance } from './player.js';
+import { isValidCellId } from '../h3/index.js';
+
+/**
+ * Format marker so unrelated JSON is rejected early
+ */
+export const SNAPSHOT_FORMAT = 'land-grab-snapshot';
+
+/**
+ * Current snapshot format version
+ */
+export const SNAPSHOT_VERSION = 2;
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * Each function receives a document at version N and returns one at version N + 1.
+ */
+export const SnapshotMigrations = {
+  1: doc => ({
+    ...doc,
+    cells: Array.isArray(doc.cells)
+      ? doc.cells.map(cell => (cell && typeof cell === 'object' ? { ...cell, version: cell.version ?? 0 } : cell))
+      : doc.cells,
+  }),
+};
+
+/**
+ * Error codes for rejected snapshots
+ */
+export const SnapshotErrorCode = {
+  INVALID_JSON: 'INVALID_JSON',
+  UNSUPPORTED_FORMAT: 'UNSUPPORTED_FORMAT',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  INVALID_SNAPSHOT: 'INVALID_SNAPSHOT',
+};
+
+/**
+ * Create a snapshot document
+ * Only cells carrying persistent data (an owner or structures) are included.
+ *
+ * @param {object} params - { cells, players, exportedAt }
+ * @returns {object} Snapshot document at SNAPSHOT_VERSION
+ */
+export function createSnapshot({ cells, players, exportedAt = Date.now() }) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    exportedAt,
+    cells: [...cells]
+      .filter(cell => isCellOwned(cell) || cell.structures.length > 0)
+      .map(toPersistedCell),
+    players: [...players].map(player => ({
+      id: player.id,
+      displayName: player.displayName,
+      balance: player.balance,
+      ledger: player.ledger,
+      createdAt: player.createdAt,
+    })),
+  };
+}
+
+/**
+ * Upgrade a snapshot document to SNAPSHOT_VERSION
+ * @param {object} doc - Snapshot document at any supported version
+ * @returns {object} Result with success status and the migrated document
+ */
+export function migrateSnapshot(doc) {
+  if (!doc || typeof doc !== 'object' || doc.format !== SNAPSHOT_FORMAT) {
+    return { success: false, error: SnapshotErrorCode.UNSUPPORTED_FORMAT };
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > SNAPSHOT_VERSION) {
+    return { success: false, error: SnapshotErrorCode.UNSUPPORTED_VERSION, version: doc.version };
+  }
+
+  let migrated = doc;
+  for (let version = doc.version; version < SNAPSHOT_VERSION; version++) {
+    const migrate = SnapshotMigrations[version];
+    if (!migrate) {
+      return { success: false, error: SnapshotErrorCode.UNSUPPORTED_VERSION, version };
+    }
+    migrated = { ...migrate(migrated), version: version + 1 };
+  }
+
+  return { success: true, snapshot: migrated };
+}
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isString = value => typeof value === 'string' && value.length > 0;
+
+/**
+ * Validate a structure entry
+ * @param {object} structure - Structure data
+ * @param {string} path - Location for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateStructure(structure, path, errors) {
+  const definition = getStructureDefinition(structure?.type);
+  if (!definition) {
+    errors.push(`${path}.type: unknown structure type`);
+    return;
+  }
+  if (!isString(structure.id)) errors.push(`${path}.id: expected string`);
+  if (!Number.isInteger(structure.level) || structure.level < 1 || structure.level > definition.maxLevel) {
+    errors.push(`${path}.level: expected integer 1-${definition.maxLevel}`);
+  }
+  if (!isNumber(structure.builtAt)) errors.push(`${path}.builtAt: expected number`);
+  if (!isNumber(structure.completesAt)) errors.push(`${path}.completesAt: expected number`);
+  if (!isNumber(structure.invested) || structure.invested < 0) {
+    errors.push(`${path}.invested: expected non-negative number`);
+  }
+}
+
+/**
+ * Validate a cell entry
+ * @param {object} cell - Persisted cell
+ * @param {string} path - Location for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateCell(cell, path, errors) {
+  if (!isValidCellId(cell?.id)) {
+    errors.push(`${path}.id: expected H3 cell index`);
+    return;
+  }
+  if (cell.ownerId !== null && !isString(cell.ownerId)) errors.push(`${path}.ownerId: expected string or null`);
+  if (cell.purchasedAt !== null && !isNumber(cell.purchasedAt)) {
+    errors.push(`${path}.purchasedAt: expected number or null`);
+  }
+  if (!isNumber(cell.createdAt)) errors.push(`${path}.createdAt: expected number`);
+  if (!Number.isInteger(cell.version) || cell.version < 0) {
+    errors.push(`${path}.version: expected non-negative integer`);
+  }
+  if (!Array.isArray(cell.structures)) {
+    errors.push(`${path}.structures: expected array`);
+    return;
+  }
+  cell.structures.forEach((structure, i) => validateStructure(structure, `${path}.structures[${i}]`, errors));
+}
+
+/**
+ * Validate a player entry, including that the ledger reproduces the balance
+ * @param {object} player - Player data
+ * @param {string} path - Location for error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function validatePlayer(player, path, errors) {
+  if (!isString(player?.id)) {
+    errors.push(`${path}.id: expected string`);
+    return;
+  }
+  if (typeof player.displayName !== 'string') errors.push(`${path}.displayName: expected string`);
+  if (!isNumber(player.balance)) errors.push(`${path}.balance: expected number`);
+  if (!isNumber(player.createdAt)) errors.push(`${path}.createdAt: expected number`);
+  if (!Array.isArray(player.ledger)) {
+    errors.push(`${path}.ledger: expected array`);
+    return;
+  }
+
+  const types = Object.values(TransactionType);
+  player.ledger.forEach((entry, i) => {
+    if (!types.includes(entry?.type)) errors.push(`${path}.ledger[${i}].type: unknown transaction type`);
+    if (!isNumber(entry?.amount) || entry.amount <= 0) errors.push(`${path}.ledger[${i}].amount: expected positive number`);
+  });
+  if (isNumber(player.balance) && getLedgerBalance(player.ledger) !== player.balance) {
+    errors.push(`${path}.balance: does not match ledger`);
+  }
+}
+
+/**
+ * Validate a snapshot document at SNAPSHOT_VERSION
+ * @param {object} doc - Snapshot document
+ * @returns {{valid: boolean, errors: Array<string>}} Validation result
+ */
+export function validateSnapshot(doc) {
+  const errors = [];
+  if (!Array.isArray(doc.cells)) errors.push('cells: expected array');
+  if (!Array.isArray(doc.players)) errors.push('players: expected array');
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const playerIds = new Set();
+  doc.players.forEach((player, i) => {
+    validatePlayer(player, `players[${i}]`, errors);
+    if (playerIds.has(player?.id)) errors.push(`players[${i}].id: duplicate player`);
+    playerIds.add(player?.id);
+  });
+
+  const cellIds = new Set();
+  doc.cells.forEach((cell, i) => {
+    validateCell(cell, `cells[${i}]`, errors);
+    if (cellIds.has(cell?.id)) errors.push(`cells[${i}].id: duplicate cell`);
+    cellIds.add(cell?.id);
+    if (cell?.ownerId && !playerIds.has(cell.ownerId)) {
+      errors.push(`cells[${i}].ownerId: unknown player`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Parse, migrate and validate a snapshot
+ * @param {string|object} json - Snapshot as JSON text or a parsed document
+ * @returns {object} Result with success status and the current-version snapshot
+ */
+export function parseSnapshot(json) {
+  let doc = json;
+  if (typeof json === 'string') {
+    try {
+      doc = JSON.parse(json);
+    } catch (error) {
+      return { success: false, error: SnapshotErrorCode.INVALID_JSON, errors: [error.message] };
+    }
+  }
+
+  const migration = migrateSnapshot(doc);
+  if (!migration.success) {
+    return migration;
+  }
+
+  const { valid, errors } = validateSnapshot(migration.snapshot);
+  if (!valid) {
+    return { success: false, error: SnapshotErrorCode.INVALID_SNAPSHOT, errors };
+  }
+
+  return { success: true, snapshot: migration.snapshot };
+}
@@ -0,0 +1,252 @@
+/**
+ * Structure Domain Model - Buildings placed on owned land cells
+ *
+ * ARCHITECTURAL NOTE:
+ * This is a pure domain model with no dependencies on React or browser APIs.
+ * It defines the structure catalogue (what can be built and at what cost)
+ * plus the placement and upgrade rules. Structures are stored on their cell
+ * in the cell's `structures` array; the API layer owns persistence.
+ */
+
+/**
+ * Structure type constants
+ */
+export const StructureType = {
+  HOUSE: 'house',
+  FARM: 'farm',
+  WORKSHOP: 'workshop',
+  MARKET: 'market',
+};
+
+/**
+ * Number of footprint slots available on a single land cell
+ */
+export const CELL_STRUCTURE_SLOTS = 3;
+
+/**
+ * Fraction of the total invested cost returned when a structure is demolished
+ */
+export const DEMOLISH_REFUND_RATE = 0.5;
+
+/**
+ * Structure catalogue
+ *
+ * - cost: currency charged to build level 1
+ * - buildTimeMs: construction time before the structure is active
+ * - incomeRate: currency earned per hour at level 1
+ * - maxLevel: highest reachable level
+ * - upgradeCostMultiplier: each level costs cost * multiplier^(level - 1)
+ * - footprint.slots: cell slots occupied
+ * - footprint.maxPerCell: how many of this type a single cell may hold
+ */
+export const StructureCatalogue = {
+  [StructureType.HOUSE]: {
+    type: StructureType.HOUSE,
+    name: 'House',
+    cost: 50,
+    buildTimeMs: 30 * 1000,
+    incomeRate: 2,
+    maxLevel: 5,
+    upgradeCostMultiplier: 1.5,
+    footprint: { slots: 1, maxPerCell: 3 },
+  },
+  [StructureType.FARM]: {
+    type: StructureType.FARM,
+    name: 'Farm',
+    cost: 120,
+    buildTimeMs: 2 * 60 * 1000,
+    incomeRate: 6,
+    maxLevel: 4,
+    upgradeCostMultiplier: 1.6,
+    footprint: { slots: 2, maxPerCell: 1 },
+  },
+  [StructureType.WORKSHOP]: {
+    type: StructureType.WORKSHOP,
+    name: 'Workshop',
+    cost: 250,
+    buildTimeMs: 5 * 60 * 1000,
+    incomeRate: 15,
+    maxLevel: 3,
+    upgradeCostMultiplier: 1.8,
+    footprint: { slots: 1, maxPerCell: 1 },
+  },
+  [StructureType.MARKET]: {
+    type: StructureType.MARKET,
+    name: 'Market',
+    cost: 600,
+    buildTimeMs: 15 * 60 * 1000,
+    incomeRate: 40,
+    maxLevel: 3,
+    upgradeCostMultiplier: 2,
+    footprint: { slots: 3, maxPerCell: 1 },
+  },
+};
+
+/**
+ * Error codes for rejected structure operations
+ */
+export const StructureErrorCode = {
+  UNKNOWN_STRUCTURE_TYPE: 'UNKNOWN_STRUCTURE_TYPE',
+  STRUCTURE_NOT_FOUND: 'STRUCTURE_NOT_FOUND',
+  STRUCTURE_LIMIT_REACHED: 'STRUCTURE_LIMIT_REACHED',
+  NO_FREE_SLOTS: 'NO_FREE_SLOTS',
+  MAX_LEVEL_REACHED: 'MAX_LEVEL_REACHED',
+  UNDER_CONSTRUCTION: 'UNDER_CONSTRUCTION',
+};
+
+/**
+ * Look up a catalogue entry
+ * @param {string} type - Structure type from StructureType
+ * @returns {object|null} Catalogue entry or null
+ */
+export function getStructureDefinition(type) {
+  return StructureCatalogue[type] || null;
+}
+
+/**
+ * Generate the next structure ID for a cell
+ * @param {object} cell - Cell data object
+ * @returns {string} Structure ID unique within the cell
+ */
+function nextStructureId(cell) {
+  const highest = cell.structures.reduce((max, structure) => {
+    const seq = Number(structure.id.split(':').pop());
+    return Number.isFinite(seq) ? Math.max(max, seq) : max;
+  }, 0);
+  return `${cell.id}:${highest + 1}`;
+}
+
+/**
+ * Create a structure data object
+ * @param {object} cell - Cell the structure is placed on
+ * @param {string} type - Structure type from StructureType
+ * @param {object} options - Additional structure properties
+ * @returns {object} Structure data object
+ */
+export function createStructure(cell, type, options = {}) {
+  const definition = getStructureDefinition(type);
+  const builtAt = options.builtAt || Date.now();
+  return {
+    id: options.id || nextStructureId(cell),
+    type,
+    cellId: cell.id,
+    level: options.level || 1,
+    builtAt,
+    completesAt: options.completesAt || builtAt + definition.buildTimeMs,
+    invested: options.invested ?? definition.cost,
+  };
+}
+
+/**
+ * Count the footprint slots used on a cell
+ * @param {object} cell - Cell data object
+ * @returns {number} Occupied slots
+ */
+export function getUsedSlots(cell) {
+  return cell.structures.reduce(
+    (total, structure) => total + (getStructureDefinition(structure.type)?.footprint.slots || 0),
+    0
+  );
+}
+
+/**
+ * Check whether a structure type can be placed on a cell
+ * @param {object} cell - Cell data object
+ * @param {string} type - Structure type from StructureType
+ * @returns {string|null} Error code from StructureErrorCode, or null if allowed
+ */
+export function getPlacementError(cell, type) {
+  const definition = getStructureDefinition(type);
+  if (!definition) {
+    return StructureErrorCode.UNKNOWN_STRUCTURE_TYPE;
+  }
+
+  const sameType = cell.structures.filter(structure => structure.type === type).length;
+  if (sameType >= definition.footprint.maxPerCell) {
+    return StructureErrorCode.STRUCTURE_LIMIT_REACHED;
+  }
+
+  if (getUsedSlots(cell) + definition.footprint.slots > CELL_STRUCTURE_SLOTS) {
+    return StructureErrorCode.NO_FREE_SLOTS;
+  }
+
+  return null;
+}
+
+/**
+ * Check if a structure has finished construction
+ * @param {object} structure - Structure data object
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if the structure is active
+ */
+export function isStructureComplete(structure, now = Date.now()) {
+  return now >= structure.completesAt;
+}
+
+/**
+ * Get the cost of upgrading a structure to its next level
+ * @param {object} structure - Structure data object
+ * @returns {number|null} Upgrade cost, or null if already at max level
+ */
+export function getUpgradeCost(structure) {
+  const definition = getStructureDefinition(structure.type);
+  if (!definition || structure.level >= definition.maxLevel) {
+    return null;
+  }
+  return Math.round(definition.cost * definition.upgradeCostMultiplier ** structure.level);
+}
+
+/**
+ * Check whether a structure can be upgraded
+ * @param {object} structure - Structure data object
+ * @param {number} now - Current time in ms
+ * @returns {string|null} Error code from StructureErrorCode, or null if allowed
+ */
+export function getUpgradeError(structure, now = Date.now()) {
+  if (!isStructureComplete(structure, now)) {
+    return StructureErrorCode.UNDER_CONSTRUCTION;
+  }
+  if (getUpgradeCost(structure) === null) {
+    return StructureErrorCode.MAX_LEVEL_REACHED;
+  }
+  return null;
+}
+
+/**
+ * Return an upgraded copy of a structure
+ * The structure goes back under construction for the type's build time.
+ *
+ * @param {object} structure - Structure data object
+ * @param {number} now - Current time in ms
+ * @returns {object} Upgraded structure
+ */
+export function upgradeStructureLevel(structure, now = Date.now()) {
+  const definition = getStructureDefinition(structure.type);
+  return {
+    ...structure,
+    level: structure.level + 1,
+    completesAt: now + definition.buildTimeMs,
+    invested: structure.invested + getUpgradeCost(structure),
+  };
+}
+
+/**
+ * Get the currency returned when a structure is demolished
+ * @param {object} structure - Structure data object
+ * @returns {number} Refund amount
+ */
+export function getDemolishRefund(structure) {
+  return Math.floor(structure.invested * DEMOLISH_REFUND_RATE);
+}
+
+/**
+ * Get the income a structure produces per hour
+ * Income grows linearly with level.
+ *
+ * @param {object} structure - Structure data object
+ * @returns {number} Currency per hour
+ */
+export function getStructureIncomeRate(structure) {
+  const definition = getStructureDefinition(structure.type);
+  return definition ? definition.incomeRate * structure.level : 0;
+}
@@ -0,0 +1,212 @@
+/**
+ * Event Bus - Typed publish/subscribe channel for domain events
+ *
+ * ARCHITECTURAL NOTE:
+ * A platform-agnostic bus (no DOM EventTarget, no Node EventEmitter) so the same
+ * code delivers events in the browser, a native shell, or on a server.
+ * The interactions layer and the API layer both publish through it.
+ *
+ * FEATURES:
+ * - Payload validation against a schema per event type
+ * - Wildcard subscriptions: '*' for every event, 'PREFIX_*' for a family
+ * - Once-listeners that unsubscribe after their first event
+ * - Synchronous or asynchronous (microtask) delivery
+ *
+ * SCHEMAS:
+ * A schema maps payload fields to a type spec:
+ * 'string' | 'number' | 'boolean' | 'object' | 'array' | 'any',
+ * optionally nullable ('string|null') or optional ('string?').
+ * Fields not listed in the schema are allowed.
+ */
+
+/**
+ * Matches every event type
+ */
+export const WILDCARD = '*';
+
+/**
+ * Delivery modes
+ */
+export const DeliveryMode = {
+  SYNC: 'sync',   // Listeners run before publish returns
+  ASYNC: 'async', // Listeners run in a microtask after publish returns
+};
+
+/**
+ * Event bus error codes
+ */
+export const EventErrorCode = {
+  INVALID_EVENT: 'INVALID_EVENT',
+  UNKNOWN_EVENT_TYPE: 'UNKNOWN_EVENT_TYPE',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+};
+
+/**
+ * Check a value against a single type name
+ * @param {*} value - Value to check
+ * @param {string} type - Type name from a schema spec
+ * @returns {boolean} Whether the value matches
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'any':
+      return true;
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && !Number.isNaN(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validate an event payload against a schema
+ * @param {object} schema - Field name -> type spec
+ * @param {object} payload - Event payload
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validatePayload(schema, payload) {
+  if (!matchesType(payload, 'object')) {
+    return ['payload must be an object'];
+  }
+
+  const errors = [];
+  Object.entries(schema).forEach(([field, spec]) => {
+    const optional = spec.endsWith('?');
+    const types = (optional ? spec.slice(0, -1) : spec).split('|');
+    const value = payload[field];
+
+    if (value === undefined) {
+      if (!optional) errors.push(`${field} is required`);
+      return;
+    }
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${field} must be ${types.join(' or ')}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Check whether a subscription pattern matches an event type
+ * @param {string} pattern - Event type, WILDCARD, or 'PREFIX_*'
+ * @param {string} type - Published event type
+ * @returns {boolean} Whether the listener should receive the event
+ */
+function matchesPattern(pattern, type) {
+  if (pattern === WILDCARD || pattern === type) return true;
+  return pattern.endsWith(WILDCARD) && type.startsWith(pattern.slice(0, -1));
+}
+
+/**
+ * Create an event bus
+ *
+ * @param {object} options - Bus configuration
+ * @param {object|null} options.schemas - Event type -> payload schema; null disables validation
+ * @param {string} options.delivery - Default DeliveryMode
+ * @returns {object} Bus: { subscribe, once, publish, clear }
+ */
+export function createEventBus({ schemas = null, delivery = DeliveryMode.SYNC } = {}) {
+  // Listener entries in subscription order: { pattern, callback, once }
+  let listeners = [];
+
+  function addListener(pattern, callback, once) {
+    const entry = { pattern, callback, once };
+    listeners = [...listeners, entry];
+    return () => {
+      listeners = listeners.filter(listener => listener !== entry);
+    };
+  }
+
+  function deliver(event, targets) {
+    targets.forEach(entry => {
+      try {
+        entry.callback(event);
+      } catch (error) {
+        console.error('[EventBus] Listener failed:', event.type, error);
+      }
+    });
+  }
+
+  function validate(event) {
+    if (!event || typeof event.type !== 'string') {
+      return { success: false, error: EventErrorCode.INVALID_EVENT };
+    }
+    if (!schemas) return null;
+
+    const schema = schemas[event.type];
+    if (!schema) {
+      return { success: false, error: EventErrorCode.UNKNOWN_EVENT_TYPE, type: event.type };
+    }
+    const errors = validatePayload(schema, event.payload);
+    if (errors.length > 0) {
+      return { success: false, error: EventErrorCode.INVALID_PAYLOAD, type: event.type, errors };
+    }
+    return null;
+  }
+
+  return {
+    /**
+     * Subscribe to an event type, a 'PREFIX_*' family, or WILDCARD
+     * @param {string} pattern - Event type pattern
+     * @param {function} callback - Handler function
+     * @returns {function} Unsubscribe function
+     */
+    subscribe(pattern, callback) {
+      return addListener(pattern, callback, false);
+    },
+
+    /**
+     * Subscribe for the next matching event only
+     * @param {string} pattern - Event type pattern
+     * @param {function} callback - Handler function
+     * @returns {function} Unsubscribe function (for cancelling before it fires)
+     */
+    once(pattern, callback) {
+      return addListener(pattern, callback, true);
+    },
+
+    /**
+     * Validate and publish an event
+     * Invalid events are rejected and reach no listener.
+     *
+     * @param {object} event - Domain event object ({ type, payload, timestamp })
+     * @param {object} options - { delivery } overrides the bus default
+     * @returns {object} Result with success status; `delivered` resolves once listeners ran
+     */
+    publish(event, options = {}) {
+      const failure = validate(event);
+      if (failure) {
+        console.warn('[EventBus] Event rejected:', failure);
+        return failure;
+      }
+
+      // Listeners are matched (and once-listeners removed) at publish time
+      const targets = listeners.filter(entry => matchesPattern(entry.pattern, event.type));
+      const spent = new Set(targets.filter(entry => entry.once));
+      if (spent.size > 0) {
+        listeners = listeners.filter(entry => !spent.has(entry));
+      }
+
+      if ((options.delivery ?? delivery) === DeliveryMode.ASYNC) {
+        const delivered = Promise.resolve().then(() => deliver(event, targets));
+        return { success: true, event, delivered };
+      }
+
+      deliver(event, targets);
+      return { success: true, event, delivered: Promise.resolve() };
+    },
+
+    /**
+     * Remove every listener
+     */
+    clear() {
+      listeners = [];
+    },
+  };
+}
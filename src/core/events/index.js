@@ -3,8 +3,8 @@
  * 
  * ARCHITECTURAL NOTE:
  * These are platform-agnostic event types that represent game actions.
- * They are emitted by the interactions layer and consumed by the API layer.
- * This decouples input handling from business logic.
+ * They are published on a shared event bus (bus.js) by the interactions layer
+ * and the API layer. This decouples input handling from business logic.
  * 
  * The same events are emitted whether the input comes from:
  * - Mouse clicks (web)
@@ -13,6 +13,11 @@
  * - Automated tests
  */
 
+import { createEventBus } from './bus.js';
+
+export * from './bus.js';
+export * from './log.js';
+
 /**
  * Event type constants
  * Using string constants ensures type safety and easy debugging
@@ -22,15 +27,148 @@ export const EventTypes = {
   CELL_SELECTED: 'CELL_SELECTED',
   CELL_HOVERED: 'CELL_HOVERED',
   CELL_UNHOVERED: 'CELL_UNHOVERED',
+  CELL_FOCUSED: 'CELL_FOCUSED',
+  CELL_CONTEXT_REQUESTED: 'CELL_CONTEXT_REQUESTED',
   
-  // Globe navigation events (for future use)
+  // Globe navigation events (camera flights, on start and end)
   GLOBE_ROTATED: 'GLOBE_ROTATED',
   GLOBE_ZOOMED: 'GLOBE_ZOOMED',
   
   // Selection events
   SELECTION_CLEARED: 'SELECTION_CLEARED',
+  SELECTION_CHANGED: 'SELECTION_CHANGED',
+  
+  // Land ownership events
+  CELLS_SYNCED: 'CELLS_SYNCED',
+  LAND_PURCHASED: 'LAND_PURCHASED',
+  LAND_PURCHASE_FAILED: 'LAND_PURCHASE_FAILED',
+  LAND_PURCHASE_CONFLICT: 'LAND_PURCHASE_CONFLICT',
+  OPERATION_ROLLED_BACK: 'OPERATION_ROLLED_BACK',
+  
+  // Structure events
+  STRUCTURE_BUILT: 'STRUCTURE_BUILT',
+  STRUCTURE_UPGRADED: 'STRUCTURE_UPGRADED',
+  STRUCTURE_DEMOLISHED: 'STRUCTURE_DEMOLISHED',
+  STRUCTURE_ACTION_FAILED: 'STRUCTURE_ACTION_FAILED',
+  
+  // Undo/redo history events
+  HISTORY_CHANGED: 'HISTORY_CHANGED',
+  
+  // Account events
+  CURRENT_PLAYER_CHANGED: 'CURRENT_PLAYER_CHANGED',
+  ACCOUNT_UPGRADED: 'ACCOUNT_UPGRADED',
 };
 
+/**
+ * Payload schema per event type (see bus.js for the spec format)
+ * Events whose type is missing here are rejected by the shared bus.
+ */
+export const EventSchemas = {
+  [EventTypes.CELL_SELECTED]: { cellId: 'string', selectionMode: 'string?' },
+  [EventTypes.CELL_HOVERED]: { cellId: 'string' },
+  [EventTypes.CELL_UNHOVERED]: { cellId: 'string|null' },
+  [EventTypes.CELL_FOCUSED]: { cellId: 'string|null' },
+  [EventTypes.CELL_CONTEXT_REQUESTED]: { cellId: 'string' },
+  
+  [EventTypes.GLOBE_ROTATED]: { lat: 'number?', lng: 'number?', phase: 'string?', cancelled: 'boolean?' },
+  [EventTypes.GLOBE_ZOOMED]: { altitude: 'number?', phase: 'string?', cancelled: 'boolean?' },
+  
+  [EventTypes.SELECTION_CLEARED]: {},
+  [EventTypes.SELECTION_CHANGED]: { cellIds: 'array', primaryCellId: 'string|null' },
+  
+  [EventTypes.CELLS_SYNCED]: { cellIds: 'array', source: 'string' },
+  [EventTypes.LAND_PURCHASED]: { cellId: 'string', playerId: 'string', price: 'number', operationId: 'string' },
+  [EventTypes.LAND_PURCHASE_FAILED]: { cellId: 'any', playerId: 'any', error: 'string' },
+  [EventTypes.LAND_PURCHASE_CONFLICT]: {
+    cellId: 'string',
+    playerId: 'string',
+    ownerId: 'string|null',
+    expectedVersion: 'number',
+    actualVersion: 'number',
+  },
+  [EventTypes.OPERATION_ROLLED_BACK]: {
+    operationId: 'string',
+    operation: 'string',
+    cellId: 'string',
+    playerId: 'string|null',
+    reason: 'string',
+  },
+  
+  [EventTypes.STRUCTURE_BUILT]: {
+    cellId: 'string',
+    playerId: 'string',
+    structure: 'object',
+    cost: 'number',
+    operationId: 'string',
+  },
+  [EventTypes.STRUCTURE_UPGRADED]: {
+    cellId: 'string',
+    playerId: 'string',
+    structure: 'object',
+    cost: 'number',
+    operationId: 'string',
+  },
+  [EventTypes.STRUCTURE_DEMOLISHED]: {
+    cellId: 'string',
+    playerId: 'string',
+    structure: 'object',
+    refund: 'number',
+    operationId: 'string',
+  },
+  [EventTypes.STRUCTURE_ACTION_FAILED]: { action: 'string', cellId: 'any', playerId: 'any', error: 'string' },
+  
+  [EventTypes.HISTORY_CHANGED]: {
+    canUndo: 'boolean',
+    canRedo: 'boolean',
+    undoLabel: 'string|null',
+    redoLabel: 'string|null',
+  },
+  
+  [EventTypes.CURRENT_PLAYER_CHANGED]: { playerId: 'string|null', isAnonymous: 'boolean', provider: 'string|null' },
+  [EventTypes.ACCOUNT_UPGRADED]: {
+    fromPlayerId: 'string',
+    toPlayerId: 'string',
+    cellIds: 'array',
+    amount: 'number',
+  },
+};
+
+/**
+ * Shared domain event bus
+ * Every layer that publishes domain events (interactions, API) goes through it.
+ */
+export const eventBus = createEventBus({ schemas: EventSchemas });
+
+/**
+ * Subscribe to a domain event type
+ * @param {string} eventType - Event type from EventTypes, 'PREFIX_*', or WILDCARD
+ * @param {function} callback - Handler function
+ * @returns {function} Unsubscribe function
+ */
+export function subscribeToEvent(eventType, callback) {
+  return eventBus.subscribe(eventType, callback);
+}
+
+/**
+ * Subscribe to the next domain event of a type only
+ * @param {string} eventType - Event type from EventTypes, 'PREFIX_*', or WILDCARD
+ * @param {function} callback - Handler function
+ * @returns {function} Unsubscribe function
+ */
+export function subscribeToEventOnce(eventType, callback) {
+  return eventBus.once(eventType, callback);
+}
+
+/**
+ * Publish a domain event on the shared bus
+ * @param {object} event - Domain event object
+ * @param {object} options - { delivery: DeliveryMode }
+ * @returns {object} Result with success status (see bus.js publish)
+ */
+export function publishEvent(event, options) {
+  return eventBus.publish(event, options);
+}
+
 /**
  * Create a domain event object
  * @param {string} type - Event type from EventTypes
@@ -69,11 +207,63 @@ export function cellHovered(cellId) {
 
 /**
  * Create a CELL_UNHOVERED event
- * @param {string} cellId - H3 cell index
+ * @param {string|null} cellId - H3 cell index, or null if unknown
  * @returns {object} Event object
  */
 export function cellUnhovered(cellId) {
-  return createEvent(EventTypes.CELL_UNHOVERED, { cellId });
+  return createEvent(EventTypes.CELL_UNHOVERED, { cellId: cellId ?? null });
+}
+
+/**
+ * Create a CELL_FOCUSED event
+ * Published when the keyboard focus cursor moves to a cell (or leaves the grid)
+ * @param {string|null} cellId - H3 cell index, or null when focus is cleared
+ * @returns {object} Event object
+ */
+export function cellFocused(cellId) {
+  return createEvent(EventTypes.CELL_FOCUSED, { cellId: cellId ?? null });
+}
+
+/**
+ * Create a CELL_CONTEXT_REQUESTED event
+ * Published when the player asks for a cell's actions (long press on touch)
+ * @param {string} cellId - H3 cell index
+ * @param {object} metadata - Additional context
+ * @returns {object} Event object
+ */
+export function cellContextRequested(cellId, metadata = {}) {
+  return createEvent(EventTypes.CELL_CONTEXT_REQUESTED, { cellId, ...metadata });
+}
+
+/**
+ * Navigation phases reported by GLOBE_ROTATED and GLOBE_ZOOMED
+ * - start: the camera sets off; lat/lng/altitude are where it is heading
+ * - end: the camera stopped; lat/lng/altitude are where it is (cancelled if cut short)
+ */
+export const NavigationPhase = {
+  START: 'start',
+  END: 'end',
+};
+
+/**
+ * Create a GLOBE_ROTATED event
+ * @param {number} lat - Latitude below the camera, in degrees
+ * @param {number} lng - Longitude below the camera, in degrees
+ * @param {object} details - { phase: NavigationPhase, cancelled }
+ * @returns {object} Event object
+ */
+export function globeRotated(lat, lng, details = {}) {
+  return createEvent(EventTypes.GLOBE_ROTATED, { lat, lng, ...details });
+}
+
+/**
+ * Create a GLOBE_ZOOMED event
+ * @param {number} altitude - Camera height above the surface, in globe radii
+ * @param {object} details - { phase: NavigationPhase, cancelled }
+ * @returns {object} Event object
+ */
+export function globeZoomed(altitude, details = {}) {
+  return createEvent(EventTypes.GLOBE_ZOOMED, { altitude, ...details });
 }
 
 /**
@@ -83,3 +273,168 @@ export function cellUnhovered(cellId) {
 export function selectionCleared() {
   return createEvent(EventTypes.SELECTION_CLEARED);
 }
+
+/**
+ * Create a SELECTION_CHANGED event
+ * @param {Array<string>} cellIds - Every selected H3 cell index
+ * @param {string|null} primaryCellId - Most recently selected cell
+ * @returns {object} Event object
+ */
+export function selectionChanged(cellIds, primaryCellId) {
+  return createEvent(EventTypes.SELECTION_CHANGED, { cellIds, primaryCellId });
+}
+
+/**
+ * Create a CELLS_SYNCED event
+ * Published when persisted cell data reaches the local cache, whether it was
+ * written by this client or by another tab, device or player.
+ * 
+ * @param {Array<string>} cellIds - H3 cell indices whose persisted data changed
+ * @param {string} source - Where the change came from (e.g. 'adapter')
+ * @returns {object} Event object
+ */
+export function cellsSynced(cellIds, source) {
+  return createEvent(EventTypes.CELLS_SYNCED, { cellIds, source });
+}
+
+/**
+ * Create a LAND_PURCHASED event
+ * Published as soon as the purchase is applied locally; if the backend rejects
+ * it, OPERATION_ROLLED_BACK follows with the same operationId.
+ * 
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Buying player ID
+ * @param {number} price - Amount charged
+ * @param {string} operationId - Pending operation ID
+ * @returns {object} Event object
+ */
+export function landPurchased(cellId, playerId, price, operationId) {
+  return createEvent(EventTypes.LAND_PURCHASED, { cellId, playerId, price, operationId });
+}
+
+/**
+ * Create a LAND_PURCHASE_FAILED event
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Buying player ID
+ * @param {string} error - Error code from LandErrorCode
+ * @returns {object} Event object
+ */
+export function landPurchaseFailed(cellId, playerId, error) {
+  return createEvent(EventTypes.LAND_PURCHASE_FAILED, { cellId, playerId, error });
+}
+
+/**
+ * Create a LAND_PURCHASE_CONFLICT event
+ * Sent to the player whose purchase lost a race: the cell was written by
+ * someone else after this client last saw it.
+ * 
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Player whose purchase was rejected
+ * @param {string|null} ownerId - Owner of the cell as stored now
+ * @param {number} expectedVersion - Cell version the purchase was based on
+ * @param {number} actualVersion - Cell version found in storage
+ * @returns {object} Event object
+ */
+export function landPurchaseConflict(cellId, playerId, ownerId, expectedVersion, actualVersion) {
+  return createEvent(EventTypes.LAND_PURCHASE_CONFLICT, { cellId, playerId, ownerId, expectedVersion, actualVersion });
+}
+
+/**
+ * Create an OPERATION_ROLLED_BACK event
+ * Published when an optimistic change is undone because the backend rejected it.
+ * 
+ * @param {string} operationId - Pending operation ID
+ * @param {string} operation - 'purchase' | 'build' | 'upgrade' | 'demolish' | 'restore'
+ * @param {string} cellId - H3 cell index
+ * @param {string|null} playerId - Acting player ID
+ * @param {string} reason - Why the backend rejected the write
+ * @returns {object} Event object
+ */
+export function operationRolledBack(operationId, operation, cellId, playerId, reason) {
+  return createEvent(EventTypes.OPERATION_ROLLED_BACK, { operationId, operation, cellId, playerId, reason });
+}
+
+/**
+ * Create a STRUCTURE_BUILT event
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Acting player ID
+ * @param {object} structure - New structure data
+ * @param {number} cost - Amount charged
+ * @param {string} operationId - Pending operation ID (see landPurchased)
+ * @returns {object} Event object
+ */
+export function structureBuilt(cellId, playerId, structure, cost, operationId) {
+  return createEvent(EventTypes.STRUCTURE_BUILT, { cellId, playerId, structure, cost, operationId });
+}
+
+/**
+ * Create a STRUCTURE_UPGRADED event
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Acting player ID
+ * @param {object} structure - Upgraded structure data
+ * @param {number} cost - Amount charged
+ * @param {string} operationId - Pending operation ID (see landPurchased)
+ * @returns {object} Event object
+ */
+export function structureUpgraded(cellId, playerId, structure, cost, operationId) {
+  return createEvent(EventTypes.STRUCTURE_UPGRADED, { cellId, playerId, structure, cost, operationId });
+}
+
+/**
+ * Create a STRUCTURE_DEMOLISHED event
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Acting player ID
+ * @param {object} structure - Removed structure data
+ * @param {number} refund - Amount returned to the player
+ * @param {string} operationId - Pending operation ID (see landPurchased)
+ * @returns {object} Event object
+ */
+export function structureDemolished(cellId, playerId, structure, refund, operationId) {
+  return createEvent(EventTypes.STRUCTURE_DEMOLISHED, { cellId, playerId, structure, refund, operationId });
+}
+
+/**
+ * Create a STRUCTURE_ACTION_FAILED event
+ * @param {string} action - 'build' | 'upgrade' | 'demolish'
+ * @param {string} cellId - H3 cell index
+ * @param {string} playerId - Acting player ID
+ * @param {string} error - Error code from LandErrorCode or StructureErrorCode
+ * @returns {object} Event object
+ */
+export function structureActionFailed(action, cellId, playerId, error) {
+  return createEvent(EventTypes.STRUCTURE_ACTION_FAILED, { action, cellId, playerId, error });
+}
+
+/**
+ * Create a HISTORY_CHANGED event
+ * @param {object} history - Undo/redo state (see core/history createCommandStack getState)
+ * @returns {object} Event object
+ */
+export function historyChanged(history) {
+  return createEvent(EventTypes.HISTORY_CHANGED, { ...history });
+}
+
+/**
+ * Create a CURRENT_PLAYER_CHANGED event
+ * @param {object|null} account - Signed-in account, or null after signing out
+ * @returns {object} Event object
+ */
+export function currentPlayerChanged(account) {
+  return createEvent(EventTypes.CURRENT_PLAYER_CHANGED, {
+    playerId: account?.uid ?? null,
+    isAnonymous: account?.isAnonymous ?? false,
+    provider: account?.provider ?? null,
+  });
+}
+
+/**
+ * Create an ACCOUNT_UPGRADED event
+ * @param {string} fromPlayerId - Anonymous player ID
+ * @param {string} toPlayerId - Permanent account's player ID
+ * @param {Array<string>} cellIds - Cells moved to the new account
+ * @param {number} amount - Balance moved to the new account
+ * @returns {object} Event object
+ */
+export function accountUpgraded(fromPlayerId, toPlayerId, cellIds, amount) {
+  return createEvent(EventTypes.ACCOUNT_UPGRADED, { fromPlayerId, toPlayerId, cellIds, amount });
+}
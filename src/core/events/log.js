@@ -0,0 +1,197 @@
+/**
+ * Event Log - Recording and replay scheduling for domain events
+ *
+ * ARCHITECTURAL NOTE:
+ * Every input already becomes a timestamped domain event on the bus, so a
+ * session can be captured as a plain JSON document and fed back later.
+ * This module only records and schedules; which API call an event maps to
+ * is decided by the replaying layer (see api/replayApi.js).
+ *
+ * A log optionally embeds the snapshot (core/domain/snapshot.js) the session
+ * started from, so a replay can begin from the exact same state.
+ */
+
+import { WILDCARD } from './bus.js';
+
+/**
+ * Format marker so unrelated JSON is rejected early
+ */
+export const EVENT_LOG_FORMAT = 'land-grab-event-log';
+
+/**
+ * Current event log format version
+ */
+export const EVENT_LOG_VERSION = 1;
+
+/**
+ * Error codes for rejected event logs
+ */
+export const EventLogErrorCode = {
+  INVALID_JSON: 'INVALID_JSON',
+  UNSUPPORTED_FORMAT: 'UNSUPPORTED_FORMAT',
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  INVALID_EVENT_LOG: 'INVALID_EVENT_LOG',
+};
+
+/**
+ * Copy a value as plain JSON data
+ * Keeps primitives, arrays and plain objects. Values with toJSON (Dates) are
+ * converted; other class instances (Three.js objects, DOM nodes), functions
+ * and circular references are dropped, so a stray payload field can never
+ * stop a log from being written.
+ *
+ * @param {*} value - Value to copy
+ * @param {Set<object>} ancestors - Objects on the path to value (cycle check)
+ * @returns {*} Plain copy, or undefined when the value cannot be kept
+ */
+function toPlainData(value, ancestors = new Set()) {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'object' || ancestors.has(value)) {
+    return undefined;
+  }
+  if (typeof value.toJSON === 'function') {
+    return toPlainData(value.toJSON(), ancestors);
+  }
+
+  const isArray = Array.isArray(value);
+  const prototype = Object.getPrototypeOf(value);
+  if (!isArray && prototype !== Object.prototype && prototype !== null) {
+    return undefined;
+  }
+
+  ancestors.add(value);
+  let copy;
+  if (isArray) {
+    copy = value.map(item => toPlainData(item, ancestors) ?? null);
+  } else {
+    copy = {};
+    Object.entries(value).forEach(([key, item]) => {
+      const plain = toPlainData(item, ancestors);
+      if (plain !== undefined) copy[key] = plain;
+    });
+  }
+  ancestors.delete(value);
+  return copy;
+}
+
+/**
+ * Create an event log document
+ * Events are copied as plain data (see toPlainData), so the log is always JSON.
+ *
+ * @param {object} params - { events, snapshot, recordedAt }
+ * @returns {object} Event log document at EVENT_LOG_VERSION
+ */
+export function createEventLog({ events, snapshot = null, recordedAt = Date.now() }) {
+  return {
+    format: EVENT_LOG_FORMAT,
+    version: EVENT_LOG_VERSION,
+    recordedAt,
+    snapshot,
+    events: events.map(event => toPlainData(event)),
+  };
+}
+
+/**
+ * Parse and validate an event log
+ * @param {string|object} json - Event log as JSON text or a parsed document
+ * @returns {object} Result with success status and the log, or an error code
+ */
+export function parseEventLog(json) {
+  let doc = json;
+  if (typeof json === 'string') {
+    try {
+      doc = JSON.parse(json);
+    } catch (error) {
+      return { success: false, error: EventLogErrorCode.INVALID_JSON, errors: [error.message] };
+    }
+  }
+
+  if (!doc || typeof doc !== 'object' || doc.format !== EVENT_LOG_FORMAT) {
+    return { success: false, error: EventLogErrorCode.UNSUPPORTED_FORMAT };
+  }
+  if (doc.version !== EVENT_LOG_VERSION) {
+    return { success: false, error: EventLogErrorCode.UNSUPPORTED_VERSION, version: doc.version };
+  }
+  if (!Array.isArray(doc.events)) {
+    return { success: false, error: EventLogErrorCode.INVALID_EVENT_LOG, errors: ['events must be an array'] };
+  }
+
+  const errors = [];
+  doc.events.forEach((event, index) => {
+    if (!event || typeof event.type !== 'string' || typeof event.timestamp !== 'number') {
+      errors.push(`events[${index}] must have a type and a timestamp`);
+    } else if (index > 0 && event.timestamp < doc.events[index - 1].timestamp) {
+      errors.push(`events[${index}] is older than the event before it`);
+    }
+  });
+  if (errors.length > 0) {
+    return { success: false, error: EventLogErrorCode.INVALID_EVENT_LOG, errors };
+  }
+
+  return { success: true, log: doc };
+}
+
+/**
+ * Create a recorder that captures events from a bus
+ *
+ * @param {object} bus - Event bus (see bus.js createEventBus)
+ * @param {object} options - { filter: (event) => boolean } to skip events
+ * @returns {object} Recorder: { start, stop, isRecording, getEvents }
+ */
+export function createEventRecorder(bus, { filter = () => true } = {}) {
+  let events = [];
+  let unsubscribe = null;
+
+  return {
+    /**
+     * Start capturing; clears events from a previous recording
+     */
+    start() {
+      if (unsubscribe) return;
+      events = [];
+      unsubscribe = bus.subscribe(WILDCARD, event => {
+        // Copied on capture, so later changes to a payload do not rewrite history
+        if (filter(event)) events.push(toPlainData(event));
+      });
+    },
+
+    /**
+     * Stop capturing
+     * @returns {Array<object>} Captured events
+     */
+    stop() {
+      unsubscribe?.();
+      unsubscribe = null;
+      return [...events];
+    },
+
+    isRecording() {
+      return unsubscribe !== null;
+    },
+
+    getEvents() {
+      return [...events];
+    },
+  };
+}
+
+/**
+ * Compute the wait before each event when replaying
+ * The first event plays immediately; later ones keep their recorded spacing
+ * divided by `speed` (Infinity replays without waiting).
+ *
+ * @param {Array<object>} events - Recorded events in order
+ * @param {number} speed - Playback rate (1 = original speed)
+ * @returns {Array<number>} Delay in ms before each event
+ */
+export function getReplayDelays(events, speed = 1) {
+  return events.map((event, index) => {
+    if (index === 0 || speed === Infinity) return 0;
+    return Math.max(0, event.timestamp - events[index - 1].timestamp) / speed;
+  });
+}
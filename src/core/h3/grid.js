@@ -0,0 +1,242 @@
+/**
+ * H3 Grid Generation - Visible grid cells and their Cartesian outlines
+ *
+ * ARCHITECTURAL NOTE:
+ * Pure functions that turn a view (the spherical cap the camera sees) into flat
+ * Float32Array buffers ready for a renderer. No React, DOM or Three.js: the same
+ * code runs on the main thread, inside a web worker, or a native background thread.
+ *
+ * COORDINATES:
+ * Positions use the globe texture convention shared with the viewer:
+ * x = -r sin(φ) cos(θ), y = r cos(φ), z = r sin(φ) sin(θ),
+ * with φ = 90° - lat and θ = lng + 180°.
+ */
+
+import {
+  latLngToCell,
+  cellToBoundary,
+  gridDisk,
+  greatCircleDistance,
+  cellToLatLng,
+  polygonToCellsExperimental,
+  POLYGON_TO_CELLS_FLAGS,
+} from 'h3-js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Number of vertices used to approximate a spherical cap as a polygon
+ */
+const CAP_POLYGON_VERTICES = 48;
+
+/**
+ * Angular radius of the globe region a camera can see
+ * Assumes the camera looks at the globe center (orbit navigation). The visible
+ * region is then a spherical cap around the sub-camera point, bounded by
+ * whichever comes first: the frustum's half-diagonal cone or the horizon.
+ * 
+ * @param {number} distance - Camera distance from the globe center
+ * @param {number} fovDeg - Vertical field of view in degrees
+ * @param {number} aspect - Viewport width / height
+ * @param {number} globeRadius - Globe radius
+ * @returns {number} Cap radius in radians
+ */
+export function getVisibleCapRadius(distance, fovDeg, aspect, globeRadius = 1) {
+  const d = Math.max(distance, globeRadius);
+  const horizon = Math.acos(globeRadius / d);
+
+  const halfDiagonal = Math.atan(Math.tan((fovDeg * DEG_TO_RAD) / 2) * Math.sqrt(1 + aspect * aspect));
+  const sinHit = (d / globeRadius) * Math.sin(halfDiagonal);
+  if (sinHit >= 1) {
+    return horizon; // Frustum corners miss the globe; the whole visible hemisphere is on screen
+  }
+  return Math.min(horizon, Math.asin(sinHit) - halfDiagonal);
+}
+
+/**
+ * Point at a given distance and bearing from an origin (great-circle)
+ * @param {number} lat - Origin latitude in degrees
+ * @param {number} lng - Origin longitude in degrees
+ * @param {number} distance - Angular distance in radians
+ * @param {number} bearing - Bearing in radians, clockwise from north
+ * @returns {[number, number]} [lat, lng] in degrees, lng wrapped to [-180, 180)
+ */
+function destinationPoint(lat, lng, distance, bearing) {
+  const phi1 = lat * DEG_TO_RAD;
+  const lambda1 = lng * DEG_TO_RAD;
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(distance) + Math.cos(phi1) * Math.sin(distance) * Math.cos(bearing)
+  );
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(bearing) * Math.sin(distance) * Math.cos(phi1),
+    Math.cos(distance) - Math.sin(phi1) * Math.sin(phi2)
+  );
+  return [phi2 * RAD_TO_DEG, ((lambda2 * RAD_TO_DEG + 540) % 360) - 180];
+}
+
+/**
+ * Get the cells covering a spherical cap
+ * 
+ * The cap is converted to a polygon and filled with polygon-to-cells, keeping
+ * every cell that overlaps it. H3 cannot fill polygons that enclose a pole, so
+ * caps containing a pole (or a full hemisphere) fall back to a grid disk whose
+ * cells are culled by distance from the cap center.
+ * 
+ * @param {number} lat - Cap center latitude in degrees
+ * @param {number} lng - Cap center longitude in degrees
+ * @param {number} angularRadius - Cap radius in radians
+ * @param {number} resolution - H3 resolution
+ * @param {object} options - { maxRings } safety cap for the fallback
+ * @returns {Array<string>} H3 cell indices
+ */
+export function getCellsInCap(lat, lng, angularRadius, resolution, { maxRings = Infinity } = {}) {
+  const poleDistance = (90 - Math.abs(lat)) * DEG_TO_RAD;
+  
+  if (angularRadius < poleDistance && angularRadius < Math.PI / 2) {
+    const polygon = [];
+    for (let i = 0; i < CAP_POLYGON_VERTICES; i++) {
+      polygon.push(destinationPoint(lat, lng, angularRadius, (2 * Math.PI * i) / CAP_POLYGON_VERTICES));
+    }
+    return polygonToCellsExperimental(
+      polygon,
+      resolution,
+      POLYGON_TO_CELLS_FLAGS.containmentOverlapping
+    );
+  }
+
+  const centerCellId = latLngToCell(lat, lng, resolution);
+  const ringStep = estimateRingStep(centerCellId) ?? DEG_TO_RAD;
+  const rings = getRingCount(centerCellId, angularRadius, { maxRings });
+  return gridDisk(centerCellId, rings).filter(cellId => (
+    greatCircleDistance([lat, lng], cellToLatLng(cellId), 'rads') <= angularRadius + ringStep
+  ));
+}
+
+/**
+ * Estimate the angular distance covered by one grid ring around a cell
+ * @param {string} centerCellId - H3 cell index
+ * @returns {number|null} Radians between the cell and a neighbor, or null if it has none
+ */
+export function estimateRingStep(centerCellId) {
+  const neighborCellId = gridDisk(centerCellId, 1).find(id => id !== centerCellId);
+  if (!neighborCellId) return null;
+
+  return greatCircleDistance(cellToLatLng(centerCellId), cellToLatLng(neighborCellId), 'rads');
+}
+
+/**
+ * Number of rings needed to cover an angular radius around a cell
+ * @param {string} centerCellId - H3 cell index
+ * @param {number} angularRadius - Radius to cover, in radians
+ * @param {object} limits - { minRings, maxRings }
+ * @returns {number} Ring count (k)
+ */
+export function getRingCount(centerCellId, angularRadius, { minRings = 0, maxRings = Infinity } = {}) {
+  const ringStep = estimateRingStep(centerCellId) ?? DEG_TO_RAD;
+  const rings = Math.ceil(angularRadius / Math.max(ringStep, 1e-9));
+  return Math.min(Math.max(rings, minRings), maxRings);
+}
+
+/**
+ * Write a lat/lng position on a sphere into a flat array
+ * @param {Float32Array} array - Target array
+ * @param {number} offset - Index of the x component
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lng - Longitude in degrees
+ * @param {number} radius - Sphere radius
+ */
+export function writeCartesian(array, offset, lat, lng, radius) {
+  const phi = (90 - lat) * DEG_TO_RAD;
+  const theta = (lng + 180) * DEG_TO_RAD;
+
+  array[offset] = -radius * Math.sin(phi) * Math.cos(theta);
+  array[offset + 1] = radius * Math.cos(phi);
+  array[offset + 2] = radius * Math.sin(phi) * Math.sin(theta);
+}
+
+/**
+ * Build outline and fill position buffers for a set of cells
+ *
+ * Layout per cell with n boundary corners:
+ * - outline: n segments (2n vertices), corner i → corner i+1
+ * - fill: n triangles (3n vertices), fanned from the corner centroid
+ *
+ * @param {Array<string>} cellIds - H3 cell indices
+ * @param {object} radii - { outlineRadius, fillRadius } sphere radii for each buffer
+ * @returns {object} { cellIds, cornerCounts, outlinePositions, fillPositions }
+ */
+export function buildGridBuffers(cellIds, { outlineRadius, fillRadius }) {
+  const boundaries = cellIds.map(cellId => cellToBoundary(cellId));
+  const cornerCounts = new Uint8Array(boundaries.map(boundary => boundary.length));
+  const cornerTotal = cornerCounts.reduce((total, n) => total + n, 0);
+
+  const outlinePositions = new Float32Array(cornerTotal * 2 * 3);
+  const fillPositions = new Float32Array(cornerTotal * 3 * 3);
+  const corners = new Float32Array(3 * 16); // Scratch space; H3 boundaries have at most 10 corners
+  let outlineVertex = 0;
+  let fillVertex = 0;
+
+  boundaries.forEach(boundary => {
+    const n = boundary.length;
+
+    for (let i = 0; i < n; i++) {
+      const [lat1, lng1] = boundary[i];
+      const [lat2, lng2] = boundary[(i + 1) % n];
+      writeCartesian(outlinePositions, outlineVertex * 3, lat1, lng1, outlineRadius);
+      writeCartesian(outlinePositions, (outlineVertex + 1) * 3, lat2, lng2, outlineRadius);
+      outlineVertex += 2;
+    }
+
+    let cx = 0;
+    let cy = 0;
+    let cz = 0;
+    for (let i = 0; i < n; i++) {
+      writeCartesian(corners, i * 3, boundary[i][0], boundary[i][1], fillRadius);
+      cx += corners[i * 3];
+      cy += corners[i * 3 + 1];
+      cz += corners[i * 3 + 2];
+    }
+    cx /= n;
+    cy /= n;
+    cz /= n;
+
+    for (let i = 0; i < n; i++) {
+      const j = (i + 1) % n;
+      const base = fillVertex * 3;
+      fillPositions[base] = cx;
+      fillPositions[base + 1] = cy;
+      fillPositions[base + 2] = cz;
+      fillPositions.set(corners.subarray(i * 3, i * 3 + 3), base + 3);
+      fillPositions.set(corners.subarray(j * 3, j * 3 + 3), base + 6);
+      fillVertex += 3;
+    }
+  });
+
+  return { cellIds, cornerCounts, outlinePositions, fillPositions };
+}
+
+/**
+ * Generate grid buffers for the visible part of the globe
+ * @param {object} params - View description
+ * @param {number} params.lat - Visible cap center latitude
+ * @param {number} params.lng - Visible cap center longitude
+ * @param {number} params.angularRadius - Visible cap radius, in radians
+ * @param {number} params.resolution - H3 resolution of the grid
+ * @param {number} params.maxRings - Safety cap for polar caps (see getCellsInCap)
+ * @param {number} params.outlineRadius - Sphere radius for outlines
+ * @param {number} params.fillRadius - Sphere radius for fills
+ * @returns {object} buildGridBuffers result
+ */
+export function generateGridBuffers({
+  lat,
+  lng,
+  angularRadius,
+  resolution,
+  maxRings,
+  outlineRadius,
+  fillRadius,
+}) {
+  const cellIds = getCellsInCap(lat, lng, angularRadius, resolution, { maxRings });
+  return buildGridBuffers(cellIds, { outlineRadius, fillRadius });
+}
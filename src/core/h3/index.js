@@ -7,7 +7,26 @@
  * This ensures the same logic can run on web, native, and server.
  */
 
-import { latLngToCell, cellToBoundary, gridDisk, getResolution } from 'h3-js';
+import {
+  latLngToCell,
+  cellToBoundary,
+  gridDisk,
+  gridDiskDistances,
+  getResolution,
+  isValidCell,
+  cellToParent,
+  cellToChildrenSize,
+  cellToLatLng,
+  polygonToCells,
+  compactCells,
+  cellArea,
+  UNITS,
+} from 'h3-js';
+
+/**
+ * Mean Earth radius in kilometres (the sphere H3 areas are measured on)
+ */
+const EARTH_RADIUS_KM = 6371.0088;
 
 /**
  * Default H3 resolution for land cells
@@ -21,6 +40,49 @@ export const DEFAULT_RESOLUTION = 12;
  */
 export const VISIBLE_GRID_RESOLUTION = 2;
 
+/**
+ * Grid level-of-detail table, ordered from farthest to closest
+ * The grid switches to a finer resolution as the camera altitude drops,
+ * ending at DEFAULT_RESOLUTION so players can see and pick the land they own.
+ * 
+ * - minAltitude: lowest camera altitude (in globe radii) the level is used for
+ * - maxRings: cap on gridDisk rings when the visible cap contains a pole
+ * 
+ * Thresholds keep a screen-filling grid at roughly 10,000 cells or fewer.
+ */
+export const GRID_LOD_LEVELS = [
+  { resolution: VISIBLE_GRID_RESOLUTION, minAltitude: 0.1, maxRings: 140 },
+  { resolution: 5, minAltitude: 0.005, maxRings: 100 },
+  { resolution: 8, minAltitude: 0.00012, maxRings: 100 },
+  { resolution: DEFAULT_RESOLUTION, minAltitude: 0, maxRings: 100 },
+];
+
+/**
+ * Pick the grid level-of-detail for a camera altitude
+ * @param {number} altitude - Camera height above the surface, in globe radii
+ * @returns {object} Entry from GRID_LOD_LEVELS
+ */
+export function getGridLodForAltitude(altitude) {
+  return GRID_LOD_LEVELS.find(level => altitude >= level.minAltitude)
+    ?? GRID_LOD_LEVELS[GRID_LOD_LEVELS.length - 1];
+}
+
+/**
+ * Pick a camera altitude at which the grid shows a resolution
+ * Uses the finest level of detail no finer than the resolution, in the middle
+ * (geometrically) of its altitude band. The coarsest level has no upper bound,
+ * so ten times its minimum stands in for one.
+ * 
+ * @param {number} resolution - H3 resolution
+ * @returns {number} Camera altitude in globe radii
+ */
+export function getAltitudeForResolution(resolution) {
+  const index = GRID_LOD_LEVELS.findLastIndex(level => level.resolution <= resolution);
+  const level = GRID_LOD_LEVELS[Math.max(index, 0)];
+  const upper = index > 0 ? GRID_LOD_LEVELS[index - 1].minAltitude : level.minAltitude * 10;
+  return level.minAltitude > 0 ? Math.sqrt(level.minAltitude * upper) : upper / 2;
+}
+
 /**
  * Convert latitude/longitude to H3 cell ID
  * @param {number} lat - Latitude in degrees
@@ -32,6 +94,15 @@ export function getH3Index(lat, lng, resolution = DEFAULT_RESOLUTION) {
   return latLngToCell(lat, lng, resolution);
 }
 
+/**
+ * Get the center of an H3 cell
+ * @param {string} h3Index - H3 cell index
+ * @returns {[number, number]} [lat, lng] in degrees
+ */
+export function getCellCenter(h3Index) {
+  return cellToLatLng(h3Index);
+}
+
 /**
  * Get the boundary coordinates for an H3 cell
  * @param {string} h3Index - H3 cell index
@@ -51,6 +122,91 @@ export function getNeighborCells(h3Index, ringSize = 1) {
   return gridDisk(h3Index, ringSize);
 }
 
+/**
+ * Get the cells around an origin grouped by grid distance
+ * @param {string} h3Index - Center H3 cell index
+ * @param {number} ringSize - Number of rings around the center (k)
+ * @returns {Array<Array<string>>} Cells at distance 0..k, indexed by distance
+ */
+export function getNeighborRings(h3Index, ringSize = 1) {
+  return gridDiskDistances(h3Index, ringSize);
+}
+
+/**
+ * Compass bearings (degrees clockwise from north) for stepping between
+ * neighboring cells, one per side of a hexagon
+ */
+export const GridDirection = {
+  NORTH: 0,
+  NORTH_EAST: 60,
+  SOUTH_EAST: 120,
+  SOUTH: 180,
+  SOUTH_WEST: 240,
+  NORTH_WEST: 300,
+};
+
+/**
+ * Initial great-circle bearing from one point to another
+ * @param {[number, number]} from - [lat, lng] in degrees
+ * @param {[number, number]} to - [lat, lng] in degrees
+ * @returns {number} Bearing in degrees, clockwise from north, in [0, 360)
+ */
+function getBearing([lat1, lng1], [lat2, lng2]) {
+  const phi1 = lat1 * Math.PI / 180;
+  const phi2 = lat2 * Math.PI / 180;
+  const deltaLambda = (lng2 - lng1) * Math.PI / 180;
+  const y = Math.sin(deltaLambda) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Get the neighboring cell that lies closest to a compass bearing
+ * Hexagons are not aligned to north, so this picks the neighbor whose center
+ * is nearest the requested bearing. Pentagons have five neighbors; the same
+ * rule still returns one of them.
+ * 
+ * @param {string} h3Index - Origin H3 cell index
+ * @param {number} bearing - Degrees clockwise from north (see GridDirection)
+ * @returns {string|null} Neighboring H3 cell index, or null if there is none
+ */
+export function getNeighborInDirection(h3Index, bearing) {
+  const origin = cellToLatLng(h3Index);
+  let closest = null;
+  let closestOffset = Infinity;
+  
+  gridDisk(h3Index, 1).forEach(neighborId => {
+    if (neighborId === h3Index) return;
+    const offset = Math.abs(((getBearing(origin, cellToLatLng(neighborId)) - bearing + 540) % 360) - 180);
+    if (offset < closestOffset) {
+      closest = neighborId;
+      closestOffset = offset;
+    }
+  });
+  
+  return closest;
+}
+
+/**
+ * Get the parent of a cell at a coarser resolution
+ * @param {string} h3Index - H3 cell index
+ * @param {number} resolution - Parent resolution (<= the cell's resolution)
+ * @returns {string} Parent H3 cell index
+ */
+export function getParentCell(h3Index, resolution) {
+  return cellToParent(h3Index, resolution);
+}
+
+/**
+ * Get the number of descendants a cell has at a finer resolution
+ * @param {string} h3Index - H3 cell index
+ * @param {number} resolution - Child resolution (>= the cell's resolution)
+ * @returns {number} Number of child cells
+ */
+export function getChildCount(h3Index, resolution) {
+  return cellToChildrenSize(h3Index, resolution);
+}
+
 /**
  * Get the resolution of an H3 index
  * @param {string} h3Index - H3 cell index
@@ -60,6 +216,101 @@ export function getCellResolution(h3Index) {
   return getResolution(h3Index);
 }
 
+/**
+ * Check if a string is a valid H3 cell index
+ * @param {string} h3Index - Candidate H3 cell index
+ * @returns {boolean} True if the index is a valid cell
+ */
+export function isValidCellId(h3Index) {
+  return typeof h3Index === 'string' && isValidCell(h3Index);
+}
+
+/**
+ * Create a predicate that matches cells related to a set at any resolution
+ * A cell matches if it is in the set, is an ancestor of a member (a coarse grid
+ * cell containing selected land), or is a descendant of a member (a fine grid
+ * cell inside a coarse selection).
+ * 
+ * @param {Iterable<string>} cellIds - H3 cell indices at any mix of resolutions
+ * @returns {function} (cellId) => boolean
+ */
+export function createCellMatcher(cellIds) {
+  const members = new Set(cellIds);
+  const ancestors = new Set();
+  const memberResolutions = new Set();
+  
+  members.forEach(cellId => {
+    const resolution = getResolution(cellId);
+    memberResolutions.add(resolution);
+    for (let r = 0; r < resolution; r++) {
+      ancestors.add(cellToParent(cellId, r));
+    }
+  });
+  
+  return (cellId) => {
+    if (members.has(cellId) || ancestors.has(cellId)) {
+      return true;
+    }
+    const resolution = getResolution(cellId);
+    for (const memberResolution of memberResolutions) {
+      if (memberResolution < resolution && members.has(cellToParent(cellId, memberResolution))) {
+        return true;
+      }
+    }
+    return false;
+  };
+}
+
+/**
+ * Get the cells whose centers fall inside a polygon
+ * @param {Array<[number, number]>} polygon - Outer ring as [lat, lng] pairs
+ * @param {number} resolution - H3 resolution
+ * @returns {Array<string>} Array of H3 cell indices
+ */
+export function getCellsInPolygon(polygon, resolution = DEFAULT_RESOLUTION) {
+  return polygonToCells(polygon, resolution);
+}
+
+/**
+ * Get the area a polygon encloses on the globe
+ * Uses the spherical excess of the ring, so it is exact for any polygon
+ * smaller than a hemisphere, including ones crossing the antimeridian.
+ * 
+ * @param {Array<[number, number]>} polygon - Outer ring as [lat, lng] pairs
+ * @returns {number} Area in km²
+ */
+function getPolygonArea(polygon) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  let sum = 0;
+  polygon.forEach(([lat1, lng1], i) => {
+    const [lat2, lng2] = polygon[(i + 1) % polygon.length];
+    let dLng = toRadians(lng2 - lng1);
+    if (dLng > Math.PI) dLng -= 2 * Math.PI;
+    if (dLng < -Math.PI) dLng += 2 * Math.PI;
+    sum += dLng * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  });
+  return Math.abs(sum) / 2 * EARTH_RADIUS_KM ** 2;
+}
+
+/**
+ * Estimate how many cells a polygon covers without enumerating them
+ * Divides the polygon's area by the area of a cell where it lies (cell sizes
+ * vary about 2x across the globe), so huge polygons are rejected in constant
+ * time before generating millions of indices.
+ * 
+ * @param {Array<[number, number]>} polygon - Outer ring as [lat, lng] pairs
+ * @param {number} resolution - H3 resolution
+ * @returns {number} Approximate cell count
+ */
+export function estimatePolygonCellCount(polygon, resolution = DEFAULT_RESOLUTION) {
+  if (polygon.length < 3) {
+    return 0;
+  }
+  const [lat, lng] = polygon[0];
+  const localCellArea = cellArea(latLngToCell(lat, lng, resolution), UNITS.km2);
+  return Math.round(getPolygonArea(polygon) / localCellArea);
+}
+
 /**
  * Generate a grid of H3 cells covering a viewport area
  * Used for rendering visible hex cells on the globe
@@ -74,3 +325,17 @@ export function generateViewportGrid(centerLat, centerLng, ringSize, resolution
   const centerCell = getH3Index(centerLat, centerLng, resolution);
   return gridDisk(centerCell, ringSize);
 }
+
+/**
+ * Replace complete groups of sibling cells with their parent
+ * Shrinks large same-resolution cell sets (e.g. the visible grid) before
+ * they are sent over the network.
+ * 
+ * @param {Array<string>} cellIds - H3 cell indices at one resolution
+ * @returns {Array<string>} Equivalent mixed-resolution cell set
+ */
+export function compactCellIds(cellIds) {
+  return compactCells(cellIds);
+}
+
+export * from './grid.js';
@@ -0,0 +1,182 @@
+/**
+ * Command Stack - Undo/redo history for game commands
+ *
+ * ARCHITECTURAL NOTE:
+ * Pure history bookkeeping with no knowledge of cells, players or events.
+ * The API layer wraps its mutations in command objects and runs them through
+ * a stack (see api/historyApi.js).
+ *
+ * COMMANDS:
+ * - label: short description for the UI ("Buy cell", "Build house")
+ * - apply(): performs the action, returns a result object ({ success, ... })
+ *   or a promise of one
+ * - revert(): undoes the last apply, returns a result object (or a promise)
+ * - revertible: false for commands that can never be undone
+ *
+ * CONSISTENCY:
+ * A command that cannot be undone (from the start, or once the backend has
+ * confirmed it) also blocks undoing anything older, since earlier commands may
+ * be what it builds on. Such commands cut the undo history at that point.
+ *
+ * ORDERING:
+ * execute, undo and redo are queued and run one at a time, so a slow command
+ * (e.g. one waiting for the backend) cannot interleave with the next.
+ */
+
+/**
+ * Default number of commands kept for undo
+ */
+export const DEFAULT_HISTORY_DEPTH = 50;
+
+/**
+ * Error codes for history operations
+ */
+export const HistoryErrorCode = {
+  NOTHING_TO_UNDO: 'NOTHING_TO_UNDO',
+  NOTHING_TO_REDO: 'NOTHING_TO_REDO',
+};
+
+/**
+ * Create an undo/redo stack
+ *
+ * @param {object} options - { maxDepth, onChange(state) called after every change }
+ * @returns {object} Stack: { execute, undo, redo, markNonRevertible, canUndo, canRedo, getState, clear }
+ */
+export function createCommandStack({ maxDepth = DEFAULT_HISTORY_DEPTH, onChange = () => {} } = {}) {
+  let undoStack = [];
+  let redoStack = [];
+  let queue = Promise.resolve();
+
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function record(command) {
+    if (command.revertible === false) {
+      undoStack = [];
+    } else {
+      undoStack = [...undoStack, command].slice(-maxDepth);
+    }
+  }
+
+  function getState() {
+    return {
+      canUndo: undoStack.length > 0,
+      canRedo: redoStack.length > 0,
+      undoLabel: undoStack[undoStack.length - 1]?.label ?? null,
+      redoLabel: redoStack[redoStack.length - 1]?.label ?? null,
+      undoCount: undoStack.length,
+      redoCount: redoStack.length,
+    };
+  }
+
+  function changed() {
+    onChange(getState());
+  }
+
+  return {
+    /**
+     * Apply a command and record it for undo
+     * Failed commands are not recorded. Any new command clears the redo history.
+     *
+     * @param {object} command - Command object
+     * @returns {Promise<object>} The command's apply result
+     */
+    execute(command) {
+      return enqueue(async () => {
+        const result = await command.apply();
+        if (!result.success) return result;
+
+        redoStack = [];
+        record(command);
+        changed();
+        return result;
+      });
+    },
+
+    /**
+     * Revert the most recent command
+     * If the revert fails the command stays on the undo stack.
+     *
+     * @returns {Promise<object>} The command's revert result
+     */
+    undo() {
+      return enqueue(async () => {
+        const command = undoStack[undoStack.length - 1];
+        if (!command) {
+          return { success: false, error: HistoryErrorCode.NOTHING_TO_UNDO };
+        }
+
+        const result = await command.revert();
+        if (!result.success) return result;
+
+        undoStack = undoStack.filter(entry => entry !== command);
+        redoStack = [...redoStack, command];
+        changed();
+        return result;
+      });
+    },
+
+    /**
+     * Re-apply the most recently undone command
+     * If it fails (e.g. the world changed meanwhile) it stays on the redo stack.
+     *
+     * @returns {Promise<object>} The command's apply result
+     */
+    redo() {
+      return enqueue(async () => {
+        const command = redoStack[redoStack.length - 1];
+        if (!command) {
+          return { success: false, error: HistoryErrorCode.NOTHING_TO_REDO };
+        }
+
+        const result = await command.apply();
+        if (!result.success) return result;
+
+        redoStack = redoStack.slice(0, -1);
+        record(command);
+        changed();
+        return result;
+      });
+    },
+
+    /**
+     * Mark a recorded command as no longer revertible
+     * The command and everything older leave the undo history. Commands that
+     * were already undone are left alone.
+     *
+     * @param {object} command - Command previously passed to execute
+     * @returns {boolean} True if the history changed
+     */
+    markNonRevertible(command) {
+      const index = undoStack.indexOf(command);
+      if (index === -1) return false;
+
+      command.revertible = false;
+      undoStack = undoStack.slice(index + 1);
+      changed();
+      return true;
+    },
+
+    canUndo() {
+      return undoStack.length > 0;
+    },
+
+    canRedo() {
+      return redoStack.length > 0;
+    },
+
+    getState,
+
+    /**
+     * Forget every recorded command
+     */
+    clear() {
+      undoStack = [];
+      redoStack = [];
+      changed();
+    },
+  };
+}
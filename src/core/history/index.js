@@ -0,0 +1,8 @@
+/**
+ * History - Re-export undo/redo utilities
+ * 
+ * ARCHITECTURAL NOTE:
+ * Platform-agnostic command history used by the API layer.
+ */
+
+export * from './commandStack.js';
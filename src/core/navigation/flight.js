@@ -0,0 +1,132 @@
+/**
+ * Camera Flights - Eased great-circle paths between two views
+ *
+ * ARCHITECTURAL NOTE:
+ * Pure math with no React, DOM or Three.js: a renderer samples the flight
+ * once per frame and places its own camera. The same plan drives the web
+ * viewer, a native viewer, or a test that checks where the camera will be.
+ *
+ * PATH:
+ * The point below the camera follows the great circle from start to end.
+ * Altitude moves on a logarithmic scale, so zooming from orbit to street
+ * level spends as long on the last kilometre as on the first thousand, and
+ * long hops climb above both ends so the player sees where they are going.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Shortest and longest flight durations in milliseconds
+ */
+export const MIN_FLIGHT_MS = 600;
+export const MAX_FLIGHT_MS = 3000;
+
+/**
+ * Altitude (in globe radii) a flight climbs to per radian travelled, and its cap
+ */
+const CRUISE_ALTITUDE_PER_RADIAN = 0.8;
+const MAX_CRUISE_ALTITUDE = 2;
+
+/**
+ * Ease in and out (cubic)
+ * @param {number} t - Linear progress from 0 to 1
+ * @returns {number} Eased progress from 0 to 1
+ */
+export function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - ((-2 * t + 2) ** 3) / 2;
+}
+
+/**
+ * Convert lat/lng to a unit vector (x towards 0°E, z towards the north pole)
+ * @param {object} point - { lat, lng } in degrees
+ * @returns {Array<number>} [x, y, z]
+ */
+function toUnitVector({ lat, lng }) {
+  const phi = lat * DEG_TO_RAD;
+  const lambda = lng * DEG_TO_RAD;
+  return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+}
+
+/**
+ * Angle between two points on the sphere
+ * @param {object} from - { lat, lng } in degrees
+ * @param {object} to - { lat, lng } in degrees
+ * @returns {number} Angular distance in radians
+ */
+export function getAngularDistance(from, to) {
+  const a = toUnitVector(from);
+  const b = toUnitVector(to);
+  const dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  return Math.acos(Math.min(1, Math.max(-1, dot)));
+}
+
+/**
+ * Point part of the way along the great circle between two points
+ * Antipodal points have no single great circle; they fall back to
+ * interpolating latitude and longitude directly.
+ *
+ * @param {object} from - { lat, lng } in degrees
+ * @param {object} to - { lat, lng } in degrees
+ * @param {number} t - Fraction of the way, from 0 to 1
+ * @returns {object} { lat, lng } in degrees, lng wrapped to [-180, 180)
+ */
+export function interpolateGreatCircle(from, to, t) {
+  const angle = getAngularDistance(from, to);
+  const sinAngle = Math.sin(angle);
+
+  if (sinAngle < 1e-9) {
+    if (angle < 1) return { ...from };
+    return { lat: from.lat + (to.lat - from.lat) * t, lng: from.lng + (to.lng - from.lng) * t };
+  }
+
+  const a = toUnitVector(from);
+  const b = toUnitVector(to);
+  const wa = Math.sin((1 - t) * angle) / sinAngle;
+  const wb = Math.sin(t * angle) / sinAngle;
+  const [x, y, z] = [0, 1, 2].map(i => wa * a[i] + wb * b[i]);
+
+  const lat = Math.atan2(z, Math.hypot(x, y)) * RAD_TO_DEG;
+  const lng = Math.atan2(y, x) * RAD_TO_DEG;
+  return { lat, lng: ((lng + 540) % 360) - 180 };
+}
+
+/**
+ * Plan a camera flight
+ *
+ * @param {object} from - Starting view { lat, lng, altitude }
+ * @param {object} to - Final view { lat, lng, altitude }
+ * @returns {object} Flight plan { from, to, duration, lift } for getFlightPosition
+ */
+export function createFlightPlan(from, to) {
+  const angle = getAngularDistance(from, to);
+  const zoomRange = Math.abs(Math.log(to.altitude / from.altitude));
+
+  const cruise = Math.min(angle * CRUISE_ALTITUDE_PER_RADIAN, MAX_CRUISE_ALTITUDE);
+  const lift = Math.max(0, cruise - Math.max(from.altitude, to.altitude));
+
+  const duration = Math.min(
+    MAX_FLIGHT_MS,
+    MIN_FLIGHT_MS + (angle / Math.PI) * 1800 + zoomRange * 120
+  );
+
+  return { from, to, duration, lift };
+}
+
+/**
+ * Where the camera is at a point in a flight
+ *
+ * @param {object} plan - Plan from createFlightPlan
+ * @param {number} elapsed - Milliseconds since the flight started
+ * @returns {object} { lat, lng, altitude, done }
+ */
+export function getFlightPosition(plan, elapsed) {
+  const { from, to, duration, lift } = plan;
+  const progress = duration > 0 ? Math.min(1, Math.max(0, elapsed / duration)) : 1;
+  const t = easeInOutCubic(progress);
+
+  const { lat, lng } = interpolateGreatCircle(from, to, t);
+  const altitude = from.altitude * (to.altitude / from.altitude) ** t + lift * Math.sin(Math.PI * t);
+
+  return { lat, lng, altitude, done: progress >= 1 };
+}
@@ -0,0 +1,10 @@
+/**
+ * Navigation - Re-export camera navigation utilities
+ *
+ * ARCHITECTURAL NOTE:
+ * Platform-agnostic camera math and location parsing used by the API layer
+ * and the viewers.
+ */
+
+export * from './flight.js';
+export * from './locationQuery.js';
@@ -0,0 +1,146 @@
+/**
+ * Location Queries - Understand what a player typed into the search box
+ *
+ * ARCHITECTURAL NOTE:
+ * Pure parsing with no React, DOM or network access. A query is one of:
+ * - a raw H3 cell index ("8c194ad205415ff")
+ * - coordinates, decimal ("40.7128, -74.006") or degrees/minutes/seconds
+ *   ("40°42'46"N 74°0'22"W", "N 40 42.767 W 74 0.367")
+ * - anything else, which is a place name for a geocoder (api/geocoding)
+ *
+ * COORDINATES:
+ * Latitude comes first unless hemisphere letters say otherwise. Without a
+ * comma the query is split at whichever space makes two valid coordinates;
+ * a query that splits more than one way ("40 26 30 10") is not coordinates.
+ */
+
+import { isValidCellId } from '../h3/index.js';
+
+/**
+ * Kinds of location query
+ */
+export const LocationQueryType = {
+  CELL: 'cell',
+  COORDINATES: 'coordinates',
+  PLACE: 'place',
+};
+
+/**
+ * One coordinate: optional leading hemisphere, degrees, optional minutes and
+ * seconds (marked with ° ' " or separated by spaces), optional trailing hemisphere
+ */
+const COORDINATE_PATTERN = new RegExp(
+  '^([NSEW])?\\s*'
+  + '([+-]?\\d+(?:\\.\\d+)?)\\s*[°º˚]?\\s*'
+  + '(?:(\\d+(?:\\.\\d+)?)\\s*[\'′’]?\\s*)?'
+  + '(?:(\\d+(?:\\.\\d+)?)\\s*(?:["″”]|\'\')?\\s*)?'
+  + '([NSEW])?$',
+  'i'
+);
+
+/**
+ * Parse one coordinate
+ * @param {string} text - e.g. "40.7128", "-74", "40°42'46\"N", "W 74 0.367"
+ * @returns {object|null} { value: signed degrees, axis: 'lat' | 'lng' | null } or null
+ */
+function parseCoordinate(text) {
+  const match = COORDINATE_PATTERN.exec(text.trim());
+  if (!match) return null;
+
+  const [, leading, degreesText, minutesText, secondsText, trailing] = match;
+  if (leading && trailing) return null;
+  const hemisphere = (leading ?? trailing)?.toUpperCase();
+
+  const degrees = Number(degreesText);
+  const minutes = minutesText === undefined ? 0 : Number(minutesText);
+  const seconds = secondsText === undefined ? 0 : Number(secondsText);
+
+  // Only the last part may have a fraction, and minutes/seconds stay below 60
+  if (minutesText !== undefined && !Number.isInteger(degrees)) return null;
+  if (secondsText !== undefined && !Number.isInteger(minutes)) return null;
+  if (minutes >= 60 || seconds >= 60) return null;
+  // "-40 S" is ambiguous
+  if (hemisphere && /^[+-]/.test(degreesText)) return null;
+
+  const magnitude = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+  const negative = degrees < 0 || /^-/.test(degreesText) || hemisphere === 'S' || hemisphere === 'W';
+  const axis = hemisphere === 'N' || hemisphere === 'S' ? 'lat' : hemisphere ? 'lng' : null;
+
+  return { value: negative ? -magnitude : magnitude, axis };
+}
+
+/**
+ * Combine two parsed coordinates into a point
+ * @param {object} first - Parsed coordinate
+ * @param {object} second - Parsed coordinate
+ * @returns {object|null} { lat, lng } or null if the pair is not a valid point
+ */
+function toLatLng(first, second) {
+  let lat;
+  let lng;
+  if (first.axis === 'lng' || second.axis === 'lat') {
+    if (first.axis === 'lat' || second.axis === 'lng') return null;
+    [lat, lng] = [second.value, first.value];
+  } else {
+    [lat, lng] = [first.value, second.value];
+  }
+
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+}
+
+/**
+ * Parse coordinates in decimal or degrees/minutes/seconds notation
+ *
+ * @param {string} text - Query text
+ * @returns {object|null} { lat, lng } in degrees, or null if the text is not coordinates
+ */
+export function parseCoordinates(text) {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed) return null;
+
+  // An explicit separator decides the split
+  const parts = trimmed.split(/\s*[,;]\s*/);
+  if (parts.length === 2) {
+    const [first, second] = parts.map(parseCoordinate);
+    return first && second ? toLatLng(first, second) : null;
+  }
+  if (parts.length > 2) return null;
+
+  // Otherwise try every space; exactly one split may give a valid point
+  const words = trimmed.split(/\s+/);
+  const points = [];
+  for (let i = 1; i < words.length; i++) {
+    const first = parseCoordinate(words.slice(0, i).join(' '));
+    const second = parseCoordinate(words.slice(i).join(' '));
+    const point = first && second ? toLatLng(first, second) : null;
+    if (point) points.push(point);
+  }
+  return points.length === 1 ? points[0] : null;
+}
+
+/**
+ * Work out what kind of location a query names
+ *
+ * @param {string} query - Query text
+ * @returns {object|null} { type: LocationQueryType.CELL, cellId }
+ *   | { type: LocationQueryType.COORDINATES, lat, lng }
+ *   | { type: LocationQueryType.PLACE, name }
+ *   | null for an empty query
+ */
+export function parseLocationQuery(query) {
+  const trimmed = String(query ?? '').trim();
+  if (!trimmed) return null;
+
+  const cellId = trimmed.toLowerCase();
+  if (isValidCellId(cellId)) {
+    return { type: LocationQueryType.CELL, cellId };
+  }
+
+  const point = parseCoordinates(trimmed);
+  if (point) {
+    return { type: LocationQueryType.COORDINATES, ...point };
+  }
+
+  return { type: LocationQueryType.PLACE, name: trimmed.replace(/\s+/g, ' ') };
+}
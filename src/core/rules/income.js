@@ -0,0 +1,169 @@
+/**
+ * Income Rules - Currency generated by structures over time
+ *
+ * ARCHITECTURAL NOTE:
+ * Income is a pure game rule: no React, no browser APIs, no API-layer state.
+ * Time is never read directly - every function that needs "now" takes a clock,
+ * so the same code runs deterministically in tests, on the client and on a server.
+ *
+ * SETTLEMENT:
+ * Structures accrue fractional currency continuously. A settlement converts the
+ * accrued amount into whole currency units and returns the fractional remainder
+ * as `carry`, which the caller stores and passes to the next settlement.
+ * Settling once over an hour or sixty times over a minute yields the same total.
+ */
+
+import { isCellOwned } from '../domain/cell.js';
+import { getStructureIncomeRate } from '../domain/structure.js';
+
+/**
+ * Milliseconds per hour (structure income rates are per hour)
+ */
+export const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Longest absence that is paid out on return
+ */
+export const MAX_OFFLINE_MS = 24 * MS_PER_HOUR;
+
+/**
+ * Clock backed by real time
+ */
+export const systemClock = {
+  now: () => Date.now(),
+};
+
+/**
+ * Create a clock that only moves when told to
+ * Used by tests and simulations to control elapsed time.
+ *
+ * @param {number} startMs - Initial time in ms
+ * @returns {object} Clock with now(), advance(ms) and set(ms)
+ */
+export function createManualClock(startMs = 0) {
+  let current = startMs;
+  return {
+    now: () => current,
+    advance(ms) {
+      current += ms;
+      return current;
+    },
+    set(ms) {
+      current = ms;
+      return current;
+    },
+  };
+}
+
+/**
+ * Get how long a structure was active within an interval
+ * Structures earn nothing while under construction.
+ *
+ * @param {object} structure - Structure data object
+ * @param {number} fromMs - Interval start
+ * @param {number} toMs - Interval end
+ * @returns {number} Active time in ms
+ */
+export function getActiveDuration(structure, fromMs, toMs) {
+  const start = Math.max(fromMs, structure.completesAt);
+  return Math.max(0, toMs - start);
+}
+
+/**
+ * Get the (fractional) income a structure accrued within an interval
+ * @param {object} structure - Structure data object
+ * @param {number} fromMs - Interval start
+ * @param {number} toMs - Interval end
+ * @returns {number} Accrued currency
+ */
+export function getStructureAccrual(structure, fromMs, toMs) {
+  return getStructureIncomeRate(structure) * getActiveDuration(structure, fromMs, toMs) / MS_PER_HOUR;
+}
+
+/**
+ * Compute the income a player's cells accrued within an interval
+ * Cells are processed in ID order so the floating-point sum is reproducible
+ * regardless of how the caller stores them.
+ *
+ * @param {Iterable<object>} cells - Cell data objects (any owner)
+ * @param {string} playerId - Player whose cells should be counted
+ * @param {number} fromMs - Interval start
+ * @param {number} toMs - Interval end
+ * @returns {{total: number, byCell: object}} Fractional total and per-cell amounts
+ */
+export function computeAccruedIncome(cells, playerId, fromMs, toMs) {
+  const owned = [...cells]
+    .filter(cell => isCellOwned(cell) && cell.ownerId === playerId)
+    .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+  const byCell = {};
+  let total = 0;
+  owned.forEach(cell => {
+    const amount = cell.structures.reduce(
+      (sum, structure) => sum + getStructureAccrual(structure, fromMs, toMs),
+      0
+    );
+    if (amount > 0) {
+      byCell[cell.id] = amount;
+      total += amount;
+    }
+  });
+
+  return { total, byCell };
+}
+
+/**
+ * Settle a player's income up to the clock's current time
+ *
+ * @param {object} params - Settlement input
+ * @param {Iterable<object>} params.cells - Cell data objects
+ * @param {string} params.playerId - Player ID
+ * @param {number|null} params.lastSettledAt - End of the previous settlement, or null if never settled
+ * @param {number} params.carry - Fractional remainder from the previous settlement
+ * @param {object} clock - Clock providing now()
+ * @returns {object} { amount, carry, settledAt, elapsedMs, byCell }
+ */
+export function settleIncome({ cells, playerId, lastSettledAt = null, carry = 0 }, clock = systemClock) {
+  const now = clock.now();
+  if (lastSettledAt === null || now <= lastSettledAt) {
+    return { amount: 0, carry, settledAt: Math.max(now, lastSettledAt ?? now), elapsedMs: 0, byCell: {} };
+  }
+
+  const { total, byCell } = computeAccruedIncome(cells, playerId, lastSettledAt, now);
+  const accrued = total + carry;
+  const amount = Math.floor(accrued);
+
+  return {
+    amount,
+    carry: accrued - amount,
+    settledAt: now,
+    elapsedMs: now - lastSettledAt,
+    byCell,
+  };
+}
+
+/**
+ * Settle income for a player returning after being away
+ * Identical to settleIncome, except that absences longer than maxOfflineMs
+ * are only paid for the most recent maxOfflineMs.
+ *
+ * @param {object} params - Settlement input (see settleIncome)
+ * @param {object} options - { clock, maxOfflineMs }
+ * @returns {object} settleIncome result plus { cappedMs }
+ */
+export function settleOfflineIncome(params, { clock = systemClock, maxOfflineMs = MAX_OFFLINE_MS } = {}) {
+  const now = clock.now();
+  const { lastSettledAt = null } = params;
+  const earliest = now - maxOfflineMs;
+
+  if (lastSettledAt === null || lastSettledAt >= earliest) {
+    return { ...settleIncome(params, clock), cappedMs: 0 };
+  }
+
+  const result = settleIncome({ ...params, lastSettledAt: earliest }, clock);
+  return {
+    ...result,
+    elapsedMs: now - lastSettledAt,
+    cappedMs: earliest - lastSettledAt,
+  };
+}
@@ -0,0 +1,10 @@
+/**
+ * Game Rules - Re-export all rule modules
+ * 
+ * ARCHITECTURAL NOTE:
+ * Rules are pure functions over domain models (economy, progression).
+ * They are platform-agnostic and can run on the client or a server.
+ */
+
+export * from './pricing.js';
+export * from './income.js';
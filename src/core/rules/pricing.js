@@ -0,0 +1,201 @@
+/**
+ * Land Pricing Rules - Computes the cost of acquiring a cell
+ *
+ * ARCHITECTURAL NOTE:
+ * Pricing is a pure game rule: no React, no browser APIs, no API-layer state.
+ * The API layer asks this module for a price and is responsible for charging it.
+ *
+ * RULES ENGINE:
+ * A price starts at `basePrice` and is multiplied by each configured rule in order.
+ * Rules are looked up by name in a registry, and every rule reads its tuning
+ * parameters from a plain config object, e.g.:
+ *
+ *   {
+ *     basePrice: 100,
+ *     minPrice: 10,
+ *     maxPrice: 100000,
+ *     rules: [
+ *       { rule: 'resolution', referenceResolution: 12, areaFactor: 7 },
+ *       { rule: 'ownedNeighbours', perNeighbour: 0.1 },
+ *     ],
+ *   }
+ *
+ * Designers tune the economy by editing the config; no API code changes.
+ */
+
+import {
+  DEFAULT_RESOLUTION,
+  getCellResolution,
+  getNeighborRings,
+  getParentCell,
+  getChildCount,
+} from '../h3/index.js';
+
+/**
+ * Flat price charged for a resolution-12 land cell
+ */
+export const BASE_CELL_PRICE = 100;
+
+/**
+ * Default economy configuration
+ */
+export const DEFAULT_PRICING_CONFIG = {
+  basePrice: BASE_CELL_PRICE,
+  minPrice: 1,
+  maxPrice: Infinity,
+  rules: [
+    // Coarser cells cover ~7x the area per resolution step
+    { rule: 'resolution', referenceResolution: DEFAULT_RESOLUTION, areaFactor: 7 },
+    // Expanding next to existing holdings is cheaper than buying far away
+    {
+      rule: 'holdingsDistance',
+      maxRings: 5,
+      adjacentMultiplier: 0.9,
+      perRingPremium: 0.05,
+      outOfRangeMultiplier: 1.5,
+      noHoldingsMultiplier: 1,
+    },
+    // Contested neighbourhoods cost more
+    { rule: 'ownedNeighbours', perNeighbour: 0.1 },
+    // Land in a mostly-claimed parent cell is scarce
+    { rule: 'parentScarcity', parentResolution: 8, weight: 4 },
+  ],
+};
+
+/**
+ * Find the grid distance from a cell to the nearest of a set of cells
+ * @param {string} cellId - H3 cell index
+ * @param {Set<string>} targets - Cell IDs to search for
+ * @param {number} maxRings - Search radius in rings
+ * @returns {number|null} Distance in rings, or null if none within range
+ */
+function findNearestDistance(cellId, targets, maxRings) {
+  const rings = getNeighborRings(cellId, maxRings);
+  for (let k = 1; k < rings.length; k++) {
+    if (rings[k].some(id => targets.has(id))) {
+      return k;
+    }
+  }
+  return null;
+}
+
+/**
+ * Built-in pricing rules
+ * Each rule receives (cellId, context, params) and returns a price multiplier.
+ *
+ * Context fields:
+ * - ownedCellIds: Set of every owned cell ID
+ * - playerCellIds: Set of cell IDs owned by the buying player
+ */
+export const PricingRules = {
+  /**
+   * Scale price with cell area relative to the land resolution
+   */
+  resolution(cellId, _context, { referenceResolution = DEFAULT_RESOLUTION, areaFactor = 7 }) {
+    return areaFactor ** (referenceResolution - getCellResolution(cellId));
+  },
+
+  /**
+   * Discount cells near the player's holdings, surcharge distant ones
+   */
+  holdingsDistance(cellId, context, {
+    maxRings = 5,
+    adjacentMultiplier = 1,
+    perRingPremium = 0,
+    outOfRangeMultiplier = 1,
+    noHoldingsMultiplier = 1,
+  }) {
+    const holdings = context.playerCellIds;
+    if (!holdings || holdings.size === 0) {
+      return noHoldingsMultiplier;
+    }
+
+    const distance = findNearestDistance(cellId, holdings, maxRings);
+    if (distance === null) {
+      return outOfRangeMultiplier;
+    }
+    return adjacentMultiplier + perRingPremium * (distance - 1);
+  },
+
+  /**
+   * Add a premium for each owned direct neighbour
+   */
+  ownedNeighbours(cellId, context, { perNeighbour = 0 }) {
+    const owned = context.ownedCellIds;
+    if (!owned || owned.size === 0) return 1;
+
+    const [, neighbours] = getNeighborRings(cellId, 1);
+    const count = neighbours.filter(id => owned.has(id)).length;
+    return 1 + perNeighbour * count;
+  },
+
+  /**
+   * Add a premium proportional to how much of the parent cell is already owned
+   */
+  parentScarcity(cellId, context, { parentResolution = 8, weight = 0 }) {
+    const owned = context.ownedCellIds;
+    const resolution = getCellResolution(cellId);
+    if (!owned || owned.size === 0 || parentResolution >= resolution) return 1;
+
+    const parentId = getParentCell(cellId, parentResolution);
+    let ownedInParent = 0;
+    owned.forEach(id => {
+      if (getCellResolution(id) === resolution && getParentCell(id, parentResolution) === parentId) {
+        ownedInParent++;
+      }
+    });
+
+    const ownedFraction = ownedInParent / getChildCount(parentId, resolution);
+    return 1 + weight * ownedFraction;
+  },
+};
+
+/**
+ * Create a pricing function from a config object
+ * @param {object} config - Economy config (see DEFAULT_PRICING_CONFIG)
+ * @param {object} customRules - Extra rules merged over PricingRules
+ * @returns {function} (cellId, context) => quote
+ */
+export function createPricingEngine(config = DEFAULT_PRICING_CONFIG, customRules = {}) {
+  const registry = { ...PricingRules, ...customRules };
+  const {
+    basePrice = BASE_CELL_PRICE,
+    minPrice = 1,
+    maxPrice = Infinity,
+    rules = [],
+  } = config;
+
+  rules.forEach(({ rule }) => {
+    if (typeof registry[rule] !== 'function') {
+      throw new Error(`[Pricing] Unknown pricing rule: ${rule}`);
+    }
+  });
+
+  return function quote(cellId, context = {}) {
+    let price = basePrice;
+    const breakdown = rules.map(({ rule, ...params }) => {
+      const multiplier = registry[rule](cellId, context, params);
+      price *= multiplier;
+      return { rule, multiplier };
+    });
+
+    return {
+      cellId,
+      price: Math.round(Math.min(maxPrice, Math.max(minPrice, price))),
+      basePrice,
+      breakdown,
+    };
+  };
+}
+
+const defaultEngine = createPricingEngine(DEFAULT_PRICING_CONFIG);
+
+/**
+ * Compute the price of a cell using the default economy
+ * @param {string} cellId - H3 cell index
+ * @param {object} context - Ownership context (ownedCellIds, playerCellIds)
+ * @returns {number} Price in currency units
+ */
+export function getCellPrice(cellId, context = {}) {
+  return defaultEngine(cellId, context).price;
+}
@@ -0,0 +1,79 @@
+/**
+ * Announcements - Screen reader text for domain events
+ *
+ * ARCHITECTURAL NOTE:
+ * Turns focus and selection events into short sentences for an ARIA live
+ * region, so players who cannot see the globe know which cell they are on.
+ * Pure functions: the UI shell subscribes to the event bus and renders the
+ * text; this module never touches the DOM.
+ */
+
+import { EventTypes } from '../core/events/index.js';
+import { getCellCenter } from '../core/h3/index.js';
+
+/**
+ * Format a coordinate as degrees with a hemisphere letter
+ * @param {number} value - Latitude or longitude in degrees
+ * @param {string} positive - Hemisphere letter for positive values
+ * @param {string} negative - Hemisphere letter for negative values
+ * @returns {string} e.g. "51.5074° N"
+ */
+function formatCoordinate(value, positive, negative) {
+  return `${Math.abs(value).toFixed(4)}° ${value < 0 ? negative : positive}`;
+}
+
+/**
+ * Describe a cell: its location, owner and structures
+ *
+ * @param {string} cellId - H3 cell index
+ * @param {object} context - { getCell: cellId => cell|null, playerId: current player }
+ * @returns {string} Description
+ */
+export function describeCell(cellId, { getCell = () => null, playerId = null } = {}) {
+  const [lat, lng] = getCellCenter(cellId);
+  const cell = getCell(cellId);
+  const parts = [`cell ${cellId}`, `${formatCoordinate(lat, 'N', 'S')}, ${formatCoordinate(lng, 'E', 'W')}`];
+
+  if (!cell?.ownerId) {
+    parts.push('unowned');
+  } else if (cell.ownerId === playerId) {
+    parts.push('owned by you');
+  } else {
+    parts.push(`owned by ${cell.ownerId}`);
+  }
+
+  const structureCount = cell?.structures?.length ?? 0;
+  if (structureCount > 0) {
+    parts.push(`${structureCount} ${structureCount === 1 ? 'structure' : 'structures'}`);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Get the announcement for a domain event
+ *
+ * @param {object} event - Domain event from the shared bus
+ * @param {object} context - { getCell, playerId } (see describeCell)
+ * @returns {string|null} Text to announce, or null for events that are not announced
+ */
+export function getAnnouncement(event, context = {}) {
+  const { payload } = event;
+
+  switch (event.type) {
+    case EventTypes.CELL_FOCUSED:
+      return payload.cellId ? `Focused ${describeCell(payload.cellId, context)}` : null;
+    case EventTypes.SELECTION_CLEARED:
+      return 'Selection cleared';
+    case EventTypes.SELECTION_CHANGED: {
+      const count = payload.cellIds.length;
+      if (count === 0 || !payload.primaryCellId) {
+        return 'Selection cleared';
+      }
+      const primary = describeCell(payload.primaryCellId, context);
+      return count === 1 ? `Selected ${primary}` : `${count} cells selected, last ${primary}`;
+    }
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Camera Events - Interaction mapping layer for globe navigation
+ *
+ * ARCHITECTURAL NOTE:
+ * Converts navigation input that the viewer's own controls do not see
+ * (keyboard steps, native touch gestures) into camera API requests. Step sizes
+ * scale with the camera altitude, so a key press or a finger drag covers a
+ * similar share of the screen in orbit and at street level.
+ *
+ * INPUT FLOW:
+ * platform input → interactions/cameraEvents.js → api/cameraApi.js → viewer
+ */
+
+import { getVisibleCapRadius } from '../core/h3/index.js';
+import { nudgeCamera, getCameraView } from '../api/cameraApi.js';
+
+/**
+ * Degrees the camera turns per key press, per globe radius of altitude
+ */
+const ROTATE_DEGREES_PER_ALTITUDE = 12;
+
+/**
+ * Largest camera turn per key press, in degrees
+ */
+const MAX_ROTATE_DEGREES = 10;
+
+/**
+ * Altitude multiplier for one zoom step
+ */
+const ZOOM_STEP_FACTOR = 1.5;
+
+/**
+ * Field of view assumed before the viewer reports one, in degrees
+ */
+const DEFAULT_FOV = 45;
+
+/**
+ * Turn the camera a step over the globe surface
+ *
+ * @param {object} step - { north, east: -1, 0 or 1 }
+ * @returns {object} Result with success status
+ */
+export function handleCameraRotate({ north = 0, east = 0 } = {}) {
+  const altitude = getCameraView()?.altitude ?? Infinity;
+  const degrees = Math.min(altitude * ROTATE_DEGREES_PER_ALTITUDE, MAX_ROTATE_DEGREES);
+  return nudgeCamera({ latDeg: north * degrees, lngDeg: east * degrees });
+}
+
+/**
+ * Zoom the camera a step
+ *
+ * @param {number} steps - Positive to zoom in, negative to zoom out
+ * @returns {object} Result with success status
+ */
+export function handleCameraZoom(steps) {
+  return nudgeCamera({ zoomFactor: ZOOM_STEP_FACTOR ** -steps });
+}
+
+/**
+ * Drag the globe under a finger
+ * The surface follows the finger: dragging right turns the globe east to west.
+ *
+ * @param {number} dx - Horizontal movement in pixels
+ * @param {number} dy - Vertical movement in pixels (down is positive)
+ * @param {object} context - { viewportHeight: in pixels }
+ * @returns {object} Result with success status
+ */
+export function handleCameraDrag(dx, dy, { viewportHeight } = {}) {
+  const view = getCameraView();
+  if (!view || !viewportHeight) {
+    return { success: false };
+  }
+
+  // The screen height spans about twice the visible cap radius (aspect 1)
+  const capRadius = getVisibleCapRadius(1 + view.altitude, view.fov ?? DEFAULT_FOV, 1);
+  const degreesPerPixel = (2 * capRadius * 180 / Math.PI) / viewportHeight;
+  return nudgeCamera({ latDeg: dy * degreesPerPixel, lngDeg: -dx * degreesPerPixel });
+}
+
+/**
+ * Zoom by a pinch
+ *
+ * @param {number} scale - Finger spread ratio (above 1 when spreading)
+ * @returns {object} Result with success status
+ */
+export function handleCameraPinch(scale) {
+  if (!(scale > 0)) {
+    return { success: false };
+  }
+  return nudgeCamera({ zoomFactor: 1 / scale });
+}
+
+/**
+ * Spin the globe about its axis by a two-finger twist
+ * A clockwise twist turns the globe eastward under the camera, like turning a
+ * desk globe with two fingers.
+ *
+ * @param {number} degrees - Clockwise twist in degrees
+ * @returns {object} Result with success status
+ */
+export function handleCameraTwist(degrees) {
+  return nudgeCamera({ lngDeg: -degrees });
+}
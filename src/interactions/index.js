@@ -7,3 +7,8 @@
  */
 
 export * from './pointerEvents.js';
+export * from './pointerGestures.js';
+export * from './keyboardEvents.js';
+export * from './cameraEvents.js';
+export * from './announcements.js';
+export * from './searchEvents.js';
@@ -0,0 +1,194 @@
+/**
+ * Keyboard Events - Interaction mapping layer for keyboard navigation
+ *
+ * ARCHITECTURAL NOTE:
+ * This module converts semantic keyboard actions into domain events and API
+ * calls, the keyboard counterpart of pointerEvents.js.
+ *
+ * INPUT FLOW:
+ * platform/web/input.js → interactions/keyboardEvents.js → api/landApi.js
+ * (camera keys go through interactions/cameraEvents.js)
+ *
+ * FOCUS CURSOR:
+ * Keyboard users move a focus cursor from cell to neighboring cell instead of
+ * pointing. The cursor lives on the grid the viewer shows at the current
+ * camera altitude; it starts at the selected or hovered cell, or the cell in
+ * the middle of the view, and follows the grid when its resolution changes.
+ *
+ * It does NOT:
+ * - Access keyboard events or key names directly
+ * - Know about DOM or browser APIs
+ */
+
+import { publishEvent, cellFocused, selectionCleared } from '../core/events/index.js';
+import {
+  GRID_LOD_LEVELS,
+  getGridLodForAltitude,
+  getH3Index,
+  getCellCenter,
+  getCellResolution,
+  getParentCell,
+  getNeighborInDirection,
+} from '../core/h3/index.js';
+import {
+  setFocusedCell,
+  getFocusedCellId,
+  getSelectedCellId,
+  getSelectedCellIds,
+  getHoveredCellId,
+  clearSelection,
+} from '../api/landApi.js';
+import { executeCommand, createSelectionCommand, undo, redo } from '../api/historyApi.js';
+import { getCameraView } from '../api/cameraApi.js';
+import { handleCellSelect } from './pointerEvents.js';
+import { handleCameraRotate, handleCameraZoom } from './cameraEvents.js';
+
+/**
+ * Emit a domain event on the shared event bus
+ * @param {object} event - Domain event object
+ */
+function emitEvent(event) {
+  console.log('[Interactions] Event emitted:', event.type, event.payload);
+  publishEvent(event);
+}
+
+/**
+ * Resolution of the grid the viewer currently shows
+ * @returns {number} H3 resolution
+ */
+function getVisibleResolution() {
+  const view = getCameraView();
+  return view ? getGridLodForAltitude(view.altitude).resolution : GRID_LOD_LEVELS[0].resolution;
+}
+
+/**
+ * Express a cell at another resolution
+ * Coarser resolutions use the parent; finer ones the cell containing its center.
+ *
+ * @param {string} cellId - H3 cell index
+ * @param {number} resolution - Target resolution
+ * @returns {string} H3 cell index at the target resolution
+ */
+function toResolution(cellId, resolution) {
+  const cellResolution = getCellResolution(cellId);
+  if (cellResolution === resolution) {
+    return cellId;
+  }
+  if (cellResolution > resolution) {
+    return getParentCell(cellId, resolution);
+  }
+  const [lat, lng] = getCellCenter(cellId);
+  return getH3Index(lat, lng, resolution);
+}
+
+/**
+ * Cell the focus cursor starts from when it has not been placed yet
+ * @param {number} resolution - Visible grid resolution
+ * @returns {string|null} H3 cell index
+ */
+function getFocusOrigin(resolution) {
+  const cellId = getFocusedCellId() ?? getSelectedCellId() ?? getHoveredCellId();
+  if (cellId) {
+    return toResolution(cellId, resolution);
+  }
+
+  const view = getCameraView();
+  return view ? getH3Index(view.lat, view.lng, resolution) : null;
+}
+
+/**
+ * Move the focus cursor to a cell
+ *
+ * @param {string|null} cellId - H3 cell index, or null to clear the cursor
+ * @returns {object} Result with success status
+ */
+export function handleCellFocus(cellId) {
+  if (cellId === getFocusedCellId()) {
+    return { success: true, cellId };
+  }
+
+  emitEvent(cellFocused(cellId));
+  return setFocusedCell(cellId);
+}
+
+/**
+ * Move the focus cursor to the neighboring cell in a direction
+ * The first press only places the cursor (see FOCUS CURSOR above).
+ *
+ * @param {number} direction - Compass bearing from GridDirection (core/h3)
+ * @returns {object} Result with success status and the focused cell
+ */
+export function handleFocusMove(direction) {
+  const resolution = getVisibleResolution();
+  const focusedCellId = getFocusedCellId();
+  const origin = getFocusOrigin(resolution);
+  if (!origin) {
+    return { success: false, cellId: null };
+  }
+
+  // A cursor already on the visible grid steps; otherwise it lands on the origin
+  const onGrid = focusedCellId && getCellResolution(focusedCellId) === resolution;
+  const cellId = onGrid ? getNeighborInDirection(origin, direction) ?? origin : origin;
+  return handleCellFocus(cellId);
+}
+
+/**
+ * Select the cell under the focus cursor
+ *
+ * @param {object} context - Additional context (selectionMode)
+ * @returns {object} Result with success status
+ */
+export function handleFocusSelect(context = {}) {
+  const cellId = getFocusedCellId();
+  if (!cellId) {
+    return { success: false, cellId: null };
+  }
+
+  handleCellSelect(cellId, context);
+  return { success: true, cellId };
+}
+
+/**
+ * Clear the selection (undoable)
+ *
+ * @returns {object} Result with success status and whether anything was selected
+ */
+export function handleSelectionClear() {
+  if (getSelectedCellIds().length === 0) {
+    return { success: true, cleared: false };
+  }
+
+  emitEvent(selectionCleared());
+  executeCommand(createSelectionCommand('Clear selection', () => clearSelection()));
+  return { success: true, cleared: true };
+}
+
+/**
+ * Handle a keyboard action
+ * This is called by the platform input layer with key presses already mapped
+ *
+ * @param {string} actionType - 'move-focus' | 'select-focused' | 'clear-selection' |
+ *   'rotate-camera' | 'zoom-camera' | 'undo' | 'redo'
+ * @param {object} context - Action parameters (direction, selectionMode, north/east, steps)
+ */
+export function handleKeyboardAction(actionType, context = {}) {
+  switch (actionType) {
+    case 'move-focus':
+      return handleFocusMove(context.direction);
+    case 'select-focused':
+      return handleFocusSelect(context);
+    case 'clear-selection':
+      return handleSelectionClear();
+    case 'rotate-camera':
+      return handleCameraRotate(context);
+    case 'zoom-camera':
+      return handleCameraZoom(context.steps);
+    case 'undo':
+      return undo();
+    case 'redo':
+      return redo();
+    default:
+      console.warn('[Interactions] Unknown keyboard action:', actionType);
+      return { success: false };
+  }
+}
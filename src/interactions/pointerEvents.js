@@ -11,7 +11,7 @@
  * This layer:
  * - Receives normalized input from platform layer
  * - Performs raycasting to determine what was hit
- * - Emits domain events (CELL_SELECTED, CELL_HOVERED)
+ * - Emits domain events (CELL_SELECTED, CELL_HOVERED, CELL_CONTEXT_REQUESTED) on the core/events bus
  * - Calls appropriate API methods
  * 
  * It does NOT:
@@ -20,43 +20,37 @@
  * - Implement business logic (ownership, economy)
  */
 
-import { cellSelected, cellHovered, cellUnhovered } from '../core/events/index.js';
-import { selectCell, setHoveredCell } from '../api/landApi.js';
+import {
+  publishEvent,
+  cellSelected,
+  cellHovered,
+  cellUnhovered,
+  cellContextRequested,
+} from '../core/events/index.js';
+import { SelectionMode } from '../core/domain/selection.js';
+import { selectCell, selectRing, selectPolygon, setHoveredCell } from '../api/landApi.js';
+import { executeCommand, createSelectionCommand } from '../api/historyApi.js';
+import { flyToCell, getCameraView } from '../api/cameraApi.js';
 
 /**
- * Event listeners registry
- * Allows external code to subscribe to domain events
+ * Altitude multiplier for flying to a double-clicked cell (zooms in)
  */
-const eventListeners = new Map();
+const FLY_TO_ZOOM_FACTOR = 0.5;
 
 /**
- * Register a listener for a domain event type
- * @param {string} eventType - Event type from EventTypes
- * @param {function} callback - Handler function
- * @returns {function} Unsubscribe function
+ * Rings around the clicked cell for a ring selection
  */
-export function addEventListener(eventType, callback) {
-  if (!eventListeners.has(eventType)) {
-    eventListeners.set(eventType, new Set());
-  }
-  eventListeners.get(eventType).add(callback);
-  
-  return () => {
-    eventListeners.get(eventType)?.delete(callback);
-  };
-}
+const DEFAULT_RING_SIZE = 1;
 
 /**
- * Emit a domain event to all registered listeners
+ * Emit a domain event on the shared event bus
+ * Subscribe with subscribeToEvent from core/events.
+ * 
  * @param {object} event - Domain event object
  */
 function emitEvent(event) {
   console.log('[Interactions] Event emitted:', event.type, event.payload);
-  
-  const listeners = eventListeners.get(event.type);
-  if (listeners) {
-    listeners.forEach(callback => callback(event));
-  }
+  publishEvent(event);
 }
 
 /**
@@ -64,7 +58,7 @@ function emitEvent(event) {
  * Called when user performs a "select" action (click/tap) on a cell
  * 
  * @param {string} cellId - H3 cell index that was selected
- * @param {object} metadata - Additional context (position, etc.)
+ * @param {object} metadata - Additional context (position, selectionMode, etc.)
  */
 export function handleCellSelect(cellId, metadata = {}) {
   console.log('[Interactions] handleCellSelect:', cellId);
@@ -73,8 +67,72 @@ export function handleCellSelect(cellId, metadata = {}) {
   const event = cellSelected(cellId, metadata);
   emitEvent(event);
   
-  // Call API to update state
-  selectCell(cellId);
+  // Call API to update state (undoable)
+  const mode = metadata.selectionMode ?? SelectionMode.REPLACE;
+  executeCommand(createSelectionCommand('Select cell', () => selectCell(cellId, mode)));
+}
+
+/**
+ * Handle a request for a cell's actions
+ * Called when user long-presses a cell; a context menu subscribes to
+ * CELL_CONTEXT_REQUESTED to offer purchase and build actions.
+ * 
+ * @param {string} cellId - H3 cell index
+ * @param {object} metadata - Additional context (screen position, etc.)
+ */
+export function handleCellContext(cellId, metadata = {}) {
+  console.log('[Interactions] handleCellContext:', cellId);
+  
+  emitEvent(cellContextRequested(cellId, metadata));
+  return { success: true, cellId };
+}
+
+/**
+ * Handle a request to center the view on a cell
+ * Called when user double-clicks a cell; the camera moves over it and zooms in.
+ * 
+ * @param {string} cellId - H3 cell index
+ * @returns {object} Result with success status
+ */
+export function handleCellFlyTo(cellId) {
+  console.log('[Interactions] handleCellFlyTo:', cellId);
+  
+  const altitude = getCameraView()?.altitude;
+  return flyToCell(cellId, { altitude: altitude ? altitude * FLY_TO_ZOOM_FACTOR : null });
+}
+
+/**
+ * Handle ring selection
+ * Called when user asks to select every cell within k rings of a cell
+ * (Alt + click on the web)
+ * 
+ * @param {string} cellId - Center H3 cell index
+ * @param {number} ringSize - Number of rings around the center (k)
+ * @param {object} context - Additional context (selectionMode, etc.)
+ */
+export function handleRingSelect(cellId, ringSize, context = {}) {
+  console.log('[Interactions] handleRingSelect:', cellId, ringSize);
+  
+  const mode = context.selectionMode ?? SelectionMode.REPLACE;
+  return executeCommand(createSelectionCommand('Select ring', () => selectRing(cellId, ringSize, mode)));
+}
+
+/**
+ * Handle lasso selection
+ * Called when user finishes drawing a lasso outline on the globe
+ * (Alt + drag on the web)
+ * 
+ * @param {Array<[number, number]>} polygon - Lasso outline as [lat, lng] pairs
+ * @param {object} context - Additional context (resolution, selectionMode)
+ */
+export function handleLassoSelect(polygon, context = {}) {
+  console.log('[Interactions] handleLassoSelect:', polygon.length, 'points');
+  
+  const options = {
+    resolution: context.resolution,
+    mode: context.selectionMode ?? SelectionMode.REPLACE,
+  };
+  return executeCommand(createSelectionCommand('Lasso select', () => selectPolygon(polygon, options)));
 }
 
 /**
@@ -111,7 +169,7 @@ export function handleCellHoverExit(cellId) {
  * Handle pointer interaction at a 3D point
  * This is called by the platform input layer with normalized coordinates
  * 
- * @param {string} actionType - 'select' | 'hover-enter' | 'hover-exit'
+ * @param {string} actionType - 'select' | 'select-ring' | 'fly-to' | 'context' | 'hover-enter' | 'hover-exit'
  * @param {string|null} cellId - H3 cell ID or null if no cell hit
  * @param {object} context - Additional context (3D point, etc.)
  */
@@ -128,6 +186,15 @@ export function handlePointerAction(actionType, cellId, context = {}) {
     case 'select':
       handleCellSelect(cellId, context);
       break;
+    case 'select-ring':
+      handleRingSelect(cellId, context.ringSize ?? DEFAULT_RING_SIZE, context);
+      break;
+    case 'fly-to':
+      handleCellFlyTo(cellId);
+      break;
+    case 'context':
+      handleCellContext(cellId, context);
+      break;
     case 'hover-enter':
       handleCellHoverEnter(cellId);
       break;
@@ -0,0 +1,107 @@
+/**
+ * Pointer Gestures - Tell clicks apart from drags
+ *
+ * ARCHITECTURAL NOTE:
+ * The same press on the globe can start a camera drag or select a cell. This
+ * classifier decides after the fact: a press counts as a click only if the
+ * pointer stayed within a few pixels and was released quickly. Everything
+ * else is a drag and belongs to the camera controls.
+ *
+ * Like platform/native/gestures.js it is a pure state machine:
+ * classifyPointer(state, input) returns the next state and the gesture found,
+ * so platform input code owns the events and tests can feed synthetic ones.
+ *
+ * INPUT:
+ * { type: 'down' | 'move' | 'up' | 'cancel', pointerId, x, y, time }
+ * with x/y in screen pixels and time in milliseconds.
+ */
+
+/**
+ * Recognized pointer gestures
+ * The second click of a double click is reported as DOUBLE_CLICK, not CLICK.
+ */
+export const PointerGestureType = {
+  CLICK: 'click',
+  DOUBLE_CLICK: 'double-click',
+};
+
+/**
+ * Default click thresholds
+ * - clickSlop: pixels a pointer may drift between down and up
+ * - clickMaxMs: longest press that still counts as a click
+ * - doubleClickMs: longest gap between the clicks of a double click
+ * - doubleClickSlop: pixels between the clicks of a double click
+ */
+export const DEFAULT_CLICK_OPTIONS = {
+  clickSlop: 5,
+  clickMaxMs: 500,
+  doubleClickMs: 300,
+  doubleClickSlop: 10,
+};
+
+/**
+ * State with no pointer down and no recent click
+ */
+export const INITIAL_POINTER_STATE = { press: null, lastClick: null };
+
+/**
+ * Advance the click classifier by one pointer input
+ *
+ * @param {object} state - Current state (INITIAL_POINTER_STATE to begin)
+ * @param {object} input - { type, pointerId, x, y, time } (see INPUT above)
+ * @param {object} options - Thresholds (see DEFAULT_CLICK_OPTIONS)
+ * @returns {object} { state, gesture } with gesture { type, x, y } or null
+ */
+export function classifyPointer(state, input, options = {}) {
+  const { clickSlop, clickMaxMs, doubleClickMs, doubleClickSlop } = { ...DEFAULT_CLICK_OPTIONS, ...options };
+  const { press, lastClick } = state;
+
+  switch (input.type) {
+    case 'down':
+      // A second pointer (pinch on a touch screen) turns the press into a gesture
+      if (press && press.pointerId !== input.pointerId) {
+        return { state: { press: null, lastClick }, gesture: null };
+      }
+      return {
+        state: { press: { pointerId: input.pointerId, x: input.x, y: input.y, time: input.time }, lastClick },
+        gesture: null,
+      };
+
+    case 'move':
+      if (!press || press.pointerId !== input.pointerId) {
+        return { state, gesture: null };
+      }
+      // Once the pointer leaves the slop the press is a drag, even if it comes back
+      if (Math.hypot(input.x - press.x, input.y - press.y) > clickSlop) {
+        return { state: { press: null, lastClick }, gesture: null };
+      }
+      return { state, gesture: null };
+
+    case 'up': {
+      if (!press || press.pointerId !== input.pointerId) {
+        return { state: { press: null, lastClick }, gesture: null };
+      }
+      const isClick = input.time - press.time <= clickMaxMs
+        && Math.hypot(input.x - press.x, input.y - press.y) <= clickSlop;
+      if (!isClick) {
+        return { state: INITIAL_POINTER_STATE, gesture: null };
+      }
+
+      const click = { x: press.x, y: press.y, time: input.time };
+      const isDouble = lastClick
+        && click.time - lastClick.time <= doubleClickMs
+        && Math.hypot(click.x - lastClick.x, click.y - lastClick.y) <= doubleClickSlop;
+      return {
+        // A double click is not the first half of another one
+        state: { press: null, lastClick: isDouble ? null : click },
+        gesture: { type: isDouble ? PointerGestureType.DOUBLE_CLICK : PointerGestureType.CLICK, x: click.x, y: click.y },
+      };
+    }
+
+    case 'cancel':
+      return { state: { press: null, lastClick }, gesture: null };
+
+    default:
+      return { state, gesture: null };
+  }
+}
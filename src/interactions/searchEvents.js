@@ -0,0 +1,53 @@
+/**
+ * Search Events - Interaction mapping layer for the search box
+ *
+ * ARCHITECTURAL NOTE:
+ * Takes a submitted query through the search API and moves the player to the
+ * answer: the result's land cell is selected (undoable, like a click) and the
+ * camera flies down to it.
+ *
+ * INPUT FLOW:
+ * search box (App.jsx) → interactions/searchEvents.js → api/searchApi.js,
+ * then api/landApi.js and api/cameraApi.js
+ *
+ * It does NOT:
+ * - Parse queries or look up place names (api/searchApi.js does)
+ * - Know about DOM or browser APIs
+ */
+
+import { searchLocation } from '../api/searchApi.js';
+import { flyToCell } from '../api/cameraApi.js';
+import { handleCellSelect } from './pointerEvents.js';
+
+/**
+ * Go to a search result
+ * Selects the result's cell and flies the camera down to it.
+ *
+ * @param {object} result - Search result from api/searchApi.js
+ * @returns {object} Result with success status
+ */
+export function handleSearchResultSelect(result) {
+  console.log('[Interactions] handleSearchResultSelect:', result.label, result.cellId);
+
+  handleCellSelect(result.cellId, { source: 'search' });
+  return flyToCell(result.cellId);
+}
+
+/**
+ * Search for a query and go to the best match
+ * The other matches stay in the search API state for the player to pick from.
+ *
+ * @param {string} query - Text the player typed
+ * @returns {Promise<object>} Result with success status and results
+ */
+export async function handleSearchSubmit(query) {
+  console.log('[Interactions] handleSearchSubmit:', query);
+
+  const result = await searchLocation(query);
+  if (!result.success) {
+    return result;
+  }
+
+  handleSearchResultSelect(result.results[0]);
+  return result;
+}
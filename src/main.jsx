@@ -2,6 +2,66 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { initLandApi, loadAllCells, watchCells } from './api/landApi.js'
+import { initPlayerApi } from './api/playerApi.js'
+import { initAuth, restoreSession } from './api/authApi.js'
+import { initCamera } from './api/cameraApi.js'
+import { initIncome, startIncome } from './api/incomeApi.js'
+import { createAnonymousProvider, createEmailPasswordProvider } from './api/auth/index.js'
+import { createWebSocketAdapter } from './api/persistence/webSocketAdapter.js'
+import { createRulesAdapter } from './api/persistence/rulesAdapter.js'
+import { createLocalStorageAdapter } from './platform/web/storage.js'
+
+const syncUrl = import.meta.env.VITE_SYNC_URL
+const rulesUrl = import.meta.env.VITE_RULES_URL
+
+// Session tokens are kept across reloads, so players keep their server wallet
+const rulesAdapter = rulesUrl
+  ? createRulesAdapter({ baseUrl: rulesUrl, storage: window.localStorage })
+  : null
+
+if (rulesAdapter) {
+  // Authoritative: the rules server (see server/rulesServer.js) decides every
+  // purchase and structure action
+  initLandApi({ adapter: rulesAdapter })
+  watchCells(null)
+} else if (syncUrl) {
+  // Multiplayer: land is shared through a sync server (see server/syncServer.js);
+  // HexGrid watches the visible region
+  initLandApi({ adapter: createWebSocketAdapter({ url: syncUrl }) })
+} else {
+  // Web build persists land in localStorage and follows writes from other tabs
+  initLandApi({ adapter: createLocalStorageAdapter() })
+  loadAllCells()
+  watchCells(null)
+}
+
+// Wallets are kept across reloads. The rules server owns them when there is
+// one: signing in loads (or registers) the server wallet and grants nothing
+// locally. Set up before the session, so signing back in finds the saved
+// wallet instead of granting a new starting balance. Other tabs' wallet
+// changes arrive through the window 'storage' event.
+initPlayerApi(rulesAdapter
+  ? { server: rulesAdapter }
+  : { storage: window.localStorage, eventTarget: window })
+
+// Sessions survive reloads; email accounts use the in-memory backend until a
+// real auth service is wired in
+initAuth({
+  anonymous: createAnonymousProvider({ storage: window.localStorage }),
+  password: createEmailPasswordProvider({ storage: window.localStorage }),
+})
+restoreSession()
+
+// Structures pay their owner on sign-in (for the time away) and every minute
+// after; the rules server pays income itself
+if (!rulesAdapter) {
+  initIncome({ storage: window.localStorage })
+  startIncome()
+}
+
+// Camera bookmarks are kept per player across reloads
+initCamera({ storage: window.localStorage })
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -0,0 +1,214 @@
+/**
+ * Touch Gestures - Pure gesture recognition for native touch input
+ *
+ * ARCHITECTURAL NOTE:
+ * Gesture recognition is a pure state machine: reduceGesture(state, input)
+ * returns the next state and the gestures it recognized. It uses no timers,
+ * React Native APIs or module state, so input.js can feed it real touches and
+ * tests can feed it synthetic touch sequences with made-up timestamps.
+ *
+ * INPUT:
+ * { type, touches, time }
+ * - type: TouchInputType
+ * - touches: every finger still on the screen after the change, as { id, x, y } in pixels
+ * - time: milliseconds on any monotonic clock
+ * A long press is only noticed when an input arrives, so the caller sends a
+ * 'tick' (without touches) once longPressMs have passed.
+ *
+ * STATES:
+ * idle → pressing                   one finger down
+ * pressing → idle (tap)             lifted before longPressMs, without moving
+ * pressing → long-pressed           held still for longPressMs
+ * pressing → panning                moved beyond tapSlop
+ * any → transforming                two or more fingers (pinch, twist, two-finger pan)
+ * transforming → settling           fingers lifting; nothing fires until all are up
+ */
+
+/**
+ * Touch input types
+ */
+export const TouchInputType = {
+  START: 'start',
+  MOVE: 'move',
+  END: 'end',
+  CANCEL: 'cancel',
+  TICK: 'tick',
+};
+
+/**
+ * Gesture machine states
+ */
+export const GesturePhase = {
+  IDLE: 'idle',
+  PRESSING: 'pressing',
+  LONG_PRESSED: 'long-pressed',
+  PANNING: 'panning',
+  TRANSFORMING: 'transforming',
+  SETTLING: 'settling',
+};
+
+/**
+ * Recognized gesture types
+ * - tap, long-press: { x, y }
+ * - pan: { dx, dy, x, y, touchCount } movement since the previous pan
+ * - pinch: { scale, x, y } distance ratio since the previous pinch
+ * - rotate: { degrees, x, y } clockwise twist since the previous rotate
+ */
+export const GestureType = {
+  TAP: 'tap',
+  LONG_PRESS: 'long-press',
+  PAN: 'pan',
+  PINCH: 'pinch',
+  ROTATE: 'rotate',
+};
+
+/**
+ * Default recognition thresholds
+ * - tapSlop: pixels a finger may drift and still tap or long-press
+ * - longPressMs: hold time before a press becomes a long press
+ */
+export const DEFAULT_GESTURE_OPTIONS = {
+  tapSlop: 10,
+  longPressMs: 500,
+};
+
+/**
+ * State of a machine with no fingers down
+ */
+export const INITIAL_GESTURE_STATE = { phase: GesturePhase.IDLE };
+
+/**
+ * Measure the first two touches: their midpoint, spread and angle
+ * @param {Array<object>} touches - Touches as { id, x, y }
+ * @returns {object} { ids, x, y, distance, angle }
+ */
+function measurePair([a, b]) {
+  return {
+    ids: [a.id, b.id],
+    x: (a.x + b.x) / 2,
+    y: (a.y + b.y) / 2,
+    distance: Math.hypot(b.x - a.x, b.y - a.y),
+    angle: Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI,
+  };
+}
+
+/**
+ * Follow two or more fingers
+ * The first move after the finger set changes only sets a new baseline, so
+ * adding or lifting a finger never makes the globe jump.
+ *
+ * @param {object} state - Current machine state
+ * @param {Array<object>} touches - Touches on the screen
+ * @returns {object} { state, gestures }
+ */
+function reduceTransform(state, touches) {
+  const pair = measurePair(touches);
+  const previous = state.phase === GesturePhase.TRANSFORMING ? state.pair : null;
+  const next = { phase: GesturePhase.TRANSFORMING, pair };
+
+  if (!previous || previous.ids[0] !== pair.ids[0] || previous.ids[1] !== pair.ids[1]) {
+    return { state: next, gestures: [] };
+  }
+
+  const gestures = [];
+  const { x, y } = pair;
+  if (previous.distance > 0 && pair.distance !== previous.distance) {
+    gestures.push({ type: GestureType.PINCH, scale: pair.distance / previous.distance, x, y });
+  }
+  const degrees = ((pair.angle - previous.angle + 540) % 360) - 180;
+  if (degrees !== 0) {
+    gestures.push({ type: GestureType.ROTATE, degrees, x, y });
+  }
+  if (x !== previous.x || y !== previous.y) {
+    gestures.push({ type: GestureType.PAN, dx: x - previous.x, dy: y - previous.y, x, y, touchCount: touches.length });
+  }
+  return { state: next, gestures };
+}
+
+/**
+ * Advance the gesture machine by one touch input
+ *
+ * @param {object} state - Current state (INITIAL_GESTURE_STATE to begin)
+ * @param {object} input - { type, touches, time } (see INPUT above)
+ * @param {object} options - Thresholds (see DEFAULT_GESTURE_OPTIONS)
+ * @returns {object} { state, gestures } next state and gestures recognized, in order
+ */
+export function reduceGesture(state, input, options = {}) {
+  const { tapSlop, longPressMs } = { ...DEFAULT_GESTURE_OPTIONS, ...options };
+  const touches = input.touches ?? [];
+  const unchanged = { state, gestures: [] };
+
+  if (input.type === TouchInputType.CANCEL) {
+    return { state: INITIAL_GESTURE_STATE, gestures: [] };
+  }
+
+  const longPressDue = state.phase === GesturePhase.PRESSING && input.time - state.startTime >= longPressMs;
+
+  if (input.type === TouchInputType.TICK) {
+    if (!longPressDue) return unchanged;
+    return {
+      state: { phase: GesturePhase.LONG_PRESSED },
+      gestures: [{ type: GestureType.LONG_PRESS, x: state.origin.x, y: state.origin.y }],
+    };
+  }
+
+  if (touches.length >= 2) {
+    return reduceTransform(state, touches);
+  }
+
+  if (touches.length === 0) {
+    // Last finger lifted
+    if (state.phase !== GesturePhase.PRESSING) {
+      return { state: INITIAL_GESTURE_STATE, gestures: [] };
+    }
+    const type = longPressDue ? GestureType.LONG_PRESS : GestureType.TAP;
+    return { state: INITIAL_GESTURE_STATE, gestures: [{ type, x: state.origin.x, y: state.origin.y }] };
+  }
+
+  const [touch] = touches;
+  const point = { x: touch.x, y: touch.y };
+
+  switch (state.phase) {
+    case GesturePhase.IDLE:
+      if (input.type !== TouchInputType.START) return unchanged;
+      return {
+        state: { phase: GesturePhase.PRESSING, origin: point, startTime: input.time },
+        gestures: [],
+      };
+
+    case GesturePhase.PRESSING: {
+      const dx = point.x - state.origin.x;
+      const dy = point.y - state.origin.y;
+      if (longPressDue) {
+        return {
+          state: { phase: GesturePhase.LONG_PRESSED },
+          gestures: [{ type: GestureType.LONG_PRESS, x: state.origin.x, y: state.origin.y }],
+        };
+      }
+      if (Math.hypot(dx, dy) <= tapSlop) {
+        return unchanged;
+      }
+      return {
+        state: { phase: GesturePhase.PANNING, last: point },
+        gestures: [{ type: GestureType.PAN, dx, dy, ...point, touchCount: 1 }],
+      };
+    }
+
+    case GesturePhase.PANNING: {
+      const dx = point.x - state.last.x;
+      const dy = point.y - state.last.y;
+      if (dx === 0 && dy === 0) return unchanged;
+      return {
+        state: { phase: GesturePhase.PANNING, last: point },
+        gestures: [{ type: GestureType.PAN, dx, dy, ...point, touchCount: 1 }],
+      };
+    }
+
+    case GesturePhase.TRANSFORMING:
+      return { state: { phase: GesturePhase.SETTLING }, gestures: [] };
+
+    default:
+      // Long-pressed and settling wait for every finger to lift
+      return unchanged;
+  }
+}
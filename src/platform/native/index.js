@@ -0,0 +1,10 @@
+/**
+ * Native Platform - Re-export native-specific utilities
+ *
+ * ARCHITECTURAL NOTE:
+ * This is the native (iOS) platform implementation, parallel to platform/web/.
+ * Storage and the grid worker will follow when the native shell exists.
+ */
+
+export * from './input.js';
+export * from './gestures.js';
@@ -0,0 +1,138 @@
+/**
+ * Native Input Bindings - Platform-specific touch handling for the iOS build
+ *
+ * ARCHITECTURAL NOTE:
+ * Native counterpart of platform/web/input.js. It feeds React Native touch
+ * events into the gesture state machine (gestures.js) and turns recognized
+ * gestures into the same handlePointerAction calls the web emits, plus globe
+ * navigation through the interactions layer.
+ *
+ * GESTURES:
+ * - Tap: select the cell
+ * - Long press: context action for the cell (CELL_CONTEXT_REQUESTED)
+ * - One- or two-finger drag: rotate the globe under the finger
+ * - Pinch: zoom
+ * - Two-finger twist: spin the globe about its axis
+ *
+ * PLATFORM ISOLATION:
+ * - Only this file may read React Native touch event properties
+ * - React Native itself is not imported: touch events are plain objects, so
+ *   the handlers also run under Node with synthetic events
+ */
+
+import { handlePointerAction } from '../../interactions/pointerEvents.js';
+import { handleCameraDrag, handleCameraPinch, handleCameraTwist } from '../../interactions/cameraEvents.js';
+import { SelectionMode } from '../../core/domain/selection.js';
+import {
+  reduceGesture,
+  INITIAL_GESTURE_STATE,
+  DEFAULT_GESTURE_OPTIONS,
+  GesturePhase,
+  GestureType,
+  TouchInputType,
+} from './gestures.js';
+
+/**
+ * Read the fingers on the screen from a React Native touch event
+ * @param {object} event - GestureResponderEvent (or { nativeEvent: { touches } })
+ * @returns {Array<object>} Touches as { id, x, y } in view coordinates
+ */
+function readTouches(event) {
+  return (event?.nativeEvent?.touches ?? []).map(touch => ({
+    id: touch.identifier,
+    x: touch.locationX,
+    y: touch.locationY,
+  }));
+}
+
+/**
+ * Create native touch handlers for the view wrapping the globe canvas
+ *
+ * Each set of handlers runs its own gesture machine, so several views never
+ * share touch state.
+ *
+ * @param {object} options - Handler options
+ * @param {function} options.getCellIdAt - (x, y) => H3 cell ID under a view point, or null
+ * @param {function} options.getViewportHeight - () => view height in pixels
+ * @param {object} options.gestureOptions - Thresholds (see DEFAULT_GESTURE_OPTIONS)
+ * @param {function} options.now - Clock in milliseconds
+ * @param {function} options.setTimer - setTimeout-shaped scheduler for long presses
+ * @param {function} options.clearTimer - clearTimeout-shaped canceller
+ * @returns {object} onTouchStart/Move/End/Cancel handlers and dispose()
+ */
+export function createTouchHandlers({
+  getCellIdAt,
+  getViewportHeight = () => 0,
+  gestureOptions = {},
+  now = () => Date.now(),
+  setTimer = (callback, ms) => setTimeout(callback, ms),
+  clearTimer = timer => clearTimeout(timer),
+}) {
+  const thresholds = { ...DEFAULT_GESTURE_OPTIONS, ...gestureOptions };
+  let gestureState = INITIAL_GESTURE_STATE;
+  let longPressTimer = null;
+
+  function dispatch(gesture) {
+    switch (gesture.type) {
+      case GestureType.TAP:
+      case GestureType.LONG_PRESS: {
+        const actionType = gesture.type === GestureType.TAP ? 'select' : 'context';
+        const cellId = getCellIdAt(gesture.x, gesture.y);
+        handlePointerAction(actionType, cellId, {
+          screenPoint: { x: gesture.x, y: gesture.y },
+          selectionMode: SelectionMode.REPLACE,
+        });
+        break;
+      }
+      case GestureType.PAN:
+        handleCameraDrag(gesture.dx, gesture.dy, { viewportHeight: getViewportHeight() });
+        break;
+      case GestureType.PINCH:
+        handleCameraPinch(gesture.scale);
+        break;
+      case GestureType.ROTATE:
+        handleCameraTwist(gesture.degrees);
+        break;
+      default:
+        console.warn('[NativeInput] Unknown gesture:', gesture.type);
+    }
+  }
+
+  function feed(type, touches) {
+    const wasPressing = gestureState.phase === GesturePhase.PRESSING;
+    const result = reduceGesture(gestureState, { type, touches, time: now() }, thresholds);
+    gestureState = result.state;
+
+    // The machine has no timers: wake it when a held finger becomes a long press
+    const pressing = gestureState.phase === GesturePhase.PRESSING;
+    if (pressing && !wasPressing) {
+      longPressTimer = setTimer(() => {
+        longPressTimer = null;
+        feed(TouchInputType.TICK, []);
+      }, thresholds.longPressMs);
+    } else if (!pressing && longPressTimer !== null) {
+      clearTimer(longPressTimer);
+      longPressTimer = null;
+    }
+
+    result.gestures.forEach(dispatch);
+  }
+
+  return {
+    onTouchStart: (event) => feed(TouchInputType.START, readTouches(event)),
+    onTouchMove: (event) => feed(TouchInputType.MOVE, readTouches(event)),
+    onTouchEnd: (event) => feed(TouchInputType.END, readTouches(event)),
+    onTouchCancel: () => feed(TouchInputType.CANCEL, []),
+
+    /**
+     * Stop pending timers (call when the view unmounts)
+     */
+    dispose: () => {
+      if (longPressTimer !== null) {
+        clearTimer(longPressTimer);
+        longPressTimer = null;
+      }
+      gestureState = INITIAL_GESTURE_STATE;
+    },
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Web Grid Generator - Runs H3 grid generation in a Web Worker
+ * 
+ * ARCHITECTURAL NOTE:
+ * The viewer asks for grid buffers through this small interface:
+ * - generate(params) → Promise<buffers|null> (null when superseded or cancelled)
+ * - cancel()         → abandon the in-flight request
+ * - dispose()        → stop the worker
+ * 
+ * Web uses a module worker with transferable Float32Arrays.
+ * Where workers are unavailable, the same core function runs synchronously.
+ */
+
+import { generateGridBuffers } from '../../core/h3/grid.js';
+
+/**
+ * Create a synchronous generator (no worker support)
+ * @returns {object} Grid generator
+ */
+function createInlineGridGenerator() {
+  return {
+    generate: async (params) => generateGridBuffers(params),
+    cancel() {},
+    dispose() {},
+  };
+}
+
+/**
+ * Create a worker-backed grid generator
+ * Only the most recent request can resolve with data; older ones resolve with null.
+ * 
+ * @returns {object} Grid generator
+ */
+export function createGridGenerator() {
+  if (typeof Worker === 'undefined') {
+    return createInlineGridGenerator();
+  }
+  
+  const worker = new Worker(new URL('./gridWorker.js', import.meta.url), { type: 'module' });
+  let nextId = 1;
+  let current = null; // { id, resolve }
+  
+  function settleCurrent(value) {
+    if (current) {
+      current.resolve(value);
+      current = null;
+    }
+  }
+  
+  worker.onmessage = (event) => {
+    const { type, id, ...result } = event.data;
+    if (!current || id !== current.id) {
+      return; // Stale result for a view we already left
+    }
+    
+    if (type === 'error') {
+      console.error('[GridGenerator] Worker failed:', result.message);
+      settleCurrent(null);
+      return;
+    }
+    settleCurrent(result);
+  };
+  
+  return {
+    generate(params) {
+      settleCurrent(null);
+      const id = nextId++;
+      return new Promise(resolve => {
+        current = { id, resolve };
+        worker.postMessage({ type: 'generate', id, params });
+      });
+    },
+    
+    cancel() {
+      if (current) {
+        worker.postMessage({ type: 'cancel', id: current.id });
+        settleCurrent(null);
+      }
+    },
+    
+    dispose() {
+      settleCurrent(null);
+      worker.terminate();
+    },
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Grid Worker - Web Worker entry for H3 grid generation
+ * 
+ * ARCHITECTURAL NOTE:
+ * Runs core/h3 generateGridBuffers off the main thread. The worker contains no
+ * grid logic of its own, so the native app can run the same core function on
+ * its own background thread.
+ * 
+ * PROTOCOL:
+ * - { type: 'generate', id, params } → { type: 'result', id, ...buffers }
+ * - { type: 'cancel', id }           → drops the request if it has not started
+ * 
+ * Requests are coalesced: only the newest queued request is computed,
+ * so a burst of camera moves produces a single result.
+ */
+
+import { generateGridBuffers } from '../../core/h3/grid.js';
+
+/**
+ * Newest request waiting to be processed
+ */
+let pendingRequest = null;
+let scheduled = false;
+
+function processPending() {
+  scheduled = false;
+  const request = pendingRequest;
+  pendingRequest = null;
+  if (!request) return;
+  
+  try {
+    const result = generateGridBuffers(request.params);
+    self.postMessage(
+      { type: 'result', id: request.id, ...result },
+      [result.cornerCounts.buffer, result.outlinePositions.buffer, result.fillPositions.buffer]
+    );
+  } catch (error) {
+    self.postMessage({ type: 'error', id: request.id, message: error.message });
+  }
+}
+
+self.onmessage = (event) => {
+  const message = event.data;
+  
+  switch (message.type) {
+    case 'generate':
+      pendingRequest = message;
+      // Defer so messages already queued behind this one can replace it
+      if (!scheduled) {
+        scheduled = true;
+        setTimeout(processPending, 0);
+      }
+      break;
+    case 'cancel':
+      if (pendingRequest?.id === message.id) {
+        pendingRequest = null;
+      }
+      break;
+    default:
+      console.warn('[GridWorker] Unknown message type:', message.type);
+  }
+};
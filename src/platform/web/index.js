@@ -7,3 +7,5 @@
  */
 
 export * from './input.js';
+export * from './storage.js';
+export * from './gridGenerator.js';
@@ -1,24 +1,54 @@
 /**
- * Web Input Bindings - Platform-specific pointer event handling
+ * Web Input Bindings - Platform-specific pointer and keyboard event handling
  * 
  * ARCHITECTURAL NOTE:
  * This module contains ALL browser-specific input handling code.
- * It translates DOM pointer events into normalized input for the interactions layer.
+ * It translates DOM pointer and keyboard events into normalized input for the interactions layer.
  * 
  * PLATFORM ISOLATION:
- * - Only this file may use 'mouse', 'pointer', or 'touch' DOM events
+ * - Only this file may use 'mouse', 'pointer', 'touch' or 'key' DOM events
  * - Only this file may reference browser-specific event properties
- * - The native equivalent (platform/native/input.js) will handle touch gestures
+ * - The native equivalent (platform/native/input.js) handles touch gestures
  * 
  * Both platforms emit the same normalized events to the interactions layer.
  */
 
-import { handlePointerAction } from '../../interactions/pointerEvents.js';
+import { handlePointerAction, handleLassoSelect } from '../../interactions/pointerEvents.js';
+import {
+  classifyPointer,
+  INITIAL_POINTER_STATE,
+  PointerGestureType,
+} from '../../interactions/pointerGestures.js';
+import { handleKeyboardAction } from '../../interactions/keyboardEvents.js';
+import { SelectionMode } from '../../core/domain/selection.js';
+import { GridDirection } from '../../core/h3/index.js';
 
 /**
- * Current hover state for tracking enter/exit
+ * Map keyboard modifiers held during a click onto a semantic selection mode
+ * - Ctrl / Cmd: toggle the cell in or out of the selection
+ * - Shift: add the cell to the selection
+ * 
+ * @param {object} event - Pointer event (R3F events expose the DOM modifier flags)
+ * @returns {string} Mode from SelectionMode
  */
-let currentHoveredCellId = null;
+function getSelectionMode(event) {
+  if (event.ctrlKey || event.metaKey) {
+    return SelectionMode.TOGGLE;
+  }
+  if (event.shiftKey) {
+    return SelectionMode.ADD;
+  }
+  return SelectionMode.REPLACE;
+}
+
+/**
+ * Copy a Three.js point into plain data for event payloads
+ * @param {object|undefined} point - Vector3 from an R3F event
+ * @returns {object|undefined} { x, y, z }
+ */
+function toPlainPoint(point) {
+  return point ? { x: point.x, y: point.y, z: point.z } : undefined;
+}
 
 /**
  * Create web pointer handlers for R3F mesh events
@@ -27,33 +57,116 @@ let currentHoveredCellId = null;
  * IMPORTANT: R3F's event system abstracts away browser events,
  * but we still isolate this in platform/web for clarity and future-proofing
  * 
- * @param {function} getCellIdFromPoint - Function to resolve 3D point to cell ID
+ * Each set of handlers tracks its own hover and press state, so several
+ * surfaces (or a remounted scene) never share a hovered cell.
+ * 
+ * Pressing does not select: the press may start a camera drag, which
+ * OrbitControls handles on the canvas. Cells are selected on release, and
+ * only if the click classifier (interactions/pointerGestures.js) saw a click;
+ * a double click flies the camera to the cell.
+ * 
+ * AREA SELECTION (Alt / Option held):
+ * - Alt + click selects the cell and the ring of cells around it
+ * - Alt + drag draws a lasso; every cell inside it is selected on release
+ * The camera is held still while the button is down, so the globe does not
+ * turn under the lasso. Leaving the globe or a cancelled press drops the lasso.
+ * 
+ * @param {function} getCellIdFromPoint - Function to resolve a 3D point (and the picking ray) to a cell ID
+ * @param {object} options - { getLatLngFromPoint: resolves a point (and ray) to [lat, lng], enables the lasso;
+ *   resolution: grid resolution the lasso selects at; setCameraEnabled: (enabled) => void }
  * @returns {object} Event handlers for R3F components
  */
-export function createPointerHandlers(getCellIdFromPoint) {
+export function createPointerHandlers(getCellIdFromPoint, {
+  getLatLngFromPoint = null,
+  resolution,
+  setCameraEnabled = () => {},
+} = {}) {
+  // Current hover state for tracking enter/exit
+  let currentHoveredCellId = null;
+  
+  // Click classifier state
+  let pressState = INITIAL_POINTER_STATE;
+  
+  // Lasso outline as [lat, lng] pairs while an Alt + drag is drawn
+  let lasso = null;
+  
+  function endLasso() {
+    const polygon = lasso;
+    lasso = null;
+    setCameraEnabled(true);
+    return polygon;
+  }
+  
+  function classify(type, event) {
+    const result = classifyPointer(pressState, {
+      type,
+      pointerId: event.pointerId,
+      x: event.clientX,
+      y: event.clientY,
+      time: event.timeStamp,
+    });
+    pressState = result.state;
+    return result.gesture;
+  }
+  
   return {
     /**
-     * Handle pointer click/tap
-     * R3F normalizes this across mouse click and touch tap
+     * Handle pointer press
+     * R3F normalizes this across mouse button and touch
      */
     onPointerDown: (event) => {
-      // Prevent event from propagating to globe rotation
-      event.stopPropagation();
+      classify('down', event);
+      if (event.altKey && getLatLngFromPoint && !lasso) {
+        lasso = [getLatLngFromPoint(event.point, event.ray)];
+        setCameraEnabled(false);
+      }
+    },
+    
+    /**
+     * Handle pointer release: select on click (a ring with Alt), fly to the
+     * cell on double click, or select inside a finished lasso
+     */
+    onPointerUp: (event) => {
+      const gesture = classify('up', event);
+      const polygon = lasso ? endLasso() : null;
+      
+      if (!gesture) {
+        if (polygon?.length >= 3) {
+          handleLassoSelect(polygon, { resolution, selectionMode: getSelectionMode(event) });
+        }
+        return;
+      }
       
-      const cellId = getCellIdFromPoint(event.point);
+      const cellId = getCellIdFromPoint(event.point, event.ray);
       if (cellId) {
-        handlePointerAction('select', cellId, {
-          point: event.point,
-          intersection: event.intersections?.[0],
+        let actionType = event.altKey ? 'select-ring' : 'select';
+        if (gesture.type === PointerGestureType.DOUBLE_CLICK) actionType = 'fly-to';
+        handlePointerAction(actionType, cellId, {
+          // Plain data only: event payloads are recorded as JSON (api/replayApi.js)
+          point: toPlainPoint(event.point),
+          selectionMode: getSelectionMode(event),
         });
       }
     },
     
     /**
-     * Handle pointer movement for hover detection
+     * Handle the browser taking over a press (e.g. for scrolling)
+     */
+    onPointerCancel: (event) => {
+      classify('cancel', event);
+      if (lasso) endLasso();
+    },
+    
+    /**
+     * Handle pointer movement for hover detection and drag recognition
      */
     onPointerMove: (event) => {
-      const cellId = getCellIdFromPoint(event.point);
+      classify('move', event);
+      if (lasso) {
+        lasso.push(getLatLngFromPoint(event.point, event.ray));
+      }
+      
+      const cellId = getCellIdFromPoint(event.point, event.ray);
       
       if (cellId !== currentHoveredCellId) {
         // Exiting previous cell
@@ -66,7 +179,7 @@ export function createPointerHandlers(getCellIdFromPoint) {
         // Entering new cell
         if (cellId) {
           handlePointerAction('hover-enter', cellId, {
-            point: event.point,
+            point: toPlainPoint(event.point),
           });
         }
         
@@ -78,6 +191,7 @@ export function createPointerHandlers(getCellIdFromPoint) {
      * Handle pointer leaving the mesh entirely
      */
     onPointerLeave: () => {
+      if (lasso) endLasso();
       if (currentHoveredCellId) {
         handlePointerAction('hover-exit', null, {
           previousCellId: currentHoveredCellId,
@@ -89,9 +203,99 @@ export function createPointerHandlers(getCellIdFromPoint) {
 }
 
 /**
- * Reset input state
- * Called when scene unmounts or focus changes
+ * Focus cursor directions for the six sides of a hexagon
+ * The letters form a hexagon around S on a QWERTY keyboard.
  */
-export function resetInputState() {
-  currentHoveredCellId = null;
+const FOCUS_KEYS = {
+  w: GridDirection.NORTH,
+  e: GridDirection.NORTH_EAST,
+  d: GridDirection.SOUTH_EAST,
+  s: GridDirection.SOUTH,
+  a: GridDirection.SOUTH_WEST,
+  q: GridDirection.NORTH_WEST,
+};
+
+/**
+ * Camera rotation for each arrow key
+ */
+const ROTATE_KEYS = {
+  ArrowUp: { north: 1 },
+  ArrowDown: { north: -1 },
+  ArrowRight: { east: 1 },
+  ArrowLeft: { east: -1 },
+};
+
+/**
+ * Camera zoom steps for the zoom keys (with and without Shift)
+ */
+const ZOOM_KEYS = {
+  '+': 1,
+  '=': 1,
+  '-': -1,
+  '_': -1,
+};
+
+/**
+ * Check whether a key event belongs to a text field
+ * Typing in a form control must not move the globe.
+ * 
+ * @param {object} event - Keyboard event
+ * @returns {boolean} True if the event target edits text
+ */
+function isTextInput(event) {
+  const target = event.target;
+  return Boolean(target?.isContentEditable) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName);
+}
+
+/**
+ * Map a key press onto a semantic keyboard action
+ * @param {object} event - Keyboard event
+ * @returns {Array|null} [actionType, context], or null if the key is not bound
+ */
+function getKeyboardAction(event) {
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  
+  if (event.ctrlKey || event.metaKey) {
+    // Only history shortcuts use modifiers; leave the browser's own alone
+    if (key === 'z') return [event.shiftKey ? 'redo' : 'undo', {}];
+    if (key === 'y') return ['redo', {}];
+    if (key === 'Enter') return ['select-focused', { selectionMode: getSelectionMode(event) }];
+    return null;
+  }
+  
+  if (key in FOCUS_KEYS) return ['move-focus', { direction: FOCUS_KEYS[key] }];
+  if (key in ROTATE_KEYS) return ['rotate-camera', ROTATE_KEYS[key]];
+  if (key in ZOOM_KEYS) return ['zoom-camera', { steps: ZOOM_KEYS[key] }];
+  if (key === 'Enter') return ['select-focused', { selectionMode: getSelectionMode(event) }];
+  if (key === 'Escape') return ['clear-selection', {}];
+  return null;
+}
+
+/**
+ * Create web keyboard handlers for the focusable element around the globe
+ * 
+ * Keys:
+ * - W E D S A Q: move the focus cursor to a neighboring cell
+ * - Enter: select the focused cell (Shift adds, Ctrl / Cmd toggles)
+ * - Escape: clear the selection
+ * - Arrow keys: rotate the camera; + and -: zoom
+ * - Ctrl / Cmd + Z: undo; Ctrl / Cmd + Shift + Z or Ctrl / Cmd + Y: redo
+ * 
+ * @returns {object} Event handlers for a React element (or addEventListener)
+ */
+export function createKeyboardHandlers() {
+  return {
+    onKeyDown: (event) => {
+      if (event.altKey || isTextInput(event)) {
+        return;
+      }
+      
+      const action = getKeyboardAction(event);
+      if (action) {
+        // Arrow keys would otherwise scroll the page
+        event.preventDefault();
+        handleKeyboardAction(...action);
+      }
+    },
+  };
 }
@@ -0,0 +1,124 @@
+/**
+ * Web Storage Adapter - Browser persistence for land cells
+ * 
+ * ARCHITECTURAL NOTE:
+ * Implements the persistence adapter interface (see api/persistence/memoryAdapter.js)
+ * on top of window.localStorage. This is browser-specific, so it lives in platform/web;
+ * the native app will provide its own adapter with the same shape.
+ * 
+ * Writes from other tabs arrive through the window 'storage' event,
+ * so subscribers see cells bought in a second tab of the same browser.
+ */
+
+import { prepareCellWrite } from '../../core/domain/cell.js';
+
+/**
+ * Key prefix for persisted cells
+ */
+const CELL_KEY_PREFIX = 'land-grab:cell:';
+
+/**
+ * Create a localStorage-backed persistence adapter
+ * @param {object} options - { storage, eventTarget } (default to window)
+ * @returns {object} Persistence adapter
+ */
+export function createLocalStorageAdapter({
+  storage = window.localStorage,
+  eventTarget = window,
+} = {}) {
+  const watchers = new Set();
+
+  function read(cellId) {
+    const raw = storage.getItem(CELL_KEY_PREFIX + cellId);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  function readAll() {
+    const records = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key?.startsWith(CELL_KEY_PREFIX)) {
+        const record = read(key.slice(CELL_KEY_PREFIX.length));
+        if (record) records.push(record);
+      }
+    }
+    return records;
+  }
+
+  function notifyWatchers(record) {
+    watchers.forEach(({ cellIds, onChange }) => {
+      if (!cellIds || cellIds.has(record.id)) {
+        onChange([record]);
+      }
+    });
+  }
+
+  function handleStorageEvent(event) {
+    if (event.storageArea !== storage || !event.key?.startsWith(CELL_KEY_PREFIX) || !event.newValue) {
+      return;
+    }
+    notifyWatchers(JSON.parse(event.newValue));
+  }
+
+  return {
+    async get(cellId) {
+      return read(cellId);
+    },
+
+    async put(cell, { expectedVersion } = {}) {
+      // Read-check-write runs synchronously, so it is atomic within this tab
+      const record = prepareCellWrite(read(cell.id), cell, expectedVersion);
+      // Throws QuotaExceededError when storage is full; the promise rejects with it
+      storage.setItem(CELL_KEY_PREFIX + record.id, JSON.stringify(record));
+      notifyWatchers(JSON.parse(JSON.stringify(record)));
+      return record;
+    },
+
+    async query(cellIds) {
+      return cellIds.map(read).filter(Boolean);
+    },
+
+    async queryAll() {
+      return readAll();
+    },
+
+    async queryByOwner(ownerId) {
+      return readAll().filter(record => record.ownerId === ownerId);
+    },
+
+    async putAll(writes) {
+      // Check every write before storing any of them
+      const prepared = writes.map(({ cell, expectedVersion }) => (
+        prepareCellWrite(read(cell.id), cell, expectedVersion)
+      ));
+      const previous = prepared.map(record => storage.getItem(CELL_KEY_PREFIX + record.id));
+      try {
+        prepared.forEach(record => storage.setItem(CELL_KEY_PREFIX + record.id, JSON.stringify(record)));
+      } catch (error) {
+        // Out of space part-way: put back what was already written
+        prepared.forEach((record, i) => {
+          if (previous[i] === null) storage.removeItem(CELL_KEY_PREFIX + record.id);
+          else storage.setItem(CELL_KEY_PREFIX + record.id, previous[i]);
+        });
+        throw error;
+      }
+      prepared.forEach(record => notifyWatchers(JSON.parse(JSON.stringify(record))));
+      return prepared;
+    },
+
+    subscribe(cellIds, onChange) {
+      const watcher = { cellIds: cellIds ? new Set(cellIds) : null, onChange };
+      if (watchers.size === 0) {
+        eventTarget.addEventListener('storage', handleStorageEvent);
+      }
+      watchers.add(watcher);
+
+      return () => {
+        watchers.delete(watcher);
+        if (watchers.size === 0) {
+          eventTarget.removeEventListener('storage', handleStorageEvent);
+        }
+      };
+    },
+  };
+}
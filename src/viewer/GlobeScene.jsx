@@ -16,40 +16,145 @@ import { Canvas, useFrame, useThree } from '@react-three/fiber';
 import { OrbitControls } from '@react-three/drei';
 import { Suspense, useRef } from 'react';
 import * as THREE from 'three';
-import Globe from './Globe.jsx';
+import Globe, { GLOBE_RADIUS } from './Globe.jsx';
 import HexGrid from './HexGrid.jsx';
+import { vector3ToLatLng, latLngToVector3 } from './globeCoordinates.js';
+import { createFlightPlan, getFlightPosition } from '../core/navigation/index.js';
+import { takeCameraRequests, reportCameraView, completeFlight, CameraRequestType } from '../api/cameraApi.js';
 
-const MIN_DISTANCE = 1.2;
+// Closest approach is street level (~300 m above a radius-1 Earth),
+// so resolution-12 land cells are large enough to see and pick.
+const MIN_ALTITUDE = 0.00005;
+const MIN_DISTANCE = GLOBE_RADIUS + MIN_ALTITUDE;
 const MAX_DISTANCE = 3;
 
+// Keyboard rotation stops short of the poles, where the orbit camera flips over.
+const MAX_NUDGE_LATITUDE = 85;
+
+/**
+ * Move the camera by a nudge request from the camera API
+ * @param {THREE.Camera} camera - Scene camera (orbiting the globe center)
+ * @param {object} request - { latDeg, lngDeg, zoomFactor }
+ */
+function applyCameraNudge(camera, { latDeg, lngDeg, zoomFactor }) {
+  const { lat, lng } = vector3ToLatLng(camera.position);
+  const altitude = camera.position.length() - GLOBE_RADIUS;
+
+  const nextLat = latDeg
+    ? THREE.MathUtils.clamp(lat + latDeg, -MAX_NUDGE_LATITUDE, MAX_NUDGE_LATITUDE)
+    : lat;
+  const nextAltitude = THREE.MathUtils.clamp(altitude * zoomFactor, MIN_ALTITUDE, MAX_DISTANCE - GLOBE_RADIUS);
+  latLngToVector3(nextLat, lng + lngDeg, GLOBE_RADIUS + nextAltitude, camera.position);
+}
+
+/**
+ * Current camera view in the camera API's terms
+ * @param {THREE.Camera} camera - Scene camera (orbiting the globe center)
+ * @returns {object} { lat, lng, altitude }
+ */
+function getCameraLatLngAltitude(camera) {
+  const { lat, lng } = vector3ToLatLng(camera.position);
+  return { lat, lng, altitude: camera.position.length() - GLOBE_RADIUS };
+}
+
 function SceneControls() {
   const controlsRef = useRef();
   const { camera } = useThree();
 
-  useFrame(() => {
+  const reportedPositionRef = useRef(new THREE.Vector3());
+  // Flight in progress: { requestId, plan, startedAt } (clock time in ms)
+  const flightRef = useRef(null);
+
+  // Stop the flight where the camera is now (player drag or a newer request)
+  const cancelFlight = () => {
+    const flight = flightRef.current;
+    if (!flight) return;
+    flightRef.current = null;
+    completeFlight(flight.requestId, getCameraLatLngAltitude(camera), { cancelled: true });
+  };
+
+  useFrame(({ clock }) => {
     const controls = controlsRef.current;
     if (!controls) return;
+    const now = clock.getElapsedTime() * 1000;
 
-    // Reduce drag strength when zoomed in (closer to globe surface).
-    // We treat this as "panning" strength in a globe navigation sense.
+    // Camera requests from outside the scene (keyboard, touch, UI)
+    const requests = takeCameraRequests();
+    requests.forEach(request => {
+      cancelFlight();
+      if (request.type === CameraRequestType.NUDGE) {
+        applyCameraNudge(camera, request);
+      } else if (request.type === CameraRequestType.FLY_TO) {
+        const from = getCameraLatLngAltitude(camera);
+        const altitude = THREE.MathUtils.clamp(
+          request.altitude ?? from.altitude,
+          MIN_ALTITUDE,
+          MAX_DISTANCE - GLOBE_RADIUS
+        );
+        flightRef.current = {
+          requestId: request.id,
+          plan: createFlightPlan(from, { lat: request.lat, lng: request.lng, altitude }),
+          startedAt: now,
+        };
+      }
+    });
+
+    // Flight in progress: place the camera along the planned path
+    const flight = flightRef.current;
+    if (flight) {
+      const position = getFlightPosition(flight.plan, now - flight.startedAt);
+      latLngToVector3(position.lat, position.lng, GLOBE_RADIUS + position.altitude, camera.position);
+      if (position.done) {
+        flightRef.current = null;
+        completeFlight(flight.requestId, position);
+      }
+    }
+    if (requests.length > 0 || flight) {
+      controls.update();
+    }
+
+    // Tell the camera API where the camera is looking, whenever it moved
+    if (!reportedPositionRef.current.equals(camera.position)) {
+      reportedPositionRef.current.copy(camera.position);
+      const { lat, lng } = vector3ToLatLng(camera.position);
+      reportCameraView({ lat, lng, altitude: camera.position.length() - GLOBE_RADIUS, fov: camera.fov });
+    }
+
+    // Surface-level camera: scale navigation with altitude rather than distance.
+    // Orbit rotation and dolly are relative to the globe center, so without this a
+    // single drag or scroll step near the ground would jump kilometres.
     const distance = camera.position.distanceTo(controls.target);
-    const t = THREE.MathUtils.clamp((distance - MIN_DISTANCE) / (MAX_DISTANCE - MIN_DISTANCE), 0, 1);
+    const altitude = Math.max(distance - GLOBE_RADIUS, MIN_ALTITUDE);
 
-    controls.rotateSpeed = THREE.MathUtils.lerp(0.15, 0.5, t);
-    controls.zoomSpeed = THREE.MathUtils.lerp(0.25, 0.5, t);
+    controls.rotateSpeed = THREE.MathUtils.clamp(altitude * 0.75, 1e-5, 0.5);
+    controls.zoomSpeed = THREE.MathUtils.clamp(altitude / distance, 1e-6, 0.5);
 
     // If we ever enable pan, keep it similarly damped near the surface.
     // (Does nothing while enablePan={false}.)
-    controls.panSpeed = THREE.MathUtils.lerp(0.05, 0.5, t);
+    controls.panSpeed = THREE.MathUtils.clamp(altitude * 0.25, 1e-5, 0.5);
+
+    // Keep the depth range tight around the globe so close zoom neither clips
+    // the surface nor loses depth precision.
+    const near = Math.max(altitude * 0.5, 1e-6);
+    const far = distance + GLOBE_RADIUS * 2;
+    if (Math.abs(camera.near - near) > near * 0.1 || Math.abs(camera.far - far) > 0.1) {
+      camera.near = near;
+      camera.far = far;
+      camera.updateProjectionMatrix();
+    }
   });
 
   return (
     <OrbitControls
       ref={controlsRef}
+      // Shared through useThree so the grid can hold the camera during a lasso
+      makeDefault
+      // Grabbing the globe takes the camera back from a flight
+      onStart={cancelFlight}
       enablePan={false}
       enableZoom={true}
       enableRotate={true}
-      // Globe radius is 1. Allow zooming close to the surface.
+      // Globe radius is 1. Allow zooming down to street level.
       // Note: "street-level" detail also depends on texture/tiles, not just camera distance.
       minDistance={MIN_DISTANCE}
       maxDistance={MAX_DISTANCE}
@@ -72,7 +177,7 @@ export default function GlobeScene() {
       camera={{
         position: [0, 0, 2.5],
         fov: 45,
-        // Allow close zoom without near-plane clipping.
+        // Initial depth range; SceneControls retunes near/far as the camera zooms.
         near: 0.01,
         far: 1000,
       }}
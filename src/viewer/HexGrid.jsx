@@ -6,9 +6,9 @@
  * It bridges the core H3 utilities with the rendering layer.
  * 
  * RESPONSIBILITIES:
- * - Generate visible hex cells using core/h3 utilities
+ * - Request visible hex cells from the grid generator (core/h3, run in a worker)
  * - Convert H3 boundaries to 3D coordinates
- * - Render hex cell meshes
+ * - Render hex cells as merged outline/fill buffers
  * - Handle pointer events via platform input layer
  * 
  * DOES NOT:
@@ -17,103 +17,88 @@
  * - Implement selection logic (that's in interactions layer)
  */
 
-import { useMemo, useCallback, useState, useEffect } from 'react';
+import { useMemo, useCallback, useState, useEffect, useLayoutEffect, useRef } from 'react';
 import * as THREE from 'three';
 import { useFrame, useThree } from '@react-three/fiber';
-import { cellToBoundary, cellToLatLng, latLngToCell, gridDisk } from 'h3-js';
+import { latLngToCell, cellToLatLng } from 'h3-js';
 import { GLOBE_RADIUS } from './Globe.jsx';
-import { VISIBLE_GRID_RESOLUTION } from '../core/h3/index.js';
+import { vector3ToLatLng } from './globeCoordinates.js';
+import {
+  VISIBLE_GRID_RESOLUTION,
+  GRID_LOD_LEVELS,
+  getGridLodForAltitude,
+  createCellMatcher,
+  getVisibleCapRadius,
+  estimateRingStep,
+} from '../core/h3/index.js';
 import { createPointerHandlers } from '../platform/web/input.js';
-import { subscribe, getState } from '../api/landApi.js';
+import { createGridGenerator } from '../platform/web/gridGenerator.js';
+import { subscribe, getState, watchRegion } from '../api/landApi.js';
 import { CellState } from '../core/domain/cell.js';
+import {
+  DEFAULT_CELL_COLOR,
+  createHexGridGeometry,
+  paintHexGridColors,
+  disposeHexGridGeometry,
+} from './hexGridGeometry.js';
 
 /**
- * Clamp the number of rings for safety.
+ * The visible cap radius is tracked in logarithmic buckets of this ratio, so
+ * zooming regenerates the grid roughly every 10% change instead of every frame.
+ * Generated caps are one bucket larger than the view to cover small moves.
  */
-const MIN_GRID_RINGS = 8;
-const MAX_GRID_RINGS = 140;
+const CAP_RADIUS_STEP = 1.1;
 
-// Rendering offsets to keep the hex overlay slightly above the globe surface.
-// Small values help avoid z-fighting/intersection without looking like it floats.
-const OUTLINE_RADIUS_MULT = 1.004;
-const FILL_RADIUS_MULT = 1.005;
-const INTERACTION_RADIUS_MULT = 1.006;
-
-function degToRad(deg) {
-  return (deg * Math.PI) / 180;
-}
-
-function angularDistanceRad(lat1, lng1, lat2, lng2) {
-  const phi1 = degToRad(lat1);
-  const phi2 = degToRad(lat2);
-  const dLambda = degToRad(lng2 - lng1);
-
-  const cosD = Math.sin(phi1) * Math.sin(phi2) + Math.cos(phi1) * Math.cos(phi2) * Math.cos(dLambda);
-  // Numerical safety.
-  const clamped = Math.min(1, Math.max(-1, cosD));
-  return Math.acos(clamped);
+function getCapBucket(capRadius) {
+  return Math.ceil(Math.log(capRadius) / Math.log(CAP_RADIUS_STEP));
 }
 
-function estimateRingStepRad(centerCell) {
-  const [centerLat, centerLng] = cellToLatLng(centerCell);
-  const ring1 = gridDisk(centerCell, 1);
-  const neighborCell = ring1.find((id) => id !== centerCell);
-  if (!neighborCell) return null;
+// Rendering offsets to keep the hex overlay slightly above the globe surface.
+// Small values help avoid z-fighting/intersection without looking like it floats.
+// Offsets shrink with the grid resolution so the overlay stays below the camera
+// when zoomed in to street level.
+const SURFACE_OFFSETS = {
+  2: 0.004,
+  5: 0.0004,
+  8: 0.00002,
+  12: 0.000001,
+};
 
-  const [nLat, nLng] = cellToLatLng(neighborCell);
-  return angularDistanceRad(centerLat, centerLng, nLat, nLng);
+function getRadiusMultipliers(resolution) {
+  const offset = SURFACE_OFFSETS[resolution] ?? SURFACE_OFFSETS[VISIBLE_GRID_RESOLUTION];
+  return {
+    outline: 1 + offset,
+    fill: 1 + offset * 1.25,
+    interaction: 1 + offset * 1.5,
+  };
 }
 
-/**
- * Convert lat/lng to 3D Cartesian coordinates on globe surface
- * @param {number} lat - Latitude in degrees
- * @param {number} lng - Longitude in degrees
- * @param {number} radius - Globe radius
- * @returns {THREE.Vector3} 3D position
- */
-function latLngToVector3(lat, lng, radius = GLOBE_RADIUS) {
-  const phi = (90 - lat) * (Math.PI / 180);
-  const theta = (lng + 180) * (Math.PI / 180);
-  
-  const x = -radius * Math.sin(phi) * Math.cos(theta);
-  const y = radius * Math.cos(phi);
-  const z = radius * Math.sin(phi) * Math.sin(theta);
-  
-  return new THREE.Vector3(x, y, z);
-}
-
-/**
- * Convert 3D point on globe surface to lat/lng
- * @param {THREE.Vector3} point - Point on globe surface
- * @param {number} radius - Globe radius
- * @returns {{lat: number, lng: number}} Coordinates
- */
-function vector3ToLatLng(point, _radius = GLOBE_RADIUS) {
-  // radius parameter available for future use: _radius
-  // Normalize point to unit sphere
-  const normalized = point.clone().normalize();
-  
-  const lat = 90 - Math.acos(normalized.y) * (180 / Math.PI);
-  const lng = Math.atan2(normalized.z, -normalized.x) * (180 / Math.PI) - 180;
-  
-  return { lat, lng: lng < -180 ? lng + 360 : lng };
-}
+// Exact globe surface used for picking
+const globeSphere = new THREE.Sphere(new THREE.Vector3(), GLOBE_RADIUS);
 
 /**
  * Get color for cell based on its state
  * @param {string} cellId - H3 cell ID
  * @param {Map} cells - Cell state map from API
- * @param {string} selectedCellId - Currently selected cell ID
+ * @param {function} isSelected - Selection matcher (see createCellMatcher)
  * @param {string} hoveredCellId - Currently hovered cell ID
+ * @param {function} isPending - Matcher for cells with an operation awaiting the backend
+ * @param {function} isFocused - Matcher for the keyboard focus cursor
  * @returns {string} Hex color
  */
-function getCellColor(cellId, cells, selectedCellId, hoveredCellId) {
-  if (cellId === selectedCellId) {
+function getCellColor(cellId, cells, isSelected, hoveredCellId, isPending, isFocused) {
+  if (isFocused(cellId)) {
+    return '#ff55ff'; // Magenta for the keyboard focus cursor
+  }
+  if (isSelected(cellId)) {
     return '#00ff88'; // Bright green for selected
   }
   if (cellId === hoveredCellId) {
     return '#44aaff'; // Blue for hovered
   }
+  if (isPending(cellId)) {
+    return '#ffee55'; // Pale yellow while the backend confirms a change
+  }
   
   const cell = cells.get(cellId);
   if (cell) {
@@ -125,84 +110,11 @@ function getCellColor(cellId, cells, selectedCellId, hoveredCellId) {
       case CellState.OWNED:
         return '#ffaa00'; // Orange for owned
       default:
-        return '#ffffff';
+        return DEFAULT_CELL_COLOR;
     }
   }
   
-  return '#ffffff'; // Default white outline
-}
-
-/**
- * HexCell - Individual hexagonal cell mesh
- */
-function HexCell({ cellId: _cellId, boundary, color }) {
-  // cellId available for debugging: _cellId
-  // Convert boundary coordinates to 3D vectors
-  const geometry = useMemo(() => {
-    const vectors = boundary.map(([lat, lng]) => latLngToVector3(lat, lng, GLOBE_RADIUS * OUTLINE_RADIUS_MULT));
-    
-    // Create line geometry for hex outline
-    const points = [...vectors, vectors[0]]; // Close the loop
-    const lineGeometry = new THREE.BufferGeometry().setFromPoints(points);
-    
-    return lineGeometry;
-  }, [boundary]);
-  
-  const isHighlighted = color !== '#ffffff';
-
-  // Only allocate the fill geometry when we actually need it (hover/selected).
-  const fillGeometry = useMemo(() => {
-    if (!isHighlighted) return null;
-
-    const vectors = boundary.map(([lat, lng]) => latLngToVector3(lat, lng, GLOBE_RADIUS * FILL_RADIUS_MULT));
-
-    // Calculate center point
-    const center = vectors.reduce(
-      (acc, v) => acc.add(v),
-      new THREE.Vector3()
-    ).divideScalar(vectors.length);
-
-    // Create triangles from center to each edge
-    const positions = [];
-    for (let i = 0; i < vectors.length; i++) {
-      const v1 = vectors[i];
-      const v2 = vectors[(i + 1) % vectors.length];
-      positions.push(center.x, center.y, center.z);
-      positions.push(v1.x, v1.y, v1.z);
-      positions.push(v2.x, v2.y, v2.z);
-    }
-
-    const fillGeom = new THREE.BufferGeometry();
-    fillGeom.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-    fillGeom.computeVertexNormals();
-
-    return fillGeom;
-  }, [boundary, isHighlighted]);
-  
-  return (
-    <group>
-      {/* Outline */}
-      <line geometry={geometry}>
-        <lineBasicMaterial
-          color={color}
-          opacity={isHighlighted ? 1 : 0.3}
-          transparent
-        />
-      </line>
-      
-      {/* Fill (only when highlighted) */}
-      {isHighlighted && fillGeometry && (
-        <mesh geometry={fillGeometry}>
-          <meshBasicMaterial
-            color={color}
-            opacity={0.4}
-            transparent
-            side={THREE.DoubleSide}
-          />
-        </mesh>
-      )}
-    </group>
-  );
+  return DEFAULT_CELL_COLOR; // Default white outline
 }
 
 /**
@@ -215,11 +127,16 @@ export default function HexGrid() {
   // Subscribe to API state for cell colors
   const [apiState, setApiState] = useState(getState());
 
-  // Track which H3 cell is at the center of the current view.
-  // We update it as the camera moves so the grid follows you.
-  const [viewCenterCellId, setViewCenterCellId] = useState(
-    () => latLngToCell(0, 0, VISIBLE_GRID_RESOLUTION)
-  );
+  // Track which H3 cell is at the center of the current view, at the grid
+  // resolution picked for the current camera altitude, and how much of the
+  // globe the camera can see. We update it as the camera moves so the grid follows you.
+  const [view, setView] = useState(() => ({
+    lod: GRID_LOD_LEVELS[0],
+    centerCellId: latLngToCell(0, 0, GRID_LOD_LEVELS[0].resolution),
+    capBucket: getCapBucket(Math.PI / 2),
+  }));
+  const { lod, centerCellId: viewCenterCellId, capBucket } = view;
+  const resolution = lod.resolution;
   
   useEffect(() => {
     return subscribe(setApiState);
@@ -230,53 +147,137 @@ export default function HexGrid() {
     const dist = camera.position.length();
     if (dist <= 0) return;
 
+    const nextLod = getGridLodForAltitude(dist - GLOBE_RADIUS);
     const facingPoint = camera.position.clone().normalize().multiplyScalar(GLOBE_RADIUS);
     const { lat, lng } = vector3ToLatLng(facingPoint);
-    const nextCenterCellId = latLngToCell(lat, lng, VISIBLE_GRID_RESOLUTION);
+    const nextCenterCellId = latLngToCell(lat, lng, nextLod.resolution);
+    const nextCapBucket = getCapBucket(getVisibleCapRadius(dist, camera.fov, camera.aspect, GLOBE_RADIUS));
 
-    if (nextCenterCellId !== viewCenterCellId) {
-      setViewCenterCellId(nextCenterCellId);
+    if (nextCenterCellId !== viewCenterCellId || nextCapBucket !== capBucket) {
+      setView({ lod: nextLod, centerCellId: nextCenterCellId, capBucket: nextCapBucket });
     }
   });
   
-  // Generate hex cells for at least the visible hemisphere.
-  // We approximate a hemisphere by generating enough H3 rings around the view-center cell
-  // so the angular radius is >= 90°.
-  const hexCells = useMemo(() => {
-    const centerCell = viewCenterCellId;
-
-    // Estimate how much angular radius each additional ring covers by measuring
-    // the distance between the center cell and one of its neighbors.
-    const ringStep = estimateRingStepRad(centerCell) ?? degToRad(1);
-
-    // 90° hemisphere plus a small margin to ensure we cover the full visible edge.
-    const desiredRadius = Math.PI / 2 + degToRad(8);
-    const rings = THREE.MathUtils.clamp(
-      Math.ceil(desiredRadius / Math.max(ringStep, 1e-6)),
-      MIN_GRID_RINGS,
-      MAX_GRID_RINGS
-    );
-
-    const cellIds = gridDisk(centerCell, rings);
+  const radii = useMemo(() => getRadiusMultipliers(resolution), [resolution]);
+  
+  // Grid generation runs off the main thread (see platform/web/gridGenerator.js)
+  const gridGeneratorRef = useRef(null);
+  const [gridBuffers, setGridBuffers] = useState(null);
+  
+  useEffect(() => {
+    const generator = createGridGenerator();
+    gridGeneratorRef.current = generator;
+    return () => generator.dispose();
+  }, []);
+  
+  // Generate hex cells for the part of the globe the camera can see.
+  // Cells outside the view frustum or past the horizon are culled: only the
+  // spherical cap covered by the screen is filled (polygon-to-cells in core/h3).
+  // The previous grid stays on screen until the new one arrives; if the view
+  // changes first, the outdated request is cancelled.
+  useEffect(() => {
+    const generator = gridGeneratorRef.current;
+    if (!generator) return;
     
-    return cellIds.map(cellId => ({
-      cellId,
-      boundary: cellToBoundary(cellId),
-    }));
-  }, [viewCenterCellId]);
+    // Centre the cap on the view cell; one bucket and one cell of margin keep
+    // the screen covered until the next regeneration.
+    const [lat, lng] = cellToLatLng(viewCenterCellId);
+    const angularRadius = Math.pow(CAP_RADIUS_STEP, capBucket + 1) + (estimateRingStep(viewCenterCellId) ?? 0);
+    
+    let active = true;
+    generator.generate({
+      lat,
+      lng,
+      angularRadius,
+      resolution: lod.resolution,
+      maxRings: lod.maxRings,
+      outlineRadius: GLOBE_RADIUS * radii.outline,
+      fillRadius: GLOBE_RADIUS * radii.fill,
+    }).then(buffers => {
+      if (active && buffers) {
+        setGridBuffers(buffers);
+      }
+    });
+    
+    return () => {
+      active = false;
+      generator.cancel();
+    };
+  }, [viewCenterCellId, capBucket, lod, radii]);
   
-  // Function to convert 3D point to H3 cell ID
-  const getCellIdFromPoint = useCallback((point) => {
-    const { lat, lng } = vector3ToLatLng(point);
-    return latLngToCell(lat, lng, VISIBLE_GRID_RESOLUTION);
+  // Follow other players' changes in the visible area (multiplayer adapters only)
+  useEffect(() => {
+    if (gridBuffers) {
+      watchRegion(gridBuffers.cellIds);
+    }
+  }, [gridBuffers]);
+  
+  // Selections may hold cells at any resolution; match them against the active grid
+  const isSelected = useMemo(
+    () => createCellMatcher(apiState.selectedCellIds),
+    [apiState.selectedCellIds]
+  );
+  
+  // Optimistic changes not yet confirmed by the backend (see landApi pendingOperations)
+  const isPending = useMemo(
+    () => createCellMatcher([...apiState.pendingOperations.values()].map(operation => operation.cellId)),
+    [apiState.pendingOperations]
+  );
+  
+  // The keyboard focus cursor may sit on a coarser or finer grid after a zoom
+  const isFocused = useMemo(
+    () => createCellMatcher(apiState.focusedCellId ? [apiState.focusedCellId] : []),
+    [apiState.focusedCellId]
+  );
+  
+  // Merged outline/fill buffers, rebuilt only when the visible cell set changes
+  const grid = useMemo(() => gridBuffers && createHexGridGeometry(gridBuffers), [gridBuffers]);
+  
+  useEffect(() => {
+    return () => grid && disposeHexGridGeometry(grid);
+  }, [grid]);
+  
+  // Hover/selection changes only rewrite the colour attributes of affected cells
+  useLayoutEffect(() => {
+    if (!grid) return;
+    paintHexGridColors(
+      grid,
+      cellId => getCellColor(cellId, apiState.cells, isSelected, apiState.hoveredCellId, isPending, isFocused)
+    );
+  }, [grid, apiState, isSelected, isPending, isFocused]);
+  
+  // Function to convert 3D point to H3 cell ID at the active grid resolution.
+  // The interaction mesh is a coarse polygonal sphere, so when the picking ray is
+  // available we intersect it with the true globe surface instead; near the ground
+  // the facet error would otherwise be larger than a resolution-12 cell.
+  const getLatLngFromPoint = useCallback((point, ray) => {
+    const surfacePoint = ray?.intersectSphere(globeSphere, new THREE.Vector3()) ?? point;
+    const { lat, lng } = vector3ToLatLng(surfacePoint);
+    return [lat, lng];
   }, []);
   
+  const getCellIdFromPoint = useCallback((point, ray) => {
+    const [lat, lng] = getLatLngFromPoint(point, ray);
+    return latLngToCell(lat, lng, resolution);
+  }, [getLatLngFromPoint, resolution]);
+  
+  // OrbitControls (registered with makeDefault in GlobeScene); a lasso holds them still
+  const controls = useThree(state => state.controls);
+  const setCameraEnabled = useCallback((enabled) => {
+    if (controls) controls.enabled = enabled;
+  }, [controls]);
+  
   // Create pointer handlers from platform layer
   const pointerHandlers = useMemo(
-    () => createPointerHandlers(getCellIdFromPoint),
-    [getCellIdFromPoint]
+    () => createPointerHandlers(getCellIdFromPoint, { getLatLngFromPoint, resolution, setCameraEnabled }),
+    [getCellIdFromPoint, getLatLngFromPoint, resolution, setCameraEnabled]
   );
   
+  // Replaced or unmounted handlers release their hovered cell
+  useEffect(() => {
+    return () => pointerHandlers.onPointerLeave();
+  }, [pointerHandlers]);
+  
   return (
     <group>
       {/*
@@ -286,21 +287,33 @@ export default function HexGrid() {
       */}
       <mesh
         onPointerDown={pointerHandlers.onPointerDown}
+        onPointerUp={pointerHandlers.onPointerUp}
+        onPointerCancel={pointerHandlers.onPointerCancel}
         onPointerMove={pointerHandlers.onPointerMove}
         onPointerLeave={pointerHandlers.onPointerLeave}
       >
-        <sphereGeometry args={[GLOBE_RADIUS * INTERACTION_RADIUS_MULT, 48, 48]} />
+        <sphereGeometry args={[GLOBE_RADIUS * radii.interaction, 48, 48]} />
         <meshBasicMaterial transparent opacity={0} />
       </mesh>
 
-      {hexCells.map(({ cellId, boundary }) => (
-        <HexCell
-          key={cellId}
-          cellId={cellId}
-          boundary={boundary}
-          color={getCellColor(cellId, apiState.cells, apiState.selectedCellId, apiState.hoveredCellId)}
-        />
-      ))}
+      {grid && (
+        <>
+          {/* All cell outlines in one draw call */}
+          <lineSegments geometry={grid.outline}>
+            <lineBasicMaterial vertexColors transparent />
+          </lineSegments>
+
+          {/* All cell fills in one draw call (transparent unless highlighted) */}
+          <mesh geometry={grid.fill}>
+            <meshBasicMaterial
+              vertexColors
+              transparent
+              depthWrite={false}
+              side={THREE.DoubleSide}
+            />
+          </mesh>
+        </>
+      )}
     </group>
   );
 }
@@ -0,0 +1,41 @@
+/**
+ * Globe Coordinates - Conversions between lat/lng and scene positions
+ *
+ * ARCHITECTURAL NOTE:
+ * Uses the globe texture convention shared with the grid buffers (see
+ * core/h3/grid.js COORDINATES), so picked points, camera positions and
+ * rendered cells line up.
+ */
+
+import * as THREE from 'three';
+import { writeCartesian } from '../core/h3/index.js';
+import { GLOBE_RADIUS } from './Globe.jsx';
+
+/**
+ * Convert 3D point on globe surface to lat/lng
+ * @param {THREE.Vector3} point - Point on (or above) the globe surface
+ * @returns {{lat: number, lng: number}} Coordinates
+ */
+export function vector3ToLatLng(point) {
+  // Normalize point to unit sphere
+  const normalized = point.clone().normalize();
+
+  const lat = 90 - Math.acos(normalized.y) * (180 / Math.PI);
+  const lng = Math.atan2(normalized.z, -normalized.x) * (180 / Math.PI) - 180;
+
+  return { lat, lng: lng < -180 ? lng + 360 : lng };
+}
+
+/**
+ * Convert lat/lng to a 3D point at a distance from the globe center
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lng - Longitude in degrees
+ * @param {number} radius - Distance from the globe center
+ * @param {THREE.Vector3} target - Vector to write into
+ * @returns {THREE.Vector3} The target vector
+ */
+export function latLngToVector3(lat, lng, radius = GLOBE_RADIUS, target = new THREE.Vector3()) {
+  const position = [0, 0, 0];
+  writeCartesian(position, 0, lat, lng, radius);
+  return target.fromArray(position);
+}
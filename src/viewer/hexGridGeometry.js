@@ -0,0 +1,139 @@
+/**
+ * Hex Grid Geometry - Batched buffers for the H3 overlay
+ *
+ * ARCHITECTURAL NOTE:
+ * Rendering-only helpers for HexGrid. Instead of one line + material per cell,
+ * every visible cell is packed into two merged geometries (positions are
+ * generated off the main thread by core/h3 buildGridBuffers):
+ * - outline: a single LineSegments buffer (one draw call)
+ * - fill: a single triangle buffer (one draw call)
+ *
+ * Both carry an RGBA vertex colour attribute. Geometry is built once per view
+ * change; hover/selection only rewrites the colour ranges of cells that changed.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Outline colour of a cell with no special state
+ */
+export const DEFAULT_CELL_COLOR = '#ffffff';
+
+// Alpha values matching the previous per-cell materials
+const OUTLINE_OPACITY = 0.3;
+const HIGHLIGHT_OUTLINE_OPACITY = 1;
+const HIGHLIGHT_FILL_OPACITY = 0.4;
+
+/**
+ * Wrap generated grid buffers (see core/h3 buildGridBuffers) in Three.js geometry
+ * @param {object} buffers - { cellIds, cornerCounts, outlinePositions, fillPositions }
+ * @returns {object} Grid buffers: { outline, fill, ranges, colors }
+ */
+export function createHexGridGeometry({ cellIds, cornerCounts, outlinePositions, fillPositions }) {
+  const ranges = [];
+  let outlineVertex = 0;
+  let fillVertex = 0;
+
+  cellIds.forEach((cellId, index) => {
+    const n = cornerCounts[index];
+    ranges.push({ cellId, outlineStart: outlineVertex, outlineCount: n * 2, fillStart: fillVertex, fillCount: n * 3 });
+    outlineVertex += n * 2;
+    fillVertex += n * 3;
+  });
+
+  const outline = new THREE.BufferGeometry();
+  outline.setAttribute('position', new THREE.BufferAttribute(outlinePositions, 3));
+  outline.setAttribute('color', new THREE.BufferAttribute(new Float32Array(outlineVertex * 4), 4));
+
+  const fill = new THREE.BufferGeometry();
+  fill.setAttribute('position', new THREE.BufferAttribute(fillPositions, 3));
+  fill.setAttribute('color', new THREE.BufferAttribute(new Float32Array(fillVertex * 4), 4));
+
+  outline.computeBoundingSphere();
+  fill.computeBoundingSphere();
+
+  return {
+    outline,
+    fill,
+    ranges,
+    colors: new Array(ranges.length).fill(null), // Last colour painted per cell
+  };
+}
+
+/**
+ * Fill an RGBA range of a colour attribute
+ * @param {THREE.BufferAttribute} attribute - Colour attribute (itemSize 4)
+ * @param {number} start - First vertex
+ * @param {number} count - Number of vertices
+ * @param {THREE.Color} color - RGB colour
+ * @param {number} alpha - Opacity
+ */
+function writeColorRange(attribute, start, count, color, alpha) {
+  const array = attribute.array;
+  for (let v = start; v < start + count; v++) {
+    array[v * 4] = color.r;
+    array[v * 4 + 1] = color.g;
+    array[v * 4 + 2] = color.b;
+    array[v * 4 + 3] = alpha;
+  }
+}
+
+const colorCache = new Map();
+
+function toThreeColor(hex) {
+  if (!colorCache.has(hex)) {
+    colorCache.set(hex, new THREE.Color(hex));
+  }
+  return colorCache.get(hex);
+}
+
+/**
+ * Repaint cells whose colour changed
+ * Only the vertex ranges of changed cells are rewritten.
+ *
+ * @param {object} grid - Buffers from buildHexGridGeometry
+ * @param {function} getColor - (cellId) => hex colour string
+ */
+export function paintHexGridColors(grid, getColor) {
+  const outlineColors = grid.outline.attributes.color;
+  const fillColors = grid.fill.attributes.color;
+  let changed = false;
+
+  grid.ranges.forEach((range, index) => {
+    const hex = getColor(range.cellId);
+    if (grid.colors[index] === hex) return;
+    grid.colors[index] = hex;
+    changed = true;
+
+    const color = toThreeColor(hex);
+    const isHighlighted = hex !== DEFAULT_CELL_COLOR;
+    writeColorRange(
+      outlineColors,
+      range.outlineStart,
+      range.outlineCount,
+      color,
+      isHighlighted ? HIGHLIGHT_OUTLINE_OPACITY : OUTLINE_OPACITY
+    );
+    writeColorRange(
+      fillColors,
+      range.fillStart,
+      range.fillCount,
+      color,
+      isHighlighted ? HIGHLIGHT_FILL_OPACITY : 0
+    );
+  });
+
+  if (changed) {
+    outlineColors.needsUpdate = true;
+    fillColors.needsUpdate = true;
+  }
+}
+
+/**
+ * Release GPU buffers for a grid
+ * @param {object} grid - Buffers from buildHexGridGeometry
+ */
+export function disposeHexGridGeometry(grid) {
+  grid.outline.dispose();
+  grid.fill.dispose();
+}
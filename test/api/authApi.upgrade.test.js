@@ -0,0 +1,55 @@
+/**
+ * Account upgrade - The new account receives the anonymous player's unsettled income
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryAdapter } from '../../src/api/persistence/memoryAdapter.js';
+import { initLandApi, setLandClock, purchaseCell, buildStructure, getCell } from '../../src/api/landApi.js';
+import { initPlayerApi, getPlayer } from '../../src/api/playerApi.js';
+import { initIncome, settlePlayerIncome } from '../../src/api/incomeApi.js';
+import { initAuth, signInAnonymously, upgradeAnonymousAccount } from '../../src/api/authApi.js';
+import { createManualClock, MS_PER_HOUR } from '../../src/core/rules/income.js';
+import { StructureType } from '../../src/core/domain/structure.js';
+import { getH3Index } from '../../src/core/h3/index.js';
+
+const CELL_ID = getH3Index(51.5007, -0.1246);
+const START = Date.UTC(2026, 0, 1);
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  initAuth();
+  setLandClock();
+  initIncome();
+  initPlayerApi();
+  initLandApi();
+});
+
+test('income earned before an upgrade is paid to the new account', async () => {
+  const clock = createManualClock(START);
+  initLandApi({ adapter: createMemoryAdapter() });
+  setLandClock(clock);
+  initIncome({ clock });
+  initPlayerApi();
+  initAuth();
+
+  const { player: anonymous } = await signInAnonymously();
+  await purchaseCell(CELL_ID, anonymous.uid);
+  await buildStructure(CELL_ID, anonymous.uid, StructureType.HOUSE);
+  await settlePlayerIncome(anonymous.uid);
+  const before = getPlayer(anonymous.uid).balance;
+
+  // The house takes 30s to build, then earns 2 an hour
+  clock.advance(30 * 1000 + MS_PER_HOUR);
+  const upgraded = await upgradeAnonymousAccount({ email: 'alice@example.com', password: 'correct horse' });
+
+  assert.equal(upgraded.success, true);
+  assert.equal(upgraded.amount, before + 2);
+  assert.equal(getPlayer(upgraded.player.uid).balance, before + 2);
+  assert.equal(getCell(CELL_ID).ownerId, upgraded.player.uid);
+});
@@ -0,0 +1,83 @@
+/**
+ * Land undo - Only backends that can restore cells record undoable land commands
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRulesServer } from '../../server/rulesServer.js';
+import { createRulesAdapter } from '../../src/api/persistence/rulesAdapter.js';
+import { createMemoryAdapter } from '../../src/api/persistence/memoryAdapter.js';
+import { initLandApi, setLandClock, purchaseCell, getCell } from '../../src/api/landApi.js';
+import { initPlayerApi, registerPlayer, refreshWallet, getPlayer } from '../../src/api/playerApi.js';
+import { initIncome, settlePlayerIncome } from '../../src/api/incomeApi.js';
+import {
+  initHistory,
+  executeCommand,
+  undo,
+  getHistoryState,
+  createPurchaseCommand,
+  createBuildCommand,
+} from '../../src/api/historyApi.js';
+import { HistoryErrorCode } from '../../src/core/history/index.js';
+import { createManualClock, MS_PER_HOUR } from '../../src/core/rules/income.js';
+import { StructureType } from '../../src/core/domain/structure.js';
+import { getH3Index } from '../../src/core/h3/index.js';
+
+const CELL_ID = getH3Index(51.5007, -0.1246);
+const START = Date.UTC(2026, 0, 1);
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  initHistory();
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  setLandClock();
+  initIncome();
+  initPlayerApi();
+  initLandApi();
+});
+
+test('land commands on the rules server are not undoable', async () => {
+  const server = createRulesServer();
+  const baseUrl = `http://localhost:${await server.listen(0)}`;
+  try {
+    const adapter = createRulesAdapter({ baseUrl });
+    initLandApi({ adapter });
+    initPlayerApi({ server: adapter });
+    await refreshWallet('alice');
+
+    await executeCommand(createPurchaseCommand(CELL_ID, 'alice'));
+    const built = await executeCommand(createBuildCommand(CELL_ID, 'alice', StructureType.HOUSE));
+
+    assert.equal(built.success, true);
+    assert.equal(getHistoryState().canUndo, false);
+    assert.equal((await undo()).error, HistoryErrorCode.NOTHING_TO_UNDO);
+    assert.equal(getCell(CELL_ID).structures.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('undoing a build pays the income earned so far, then refunds the cost', async () => {
+  const clock = createManualClock(START);
+  initLandApi({ adapter: createMemoryAdapter() });
+  setLandClock(clock);
+  initIncome({ clock });
+  registerPlayer('alice', { startingBalance: 1000 });
+  await purchaseCell(CELL_ID, 'alice');
+  await settlePlayerIncome('alice');
+  const before = getPlayer('alice').balance;
+
+  await executeCommand(createBuildCommand(CELL_ID, 'alice', StructureType.HOUSE));
+  // The house takes 30s to build, then earns 2 an hour
+  clock.advance(30 * 1000 + MS_PER_HOUR);
+  const undone = await undo();
+
+  assert.equal(undone.success, true);
+  assert.equal(getCell(CELL_ID).structures.length, 0);
+  assert.equal(getPlayer('alice').balance, before + 2);
+  assert.deepEqual(getPlayer('alice').ledger.slice(-2).map(entry => entry.reason), ['income', 'undo']);
+});
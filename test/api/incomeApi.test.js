@@ -0,0 +1,92 @@
+/**
+ * Client income - Structures pay their owner on sign-in and while playing
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryAdapter } from '../../src/api/persistence/memoryAdapter.js';
+import { initLandApi, setLandClock, purchaseCell, buildStructure } from '../../src/api/landApi.js';
+import { initPlayerApi, registerPlayer, getPlayer } from '../../src/api/playerApi.js';
+import { initIncome, settlePlayerIncome } from '../../src/api/incomeApi.js';
+import { createMemoryStorage } from '../../src/api/persistence/memoryStorage.js';
+import { createManualClock, MS_PER_HOUR, MAX_OFFLINE_MS } from '../../src/core/rules/income.js';
+import { StructureType } from '../../src/core/domain/structure.js';
+import { getH3Index } from '../../src/core/h3/index.js';
+
+const CELL_ID = getH3Index(51.5007, -0.1246);
+const START = Date.UTC(2026, 0, 1);
+
+let adapter;
+let clock;
+let storage;
+
+beforeEach(async () => {
+  mock.method(console, 'log', () => {});
+
+  adapter = createMemoryAdapter();
+  clock = createManualClock(START);
+  storage = createMemoryStorage();
+  initLandApi({ adapter });
+  setLandClock(clock);
+  initPlayerApi();
+  initIncome({ storage, clock });
+  registerPlayer('alice', { startingBalance: 1000 });
+
+  await purchaseCell(CELL_ID, 'alice');
+  await buildStructure(CELL_ID, 'alice', StructureType.HOUSE);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  setLandClock();
+  initIncome();
+});
+
+test('the first settlement starts the account without paying', async () => {
+  const before = getPlayer('alice').balance;
+
+  const result = await settlePlayerIncome('alice');
+
+  assert.equal(result.success, true);
+  assert.equal(result.amount, 0);
+  assert.equal(getPlayer('alice').balance, before);
+});
+
+test('a finished structure pays for the time since the last settlement', async () => {
+  await settlePlayerIncome('alice');
+  const before = getPlayer('alice').balance;
+
+  // The house takes 30s to build, then earns 2 an hour
+  clock.advance(30 * 1000 + 2 * MS_PER_HOUR);
+  const result = await settlePlayerIncome('alice');
+
+  assert.equal(result.amount, 4);
+  assert.equal(getPlayer('alice').balance, before + 4);
+  assert.equal(getPlayer('alice').ledger.at(-1).reason, 'income');
+});
+
+test('time away is paid up to the offline cap, from cells not yet loaded', async () => {
+  await settlePlayerIncome('alice');
+  const before = getPlayer('alice').balance;
+
+  // Fresh land cache on the same backend, as after a page reload
+  initLandApi({ adapter });
+  setLandClock(clock);
+  clock.advance(30 * 1000 + 2 * MAX_OFFLINE_MS);
+  const result = await settlePlayerIncome('alice');
+
+  assert.equal(result.amount, 48);
+  assert.equal(getPlayer('alice').balance, before + 48);
+});
+
+test('a settled interval is never paid twice', async () => {
+  await settlePlayerIncome('alice');
+  clock.advance(30 * 1000 + MS_PER_HOUR);
+  await settlePlayerIncome('alice');
+  const before = getPlayer('alice').balance;
+
+  const result = await settlePlayerIncome('alice');
+
+  assert.equal(result.amount, 0);
+  assert.equal(getPlayer('alice').balance, before);
+});
@@ -0,0 +1,61 @@
+/**
+ * Demolish refunds - Paid once the backend accepts, never on a rollback
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryAdapter } from '../../src/api/persistence/memoryAdapter.js';
+import { initLandApi, purchaseCell, buildStructure, demolishStructure, getCell } from '../../src/api/landApi.js';
+import { registerPlayer, getPlayer, restorePlayers } from '../../src/api/playerApi.js';
+import { LandErrorCode } from '../../src/core/domain/cell.js';
+import { StructureType } from '../../src/core/domain/structure.js';
+import { getH3Index } from '../../src/core/h3/index.js';
+
+const CELL_ID = getH3Index(51.5007, -0.1246);
+
+let adapter;
+let structureId;
+
+beforeEach(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+
+  adapter = createMemoryAdapter();
+  initLandApi({ adapter });
+  restorePlayers([]);
+  registerPlayer('alice', { startingBalance: 1000 });
+
+  await purchaseCell(CELL_ID, 'alice');
+  ({ structure: { id: structureId } } = await buildStructure(CELL_ID, 'alice', StructureType.HOUSE));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('a committed demolition pays the refund', async () => {
+  const before = getPlayer('alice').balance;
+
+  const result = await demolishStructure(CELL_ID, 'alice', structureId);
+
+  assert.equal(result.success, true);
+  assert.ok(result.refund > 0);
+  assert.equal(getPlayer('alice').balance, before + result.refund);
+});
+
+test('a rolled-back demolition pays nothing and keeps the structure', async () => {
+  const before = getPlayer('alice').balance;
+  mock.method(adapter, 'put', async () => {
+    throw new Error('offline');
+  });
+
+  const pending = demolishStructure(CELL_ID, 'alice', structureId);
+  // The refund is not spendable while the backend decides
+  assert.equal(getPlayer('alice').balance, before);
+  const result = await pending;
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, LandErrorCode.PERSISTENCE_FAILED);
+  assert.equal(getPlayer('alice').balance, before);
+  assert.equal(getCell(CELL_ID).structures.length, 1);
+});
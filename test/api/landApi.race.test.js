@@ -0,0 +1,103 @@
+/**
+ * Purchase races - Two players buy the same cell through one shared adapter
+ *
+ * Each simulated player runs its own copy of landApi (its own cell cache, as
+ * on a separate device) against a single in-memory adapter, so the second
+ * write reaches the adapter with a stale expectedVersion.
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryAdapter } from '../../src/api/persistence/memoryAdapter.js';
+import { registerPlayer, getPlayer, restorePlayers } from '../../src/api/playerApi.js';
+import { subscribeToEvent, EventTypes } from '../../src/core/events/index.js';
+import { LandErrorCode } from '../../src/core/domain/cell.js';
+import { getH3Index } from '../../src/core/h3/index.js';
+
+const CELL_ID = getH3Index(51.5007, -0.1246);
+const STARTING_BALANCE = 1000;
+
+/**
+ * Load a separate landApi instance for one simulated player
+ * @param {string} name - Distinguishes the module instance
+ * @returns {Promise<object>} landApi module
+ */
+function loadClient(name) {
+  return import(`../../src/api/landApi.js?client=${name}`);
+}
+
+let adapter;
+let alice;
+let bob;
+let conflicts;
+let unsubscribe;
+
+beforeEach(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+
+  adapter = createMemoryAdapter();
+  alice = await loadClient(`alice-${Math.random()}`);
+  bob = await loadClient(`bob-${Math.random()}`);
+  alice.initLandApi({ adapter });
+  bob.initLandApi({ adapter });
+
+  restorePlayers([]);
+  registerPlayer('alice', { startingBalance: STARTING_BALANCE });
+  registerPlayer('bob', { startingBalance: STARTING_BALANCE });
+
+  conflicts = [];
+  unsubscribe = subscribeToEvent(EventTypes.LAND_PURCHASE_CONFLICT, event => conflicts.push(event.payload));
+});
+
+afterEach(() => {
+  unsubscribe();
+  mock.restoreAll();
+});
+
+test('exactly one of two racing purchases wins', async () => {
+  const [aliceResult, bobResult] = await Promise.all([
+    alice.purchaseCell(CELL_ID, 'alice'),
+    bob.purchaseCell(CELL_ID, 'bob'),
+  ]);
+
+  const results = [aliceResult, bobResult];
+  assert.equal(results.filter(result => result.success).length, 1);
+
+  const winner = aliceResult.success ? 'alice' : 'bob';
+  const stored = await adapter.get(CELL_ID);
+  assert.equal(stored.ownerId, winner);
+  assert.equal(stored.version, 1);
+});
+
+test('the losing player gets a conflict and a full refund', async () => {
+  const [aliceResult, bobResult] = await Promise.all([
+    alice.purchaseCell(CELL_ID, 'alice'),
+    bob.purchaseCell(CELL_ID, 'bob'),
+  ]);
+  const [winner, loser] = aliceResult.success ? ['alice', 'bob'] : ['bob', 'alice'];
+  const loserResult = aliceResult.success ? bobResult : aliceResult;
+  const winnerResult = aliceResult.success ? aliceResult : bobResult;
+
+  assert.equal(loserResult.error, LandErrorCode.VERSION_CONFLICT);
+  assert.equal(loserResult.ownerId, winner);
+
+  const loserConflicts = conflicts.filter(conflict => conflict.playerId === loser);
+  assert.equal(loserConflicts.length, 1);
+  assert.equal(loserConflicts[0].cellId, CELL_ID);
+  assert.equal(loserConflicts[0].ownerId, winner);
+
+  assert.equal(getPlayer(loser).balance, STARTING_BALANCE);
+  assert.equal(getPlayer(winner).balance, STARTING_BALANCE - winnerResult.price);
+});
+
+test('the losing client shows the winner as owner', async () => {
+  const [aliceResult] = await Promise.all([
+    alice.purchaseCell(CELL_ID, 'alice'),
+    bob.purchaseCell(CELL_ID, 'bob'),
+  ]);
+  const [winner, loserClient] = aliceResult.success ? ['alice', bob] : ['bob', alice];
+
+  assert.equal(loserClient.getCell(CELL_ID).ownerId, winner);
+  assert.equal(loserClient.getState().pendingOperations.size, 0);
+});
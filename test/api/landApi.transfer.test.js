@@ -0,0 +1,51 @@
+/**
+ * Cell transfers - An account upgrade moves every owned cell in one write
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryAdapter } from '../../src/api/persistence/memoryAdapter.js';
+import { initLandApi, transferCells } from '../../src/api/landApi.js';
+import { LandErrorCode } from '../../src/core/domain/cell.js';
+import { getH3Index } from '../../src/core/h3/index.js';
+
+const LONDON = getH3Index(51.5007, -0.1246);
+const PARIS = getH3Index(48.8584, 2.2945);
+
+const seedCells = () => [
+  { id: LONDON, ownerId: 'anon', structures: [], version: 1 },
+  { id: PARIS, ownerId: 'anon', structures: [], version: 3 },
+];
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('cells the client never loaded move too', async () => {
+  const adapter = createMemoryAdapter(seedCells());
+  initLandApi({ adapter });
+
+  const result = await transferCells('anon', 'account');
+
+  assert.equal(result.success, true);
+  assert.equal(result.count, 2);
+  assert.deepEqual(await adapter.queryByOwner('anon'), []);
+  assert.equal((await adapter.queryByOwner('account')).length, 2);
+});
+
+test('an adapter without queryByOwner and putAll refuses the transfer', async () => {
+  const { queryByOwner, putAll, ...adapter } = createMemoryAdapter(seedCells());
+  assert.ok(queryByOwner && putAll);
+  initLandApi({ adapter });
+
+  const result = await transferCells('anon', 'account');
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, LandErrorCode.TRANSFER_UNSUPPORTED);
+  assert.equal((await adapter.get(LONDON)).ownerId, 'anon');
+});
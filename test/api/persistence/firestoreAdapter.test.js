@@ -0,0 +1,70 @@
+/**
+ * Firestore adapter - The adapter contract against the in-memory Firestore fake
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFirestoreAdapter } from '../../../src/api/persistence/firestoreAdapter.js';
+import { createFakeFirestore } from '../../../src/api/persistence/fakeFirestore.js';
+import { LandErrorCode } from '../../../src/core/domain/cell.js';
+import { getH3Index } from '../../../src/core/h3/index.js';
+
+const LONDON = getH3Index(51.5007, -0.1246);
+const PARIS = getH3Index(48.8584, 2.2945);
+
+const record = (id, ownerId) => ({ id, ownerId, purchasedAt: 1, structures: [], createdAt: 0, version: 0 });
+
+let adapter;
+
+beforeEach(() => {
+  adapter = createFirestoreAdapter(createFakeFirestore());
+});
+
+test('get answers null for a missing cell and the stored record after a put', async () => {
+  assert.equal(await adapter.get(LONDON), null);
+
+  const stored = await adapter.put(record(LONDON, 'alice'), { expectedVersion: 0 });
+
+  assert.equal(stored.version, 1);
+  assert.deepEqual(await adapter.get(LONDON), stored);
+});
+
+test('a put based on an old version is rejected with the stored record', async () => {
+  await adapter.put(record(LONDON, 'alice'), { expectedVersion: 0 });
+
+  await assert.rejects(adapter.put(record(LONDON, 'bob'), { expectedVersion: 0 }), error => {
+    assert.equal(error.code, LandErrorCode.VERSION_CONFLICT);
+    assert.equal(error.current.ownerId, 'alice');
+    return true;
+  });
+  assert.equal((await adapter.get(LONDON)).ownerId, 'alice');
+});
+
+test('subscribe reports stored cells at once, then each write to a watched cell', async () => {
+  await adapter.put(record(LONDON, 'alice'), { expectedVersion: 0 });
+  const changes = [];
+  const unsubscribe = adapter.subscribe([LONDON], records => changes.push(records.map(({ id, ownerId }) => ({ id, ownerId }))));
+
+  await adapter.put(record(LONDON, 'bob'), { expectedVersion: 1 });
+  await adapter.put(record(PARIS, 'carol'), { expectedVersion: 0 });
+  unsubscribe();
+  await adapter.put(record(LONDON, 'dave'), { expectedVersion: 2 });
+
+  assert.deepEqual(changes, [[{ id: LONDON, ownerId: 'alice' }], [{ id: LONDON, ownerId: 'bob' }]]);
+});
+
+test('putAll stores every write or, on a conflict, none of them', async () => {
+  await adapter.put(record(PARIS, 'carol'), { expectedVersion: 0 });
+
+  await assert.rejects(adapter.putAll([
+    { cell: record(LONDON, 'alice'), expectedVersion: 0 },
+    { cell: record(PARIS, 'alice'), expectedVersion: 0 },
+  ]));
+  assert.equal(await adapter.get(LONDON), null);
+
+  await adapter.putAll([
+    { cell: record(LONDON, 'alice'), expectedVersion: 0 },
+    { cell: record(PARIS, 'alice'), expectedVersion: 1 },
+  ]);
+  assert.equal((await adapter.queryByOwner('alice')).length, 2);
+});
@@ -0,0 +1,109 @@
+/**
+ * Sync adapter - A write whose answer the connection lost is read back, not rolled back
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWebSocketAdapter, SyncMessageType } from '../../../src/api/persistence/webSocketAdapter.js';
+import { createMemoryAdapter } from '../../../src/api/persistence/memoryAdapter.js';
+import { initLandApi, purchaseCell, getCell } from '../../../src/api/landApi.js';
+import { initPlayerApi, registerPlayer, getPlayer } from '../../../src/api/playerApi.js';
+import { LandErrorCode } from '../../../src/core/domain/cell.js';
+import { getH3Index } from '../../../src/core/h3/index.js';
+
+const CELL_ID = getH3Index(51.5007, -0.1246);
+
+/**
+ * Create an in-process stand-in for server/syncServer.js
+ * `dropNextPut` makes the server lose the connection on the next PUT, after
+ * storing it ('after-store') or before ('before-store').
+ *
+ * @returns {object} { WebSocket, store, dropNextPut }
+ */
+function createFakeSyncServer() {
+  const store = createMemoryAdapter();
+  const server = { store, dropNextPut: null, WebSocket: null };
+
+  async function handle(socket, message) {
+    const reply = body => {
+      if (socket.readyState !== 1) return;
+      const data = JSON.stringify({ type: SyncMessageType.RESULT, requestId: message.requestId, ...body });
+      setImmediate(() => socket.onmessage?.({ data }));
+    };
+
+    if (message.type === SyncMessageType.GET) {
+      reply({ record: await store.get(message.cellId) });
+    } else if (message.type === SyncMessageType.PUT) {
+      const drop = server.dropNextPut;
+      server.dropNextPut = null;
+      if (drop === 'before-store') return socket.close();
+
+      const record = await store.put(message.record, { expectedVersion: message.expectedVersion });
+      if (drop === 'after-store') return socket.close();
+      reply({ record });
+    }
+  }
+
+  server.WebSocket = class FakeWebSocket {
+    constructor() {
+      this.readyState = 0;
+      setImmediate(() => {
+        this.readyState = 1;
+        this.onopen?.();
+      });
+    }
+
+    send(data) {
+      handle(this, JSON.parse(data));
+    }
+
+    close() {
+      if (this.readyState === 3) return;
+      this.readyState = 3;
+      setImmediate(() => this.onclose?.());
+    }
+  };
+  return server;
+}
+
+let server;
+let adapter;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+  server = createFakeSyncServer();
+  adapter = createWebSocketAdapter({ url: 'ws://sync.test', WebSocket: server.WebSocket, reconnectDelayMs: 0 });
+  initLandApi({ adapter });
+  initPlayerApi();
+  registerPlayer('alice', { startingBalance: 1000 });
+});
+
+afterEach(() => {
+  adapter.close();
+  mock.restoreAll();
+  initLandApi();
+});
+
+test('a purchase stored just before the connection dropped stays bought and paid', async () => {
+  server.dropNextPut = 'after-store';
+
+  const result = await purchaseCell(CELL_ID, 'alice');
+
+  assert.equal(result.success, true);
+  assert.equal(getCell(CELL_ID).ownerId, 'alice');
+  assert.equal(getPlayer('alice').balance, 1000 - result.price);
+  assert.equal((await server.store.get(CELL_ID)).ownerId, 'alice');
+});
+
+test('a purchase the server never stored is rolled back after the reconnect', async () => {
+  server.dropNextPut = 'before-store';
+
+  const result = await purchaseCell(CELL_ID, 'alice');
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, LandErrorCode.PERSISTENCE_FAILED);
+  assert.equal(getPlayer('alice').balance, 1000);
+  assert.equal(await server.store.get(CELL_ID), null);
+});
@@ -0,0 +1,87 @@
+/**
+ * Server wallets - With a rules server, wallets come from the server only
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRulesServer } from '../../server/rulesServer.js';
+import { createRulesAdapter, RulesErrorCode } from '../../src/api/persistence/rulesAdapter.js';
+import { createMemoryStorage } from '../../src/api/persistence/memoryStorage.js';
+import { initPlayerApi, registerPlayer, refreshWallet, getPlayer, getState } from '../../src/api/playerApi.js';
+import { getH3Index } from '../../src/core/h3/index.js';
+
+const CELL_ID = getH3Index(51.5007, -0.1246);
+
+let server;
+let baseUrl;
+
+beforeEach(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  server = createRulesServer();
+  baseUrl = `http://localhost:${await server.listen(0)}`;
+});
+
+afterEach(async () => {
+  await server.close();
+  mock.restoreAll();
+  initPlayerApi();
+});
+
+/**
+ * Start the player API against the server, as main.jsx does after a reload
+ * @param {object} storage - Session token store
+ * @returns {object} Rules adapter
+ */
+function startClient(storage) {
+  const adapter = createRulesAdapter({ baseUrl, storage });
+  initPlayerApi({ server: adapter });
+  return adapter;
+}
+
+test('signing in grants nothing locally and loads the server wallet', async () => {
+  startClient(createMemoryStorage());
+
+  const registered = registerPlayer('alice', { startingBalance: 5000 });
+  assert.equal(registered.player, null);
+  assert.equal(getPlayer('alice'), null);
+
+  const result = await refreshWallet('alice');
+  assert.equal(result.success, true);
+  assert.equal(getPlayer('alice').balance, result.player.balance);
+  assert.notEqual(getPlayer('alice').balance, 5000);
+});
+
+test('a reload with a stored session reads the spent server balance back', async () => {
+  const storage = createMemoryStorage();
+  const adapter = startClient(storage);
+  await refreshWallet('alice');
+  const starting = getPlayer('alice').balance;
+  await adapter.submit({ type: 'purchase', cellId: CELL_ID, playerId: 'alice' });
+
+  // Fresh client, same token store
+  startClient(storage);
+  registerPlayer('alice');
+  await refreshWallet('alice');
+
+  assert.ok(getPlayer('alice').balance < starting);
+});
+
+test('a refused registration is reported and leaves the player without a wallet', async () => {
+  startClient(createMemoryStorage());
+  await refreshWallet('alice');
+
+  // Token store cleared: the server already knows the player ID
+  startClient(createMemoryStorage());
+  registerPlayer('alice');
+  const result = await refreshWallet('alice');
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, RulesErrorCode.PLAYER_EXISTS);
+  assert.equal(getPlayer('alice'), null);
+  assert.deepEqual(getState().walletError, {
+    playerId: 'alice',
+    error: RulesErrorCode.PLAYER_EXISTS,
+    reason: RulesErrorCode.PLAYER_EXISTS,
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Wallet persistence - Balances survive a reload through the wallet store
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initPlayerApi, registerPlayer, debit, getPlayer, subscribe } from '../../src/api/playerApi.js';
+import { createMemoryStorage } from '../../src/api/persistence/memoryStorage.js';
+
+const PLAYERS_KEY = 'land-grab:players';
+
+/**
+ * Change a saved wallet the way another tab would
+ * @param {object} storage - Shared wallet store
+ * @param {string} playerId - Player ID
+ * @param {number} balance - New balance
+ */
+function saveFromOtherTab(storage, playerId, balance) {
+  const players = JSON.parse(storage.getItem(PLAYERS_KEY));
+  storage.setItem(PLAYERS_KEY, JSON.stringify(players.map(player => (
+    player.id === playerId ? { ...player, balance } : player
+  ))));
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  initPlayerApi();
+});
+
+test('a reload restores spent balances instead of a new starting balance', () => {
+  const storage = createMemoryStorage();
+  initPlayerApi({ storage });
+  registerPlayer('alice', { startingBalance: 1000 });
+  debit('alice', 300, { reason: 'land-purchase' });
+
+  // Same store, fresh start, as after a page reload
+  initPlayerApi({ storage });
+  registerPlayer('alice', { startingBalance: 1000 });
+
+  assert.equal(getPlayer('alice').balance, 700);
+  assert.equal(getPlayer('alice').ledger.length, 2);
+});
+
+test('an empty store starts with no players', () => {
+  initPlayerApi({ storage: createMemoryStorage() });
+  assert.equal(getPlayer('alice'), null);
+});
+
+test('a change applies to the balance another tab saved, not this tab\'s stale copy', () => {
+  const storage = createMemoryStorage();
+  initPlayerApi({ storage });
+  registerPlayer('alice', { startingBalance: 1000 });
+
+  saveFromOtherTab(storage, 'alice', 400);
+  debit('alice', 100, { reason: 'land-purchase' });
+
+  assert.equal(getPlayer('alice').balance, 300);
+  assert.equal(JSON.parse(storage.getItem(PLAYERS_KEY))[0].balance, 300);
+});
+
+test('another tab\'s save reaches subscribers through the storage event', () => {
+  const storage = createMemoryStorage();
+  const eventTarget = new EventTarget();
+  initPlayerApi({ storage, eventTarget });
+  registerPlayer('alice', { startingBalance: 1000 });
+  const balances = [];
+  const unsubscribe = subscribe(state => balances.push(state.players.get('alice')?.balance));
+
+  saveFromOtherTab(storage, 'alice', 400);
+  eventTarget.dispatchEvent(Object.assign(new Event('storage'), { storageArea: storage, key: PLAYERS_KEY }));
+  unsubscribe();
+
+  assert.deepEqual(balances, [400]);
+});
+
+test('an unreadable wallet entry starts empty instead of failing', () => {
+  const storage = createMemoryStorage();
+  storage.setItem(PLAYERS_KEY, '{not json');
+
+  const result = initPlayerApi({ storage });
+
+  assert.equal(result.success, true);
+  assert.equal(result.count, 0);
+  assert.equal(getPlayer('alice'), null);
+});
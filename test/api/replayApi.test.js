@@ -0,0 +1,94 @@
+/**
+ * Replay - Recorded sessions replay to their golden snapshot
+ *
+ * fixtures/session.log.json was recorded from a scripted session (select,
+ * purchase, build, demolish); fixtures/session.snapshot.json is the snapshot
+ * its replay produced. A change that alters what a replay does shows up here
+ * as a diff against the golden snapshot.
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { initLandApi, purchaseCell, getCell } from '../../src/api/landApi.js';
+import { restorePlayers, registerPlayer, getPlayer } from '../../src/api/playerApi.js';
+import { startRecording, stopRecording, replayEventLog } from '../../src/api/replayApi.js';
+import { createMemoryAdapter } from '../../src/api/persistence/memoryAdapter.js';
+import { publishEvent, cellSelected, parseEventLog, EventTypes } from '../../src/core/events/index.js';
+import { LandErrorCode } from '../../src/core/domain/cell.js';
+import { getH3Index } from '../../src/core/h3/index.js';
+
+const readFixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  initLandApi();
+  restorePlayers([]);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('replaying the recorded session reproduces the golden snapshot', async () => {
+  const result = await replayEventLog(readFixture('session.log.json'), { speed: Infinity });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.divergences, []);
+  assert.deepEqual(result.snapshot, JSON.parse(readFixture('session.snapshot.json')));
+});
+
+test('recording keeps plain payload data and drops what JSON cannot hold', () => {
+  const intersection = { distance: 2 };
+  intersection.object = { parent: intersection };
+
+  startRecording({ includeSnapshot: false });
+  publishEvent(cellSelected('8c194ad14c255ff', {
+    point: { x: 1, y: 2, z: 3 },
+    selectionMode: 'replace',
+    intersection,
+    ray: new (class Ray {})(),
+  }));
+  const recorded = stopRecording();
+
+  assert.equal(recorded.success, true);
+  const parsed = parseEventLog(recorded.json);
+  assert.equal(parsed.success, true);
+
+  const [event] = parsed.log.events;
+  assert.deepEqual(event.payload.point, { x: 1, y: 2, z: 3 });
+  assert.equal(event.payload.selectionMode, 'replace');
+  assert.deepEqual(event.payload.intersection, { distance: 2, object: {} });
+  assert.equal('ray' in event.payload, false);
+});
+
+test('a purchase that lost a race is not replayed', async () => {
+  const contested = getH3Index(51.5007, -0.1246);
+  const other = getH3Index(48.8584, 2.2945);
+  const adapter = createMemoryAdapter();
+  initLandApi({ adapter });
+  registerPlayer('alice', { startingBalance: 1000 });
+
+  startRecording();
+  // Another device claims the cell; this client has not seen it yet
+  await adapter.put({ id: contested, ownerId: 'bob', structures: [], purchasedAt: 1 }, { expectedVersion: 0 });
+  const lost = await purchaseCell(contested, 'alice');
+  await purchaseCell(other, 'alice');
+  const recorded = stopRecording();
+  const balance = getPlayer('alice').balance;
+
+  assert.equal(lost.error, LandErrorCode.VERSION_CONFLICT);
+  const { log } = parseEventLog(recorded.json);
+  assert.ok(log.events.some(event => event.type === EventTypes.LAND_PURCHASED && event.payload.cellId === contested));
+
+  initLandApi();
+  restorePlayers([]);
+  const result = await replayEventLog(recorded.json, { speed: Infinity });
+
+  assert.deepEqual(result.divergences, []);
+  assert.equal(result.dispatched, 1);
+  assert.equal(result.snapshot.players.find(player => player.id === 'alice').balance, balance);
+  assert.equal(getCell(contested)?.ownerId ?? null, null);
+  assert.equal(getCell(other).ownerId, 'alice');
+});
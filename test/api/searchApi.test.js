@@ -0,0 +1,36 @@
+/**
+ * Search - Every result names a land cell at the grid resolution
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { initSearch, searchLocation } from '../../src/api/searchApi.js';
+import { DEFAULT_RESOLUTION, getH3Index, getCellCenter, getCellResolution } from '../../src/core/h3/index.js';
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  initSearch({ geocoder: { search: async () => [] } });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('a pasted index at another resolution finds the land cell at its centre', async () => {
+  const coarse = getH3Index(51.5007, -0.1246, 5);
+
+  const { results: [result] } = await searchLocation(coarse);
+
+  const [lat, lng] = getCellCenter(coarse);
+  assert.equal(getCellResolution(result.cellId), DEFAULT_RESOLUTION);
+  assert.equal(result.cellId, getH3Index(lat, lng, DEFAULT_RESOLUTION));
+  assert.equal(result.label, `Cell ${coarse}`);
+});
+
+test('a pasted land cell index finds that cell', async () => {
+  const cellId = getH3Index(51.5007, -0.1246);
+
+  const { results: [result] } = await searchLocation(cellId);
+
+  assert.equal(result.cellId, cellId);
+});
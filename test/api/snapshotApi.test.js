@@ -0,0 +1,57 @@
+/**
+ * Snapshot import - The adapter ends up holding exactly the snapshot's land
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryAdapter } from '../../src/api/persistence/memoryAdapter.js';
+import { initLandApi, loadCells, getCell } from '../../src/api/landApi.js';
+import { restorePlayers } from '../../src/api/playerApi.js';
+import { importSnapshot } from '../../src/api/snapshotApi.js';
+import { createSnapshot } from '../../src/core/domain/snapshot.js';
+import { getH3Index } from '../../src/core/h3/index.js';
+
+const LONDON = getH3Index(51.5007, -0.1246);
+const PARIS = getH3Index(48.8584, 2.2945);
+
+const player = {
+  id: 'alice',
+  displayName: 'Alice',
+  balance: 1000,
+  createdAt: 1,
+  ledger: [{ id: 'alice:1', type: 'credit', amount: 1000, balanceBefore: 0, balanceAfter: 1000 }],
+};
+
+const ownedCell = (id, version) => ({ id, ownerId: 'alice', purchasedAt: 2, structures: [], createdAt: 1, version });
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  restorePlayers([]);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('stored cells missing from the snapshot are reset to unowned', async () => {
+  const adapter = createMemoryAdapter([ownedCell(LONDON, 3), ownedCell(PARIS, 1)]);
+  initLandApi({ adapter });
+
+  const result = await importSnapshot(createSnapshot({ cells: [ownedCell(LONDON, 3)], players: [player] }));
+
+  assert.equal(result.success, true);
+  assert.equal((await adapter.get(LONDON)).ownerId, 'alice');
+  assert.equal((await adapter.get(PARIS)).ownerId, null);
+  assert.equal(getCell(PARIS).ownerId, null);
+});
+
+test('without queryAll, the cells this client loaded are reset', async () => {
+  const { queryAll, ...adapter } = createMemoryAdapter([ownedCell(PARIS, 1)]);
+  assert.ok(queryAll);
+  initLandApi({ adapter });
+  await loadCells([PARIS]);
+
+  await importSnapshot(createSnapshot({ cells: [], players: [player] }));
+
+  assert.equal((await adapter.get(PARIS)).ownerId, null);
+});
@@ -0,0 +1,57 @@
+/**
+ * Snapshot migrations - Older documents upgrade to SNAPSHOT_VERSION
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSnapshot, SNAPSHOT_FORMAT, SNAPSHOT_VERSION, SnapshotErrorCode } from '../../../src/core/domain/snapshot.js';
+import { getH3Index } from '../../../src/core/h3/index.js';
+
+const CELL_ID = getH3Index(51.5007, -0.1246);
+
+const player = {
+  id: 'alice',
+  displayName: 'Alice',
+  balance: 1000,
+  createdAt: 1,
+  ledger: [{ id: 'alice:1', type: 'credit', amount: 1000, balanceBefore: 0, balanceAfter: 1000 }],
+};
+
+test('version 1 cells saved without a version are migrated to version 0', () => {
+  const parsed = parseSnapshot({
+    format: SNAPSHOT_FORMAT,
+    version: 1,
+    exportedAt: 2,
+    cells: [{ id: CELL_ID, ownerId: 'alice', purchasedAt: 2, structures: [], createdAt: 1 }],
+    players: [player],
+  });
+
+  assert.equal(parsed.success, true);
+  assert.equal(parsed.snapshot.version, SNAPSHOT_VERSION);
+  assert.equal(parsed.snapshot.cells[0].version, 0);
+});
+
+test('version 1 cells keep the version they were saved with', () => {
+  const parsed = parseSnapshot({
+    format: SNAPSHOT_FORMAT,
+    version: 1,
+    exportedAt: 2,
+    cells: [{ id: CELL_ID, ownerId: 'alice', purchasedAt: 2, structures: [], createdAt: 1, version: 4 }],
+    players: [player],
+  });
+
+  assert.equal(parsed.snapshot.cells[0].version, 4);
+});
+
+test('a current snapshot cell without a version is invalid', () => {
+  const parsed = parseSnapshot({
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    exportedAt: 2,
+    cells: [{ id: CELL_ID, ownerId: 'alice', purchasedAt: 2, structures: [], createdAt: 1 }],
+    players: [player],
+  });
+
+  assert.equal(parsed.success, false);
+  assert.equal(parsed.error, SnapshotErrorCode.INVALID_SNAPSHOT);
+});
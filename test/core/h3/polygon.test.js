@@ -0,0 +1,31 @@
+/**
+ * Polygon estimates - Area-based cell counts track the real enumeration
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimatePolygonCellCount, getCellsInPolygon } from '../../../src/core/h3/index.js';
+
+const within = (estimate, actual, tolerance) => Math.abs(estimate - actual) <= actual * tolerance;
+
+test('the estimate is close to the enumerated count', () => {
+  const cases = [
+    { polygon: [[51.50, -0.13], [51.50, -0.11], [51.51, -0.11], [51.51, -0.13]], resolution: 12 },
+    { polygon: [[60, 10], [60, 11], [61, 11], [61, 10]], resolution: 7 },
+    { polygon: [[0, 179.9], [0, -179.9], [0.1, -179.9], [0.1, 179.9]], resolution: 10 },
+  ];
+  cases.forEach(({ polygon, resolution }) => {
+    const estimate = estimatePolygonCellCount(polygon, resolution);
+    const actual = getCellsInPolygon(polygon, resolution).length;
+    assert.ok(within(estimate, actual, 0.1), `estimated ${estimate}, enumerated ${actual}`);
+  });
+});
+
+test('a continent-sized lasso at land resolution is estimated without enumerating', () => {
+  const europe = [[36, -10], [36, 30], [60, 30], [60, -10]];
+  assert.ok(estimatePolygonCellCount(europe, 12) > 1e9);
+});
+
+test('fewer than three points enclose nothing', () => {
+  assert.equal(estimatePolygonCellCount([[0, 0], [1, 1]], 12), 0);
+});
@@ -0,0 +1,101 @@
+/**
+ * Pointer gestures - Synthetic pointer sequences through classifyPointer
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  classifyPointer,
+  INITIAL_POINTER_STATE,
+  PointerGestureType,
+} from '../../src/interactions/pointerGestures.js';
+
+/**
+ * Feed a pointer sequence to the classifier
+ * @param {Array<object>} inputs - { type, pointerId, x, y, time }
+ * @returns {Array<object>} Every gesture found, in order
+ */
+function run(inputs) {
+  let state = INITIAL_POINTER_STATE;
+  const gestures = [];
+  inputs.forEach(input => {
+    const result = classifyPointer(state, input);
+    state = result.state;
+    if (result.gesture) gestures.push(result.gesture);
+  });
+  return gestures;
+}
+
+const pointer = (type, x, y, time, pointerId = 1) => ({ type, pointerId, x, y, time });
+
+test('a short press without moving is a click', () => {
+  const gestures = run([
+    pointer('down', 10, 10, 0),
+    pointer('move', 12, 11, 40),
+    pointer('up', 12, 11, 90),
+  ]);
+  assert.deepEqual(gestures, [{ type: PointerGestureType.CLICK, x: 10, y: 10 }]);
+});
+
+test('a drag is not a click, even if it comes back to the start', () => {
+  const gestures = run([
+    pointer('down', 10, 10, 0),
+    pointer('move', 40, 10, 40),
+    pointer('move', 10, 10, 80),
+    pointer('up', 10, 10, 120),
+  ]);
+  assert.deepEqual(gestures, []);
+});
+
+test('a long hold is not a click', () => {
+  const gestures = run([
+    pointer('down', 10, 10, 0),
+    pointer('up', 10, 10, 800),
+  ]);
+  assert.deepEqual(gestures, []);
+});
+
+test('two quick clicks in one place are a click then a double click', () => {
+  const gestures = run([
+    pointer('down', 10, 10, 0),
+    pointer('up', 10, 10, 60),
+    pointer('down', 13, 12, 200),
+    pointer('up', 13, 12, 250),
+  ]);
+  assert.deepEqual(gestures.map(gesture => gesture.type), [PointerGestureType.CLICK, PointerGestureType.DOUBLE_CLICK]);
+});
+
+test('a third quick click starts a new pair', () => {
+  const gestures = run([
+    pointer('down', 10, 10, 0),
+    pointer('up', 10, 10, 50),
+    pointer('down', 10, 10, 100),
+    pointer('up', 10, 10, 150),
+    pointer('down', 10, 10, 200),
+    pointer('up', 10, 10, 250),
+  ]);
+  assert.deepEqual(gestures.map(gesture => gesture.type), [
+    PointerGestureType.CLICK,
+    PointerGestureType.DOUBLE_CLICK,
+    PointerGestureType.CLICK,
+  ]);
+});
+
+test('a second pointer turns the press into a gesture', () => {
+  const gestures = run([
+    pointer('down', 10, 10, 0, 1),
+    pointer('down', 90, 10, 20, 2),
+    pointer('up', 90, 10, 60, 2),
+    pointer('up', 10, 10, 80, 1),
+  ]);
+  assert.deepEqual(gestures, []);
+});
+
+test('cancel drops the press', () => {
+  const gestures = run([
+    pointer('down', 10, 10, 0),
+    pointer('cancel', 10, 10, 20),
+    pointer('up', 10, 10, 40),
+  ]);
+  assert.deepEqual(gestures, []);
+});
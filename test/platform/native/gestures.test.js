@@ -0,0 +1,114 @@
+/**
+ * Touch gestures - Synthetic touch sequences through reduceGesture
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  reduceGesture,
+  INITIAL_GESTURE_STATE,
+  GesturePhase,
+  GestureType,
+  TouchInputType,
+} from '../../../src/platform/native/gestures.js';
+
+const { START, MOVE, END, CANCEL, TICK } = TouchInputType;
+
+/**
+ * Feed a touch sequence to the machine
+ * @param {Array<object>} inputs - { type, touches, time }
+ * @returns {object} { state, gestures } final state and every gesture, in order
+ */
+function run(inputs) {
+  let state = INITIAL_GESTURE_STATE;
+  const gestures = [];
+  inputs.forEach(input => {
+    const result = reduceGesture(state, input);
+    state = result.state;
+    gestures.push(...result.gestures);
+  });
+  return { state, gestures };
+}
+
+const finger = (x, y, id = 1) => ({ id, x, y });
+
+test('a quick press and release is a tap', () => {
+  const { state, gestures } = run([
+    { type: START, touches: [finger(100, 100)], time: 0 },
+    { type: MOVE, touches: [finger(104, 103)], time: 50 },
+    { type: END, touches: [], time: 120 },
+  ]);
+  assert.deepEqual(gestures, [{ type: GestureType.TAP, x: 100, y: 100 }]);
+  assert.equal(state.phase, GesturePhase.IDLE);
+});
+
+test('holding still fires a long press on the tick, and nothing on release', () => {
+  const { gestures } = run([
+    { type: START, touches: [finger(50, 60)], time: 0 },
+    { type: TICK, time: 300 },
+    { type: TICK, time: 500 },
+    { type: END, touches: [], time: 900 },
+  ]);
+  assert.deepEqual(gestures, [{ type: GestureType.LONG_PRESS, x: 50, y: 60 }]);
+});
+
+test('releasing after longPressMs without a tick is still a long press', () => {
+  const { gestures } = run([
+    { type: START, touches: [finger(50, 60)], time: 0 },
+    { type: END, touches: [], time: 700 },
+  ]);
+  assert.deepEqual(gestures, [{ type: GestureType.LONG_PRESS, x: 50, y: 60 }]);
+});
+
+test('moving beyond the slop pans by each step and never taps', () => {
+  const { gestures } = run([
+    { type: START, touches: [finger(0, 0)], time: 0 },
+    { type: MOVE, touches: [finger(20, 0)], time: 16 },
+    { type: MOVE, touches: [finger(25, 10)], time: 32 },
+    { type: END, touches: [], time: 48 },
+  ]);
+  assert.deepEqual(gestures, [
+    { type: GestureType.PAN, dx: 20, dy: 0, x: 20, y: 0, touchCount: 1 },
+    { type: GestureType.PAN, dx: 5, dy: 10, x: 25, y: 10, touchCount: 1 },
+  ]);
+});
+
+test('spreading two fingers pinches; the first two-finger input only sets a baseline', () => {
+  const { gestures } = run([
+    { type: START, touches: [finger(100, 100, 1)], time: 0 },
+    { type: START, touches: [finger(100, 100, 1), finger(200, 100, 2)], time: 10 },
+    { type: MOVE, touches: [finger(50, 100, 1), finger(250, 100, 2)], time: 20 },
+  ]);
+  assert.deepEqual(gestures, [{ type: GestureType.PINCH, scale: 2, x: 150, y: 100 }]);
+});
+
+test('turning two fingers rotates clockwise in screen degrees', () => {
+  const { gestures } = run([
+    { type: START, touches: [finger(0, 0, 1), finger(100, 0, 2)], time: 0 },
+    { type: MOVE, touches: [finger(50, -50, 1), finger(50, 50, 2)], time: 20 },
+  ]);
+  assert.equal(gestures.length, 1);
+  assert.equal(gestures[0].type, GestureType.ROTATE);
+  assert.equal(gestures[0].degrees, 90);
+});
+
+test('lifting fingers after a pinch settles without a tap', () => {
+  const { state, gestures } = run([
+    { type: START, touches: [finger(0, 0, 1), finger(100, 0, 2)], time: 0 },
+    { type: END, touches: [finger(0, 0, 1)], time: 20 },
+    { type: MOVE, touches: [finger(30, 0, 1)], time: 30 },
+    { type: END, touches: [], time: 40 },
+  ]);
+  assert.deepEqual(gestures, []);
+  assert.equal(state.phase, GesturePhase.IDLE);
+});
+
+test('cancel drops the press', () => {
+  const { state, gestures } = run([
+    { type: START, touches: [finger(0, 0)], time: 0 },
+    { type: CANCEL, time: 10 },
+    { type: END, touches: [], time: 20 },
+  ]);
+  assert.deepEqual(gestures, []);
+  assert.equal(state.phase, GesturePhase.IDLE);
+});
@@ -0,0 +1,76 @@
+/**
+ * Web pointer bindings - Alt + click selects a ring, Alt + drag a lasso
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPointerHandlers } from '../../../src/platform/web/input.js';
+import { initLandApi, getSelectedCellIds } from '../../../src/api/landApi.js';
+import { getH3Index, getCellsInPolygon } from '../../../src/core/h3/index.js';
+
+const RESOLUTION = 9;
+
+/**
+ * Fake R3F event whose point is already [lat, lng]
+ */
+const pointer = (lat, lng, time, { altKey = false } = {}) => ({
+  pointerId: 1,
+  clientX: lng * 1000,
+  clientY: lat * -1000,
+  timeStamp: time,
+  altKey,
+  point: [lat, lng],
+});
+
+// Commands run through the undo history, which applies them asynchronously
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+let cameraEnabled;
+let handlers;
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  initLandApi();
+  cameraEnabled = [];
+  handlers = createPointerHandlers(([lat, lng]) => getH3Index(lat, lng, RESOLUTION), {
+    getLatLngFromPoint: point => point,
+    resolution: RESOLUTION,
+    setCameraEnabled: enabled => cameraEnabled.push(enabled),
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('alt + click selects the cell and its ring', async () => {
+  handlers.onPointerDown(pointer(51.5, -0.12, 0, { altKey: true }));
+  handlers.onPointerUp(pointer(51.5, -0.12, 50, { altKey: true }));
+  await settle();
+
+  const selected = getSelectedCellIds();
+  assert.equal(selected.length, 7);
+  assert.ok(selected.includes(getH3Index(51.5, -0.12, RESOLUTION)));
+});
+
+test('alt + drag selects the cells inside the lasso and holds the camera', async () => {
+  const outline = [[51.50, -0.13], [51.50, -0.11], [51.51, -0.11], [51.51, -0.13]];
+  handlers.onPointerDown(pointer(...outline[0], 0, { altKey: true }));
+  outline.slice(1).forEach((point, i) => handlers.onPointerMove(pointer(...point, 20 * (i + 1), { altKey: true })));
+  handlers.onPointerUp(pointer(...outline[3], 100, { altKey: true }));
+  await settle();
+
+  assert.deepEqual(cameraEnabled, [false, true]);
+  assert.deepEqual(new Set(getSelectedCellIds()), new Set(getCellsInPolygon(outline, RESOLUTION)));
+});
+
+test('leaving the globe drops the lasso', async () => {
+  handlers.onPointerDown(pointer(51.50, -0.13, 0, { altKey: true }));
+  handlers.onPointerMove(pointer(51.50, -0.11, 20, { altKey: true }));
+  handlers.onPointerLeave();
+  handlers.onPointerUp(pointer(51.51, -0.11, 40, { altKey: true }));
+  await settle();
+
+  assert.deepEqual(cameraEnabled, [false, true]);
+  assert.deepEqual(getSelectedCellIds(), []);
+});
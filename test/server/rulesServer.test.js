@@ -0,0 +1,90 @@
+/**
+ * Rules server sessions - Players act only through their own session token
+ */
+
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRulesServer } from '../../server/rulesServer.js';
+import { RulesErrorCode } from '../../src/api/persistence/rulesAdapter.js';
+import { getH3Index } from '../../src/core/h3/index.js';
+
+const CELL_ID = getH3Index(51.5007, -0.1246);
+
+let server;
+let baseUrl;
+
+/**
+ * Send a JSON request to the server under test
+ * @returns {Promise<[number, object]>} Status code and JSON body
+ */
+async function send(method, path, { body, token } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return [response.status, await response.json()];
+}
+
+beforeEach(async () => {
+  mock.method(console, 'log', () => {});
+  server = createRulesServer({ maxPlayersPerAddress: 2 });
+  baseUrl = `http://localhost:${await server.listen(0)}`;
+});
+
+afterEach(async () => {
+  await server.close();
+  mock.restoreAll();
+});
+
+test('registering answers a session token that authorizes actions', async () => {
+  const [, registered] = await send('POST', '/players', { body: { playerId: 'alice' } });
+  assert.equal(typeof registered.token, 'string');
+
+  const [status, result] = await send('POST', '/actions', {
+    body: { type: 'purchase', cellId: CELL_ID, playerId: 'alice' },
+    token: registered.token,
+  });
+  assert.equal(status, 200);
+  assert.equal(result.success, true);
+});
+
+test('actions without a session are refused', async () => {
+  await send('POST', '/players', { body: { playerId: 'alice' } });
+
+  const [status, result] = await send('POST', '/actions', { body: { type: 'purchase', cellId: CELL_ID, playerId: 'alice' } });
+  assert.equal(status, 401);
+  assert.equal(result.error, RulesErrorCode.UNAUTHORIZED);
+});
+
+test('a session cannot act for or read another player', async () => {
+  await send('POST', '/players', { body: { playerId: 'alice' } });
+  const [, bob] = await send('POST', '/players', { body: { playerId: 'bob' } });
+
+  const [actionStatus] = await send('POST', '/actions', {
+    body: { type: 'purchase', cellId: CELL_ID, playerId: 'alice' },
+    token: bob.token,
+  });
+  const [walletStatus] = await send('GET', '/players/alice', { token: bob.token });
+  assert.equal(actionStatus, 403);
+  assert.equal(walletStatus, 403);
+});
+
+test('a registered player ID cannot be registered again', async () => {
+  await send('POST', '/players', { body: { playerId: 'alice' } });
+
+  const [status, result] = await send('POST', '/players', { body: { playerId: 'alice' } });
+  assert.equal(status, 409);
+  assert.equal(result.error, RulesErrorCode.PLAYER_EXISTS);
+});
+
+test('one address cannot farm starting balances', async () => {
+  await send('POST', '/players', { body: { playerId: 'alice' } });
+  await send('POST', '/players', { body: { playerId: 'bob' } });
+
+  const [status, result] = await send('POST', '/players', { body: { playerId: 'carol' } });
+  assert.equal(status, 429);
+  assert.equal(result.error, RulesErrorCode.TOO_MANY_PLAYERS);
+});